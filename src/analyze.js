@@ -1,55 +1,79 @@
 // ============================================================
 // ANALYSIS ENGINE v2 — Daily Stats
 // ============================================================
-// Reads data/daily/*.json files and computes:
+// Reads daily scores (via the SQLite store, src/store.js) for the
+// active or an archived season and computes:
 //   - Rolling 3D/7D PPG
 //   - Day rank streaks (win, podium, bottom-half)
-//   - Period projections
+//   - Period projections (+ Monte Carlo odds, src/simulate.js)
+//   - Elo power ratings (stored by src/elo.js)
+//   - GP volume vs PPG efficiency split + remaining-GP edge (src/schedule.js)
+//   - Volatility: PPG spread, rank distribution, bucket streaks (src/volatility.js)
 //   - VS Projected performance
+//
+// Card narratives are rule modules run by src/narratives/ (see there
+// for the rule format and data/narratives.json for weights).
+//
+// Optionally loads prior seasons' archives as well, so streaks and
+// droughts can be put in multi-season context ("longest podium
+// streak since 2019-20"). Every day carries its `season` key; window
+// narratives stop at the season boundary unless they opt to cross it.
 // ============================================================
 
 const fs = require("fs");
 const path = require("path");
-const { getPeriodForDate, toFranchise, PERIODS, FRANCHISE_NAMES } = require("./config");
-const { getLeaguePeriodRecord, getFranchisePeriodBest, getFranchiseCareerStats,
-        getCareerTotalPoints, getPeriodDominance,
-        getFranchiseMatchupStreak, getSeasonPace, getPeriodHistory, FRANCHISE_TO_OWNER } = require("./historical");
+const { getPeriodForDate, getPeriods, toFranchise, CURRENT_SEASON } = require("./config");
+const { listSeasons } = require("./seasons");
+const { getDays } = require("./store");
+const { buildDailyFile, validateDailyFile } = require("./daily-schema");
+const narratives = require("./narratives");
+const { trailingDays } = require("./narratives/helpers");
+const { applyFatigue } = require("./narratives/fatigue");
+const { loadRecentNights } = require("./narratives/log");
+const { simulatePeriodWithRecord } = require("./simulate");
+const { getRatingsForDate } = require("./elo");
+const { buildScheduleReport } = require("./schedule");
+const { RANK_BUCKETS, computeVolatility, buildVolatility } = require("./volatility");
+const { rankItems, rankTeams } = require("./ranking");
+const { loadPlayerLines, summarizeTeam } = require("./players");
 
 const DAILY_DIR = path.join(__dirname, "..", "data", "daily");
 
 /**
- * Load all daily score files, sorted by date ascending.
- * Filters out Olympic break / null period / empty files.
+ * Load all daily scores for a season from the store, sorted by date
+ * ascending. Defaults to the active season. Franchise names are already
+ * resolved and missing periods filled from the season calendar.
+ * Filters out Olympic break / null period / empty days.
  */
-function loadAllDailyScores() {
-  if (!fs.existsSync(DAILY_DIR)) return [];
-
-  const files = fs.readdirSync(DAILY_DIR)
-    .filter(f => f.endsWith(".json") && f !== ".gitkeep")
-    .sort();
-
-  const days = [];
-  for (const file of files) {
-    try {
-      const data = JSON.parse(fs.readFileSync(path.join(DAILY_DIR, file), "utf-8"));
-      if (!data.period || !data.teams || data.teams.length === 0) continue;
-      // Skip days where every team scored 0 (likely no games)
-      const totalPts = data.teams.reduce((sum, t) => sum + (t.dayPts || 0), 0);
-      if (totalPts === 0) continue;
-
-      // Normalize franchise names to canonical abbreviations
-      for (const t of data.teams) {
-        const resolved = toFranchise(t.franchise) || toFranchise(t.name);
-        if (resolved) t.franchise = resolved;
-      }
+function loadAllDailyScores(seasonKey = CURRENT_SEASON) {
+  return getDays({ season: seasonKey, requirePeriod: true });
+}
 
-      days.push(data);
-    } catch (e) {
-      // Skip corrupt files
-    }
-  }
+/**
+ * Load the given season plus up to `priorSeasons` archived seasons
+ * before it (Infinity for all of them), oldest first.
+ * Returns: { days, seasons: ["2023-24", "2024-25", "2025-26"] }
+ */
+function loadDailyHistory(seasonKey = CURRENT_SEASON, priorSeasons = 0) {
+  const keys = listSeasons();
+  const idx = keys.indexOf(seasonKey);
+  const seasons = idx < 0 ? [seasonKey] : keys.slice(Math.max(0, idx - priorSeasons), idx + 1);
+  const days = seasons.flatMap(k => loadAllDailyScores(k));
+  return { days, seasons: seasons.filter(k => days.some(d => d.season === k)) };
+}
 
-  return days;
+/**
+ * HISTORY_SEASONS env value → priorSeasons for buildNightlyAnalysis:
+ * a number, "all", or 0 / unset for this season only.
+ */
+function parsePriorSeasons(value) {
+  if (value === undefined || value === "") return 0;
+  if (value.toLowerCase() === "all") return Infinity;
+  const n = parseInt(value, 10);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`HISTORY_SEASONS must be a non-negative number or "all", got "${value}"`);
+  }
+  return n;
 }
 
 /**
@@ -104,614 +128,8 @@ function seasonPPG(allDays, franchise) {
   return 0;
 }
 
-/**
- * ================================================================
- * NARRATIVE ENGINE — builds contextual narratives for each team
- * ================================================================
- * Priority order (picks the best 1-2 for the card):
- *   1. Win streak (2+)
- *   2. Podium streak (3+)
- *   3. Bottom-half streak (5+)
- *   4. Best day this period
- *   5. Period rank change (climbed/dropped)
- *   6. Day score vs period average (big day / cold day)
- *   7. Season rank position
- *   8. 3D trending (surging / slumping)
- *   9. Consistency (hit projection X of last 7)
- *  10. Period pace (best/worst period of the season)
- *  11. Comeback/collapse within period
- *  12. Longest drought since top 3
- *  13. All-time period record proximity
- *  14. Projection fallback
- * ================================================================
- */
-async function buildNarratives(allDays, franchise, period, todayDayPts, todayGP, projection, avg3d, ppg, todayScrapeTeams) {
-  const candidates = []; // { priority, text, isBad }
-
-  if (allDays.length < 2) return [];
-
-  // ---- Build ranked history ----
-  const rankedDays = allDays.map(day => {
-    const sorted = [...day.teams].sort((a, b) => (b.dayPts || 0) - (a.dayPts || 0));
-    const teamIdx = sorted.findIndex(t => t.franchise === franchise);
-    const teamData = sorted[teamIdx];
-    return {
-      date: day.date,
-      period: day.period,
-      rank: teamIdx >= 0 ? teamIdx + 1 : 7,
-      dayPts: teamData?.dayPts || 0,
-      numTeams: sorted.length,
-    };
-  });
-
-  const recent = rankedDays.slice(-30);
-  const currentPeriod = period;
-  const periodDays = allDays.filter(d => d.period === currentPeriod);
-  const periodRanked = rankedDays.filter(d => d.period === currentPeriod);
-
-  // ============================================================
-  // IMPACT SCORING — each narrative gets a dynamic score (0-100)
-  // based on how remarkable/interesting it actually is.
-  // Higher score = more interesting. Top 2 scores win.
-  // ============================================================
-
-  const periodConfig = PERIODS.find(p => p.period === currentPeriod);
-  const periodTotalDays = periodConfig
-    ? Math.round((new Date(periodConfig.end) - new Date(periodConfig.start)) / 86400000) + 1
-    : 14;
-  const periodProgress = periodDays.length / periodTotalDays; // 0.0 to 1.0
-  const inBackHalf = periodProgress >= 0.5;
-
-  // ---- 1. Win streak ----
-  let winStreak = 0;
-  for (let i = recent.length - 1; i >= 0; i--) {
-    if (recent[i].rank === 1) winStreak++;
-    else break;
-  }
-  if (winStreak >= 2) {
-    // 2-day = 55, 3-day = 70, 5-day = 90+
-    const score = Math.min(95, 40 + winStreak * 15);
-    candidates.push({ score, cat: "streak", text: `${winStreak}-day win streak` });
-  }
-
-  // ---- 2. Podium streak ----
-  let podiumStreak = 0;
-  for (let i = recent.length - 1; i >= 0; i--) {
-    if (recent[i].rank <= 3) podiumStreak++;
-    else break;
-  }
-  if (podiumStreak >= 3 && winStreak < 2) {
-    // 3-day = 80, 5-day = 85, 7-day = 90
-    const score = Math.min(95, Math.max(80, 70 + podiumStreak * 3));
-    candidates.push({ score, cat: "streak", text: `${podiumStreak}-day podium streak` });
-  }
-
-  // ---- 3. Bottom-half streak ----
-  let bottomStreak = 0;
-  for (let i = recent.length - 1; i >= 0; i--) {
-    if (recent[i].rank > 3) bottomStreak++;
-    else break;
-  }
-  if (bottomStreak >= 5) {
-    // 5-day = 80, 7-day = 86, 10-day = 95
-    const score = Math.min(95, Math.max(80, 70 + bottomStreak * 3));
-    candidates.push({ score, cat: "streak", text: `${bottomStreak}-day bottom-half streak`, isBad: true });
-  }
-
-  // ---- 4. Best day this period ----
-  // Only in back half; score increases with how deep into the period we are
-  if (inBackHalf && periodDays.length > 1 && todayDayPts > 0) {
-    const allPeriodPts = periodDays.map(day => {
-      const t = day.teams.find(t => t.franchise === franchise);
-      return t ? (t.dayPts || 0) : 0;
-    });
-    const bestInPeriod = Math.max(...allPeriodPts);
-    if (todayDayPts >= bestInPeriod) {
-      // Day 8 of 14 = 40, Day 13 of 14 = 60
-      const score = 30 + Math.round(periodProgress * 35);
-      candidates.push({ score, cat: "bestday", text: `Best day this period (so far)` });
-    }
-  }
-
-  // ---- 5. Period rank change ----
-  // Score depends on magnitude of change AND period depth
-  if (periodRanked.length >= 2) {
-    const periodStandings = computePeriodStandings(periodDays, franchise);
-    if (periodStandings) {
-      const { currentRank, previousRank } = periodStandings;
-      const change = Math.abs(currentRank - previousRank);
-      if (currentRank < previousRank) {
-        // Climbing to #1 is exciting; climbing to #5 early in period is boring
-        // Base: 15, + change magnitude, + period depth, + bonus for top positions
-        const positionBonus = currentRank <= 2 ? 15 : 0;
-        const score = 15 + change * 10 + Math.round(periodProgress * 20) + positionBonus;
-        candidates.push({ score, cat: "rank", text: `Climbed to #${currentRank} in P${currentPeriod}` });
-      } else if (currentRank > previousRank) {
-        const positionPenalty = currentRank >= 5 ? 10 : 0;
-        const score = 15 + change * 10 + Math.round(periodProgress * 20) + positionPenalty;
-        candidates.push({ score, cat: "rank", text: `Dropped to #${currentRank} in P${currentPeriod}`, isBad: true });
-      }
-    }
-  }
-
-  // ---- 6. Today's PPG vs period PPG average ----
-  if (periodDays.length >= 3 && todayGP > 0) {
-    const todayPPG = todayDayPts / todayGP;
-    let periodTotal = 0;
-    let periodGP = 0;
-    for (const day of periodDays) {
-      const t = day.teams.find(t => t.franchise === franchise);
-      if (t) { periodTotal += t.dayPts || 0; periodGP += t.gp || 0; }
-    }
-    const periodPPG = periodGP > 0 ? periodTotal / periodGP : 0;
-    if (periodPPG > 0) {
-      const pct = Math.round(((todayPPG - periodPPG) / periodPPG) * 100);
-      if (pct >= 30) {
-        // 30% over = 40, 60% over = 55, 100% over = 70
-        const score = Math.min(75, 30 + Math.round(Math.abs(pct) * 0.4));
-        candidates.push({ score, cat: "dayppg", text: `${todayPPG.toFixed(2)} PPG today vs ${periodPPG.toFixed(2)} period avg` });
-      } else if (pct <= -30) {
-        const score = Math.min(75, 30 + Math.round(Math.abs(pct) * 0.4));
-        candidates.push({ score, cat: "dayppg", text: `${todayPPG.toFixed(2)} PPG today vs ${periodPPG.toFixed(2)} period avg`, isBad: true });
-      }
-    }
-  }
-
-  // ---- 7. Season rank ----
-  // Only interesting as context, low score unless it's a dramatic position
-  const seasonTotals = {};
-  for (const day of allDays) {
-    for (const t of day.teams) {
-      if (!seasonTotals[t.franchise]) seasonTotals[t.franchise] = 0;
-      seasonTotals[t.franchise] += t.dayPts || 0;
-    }
-  }
-  const seasonSorted = Object.entries(seasonTotals).sort((a, b) => b[1] - a[1]);
-  const seasonRank = seasonSorted.findIndex(([f]) => f === franchise) + 1;
-  if (seasonRank === 1) {
-    candidates.push({ score: 35, cat: "seasonrank", text: `1st overall (${Math.round(seasonTotals[franchise])} pts)` });
-  } else if (seasonRank === seasonSorted.length) {
-    candidates.push({ score: 30, cat: "seasonrank", text: `Last overall (${Math.round(seasonTotals[franchise])} pts)`, isBad: true });
-  }
-
-  // ---- 8. 3D trending ----
-  if (avg3d != null && ppg != null && ppg > 0) {
-    const pctChange = Math.round(((avg3d - ppg) / ppg) * 100);
-    if (pctChange >= 20) {
-      const score = Math.min(70, 40 + Math.round(Math.abs(pctChange) * 0.5));
-      candidates.push({ score, cat: "trending", text: `3D avg ${avg3d.toFixed(2)} — surging (+${pctChange}% vs season)` });
-    } else if (pctChange >= 8) {
-      candidates.push({ score: 30, cat: "trending", text: `3D avg ${avg3d.toFixed(2)} (up from ${ppg.toFixed(2)})` });
-    } else if (pctChange <= -20) {
-      const score = Math.min(70, 40 + Math.round(Math.abs(pctChange) * 0.5));
-      candidates.push({ score, cat: "trending", text: `3D avg ${avg3d.toFixed(2)} — slumping (${pctChange}% vs season)`, isBad: true });
-    } else if (pctChange <= -8) {
-      candidates.push({ score: 30, cat: "trending", text: `3D avg ${avg3d.toFixed(2)} (down from ${ppg.toFixed(2)})`, isBad: true });
-    }
-  }
-
-  // ---- 9. Consistency ----
-  if (recent.length >= 7) {
-    const last7 = recent.slice(-7);
-    const aboveAvg = last7.filter(d => d.rank <= 3).length;
-    if (aboveAvg >= 6) {
-      candidates.push({ score: 45, cat: "consistency", text: `Top 3 in ${aboveAvg} of last 7 days` });
-    } else if (aboveAvg <= 1) {
-      candidates.push({ score: 40, cat: "consistency", text: `Top 3 only ${aboveAvg}x in last 7 days`, isBad: true });
-    }
-  }
-
-  // ---- 10. Period pace — best/worst of the season ----
-  if (periodDays.length >= 3 && projection) {
-    const allPeriodProjections = computeAllPeriodTotals(allDays, franchise);
-    if (allPeriodProjections.length > 0) {
-      const bestPeriod = Math.max(...allPeriodProjections.map(p => p.total));
-      const worstPeriod = Math.min(...allPeriodProjections.map(p => p.total));
-      const currentPace = projection.projected;
-
-      if (currentPace > bestPeriod * 1.05) {
-        candidates.push({ score: 55, cat: "proj", text: `Best period pace this season (proj ${currentPace} vs ${Math.round(bestPeriod)} prev)` });
-      } else if (currentPace < worstPeriod * 0.95 && allPeriodProjections.length >= 3) {
-        candidates.push({ score: 50, cat: "proj", text: `Worst period pace this season (proj ${currentPace} vs ${Math.round(worstPeriod)} prev)`, isBad: true });
-      }
-    }
-  }
-
-  // ---- 11. Comeback/collapse within period ----
-  if (periodRanked.length >= 5) {
-    const midpoint = Math.floor(periodRanked.length / 2);
-    const midRank = computePeriodRankAtDay(periodDays.slice(0, midpoint), franchise);
-    const currentRankInPeriod = computePeriodRankAtDay(periodDays, franchise);
-    if (midRank && currentRankInPeriod) {
-      const jump = midRank - currentRankInPeriod;
-      if (jump >= 3) {
-        candidates.push({ score: 42, cat: "momentum", text: `Was #${midRank} mid-period, now #${currentRankInPeriod}` });
-      } else if (jump <= -3) {
-        candidates.push({ score: 40, cat: "momentum", text: `Was #${midRank} mid-period, now #${currentRankInPeriod}`, isBad: true });
-      }
-    }
-  }
-
-  // ---- 12. Drought ----
-  let drought = 0;
-  for (let i = recent.length - 1; i >= 0; i--) {
-    if (recent[i].rank > 3) drought++;
-    else break;
-  }
-  if (drought >= 8 && bottomStreak < 5) {
-    const score = Math.min(60, 30 + drought * 3);
-    candidates.push({ score, cat: "drought", text: `${drought} days since finishing top 3`, isBad: true });
-  }
-
-  // ---- 13. Period record proximity (this season) ----
-  if (projection && periodDays.length >= 5) {
-    const allPeriodTotals = computeAllPeriodTotals(allDays, franchise);
-    const allTimeBest = allPeriodTotals.length > 0 ? Math.max(...allPeriodTotals.map(p => p.total)) : 0;
-    if (allTimeBest > 0 && projection.periodPts > 0) {
-      const remaining = allTimeBest - projection.periodPts;
-      if (remaining > 0 && remaining <= projection.daysRemaining * 2) {
-        candidates.push({ score: 50, cat: "proj", text: `${Math.round(remaining)} pts from personal best period` });
-      }
-    }
-  }
-
-  // ---- HISTORICAL COLOR — compete on equal footing ----
-  try {
-    // Career milestone proximity (very rare, very high impact)
-    const career = await getCareerTotalPoints(franchise);
-    if (career.totalPts > 0) {
-      const milestones = [1000, 2000, 3000, 4000, 5000, 6000, 7000, 8000, 9000, 10000, 12500, 15000];
-      const currentPeriodPts = projection ? projection.periodPts : 0;
-      const approxCurrentTotal = career.totalPts + currentPeriodPts;
-      for (const m of milestones) {
-        const remaining = m - approxCurrentTotal;
-        if (remaining > 0 && remaining <= 20) {
-          candidates.push({ score: 85, cat: "milestone", text: `${remaining} pts from ${m.toLocaleString()} career points` });
-          break;
-        } else if (remaining > 0 && remaining <= 50) {
-          candidates.push({ score: 70, cat: "milestone", text: `${remaining} pts from ${m.toLocaleString()} career points` });
-          break;
-        } else if (remaining > 0 && remaining <= 100) {
-          candidates.push({ score: 55, cat: "milestone", text: `${remaining} pts from ${m.toLocaleString()} career points` });
-          break;
-        } else if (remaining <= 0 && remaining > -5) {
-          candidates.push({ score: 90, cat: "milestone", text: `Just crossed ${m.toLocaleString()} career points!` });
-          break;
-        }
-      }
-    }
-
-    // Season pace vs historical seasons
-    if (projection && currentPeriod >= 3) {
-      const currentSeasonPts = allDays.reduce((sum, day) => {
-        const team = day.teams.find(t => t.franchise === franchise);
-        return sum + (team ? team.dayPts : 0);
-      }, 0);
-
-      const pace = await getSeasonPace(franchise, currentPeriod, Math.round(currentSeasonPts));
-      if (pace && pace.historicalPaces.length >= 2) {
-        const bestEver = pace.bestPace;
-        const worstEver = pace.worstPace;
-        if (currentSeasonPts > bestEver.totalThroughPeriod) {
-          candidates.push({ score: 65, cat: "seasonpace", globalCat: "seasonpace", text: `Best-ever season pace thru P${currentPeriod} (prev: ${bestEver.totalThroughPeriod} in ${bestEver.season})` });
-        } else if (currentSeasonPts >= bestEver.totalThroughPeriod * 0.95) {
-          candidates.push({ score: 50, cat: "seasonpace", globalCat: "seasonpace", text: `Tracking near best-ever pace thru P${currentPeriod} (prev: ${bestEver.totalThroughPeriod})` });
-        } else if (currentSeasonPts < worstEver.totalThroughPeriod * 1.05 && pace.historicalPaces.length >= 4) {
-          candidates.push({ score: 50, cat: "seasonpace", globalCat: "seasonpace", text: `Slowest season pace thru P${currentPeriod} since ${worstEver.season}` });
-        }
-      }
-    }
-
-    // Period dominance
-    const dominance = await getPeriodDominance(currentPeriod, franchise);
-    if (dominance.totalOccurrences >= 3) {
-      if (dominance.wins >= 3 && dominance.topWinner === franchise) {
-        // This franchise truly has the most wins for this period
-        candidates.push({ score: 55, cat: "dominance", globalCat: "dominance", text: `Won P${currentPeriod} ${dominance.wins}x — most in league` });
-      } else if (dominance.wins >= 2 && dominance.topWinner !== franchise) {
-        // Has multiple wins but someone else has more — still interesting, no superlative
-        candidates.push({ score: 40, cat: "dominance", globalCat: "dominance", text: `Has won P${currentPeriod} ${dominance.wins} times` });
-      } else if (dominance.wins === 0 && dominance.totalOccurrences >= 5) {
-        candidates.push({ score: 70, cat: "cold", text: `Has never won a P${currentPeriod} (0-for-${dominance.totalOccurrences} all-time)` });
-      } else if (dominance.topWinner && dominance.topWinner !== franchise && dominance.topWinnerWins >= 3) {
-        const ownerName = FRANCHISE_TO_OWNER[dominance.topWinner] || dominance.topWinner;
-        candidates.push({ score: 40, cat: "dominance", globalCat: "dominance", text: `P${currentPeriod} belongs to ${ownerName} (${dominance.topWinnerWins} wins)` });
-      }
-    }
-
-    // Franchise hot/cold streak across periods
-    // Database tab already has current season P1-P9 results, so no need to derive from daily files
-    const streak = await getFranchiseMatchupStreak(franchise);
-    if (streak) {
-      if (streak.type === "W" && streak.streak >= 3) {
-        const score = Math.min(80, 40 + streak.streak * 10);
-        candidates.push({ score, cat: "periodstreak", text: `Won ${streak.streak} straight periods` });
-      } else if (streak.type === "L" && streak.streak >= 9 && streak.lastWin && periodDays.length <= 1) {
-        // In a 6-team league, droughts of 5-8 periods are common and uninteresting.
-        // Only fire at 9+ to highlight truly notable cold streaks.
-        // Cooldown: only fires on the first 2 nights of a period — drought count doesn't
-        // change mid-period, so repeating it nightly is stale noise.
-        const score = Math.min(75, 25 + streak.streak * 7);
-        // Current season is determined by the latest period start year (2026 for Oct 2025 - Apr 2026 season)
-        const currentSeason = Math.max(...PERIODS.map(p => parseInt(p.start.substring(0, 4))));
-        if (streak.lastWin.season >= currentSeason) {
-          candidates.push({ score, cat: "cold", text: `${streak.streak}-period win drought (last: P${streak.lastWin.period} this season)` });
-        } else {
-          candidates.push({ score, cat: "cold", text: `${streak.streak}-period win drought (last: P${streak.lastWin.period} in ${streak.lastWin.season})` });
-        }
-      }
-    }
-
-    // ---- Hottest franchise over rolling window ----
-    // Scans 5/7/10/14-day windows. Only fires if THIS franchise is the hottest
-    // AND the story is interesting (big margin, or surprise contender).
-    const hotWindows = [10, 14, 30, 60];
-    let bestHotInsight = null;
-
-    for (const windowSize of hotWindows) {
-      if (allDays.length < windowSize) continue;
-      const windowDays = allDays.slice(-windowSize);
-
-      // Sum points per franchise in this window
-      const windowTotals = {};
-      for (const day of windowDays) {
-        for (const t of day.teams) {
-          windowTotals[t.franchise] = (windowTotals[t.franchise] || 0) + (t.dayPts || 0);
-        }
-      }
-
-      const windowSorted = Object.entries(windowTotals).sort((a, b) => b[1] - a[1]);
-      if (windowSorted.length < 2) continue;
-
-      const [leader, leaderPts] = windowSorted[0];
-      const [, secondPts] = windowSorted[1];
-
-      // Only care if THIS franchise is the leader
-      if (leader !== franchise) continue;
-
-      const margin = secondPts > 0 ? Math.round(((leaderPts - secondPts) / secondPts) * 100) : 0;
-      if (margin < 10) continue; // Not interesting enough
-
-      // Surprise factor: current period rank (lower rank = bigger surprise)
-      const periodStandings = computePeriodRankAtDay(periodDays, franchise);
-      const isSurprise = periodStandings && periodStandings >= 4;
-
-      // Score: base from margin, bonus for surprise, bonus for longer windows
-      let score = 30 + Math.min(30, margin);
-      if (isSurprise) score += 20;
-      if (windowSize >= 10) score += 10;
-      else if (windowSize >= 7) score += 5;
-
-      // Cap it
-      score = Math.min(85, score);
-
-      // Find the start date for the label
-      const sinceDate = windowDays[0].date;
-      const sinceParts = sinceDate.split("-");
-      const sinceLabel = `${parseInt(sinceParts[1])}/${parseInt(sinceParts[2])}`;
-
-      const text = isSurprise
-        ? `Hottest since ${sinceLabel} (+${margin}% over field) despite #${periodStandings}`
-        : `Hottest franchise since ${sinceLabel} (+${margin}% over field)`;
-
-      if (!bestHotInsight || score > bestHotInsight.score) {
-        bestHotInsight = { score, cat: "hot", text };
-      }
-    }
-
-    if (bestHotInsight) {
-      candidates.push(bestHotInsight);
-    }
-
-    // ---- Coldest franchise over rolling window ----
-    // Mirror of hottest: scans same windows, fires if THIS franchise is the coldest
-    // AND the deficit is meaningful.
-    let bestColdInsight = null;
-
-    for (const windowSize of hotWindows) {
-      if (allDays.length < windowSize) continue;
-      const windowDays = allDays.slice(-windowSize);
-
-      const windowTotals = {};
-      for (const day of windowDays) {
-        for (const t of day.teams) {
-          windowTotals[t.franchise] = (windowTotals[t.franchise] || 0) + (t.dayPts || 0);
-        }
-      }
-
-      const windowSorted = Object.entries(windowTotals).sort((a, b) => b[1] - a[1]);
-      if (windowSorted.length < 2) continue;
-
-      const [, topPts] = windowSorted[0];
-      const [trailer, trailerPts] = windowSorted[windowSorted.length - 1];
-      const secondLast = windowSorted[windowSorted.length - 2];
-      const [, secondLastPts] = secondLast || [null, 0];
-
-      // Only care if THIS franchise is the trailer
-      if (trailer !== franchise) continue;
-
-      // Margin behind the field (vs second-last, not the leader — shows how isolated they are)
-      const deficit = secondLastPts > 0 ? Math.round(((secondLastPts - trailerPts) / secondLastPts) * 100) : 0;
-      if (deficit < 10) continue; // Not interesting enough
-
-      // Surprise factor: currently high in period standings despite being coldest
-      const periodStandings = computePeriodRankAtDay(periodDays, franchise);
-      const isSurprise = periodStandings && periodStandings <= 2;
-
-      let score = 30 + Math.min(30, deficit);
-      if (isSurprise) score += 15;
-      if (windowSize >= 10) score += 10;
-      else if (windowSize >= 7) score += 5;
-
-      score = Math.min(80, score);
-
-      const sinceDate = windowDays[0].date;
-      const sinceParts = sinceDate.split("-");
-      const sinceLabel = `${parseInt(sinceParts[1])}/${parseInt(sinceParts[2])}`;
-
-      const text = isSurprise
-        ? `Coldest since ${sinceLabel} (-${deficit}% vs field) despite #${periodStandings}`
-        : `Coldest franchise since ${sinceLabel} (-${deficit}% vs field)`;
-
-      if (!bestColdInsight || score > bestColdInsight.score) {
-        bestColdInsight = { score, cat: "cold_window", text, isBad: true };
-      }
-    }
-
-    if (bestColdInsight) {
-      candidates.push(bestColdInsight);
-    }
-
-    // Projection confidence: scales 0.4 (day 2) → 1.0 (day 10+)
-    // Early projections are noisy and shouldn't dominate
-    const projConfidence = projection
-      ? Math.min(1.0, 0.3 + (projection.daysPlayed / projection.totalDays) * 0.9)
-      : 0;
-
-    // Projected vs all-time league record for this period number (13-year history)
-    if (projection && projection.projected > 0) {
-      const leagueRecord = await getLeaguePeriodRecord(currentPeriod);
-      if (leagueRecord && leagueRecord.fpts > 0) {
-        const recordHolder = FRANCHISE_NAMES[leagueRecord.franchise] || leagueRecord.franchise;
-        if (projection.projected > leagueRecord.fpts) {
-          candidates.push({ score: Math.round(80 * projConfidence), cat: "proj", text: `Proj ${projection.projected} — would beat P${currentPeriod} record (${Math.round(leagueRecord.fpts)}, ${recordHolder})` });
-        } else if (projection.projected >= leagueRecord.fpts * 0.9) {
-          candidates.push({ score: Math.round(60 * projConfidence), cat: "proj", text: `Proj ${projection.projected} — closing on P${currentPeriod} record (${Math.round(leagueRecord.fpts)})` });
-        }
-      }
-
-      // Also check league worst for this period number
-      const periodHistory = await getPeriodHistory(currentPeriod);
-      if (periodHistory.length >= 6) {
-        const leagueWorst = periodHistory.reduce((worst, entry) =>
-          entry.fpts < worst.fpts ? entry : worst
-        );
-        if (leagueWorst && projection.projected < leagueWorst.fpts) {
-          candidates.push({ score: Math.round(65 * projConfidence), cat: "proj", text: `Proj ${projection.projected} — tracking worst-ever P${currentPeriod} (${Math.round(leagueWorst.fpts)})` });
-        }
-      }
-    }
-
-    // Projected vs franchise's own best/worst for this period number (13-year history)
-    if (projection && projection.projected > 0) {
-      const myBest = await getFranchisePeriodBest(currentPeriod, franchise);
-      if (myBest && myBest.fpts > 0) {
-        if (projection.projected > myBest.fpts) {
-          candidates.push({ score: Math.round(70 * projConfidence), cat: "proj", text: `Proj ${projection.projected} — personal best P${currentPeriod} (prev: ${Math.round(myBest.fpts)} in ${myBest.season})` });
-        } else if (projection.projected >= myBest.fpts * 0.9) {
-          candidates.push({ score: Math.round(45 * projConfidence), cat: "proj", text: `Proj ${projection.projected} — nearing best P${currentPeriod} (${Math.round(myBest.fpts)})` });
-        }
-      }
-
-      // Franchise's own worst for this period number
-      const periodHistory = await getPeriodHistory(currentPeriod);
-      const myHistory = periodHistory.filter(h => h.franchise === franchise);
-      if (myHistory.length >= 3) {
-        const myWorst = myHistory.reduce((worst, entry) =>
-          entry.fpts < worst.fpts ? entry : worst
-        );
-        if (myWorst && projection.projected < myWorst.fpts) {
-          candidates.push({ score: Math.round(55 * projConfidence), cat: "proj", text: `Proj ${projection.projected} — tracking worst P${currentPeriod} (prev: ${Math.round(myWorst.fpts)})` });
-        }
-      }
-    }
-  } catch (e) {
-    console.log(`  Historical data fetch failed: ${e.message}`);
-  }
-
-  // ---- Build fallback lenses (used if scored candidates don't fill 2 slots) ----
-  const fallbacks = [];
-
-  // Lens 1: Today vs other teams — day rank context
-  if (todayScrapeTeams && todayScrapeTeams.length > 0 && todayDayPts > 0) {
-    const todaySorted = [...todayScrapeTeams].sort((a, b) => (b.dayPts || 0) - (a.dayPts || 0));
-    const myRankToday = todaySorted.findIndex(t => {
-      const f = toFranchise(t.franchise) || toFranchise(t.name) || t.franchise;
-      return f === franchise;
-    }) + 1;
-    const leader = todaySorted[0];
-    const leaderFranchise = toFranchise(leader.franchise) || toFranchise(leader.name) || leader.franchise;
-
-    if (myRankToday === 1 && todaySorted.length > 1) {
-      const margin = todayDayPts - (todaySorted[1]?.dayPts || 0);
-      if (margin > 0) fallbacks.push(`Won the day by ${Math.round(margin)} pts`);
-    } else if (leader && leaderFranchise !== franchise) {
-      const gap = (leader.dayPts || 0) - todayDayPts;
-      const leaderName = FRANCHISE_NAMES[leaderFranchise] || leaderFranchise;
-      if (gap > 0) fallbacks.push(`${Math.round(gap)} pts behind today's leader (${leaderName})`);
-    }
-  }
-
-  // Lens 2: Today's PPG vs own history
-  if (todayGP > 0 && ppg && ppg > 0) {
-    const todayPPG = todayDayPts / todayGP;
-    const pctVsSeason = Math.round(((todayPPG - ppg) / ppg) * 100);
-    if (pctVsSeason >= 25) {
-      fallbacks.push(`${todayPPG.toFixed(2)} PPG today — ${pctVsSeason}% above season avg`);
-    } else if (pctVsSeason <= -25) {
-      fallbacks.push(`${todayPPG.toFixed(2)} PPG today — ${Math.abs(pctVsSeason)}% below season avg`);
-    }
-  }
-
-  // Lens 3: This period vs other teams — period standing
-  if (periodDays.length >= 2) {
-    const currentPeriodRank = computePeriodRankAtDay(periodDays, franchise);
-    if (currentPeriodRank) {
-      const periodTotals = {};
-      for (const day of periodDays) {
-        for (const t of day.teams) {
-          periodTotals[t.franchise] = (periodTotals[t.franchise] || 0) + (t.dayPts || 0);
-        }
-      }
-      const myPeriodPts = periodTotals[franchise] || 0;
-      const periodSorted = Object.entries(periodTotals).sort((a, b) => b[1] - a[1]);
-      if (currentPeriodRank <= 2 && periodSorted.length > 1) {
-        const secondPts = periodSorted[1]?.[1] || 0;
-        const lead = myPeriodPts - secondPts;
-        if (currentPeriodRank === 1 && lead > 0) {
-          fallbacks.push(`Leading P${currentPeriod} by ${Math.round(lead)} pts`);
-        } else {
-          fallbacks.push(`#${currentPeriodRank} in P${currentPeriod} (${Math.round(myPeriodPts)} pts)`);
-        }
-      } else if (currentPeriodRank >= periodSorted.length - 1) {
-        fallbacks.push(`#${currentPeriodRank} in P${currentPeriod} (${Math.round(myPeriodPts)} pts)`);
-      }
-    }
-  }
-
-  // Lens 4: This period vs own other periods — PPG comparison
-  const ownPeriodTotals = computeAllPeriodTotals(allDays, franchise);
-  if (ownPeriodTotals.length >= 2 && periodDays.length >= 3) {
-    let myPeriodPts = 0;
-    for (const day of periodDays) {
-      const t = day.teams.find(t => t.franchise === franchise);
-      if (t) myPeriodPts += t.dayPts || 0;
-    }
-    const myPeriodPPG = myPeriodPts / periodDays.length;
-    const prevPPGs = ownPeriodTotals
-      .filter(p => p.period !== currentPeriod)
-      .map(p => {
-        const days = allDays.filter(d => d.period === p.period).length;
-        return days > 0 ? p.total / days : 0;
-      })
-      .filter(x => x > 0);
-
-    if (prevPPGs.length > 0) {
-      const avgPrevPPG = prevPPGs.reduce((s, x) => s + x, 0) / prevPPGs.length;
-      const pctDiff = avgPrevPPG > 0 ? Math.round(((myPeriodPPG - avgPrevPPG) / avgPrevPPG) * 100) : 0;
-      if (pctDiff >= 15) {
-        fallbacks.push(`P${currentPeriod} pace ${pctDiff}% above career avg`);
-      } else if (pctDiff <= -15) {
-        fallbacks.push(`P${currentPeriod} pace ${Math.abs(pctDiff)}% below career avg`);
-      }
-    }
-  }
-
-  // Return raw candidates + fallbacks for global assignment
-  return { candidates, fallbacks, projection, ppg };
-}
-
-// ---- Narrative Helpers ----
+// Longest narrative line that fits on a card
+const MAX_NAR_LEN = 45;
 
 /**
  * ================================================================
@@ -722,15 +140,31 @@ async function buildNarratives(allDays, franchise, period, todayDayPts, todayGP,
  * of story (e.g. "best-ever season pace"), only the franchise with
  * the highest score for that story gets it. Others fall through to
  * their next-best insight. No order bias — purely score-driven.
+ * Scores are first adjusted for fatigue against recentNights (see
+ * narratives/fatigue.js), so last night's line has to earn a repeat.
  *
  * @param {Object} candidateMap - { franchise: { candidates, fallbacks, projection, ppg } }
- * @returns {Object} - { franchise: [string, string] }
+ * @param {Object} [options.explain] - filled with { franchise: { candidates, fallbacks, shown } }:
+ *   every candidate with its status (picked / blocked / duplicate /
+ *   outranked) and why, for the --explain report
+ * @param {Array} [options.recentNights] - narrative log nights, most recent first
+ * @returns {Object} - { franchise: [{ text, isBad, rule, cat }] }
  * ================================================================
  */
-function assignNarratives(candidateMap) {
+function assignNarratives(candidateMap, { explain = null, recentNights = [] } = {}) {
   const franchises = Object.keys(candidateMap);
   const results = {};
 
+  // Step 0: Fatigue — discount what each card said on recent nights
+  if (recentNights.length > 0) {
+    const settings = narratives.loadFatigueConfig();
+    const adjusted = {};
+    for (const f of franchises) {
+      adjusted[f] = { ...candidateMap[f], candidates: applyFatigue(candidateMap[f].candidates, f, recentNights, settings) };
+    }
+    candidateMap = adjusted;
+  }
+
   // Step 1: Global dedup — for each globalCat, award to the highest-scoring franchise.
   // Collect all (franchise, candidate) pairs that have a globalCat.
   const globalEntries = []; // { franchise, candidate }
@@ -758,10 +192,14 @@ function assignNarratives(candidateMap) {
   // A candidate is blocked if it has a globalCat AND this franchise didn't win that globalCat.
   for (const f of franchises) {
     const { candidates, fallbacks, projection, ppg } = candidateMap[f];
+    const decisions = new Map(); // candidate → { status, reason }
 
     // Filter out globally-blocked candidates
     const available = candidates.filter(c => {
-      if (c.globalCat && globalCatWinners[c.globalCat] !== f) return false;
+      if (c.globalCat && globalCatWinners[c.globalCat] !== f) {
+        decisions.set(c, { status: "blocked", reason: `${c.globalCat} went to ${globalCatWinners[c.globalCat]}` });
+        return false;
+      }
       return true;
     });
 
@@ -770,11 +208,22 @@ function assignNarratives(candidateMap) {
 
     // Pick top 1 insight — the 2nd line is now a period stat-line (added externally)
     const picked = [];
+    const pickedFrom = []; // "rule" / "fallback" / "last-resort", parallel to picked
     const usedCats = new Set();
+    let winner = null;
     for (const c of available) {
-      if (picked.length >= 1) break;
-      if (c.cat && usedCats.has(c.cat)) continue;
-      picked.push({ text: c.text, isBad: !!c.isBad });
+      if (c.cat && usedCats.has(c.cat)) {
+        decisions.set(c, { status: "duplicate", reason: `${c.cat} already picked` });
+        continue;
+      }
+      if (picked.length >= 1) {
+        decisions.set(c, { status: "outranked", reason: `lost to ${winner.rule || winner.cat}` });
+        continue;
+      }
+      picked.push({ text: c.text, isBad: !!c.isBad, rule: c.rule || null, cat: c.cat || null });
+      pickedFrom.push("rule");
+      winner = c;
+      decisions.set(c, { status: "picked", reason: null });
       if (c.cat) usedCats.add(c.cat);
     }
 
@@ -782,32 +231,55 @@ function assignNarratives(candidateMap) {
     if (picked.length === 0) {
       for (const fb of fallbacks) {
         if (picked.length >= 1) break;
-        picked.push({ text: fb, isBad: false });
+        picked.push({ text: fb, isBad: false, rule: null, cat: null });
+        pickedFrom.push("fallback");
       }
     }
 
     // Absolute last resort
     if (picked.length === 0) {
       if (projection) {
-        picked.push({ text: `Projected finish: ${projection.projected} pts`, isBad: false });
+        picked.push({ text: `Projected finish: ${projection.projected} pts`, isBad: false, rule: null, cat: null });
+        pickedFrom.push("last-resort");
       } else if (ppg) {
-        picked.push({ text: `Season avg: ${ppg.toFixed(2)} PPG`, isBad: false });
+        picked.push({ text: `Season avg: ${ppg.toFixed(2)} PPG`, isBad: false, rule: null, cat: null });
+        pickedFrom.push("last-resort");
       }
     }
 
     // Step 4: Length safety net
-    const MAX_NAR_LEN = 45;
+    const shown = picked.map((p, i) => ({ text: p.text, source: pickedFrom[i], truncatedFrom: null }));
     for (let i = 0; i < picked.length; i++) {
       if (picked[i].text.length > MAX_NAR_LEN) {
         console.log(`  [${f}] Narrative too long (${picked[i].text.length} chars): "${picked[i].text}"`);
         let cut = picked[i].text.substring(0, MAX_NAR_LEN);
         const lastSpace = cut.lastIndexOf(' ');
         if (lastSpace > cut.length - 10) cut = cut.substring(0, lastSpace);
-        picked[i].text = cut + '…';
+        picked[i] = { ...picked[i], text: cut + '…', fullText: picked[i].text };
+        shown[i] = { ...shown[i], text: picked[i].text, truncatedFrom: shown[i].text };
       }
     }
 
     results[f] = picked;
+
+    if (explain) {
+      explain[f] = {
+        candidates: [...candidates]
+          .sort((a, b) => b.score - a.score)
+          .map(c => ({
+            rule: c.rule || null,
+            cat: c.cat || null,
+            globalCat: c.globalCat || null,
+            score: c.score,
+            text: c.text,
+            isBad: !!c.isBad,
+            fatigue: c.fatigue || null,
+            ...decisions.get(c),
+          })),
+        fallbacks: fallbacks.map(text => ({ text, used: shown.some(s => s.source === "fallback" && (s.truncatedFrom || s.text) === text) })),
+        shown,
+      };
+    }
   }
 
   return results;
@@ -817,7 +289,7 @@ function assignNarratives(candidateMap) {
  * Build a period stat-line showing daily finish distribution.
  * Format: W[1] T2[3] TH[5] M2[4] BH[6] B2[2] L[0]
  *
- * Categories (overlapping ranges for a 6-team league):
+ * Categories (overlapping ranges, shown for a 6-team league):
  *   W  = 1st place finishes
  *   T2 = top 2 finishes (rank ≤ 2)
  *   TH = top half finishes (rank ≤ 3)
@@ -825,95 +297,34 @@ function assignNarratives(candidateMap) {
  *   BH = bottom half finishes (rank ≥ 4)
  *   B2 = bottom two finishes (rank ≥ 5)
  *   L  = last place finishes (rank = 6)
+ *
+ * The buckets are RANK_BUCKETS in src/volatility.js, which scale with
+ * each day's team count.
  */
 function buildPeriodStatLine(allDays, franchise, period) {
   const periodDays = allDays.filter(d => d.period === period);
   if (periodDays.length === 0) return null;
 
-  let W = 0, T2 = 0, TH = 0, M2 = 0, BH = 0, B2 = 0, L = 0;
-
-  for (const day of periodDays) {
-    const sorted = [...day.teams].sort((a, b) => (b.dayPts || 0) - (a.dayPts || 0));
-    const rank = sorted.findIndex(t => t.franchise === franchise) + 1;
-    if (rank <= 0) continue;
-
-    if (rank === 1) W++;
-    if (rank <= 2) T2++;
-    if (rank <= 3) TH++;
-    if (rank === 3 || rank === 4) M2++;
-    if (rank >= 4) BH++;
-    if (rank >= 5) B2++;
-    if (rank === sorted.length) L++;
-  }
-
-  return `W[${W}] T2[${T2}] TH[${TH}] M2[${M2}] BH[${BH}] B2[${B2}] L[${L}]`;
+  const v = computeVolatility(periodDays, franchise);
+  return RANK_BUCKETS.map(b => `${b.key}[${v ? v.buckets[b.key] : 0}]`).join(" ");
 }
 
 /**
- * Compute cumulative period standings as of today vs yesterday.
+ * Sum points and GP per franchise for one period number.
+ * Returns: { JGC: { pts, gp, days }, ... }
  */
-function computePeriodStandings(periodDays, franchise) {
-  if (periodDays.length < 2) return null;
-
-  function rankInDays(days) {
-    const totals = {};
-    for (const day of days) {
-      for (const t of day.teams) {
-        if (!totals[t.franchise]) totals[t.franchise] = 0;
-        totals[t.franchise] += t.dayPts || 0;
-      }
-    }
-    const sorted = Object.entries(totals).sort((a, b) => b[1] - a[1]);
-    const idx = sorted.findIndex(([f]) => f === franchise);
-    return idx >= 0 ? idx + 1 : null;
-  }
-
-  const currentRank = rankInDays(periodDays);
-  const previousRank = rankInDays(periodDays.slice(0, -1));
-  if (currentRank == null || previousRank == null) return null;
-
-  return { currentRank, previousRank };
-}
-
-/**
- * Compute a team's rank in cumulative period standings up to a given set of days.
- */
-function computePeriodRankAtDay(days, franchise) {
+function computeTeamPeriodTotals(allDays, periodNumber) {
   const totals = {};
-  for (const day of days) {
+  for (const day of allDays) {
+    if (day.period !== periodNumber) continue;
     for (const t of day.teams) {
-      if (!totals[t.franchise]) totals[t.franchise] = 0;
-      totals[t.franchise] += t.dayPts || 0;
+      if (!totals[t.franchise]) totals[t.franchise] = { pts: 0, gp: 0, days: 0 };
+      totals[t.franchise].pts += t.dayPts || 0;
+      totals[t.franchise].gp += t.gp || 0;
+      totals[t.franchise].days++;
     }
   }
-  const sorted = Object.entries(totals).sort((a, b) => b[1] - a[1]);
-  const idx = sorted.findIndex(([f]) => f === franchise);
-  return idx >= 0 ? idx + 1 : null;
-}
-
-/**
- * Compute total points for each completed period for a franchise.
- * Returns array of { period, total }.
- */
-function computeAllPeriodTotals(allDays, franchise) {
-  const periodMap = {};
-  for (const day of allDays) {
-    if (!day.period) continue;
-    if (!periodMap[day.period]) periodMap[day.period] = 0;
-    const t = day.teams.find(t => t.franchise === franchise);
-    if (t) periodMap[day.period] += t.dayPts || 0;
-  }
-
-  // Only include periods that appear complete (7+ days)
-  const periodDayCounts = {};
-  for (const day of allDays) {
-    if (!day.period) continue;
-    periodDayCounts[day.period] = (periodDayCounts[day.period] || 0) + 1;
-  }
-
-  return Object.entries(periodMap)
-    .filter(([p]) => periodDayCounts[p] >= 7)
-    .map(([p, total]) => ({ period: +p, total }));
+  return totals;
 }
 
 /**
@@ -925,14 +336,8 @@ function computeAllTeamPeriodTotals(allDays, periodNumber) {
   // DEPRECATED — kept for backward compat but use computeCompletedPeriodTotals instead
   const periodDays = allDays.filter(d => d.period === periodNumber);
   if (periodDays.length < 7) return [];
-  const totals = {};
-  for (const day of periodDays) {
-    for (const t of day.teams) {
-      if (!totals[t.franchise]) totals[t.franchise] = 0;
-      totals[t.franchise] += t.dayPts || 0;
-    }
-  }
-  return Object.values(totals).filter(v => v > 0);
+  const totals = computeTeamPeriodTotals(periodDays, periodNumber);
+  return Object.values(totals).map(t => t.pts).filter(v => v > 0);
 }
 
 /**
@@ -970,12 +375,14 @@ function computeCompletedPeriodTotals(allDays, currentPeriod) {
  *   gpRate       = gpPlayed / calDaysElapsed
  *   gpRemaining  = gpRate × calDaysRemaining
  *   projected    = periodPts + (periodPts / gpPlayed) × gpRemaining
+ *
+ * Pass seasonKey when allDays comes from an archived season.
  */
-function projectPeriodFinish(allDays, franchise, period) {
+function projectPeriodFinish(allDays, franchise, period, seasonKey = CURRENT_SEASON) {
   const periodDays = allDays.filter(d => d.period === period);
   if (periodDays.length === 0) return null;
 
-  const periodConfig = PERIODS.find(p => p.period === period);
+  const periodConfig = getPeriods(seasonKey).find(p => p.period === period);
   if (!periodConfig) return null;
 
   let periodPts = 0;
@@ -1033,12 +440,29 @@ function projectPeriodFinish(allDays, franchise, period) {
 
 /**
  * Build the full nightly analysis from daily data + today's scrape.
+ * Season stats always use this season only; priorSeasons (a count, or
+ * Infinity for every archive) adds older seasons for narrative context.
+ * With explain, the result carries `explain`: every narrative candidate
+ * per franchise and what assignNarratives did with it.
+ * `narrativesShown` ({ franchise: [{ rule, cat, text, displayText }] }:
+ * the full candidate text and what the card showed, "…" if truncated)
+ * is what narratives/log.js records once the night is posted.
+ * With live (intraday updates), today's scrape isn't saved yet: it's
+ * added to the days as tonight, so rules reading the last day see the
+ * night in progress rather than last night.
  */
-async function buildNightlyAnalysis(todayScrape) {
+async function buildNightlyAnalysis(todayScrape, { priorSeasons = 0, explain = false, live = false } = {}) {
   const allDays = loadAllDailyScores();
+  const history = priorSeasons > 0 ? loadDailyHistory(CURRENT_SEASON, priorSeasons) : null;
   const period = todayScrape.period;
   const today = todayScrape.date || new Date().toISOString().split("T")[0];
 
+  if (live && period != null && !allDays.some(d => d.date === today)) {
+    const tonight = { date: today, season: CURRENT_SEASON, period, teams: todayScrape.teams };
+    allDays.push(tonight);
+    if (history) history.days.push(tonight);
+  }
+
   // Pass 1: Build stats + raw narrative candidates for each team
   const teamStats = await Promise.all(todayScrape.teams.map(async t => {
     const franchise = toFranchise(t.franchise) || toFranchise(t.name) || t.franchise || t.name;
@@ -1050,7 +474,7 @@ async function buildNightlyAnalysis(todayScrape) {
     const vsProj = t.projPts ? +((t.dayPts || 0) - t.projPts).toFixed(2) : null;
 
     // Build raw narrative candidates (no picking yet)
-    const narrativeData = await buildNarratives(allDays, franchise, period, t.dayPts || 0, t.gp || 0, projection, avg3d, ppg, todayScrape.teams);
+    const narrativeData = await narratives.buildNarratives(allDays, franchise, period, t.dayPts || 0, t.gp || 0, projection, avg3d, ppg, todayScrape.teams, history);
 
     return {
       franchise,
@@ -1073,13 +497,61 @@ async function buildNightlyAnalysis(todayScrape) {
   for (const t of teamStats) {
     candidateMap[t.franchise] = t.narrativeData;
   }
-  const assignedNarratives = assignNarratives(candidateMap);
+  // Period odds: win / last / league record, from simulating the rest of the period
+  const simulation = await simulatePeriodWithRecord(allDays.filter(d => d.date <= today), period);
+  for (const t of teamStats) {
+    t.simulation = simulation ? simulation.franchises[t.franchise] || null : null;
+  }
+
+  // Volume vs efficiency: { period, season, remaining } per team
+  const schedule = buildScheduleReport(allDays.filter(d => d.date <= today), period);
+  for (const t of teamStats) {
+    t.schedule = {
+      period: schedule.periodSplit ? schedule.periodSplit.franchises[t.franchise] || null : null,
+      season: schedule.seasonSplit ? schedule.seasonSplit.franchises[t.franchise] || null : null,
+      remaining: schedule.remaining ? schedule.remaining.franchises[t.franchise] || null : null,
+    };
+  }
+
+  // Volatility per scope: { period, season, allTime } per team (allTime needs history)
+  const volatility = buildVolatility({
+    allDays: allDays.filter(d => d.date <= today),
+    period,
+    history: history && { days: history.days.filter(d => d.date <= today) },
+  });
+  for (const t of teamStats) {
+    t.volatility = {
+      period: volatility.period.franchises[t.franchise] || null,
+      season: volatility.season.franchises[t.franchise] || null,
+      allTime: volatility.allTime ? volatility.allTime.franchises[t.franchise] || null : null,
+    };
+  }
+
+  // Power rating after tonight ({ rating, change, rank }), if stored
+  const ratings = getRatingsForDate(today);
+  for (const t of teamStats) {
+    t.rating = ratings ? ratings.teams[t.franchise] || null : null;
+  }
+
+  // Tonight's player lines, when the scrape captured them:
+  // { activePts, benchPts, players, top, benchTop } per team
+  const playerLines = loadPlayerLines(today);
+  for (const t of teamStats) {
+    const lines = playerLines && playerLines.teams[t.franchise];
+    t.players = lines ? summarizeTeam(lines) : null;
+  }
+
+  const explainMap = explain ? {} : null;
+  const recentNights = loadRecentNights(today, narratives.loadFatigueConfig().lookbackNights);
+  const assignedNarratives = assignNarratives(candidateMap, { explain: explainMap, recentNights });
 
   // Attach assigned narratives and clean up temp data
   // Line 1: best insight from assignNarratives
   // Line 2: period stat-line showing daily finish distribution
+  const narrativesShown = {};
   for (const t of teamStats) {
     t.streaks = assignedNarratives[t.franchise] || [];
+    narrativesShown[t.franchise] = t.streaks.map(s => ({ rule: s.rule, cat: s.cat, text: s.fullText || s.text, displayText: s.text }));
 
     const statLine = buildPeriodStatLine(allDays, t.franchise, period);
     if (statLine) {
@@ -1089,19 +561,23 @@ async function buildNightlyAnalysis(todayScrape) {
     delete t.narrativeData;
   }
 
-  // Rank by day score
-  const ranked = [...teamStats].sort((a, b) => b.dayPts - a.dayPts);
-  ranked.forEach((t, i) => { t.dayRank = i + 1; });
+  // Rank by day score — tied teams share a rank (ranking.js), dayTied marks them
+  const ranked = rankTeams(teamStats).map(({ item, rank, tied }) => {
+    item.dayRank = rank;
+    item.dayTied = tied;
+    return item;
+  });
 
   // Season totals from daily files
   const seasonTotals = {};
-  for (const t of teamStats) seasonTotals[t.franchise] = 0;
+  for (const t of teamStats) seasonTotals[t.franchise] = { pts: 0, gp: 0 };
 
   for (const day of allDays) {
     for (const t of day.teams) {
       const f = t.franchise || toFranchise(t.name);
       if (f && seasonTotals[f] !== undefined) {
-        seasonTotals[f] += t.dayPts || 0;
+        seasonTotals[f].pts += t.dayPts || 0;
+        seasonTotals[f].gp += t.gp || 0;
       }
     }
   }
@@ -1112,17 +588,22 @@ async function buildNightlyAnalysis(todayScrape) {
     for (const t of todayScrape.teams) {
       const f = t.franchise || toFranchise(t.name);
       if (f && seasonTotals[f] !== undefined) {
-        seasonTotals[f] += t.dayPts || 0;
+        seasonTotals[f].pts += t.dayPts || 0;
+        seasonTotals[f].gp += t.gp || 0;
       }
     }
   }
 
   for (const t of ranked) {
-    t.seasonPts = +(seasonTotals[t.franchise] || 0).toFixed(1);
+    t.seasonPts = +(seasonTotals[t.franchise] || { pts: 0 }).pts.toFixed(1);
   }
 
-  const seasonRanked = [...ranked].sort((a, b) => b.seasonPts - a.seasonPts);
-  seasonRanked.forEach((t, i) => { t.seasonRank = i + 1; });
+  const seasonRanked = rankItems(ranked, { score: t => t.seasonPts, gp: t => seasonTotals[t.franchise].gp })
+    .map(({ item, rank, tied }) => {
+      item.seasonRank = rank;
+      item.seasonTied = tied;
+      return item;
+    });
 
   return {
     date: today,
@@ -1132,31 +613,63 @@ async function buildNightlyAnalysis(todayScrape) {
     seasonRanked,        // sorted by season total
     periodDaysPlayed: getDaysForPeriod(allDays, period).length,
     totalSeasonDays: allDays.length,
+    historySeasons: history ? history.seasons : [CURRENT_SEASON],
+    simulation: simulation && {
+      trials: simulation.trials,
+      seed: simulation.seed,
+      calDaysRemaining: simulation.calDaysRemaining,
+      recordPts: simulation.recordPts,
+    },
+    schedule: {
+      periodLeague: schedule.periodSplit ? schedule.periodSplit.league : null,
+      seasonLeague: schedule.seasonSplit ? schedule.seasonSplit.league : null,
+      remainingSource: schedule.remaining ? schedule.remaining.source : null,
+    },
+    volatility: {
+      periodByCV: volatility.period.byCV,
+      seasonByCV: volatility.season.byCV,
+      allTimeByCV: volatility.allTime ? volatility.allTime.byCV : null,
+    },
+    narrativesShown,
+    ...(explain && { explain: { date: today, period, franchises: explainMap } }),
   };
 }
 
 /**
- * Save today's scrape as a daily JSON file.
+ * A scrape as a daily file, without saving it (intraday updates
+ * analyze a snapshot this way).
  */
-function saveDailyScore(scrapeData, dateStr) {
-  if (!fs.existsSync(DAILY_DIR)) {
-    fs.mkdirSync(DAILY_DIR, { recursive: true });
-  }
-
-  const data = {
+function dailyFromScrape(scrapeData, dateStr) {
+  return buildDailyFile({
     date: dateStr,
+    season: CURRENT_SEASON,
     period: scrapeData.period,
     teams: scrapeData.teams.map(t => ({
       franchise: toFranchise(t.name) || t.name,
       name: t.name,
-      dayPts: t.dayPts || 0,
-      projPts: t.projectedFpg || 0,
-      gp: t.gp || 0,
+      dayPts: t.dayPts,
+      projPts: t.projectedFpg,
+      gp: t.gp,
       periodGP: t.periodGP || 0,
       periodGPRemaining: t.periodGPRemaining || 0,
       periodTotalGP: t.periodTotalGP || 0,
-    }))
-  };
+    })),
+  });
+}
+
+/**
+ * Save today's scrape as a daily JSON file.
+ */
+function saveDailyScore(scrapeData, dateStr) {
+  if (!fs.existsSync(DAILY_DIR)) {
+    fs.mkdirSync(DAILY_DIR, { recursive: true });
+  }
+
+  const data = dailyFromScrape(scrapeData, dateStr);
+
+  // Save regardless — a partial night is still worth keeping — but flag it
+  const { errors, warnings } = validateDailyFile(data, { seasonKey: CURRENT_SEASON, fileDate: dateStr });
+  [...errors, ...warnings].forEach(msg => console.warn(`[analyze] ⚠ ${dateStr}: ${msg}`));
 
   const filepath = path.join(DAILY_DIR, `${dateStr}.json`);
   fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
@@ -1166,12 +679,17 @@ function saveDailyScore(scrapeData, dateStr) {
 
 module.exports = {
   loadAllDailyScores,
+  loadDailyHistory,
+  parsePriorSeasons,
+  trailingDays,
   buildNightlyAnalysis,
+  dailyFromScrape,
   saveDailyScore,
   rollingAvgPPG,
   seasonPPG,
-  buildNarratives,
   assignNarratives,
   buildPeriodStatLine,
+  computeTeamPeriodTotals,
+  computeAllTeamPeriodTotals,
   projectPeriodFinish,
 };
@@ -2,7 +2,8 @@
 // HISTORICAL BACKFILL SCRAPER
 // ============================================================
 // Scrapes daily scoring data from past Sparky League seasons.
-// Uses the same login and extraction code as the nightly pipeline.
+// Uses the same session (session.js) and extraction code as the
+// nightly pipeline, so a still-valid saved login is reused.
 //
 // Usage:
 //   node src/backfill.js 2024-25           # scrape full season
@@ -13,26 +14,17 @@
 
 const fs = require("fs");
 const path = require("path");
-const { launchAndLogin, scrapeDateFromPage } = require("./scrape");
+const { scrapeDate } = require("./scrape");
+const { openSession, closeSession } = require("./session");
+const { getAllSeasons } = require("./config");
+const { resolveFranchise } = require("./identity");
+const { buildDailyFile } = require("./daily-schema");
 
 const DATA_ROOT = path.join(__dirname, "..", "data");
 
 // ---- Season Configuration ----
-const SEASONS = {
-  "2025-26": { leagueId: "264ojs1imd3nogmp", start: "2025-10-01", end: "2026-04-30" },
-  "2024-25": { leagueId: "ekl6b1tfm0gt4yrp", start: "2024-10-01", end: "2025-04-30" },
-  "2023-24": { leagueId: "7oc0fqtflgi4cp20", start: "2023-10-01", end: "2024-04-30" },
-  "2022-23": { leagueId: "w1vrvp53l2qeip80", start: "2022-10-01", end: "2023-04-30" },
-  "2021-22": { leagueId: "05x105avkrnlt69y", start: "2021-10-01", end: "2022-04-30" },
-  "2020-21": { leagueId: "duoc9kyxkckntvz9", start: "2021-01-01", end: "2021-07-10" },
-  "2019-20": { leagueId: "jliwhz8sju762kt6", start: "2019-10-01", end: "2020-09-22" },
-  "2018-19": { leagueId: "dznx4qcfjg9jw9r1", start: "2018-10-01", end: "2019-04-30" },
-  "2017-18": { leagueId: "y7lh96n0j4gis1zp", start: "2017-10-01", end: "2018-04-30" },
-  "2016-17": { leagueId: "1cjco448imwflkv1", start: "2016-10-01", end: "2017-04-30" },
-  "2015-16": { leagueId: "fmasu1gdicvgww63", start: "2015-10-01", end: "2016-04-30" },
-  "2014-15": { leagueId: "rd5kqgdzhu52w32g", start: "2014-10-01", end: "2015-04-30" },
-  "2013-14": { leagueId: "hctlmwrfhm2u46ji", start: "2013-10-01", end: "2014-04-30" },
-};
+// League IDs and scrape windows come from data/seasons/<season>.json
+const SEASONS = getAllSeasons();
 
 /**
  * Generate all dates between start and end (inclusive), YYYY-MM-DD.
@@ -105,8 +97,9 @@ async function main() {
     return;
   }
 
-  // Login once, reuse the session for all dates
-  const { browser, page } = await launchAndLogin({ username, password, headless: true });
+  // One session for all dates
+  const session = await openSession({ username, password, headless: true });
+  const { page } = session;
 
   let scraped = 0, skipped = 0, errors = 0;
   const startTime = Date.now();
@@ -119,25 +112,25 @@ async function main() {
       process.stdout.write(`\r[backfill] ${pct}% | ${date} | scraped: ${scraped} skipped: ${skipped} errors: ${errors} | ${elapsed}s`);
 
       try {
-        const result = await scrapeDateFromPage(page, season.leagueId, date);
+        const result = await scrapeDate(page, season.leagueId, date);
 
         if (!result) {
           skipped++;
           continue;
         }
 
-        const data = {
+        const data = buildDailyFile({
           date,
           season: seasonKey,
           period: null,  // Assigned in post-processing
           teams: result.teams.map(t => ({
-            franchise: t.name,
+            franchise: resolveFranchise(t.name, { date }) || t.name,
             name: t.name,
-            dayPts: t.dayPts || 0,
-            projPts: t.projectedFpg || 0,
-            gp: t.gp || 0,
+            dayPts: t.dayPts,
+            projPts: t.projectedFpg,
+            gp: t.gp,
           })),
-        };
+        });
 
         fs.writeFileSync(
           path.join(outputDir, `${date}.json`),
@@ -158,7 +151,7 @@ async function main() {
       await new Promise(r => setTimeout(r, 3000));
     }
   } finally {
-    await browser.close();
+    await closeSession(session);
   }
 
   const totalTime = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
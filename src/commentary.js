@@ -6,11 +6,14 @@
 // ============================================================
 
 const Anthropic = require("@anthropic-ai/sdk");
+const { FRANCHISE_NAMES } = require("./config");
+const { rankLabel } = require("./ranking");
 
 /**
  * Generate nightly recap commentary.
  *
- * @param {object} analysis - Output from analyze.buildNightlyAnalysis()
+ * @param {object} analysis - Output from analyze.buildNightlyAnalysis(); for
+ *                            "update", with `events` from intraday.diffSnapshots()
  * @param {string} apiKey - Anthropic API key
  * @param {string} commentaryType - "nightly" (default) or "update"
  * @returns {string} Commentary text for Slack
@@ -58,19 +61,14 @@ FORMAT:
 - Emoji only as functional markers: 🚨 lead change, 📈 surge, 📉 slide, 🔥 streak. Never decorative.
 
 FRANCHISE ABBREVIATIONS:
-- JGC = Gaucho Chudpumpers
-- PWN = PWN
-- BEW = Endless Winter
-- MPP = mid tier perpetual projects
-- RMS = Meatspinners
-- GDD = Downtown Demons
+${Object.entries(FRANCHISE_NAMES).map(([code, name]) => `- ${code} = ${name}`).join("\n")}
 
 CONTENT PRIORITY:
 1. Who won the day and by how much
 2. Streaks and momentum — who's hot, who's cold (reference 3D/7D rolling averages)
 3. Season standings impact — did today change the rankings?
 4. VS Projected: who beat expectations, who underperformed
-5. Period projection if notable (on pace for a record, etc.)
+5. Period projection if notable (on pace for a record, etc.) — prefer the simulated odds ("62% to win P9") over raw projected points
 6. One sharp closing line if the data warrants it
 
 Think Bloomberg terminal, not ESPN.`;
@@ -79,30 +77,76 @@ Think Bloomberg terminal, not ESPN.`;
 function buildUserPrompt(analysis, commentaryType) {
   const { teams, seasonRanked, period, date, periodDaysPlayed, totalSeasonDays } = analysis;
 
-  let prompt = `Generate a nightly recap for the Sparky League.\n\n`;
+  const isUpdate = commentaryType === "update";
+  let prompt = isUpdate
+    ? `Generate a live in-game update for the Sparky League. Games are still in progress; today's scores are not final.\n\n`
+    : `Generate a nightly recap for the Sparky League.\n\n`;
 
   prompt += `DATE: ${date} | PERIOD ${period} (Day ${periodDaysPlayed + 1})\n\n`;
 
+  // Intraday events since the previous snapshot (intraday.js)
+  if (isUpdate && analysis.events && analysis.events.length > 0) {
+    prompt += `WHAT CHANGED SINCE THE LAST UPDATE:\n`;
+    for (const e of analysis.events) prompt += `  [${e.type}] ${e.text}\n`;
+    prompt += `\n`;
+  }
+
   // Day rankings
   prompt += `TODAY'S SCORING (ranked by day score):\n`;
   for (const t of teams) {
     const vsStr = t.vsProj != null ? ` | VS Proj: ${t.vsProj >= 0 ? "+" : ""}${t.vsProj.toFixed(2)}` : "";
-    prompt += `  ${t.dayRank}. ${t.franchise}: ${t.dayPts} pts (${t.gp} GP)${vsStr}\n`;
+    prompt += `  ${rankLabel(t.dayRank, t.dayTied)}. ${t.franchise}: ${t.dayPts} pts (${t.gp} GP)${vsStr}\n`;
   }
 
   prompt += `\nSEASON STANDINGS:\n`;
   if (seasonRanked && seasonRanked.length > 0) {
     for (const t of seasonRanked) {
-      prompt += `  ${t.seasonRank}. ${t.franchise}: ${t.seasonPts.toFixed(1)} pts | PPG: ${t.ppg} | 3D: ${t.avg3d} | 7D: ${t.avg7d}\n`;
+      prompt += `  ${rankLabel(t.seasonRank, t.seasonTied)}. ${t.franchise}: ${t.seasonPts.toFixed(1)} pts | PPG: ${t.ppg} | 3D: ${t.avg3d} | 7D: ${t.avg7d}\n`;
+    }
+  }
+
+  // GP volume vs PPG efficiency
+  const split = teams.filter(t => t.schedule && t.schedule.period);
+  if (split.length > 0 && analysis.schedule && analysis.schedule.periodLeague) {
+    const lg = analysis.schedule.periodLeague;
+    const sgn = x => `${x >= 0 ? "+" : ""}${x.toFixed(1)}`;
+    prompt += `\nPERIOD ${period} VOLUME vs EFFICIENCY (league avg ${lg.avgGP} GP, ${lg.ppg.toFixed(2)} PPG):\n`;
+    for (const t of split) {
+      const p = t.schedule.period;
+      const rem = t.schedule.remaining;
+      const remStr = rem ? ` | ~${rem.gpRemaining} GP left (${sgn(rem.gpEdge)} vs avg)` : "";
+      prompt += `  ${t.franchise}: ${sgn(p.vsAvg)} pts vs avg = volume ${sgn(p.volume)} (${p.gp} GP) + efficiency ${sgn(p.efficiency)} (${p.ppg.toFixed(2)} PPG)${remStr}\n`;
+    }
+  }
+
+  // Elo power ratings
+  const rated = teams.filter(t => t.rating).sort((a, b) => a.rating.rank - b.rating.rank);
+  if (rated.length > 0) {
+    prompt += `\nPOWER RATINGS (Elo):\n`;
+    for (const t of rated) {
+      prompt += `  ${t.rating.rank}. ${t.franchise}: ${t.rating.rating.toFixed(0)} (${t.rating.change >= 0 ? "+" : ""}${t.rating.change.toFixed(1)} tonight)\n`;
+    }
+  }
+
+  // Player lines (players.js) — only on nights the scrape captured them
+  const withPlayers = teams.filter(t => t.players);
+  if (withPlayers.length > 0) {
+    prompt += `\nPLAYER LINES (tonight):\n`;
+    for (const t of withPlayers) {
+      const p = t.players;
+      const top = p.top ? `top ${p.top.name} (${p.top.pos || "?"}, ${p.top.nhlTeam || "?"}) ${p.top.fpts} pts` : "no active scorer";
+      const bench = p.benchTop ? ` | bench ${p.benchPts} pts, best ${p.benchTop.name} ${p.benchTop.fpts}` : "";
+      prompt += `  ${t.franchise}: ${top}${bench}\n`;
     }
   }
 
   // Streaks
-  const notableStreaks = teams.filter(t => t.streaks && t.streaks.length > 0 && !t.streaks[0].startsWith("Proj"));
+  // Card lines are { text, isBad } (narratives + the period stat-line)
+  const notableStreaks = teams.filter(t => t.streaks && t.streaks.length > 0 && !t.streaks[0].text.startsWith("Proj"));
   if (notableStreaks.length > 0) {
     prompt += `\nACTIVE STREAKS:\n`;
     for (const t of notableStreaks) {
-      prompt += `  ${t.franchise}: ${t.streaks.join(", ")}\n`;
+      prompt += `  ${t.franchise}: ${t.streaks.map(s => s.text).join(", ")}\n`;
     }
   }
 
@@ -112,11 +156,19 @@ function buildUserPrompt(analysis, commentaryType) {
     prompt += `\nPERIOD ${period} PROJECTIONS:\n`;
     for (const t of projs) {
       const p = t.projection;
-      prompt += `  ${t.franchise}: ${p.periodPts} actual → proj ${p.projected} (${p.daysRemaining} days left)\n`;
+      const sim = t.simulation;
+      const odds = sim
+        ? ` — ${Math.round(sim.pWin * 100)}% to win P${period}, ${Math.round(sim.pLast * 100)}% to finish last` +
+          (sim.pRecord ? `, ${Math.round(sim.pRecord * 100)}% to break the league P${period} record` : "") +
+          ` (sim range ${sim.p10}–${sim.p90})`
+        : "";
+      prompt += `  ${t.franchise}: ${p.periodPts} actual → proj ${p.projected} (${p.daysRemaining} days left)${odds}\n`;
     }
   }
 
-  prompt += `\nDeliver the nightly recap. The scoreboard image is already attached — your job is the narrative.`;
+  prompt += isUpdate
+    ? `\nDeliver a short live update (3-5 lines) led by what changed. Don't call anything final.`
+    : `\nDeliver the nightly recap. The scoreboard image is already attached — your job is the narrative.`;
 
   return prompt;
 }
@@ -2,58 +2,89 @@
 // SPARKY LEAGUE CONFIGURATION
 // ============================================================
 // Shared constants: periods, franchise mapping, league ID.
+// Values come from the active season file in data/seasons/
+// (override with SPARKY_SEASON=2025-26).
 // ============================================================
 
-const LEAGUE_ID = "264ojs1imd3nogmp";
-
-const PERIODS = [
-  { period: 1,  start: "2025-10-07", end: "2025-10-19" },
-  { period: 2,  start: "2025-10-20", end: "2025-11-02" },
-  { period: 3,  start: "2025-11-03", end: "2025-11-16" },
-  { period: 4,  start: "2025-11-17", end: "2025-11-30" },
-  { period: 5,  start: "2025-12-01", end: "2025-12-14" },
-  { period: 6,  start: "2025-12-15", end: "2025-12-28" },
-  { period: 7,  start: "2025-12-29", end: "2026-01-11" },
-  { period: 8,  start: "2026-01-12", end: "2026-01-25" },
-  { period: 9,  start: "2026-01-26", end: "2026-02-08" },
-  { period: 10, start: "2026-02-23", end: "2026-03-08" },
-  { period: 11, start: "2026-03-09", end: "2026-03-22" },
-  { period: 12, start: "2026-03-23", end: "2026-04-05" },
-  { period: 13, start: "2026-04-06", end: "2026-04-16" },
-];
-
-// Map Fantrax team names to franchise abbreviations
-const FRANCHISE_MAP = {
-  "jason's gaucho chudpumpers": "JGC",
-  "gaucho chudpumpers": "JGC",
-  "cmack's pwn": "PWN",
-  "pwn": "PWN",
-  "brian's endless winter": "BEW",
-  "endless winter": "BEW",
-  "brian's.endless.win ter.s13e01.720p.mp4": "BEW",
-  "matt's mid tier perpetual projects": "MPP",
-  "mid tier perpetual projects": "MPP",
-  "richie's meatspinners": "RMS",
-  "meatspinners": "RMS",
-  "graeme's downtown demons": "GDD",
-  "downtown demons": "GDD",
-};
+const { loadSeason, listSeasons, getCurrentSeasonKey, getSeasonForDate, getSheetSeason,
+        assertValidSeason } = require("./seasons");
+const { resolveFranchise, getOwner, getTeamNames } = require("./identity");
 
-const FRANCHISE_NAMES = {
-  JGC: "Gaucho Chudpumpers",
-  PWN: "PWN",
-  BEW: "Endless Winter",
-  MPP: "mid tier perpetual projects",
-  RMS: "Meatspinners",
-  GDD: "Downtown Demons",
-};
+// Active season definition (data/seasons/<season>.json)
+const CURRENT_SEASON = getCurrentSeasonKey();
+const SEASON = loadSeason(CURRENT_SEASON);
+
+const LEAGUE_ID = SEASON.leagueId;
+
+const PERIODS = SEASON.periods;
+
+// Database tab season label (2025-26 → 2026)
+const SHEET_SEASON = getSheetSeason(CURRENT_SEASON);
+
+// Canonical franchise order (Daily Scoring tab column order)
+const FRANCHISE_ORDER = SEASON.franchises.map(f => f.code);
+
+// Map this season's Fantrax team names to franchise abbreviations
+const FRANCHISE_MAP = {};
+for (const f of SEASON.franchises) {
+  for (const n of getTeamNames(f.code)) {
+    const inSeason = (!n.from || n.from <= SEASON.end) && (!n.to || n.to >= SEASON.start);
+    if (inSeason) FRANCHISE_MAP[n.name.toLowerCase()] = f.code;
+  }
+}
+
+const FRANCHISE_NAMES = {};
+for (const f of SEASON.franchises) FRANCHISE_NAMES[f.code] = f.displayName;
+
+// Map franchise codes to owners (Database tab column prefixes)
+const FRANCHISE_OWNERS = {};
+for (const f of SEASON.franchises) FRANCHISE_OWNERS[f.code] = getOwner(f.code);
+
+/**
+ * Get the scrape window and league ID for every season with a
+ * definition file: { "2024-25": { leagueId, start, end }, ... }
+ */
+function getAllSeasons() {
+  const seasons = {};
+  for (const key of listSeasons()) {
+    const s = loadSeason(key);
+    seasons[key] = { leagueId: s.leagueId, start: s.start, end: s.end };
+  }
+  return seasons;
+}
+
+/**
+ * Validate the active season definition. Throws on overlapping periods,
+ * unknown franchises or missing logos.
+ */
+function validateCurrentSeason() {
+  assertValidSeason(SEASON);
+}
+
+/**
+ * Get the period calendar for a season (defaults to the active season).
+ */
+function getPeriods(seasonKey = CURRENT_SEASON) {
+  return seasonKey === CURRENT_SEASON ? PERIODS : loadSeason(seasonKey).periods;
+}
+
+/**
+ * Active roster slot counts for a season ({ C: 3, D: 4, ... }), or
+ * null when the season file has no "lineup" block.
+ */
+function getLineupSlots(seasonKey = CURRENT_SEASON) {
+  return loadSeason(seasonKey).lineup || null;
+}
 
 /**
  * Get the period number for a given date string (YYYY-MM-DD).
- * Returns null if the date falls outside all periods (e.g. Olympic break).
+ * Uses the given season's calendar, or the season whose window
+ * contains the date. Returns null if the date falls outside all
+ * periods (e.g. Olympic break).
  */
-function getPeriodForDate(dateStr) {
-  const match = PERIODS.find(p => dateStr >= p.start && dateStr <= p.end);
+function getPeriodForDate(dateStr, seasonKey = null) {
+  const key = seasonKey || getSeasonForDate(dateStr) || CURRENT_SEASON;
+  const match = getPeriods(key).find(p => dateStr >= p.start && dateStr <= p.end);
   return match ? match.period : null;
 }
 
@@ -68,30 +99,11 @@ function getCurrentPeriod() {
 }
 
 /**
- * Resolve a team name to a franchise abbreviation.
+ * Resolve a team name to a franchise abbreviation (loose mode — see identity.js).
+ * Pass the game date to disambiguate team names that changed hands.
  */
-function toFranchise(name) {
-  if (!name) return null;
-  const normalized = name.toLowerCase().trim();
-  // Try exact match first
-  if (FRANCHISE_MAP[normalized]) return FRANCHISE_MAP[normalized];
-  // Try partial match — either direction
-  for (const [key, abbr] of Object.entries(FRANCHISE_MAP)) {
-    if (normalized.includes(key) || key.includes(normalized)) return abbr;
-  }
-  // Keyword fallback for corrupted names
-  const keywords = {
-    "gaucho": "JGC", "chudpumper": "JGC",
-    "pwn": "PWN",
-    "endless": "BEW", "winter": "BEW",
-    "perpetual": "MPP", "mid tier": "MPP",
-    "meatspinner": "RMS",
-    "downtown": "GDD", "demon": "GDD",
-  };
-  for (const [kw, abbr] of Object.entries(keywords)) {
-    if (normalized.includes(kw)) return abbr;
-  }
-  return null;
+function toFranchise(name, date = null) {
+  return resolveFranchise(name, { date });
 }
 
 /**
@@ -128,10 +140,18 @@ function getAllSeasonDates() {
 }
 
 module.exports = {
+  CURRENT_SEASON,
   LEAGUE_ID,
   PERIODS,
+  SHEET_SEASON,
+  FRANCHISE_ORDER,
   FRANCHISE_MAP,
   FRANCHISE_NAMES,
+  FRANCHISE_OWNERS,
+  getAllSeasons,
+  validateCurrentSeason,
+  getPeriods,
+  getLineupSlots,
   getPeriodForDate,
   getCurrentPeriod,
   toFranchise,
@@ -0,0 +1,304 @@
+// ============================================================
+// DAILY SCORE FILE SCHEMA
+// ============================================================
+// One format for every data/daily*/YYYY-MM-DD.json file,
+// whichever producer wrote it (nightly saveDailyScore, backfill):
+//
+//   {
+//     "schemaVersion": 1,
+//     "date": "2025-11-05",
+//     "season": "2025-26",
+//     "period": 3,                    // null outside every period
+//     "teams": [{
+//       "franchise": "JGC",           // canonical code
+//       "name": "Jason's Gaucho Chudpumpers",   // raw Fantrax name
+//       "dayPts": 7, "projPts": 6.4, "gp": 5,
+//       "periodGP": 41, "periodGPRemaining": 0, "periodTotalGP": 41   // optional
+//     }]
+//   }
+//
+// Files without schemaVersion are version 0 (the pre-schema
+// nightly/backfill shapes). `migrate` upgrades them in place.
+//
+// Usage:
+//   node src/daily-schema.js validate              # every data/daily* file
+//   node src/daily-schema.js validate 2016-17      # one season
+//   node src/daily-schema.js migrate [season] [--dry-run]
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const { listSeasons, loadSeason, getSeasonDailyDir } = require("./seasons");
+const { listFranchiseCodes } = require("./identity");
+const { normalizeDay } = require("./lineage");
+
+const DAILY_SCHEMA_VERSION = 1;
+
+// More GP than this in one day means a bad scrape
+const MAX_DAILY_GP = 20;
+
+// Projections above this many points per GP (min 1 GP) are scrape garbage
+const MAX_PROJ_PER_GP = 4;
+
+const isDate = s => typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+const isNumber = v => typeof v === "number" && Number.isFinite(v);
+
+/**
+ * Build a daily file in the current schema, with canonical key order.
+ * Producers call this so every writer emits the same shape.
+ */
+function buildDailyFile({ date, season, period = null, teams }) {
+  return {
+    schemaVersion: DAILY_SCHEMA_VERSION,
+    date,
+    season,
+    period: period || null,
+    teams: teams.map(t => {
+      const team = {
+        franchise: t.franchise,
+        name: t.name,
+        dayPts: t.dayPts || 0,
+        projPts: t.projPts || 0,
+        gp: t.gp || 0,
+      };
+      if (t.periodGP !== undefined) team.periodGP = t.periodGP || 0;
+      if (t.periodGPRemaining !== undefined) team.periodGPRemaining = t.periodGPRemaining || 0;
+      if (t.periodTotalGP !== undefined) team.periodTotalGP = t.periodTotalGP || 0;
+      return team;
+    }),
+  };
+}
+
+// ============================================================
+// Migrations — each upgrades a file from version `to - 1` to `to`
+// ============================================================
+
+function toNumber(v) {
+  if (isNumber(v)) return v;
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : v;
+}
+
+const MIGRATIONS = [
+  {
+    to: 1,
+    // v0 → v1: add schemaVersion + season, franchise codes and calendar
+    // periods (via lineage), projectedFpg → projPts, numeric strings → numbers
+    up(data, seasonKey) {
+      const { data: normalized, unresolved } = normalizeDay(data, seasonKey);
+      if (unresolved.length > 0) {
+        throw new Error(`unresolved team name(s) ${unresolved.map(n => `"${n}"`).join(", ")} — add them to data/franchises.json`);
+      }
+      return buildDailyFile({
+        date: normalized.date,
+        season: normalized.season || seasonKey,
+        period: normalized.period,
+        teams: normalized.teams.map(t => ({
+          ...t,
+          dayPts: toNumber(t.dayPts),
+          projPts: toNumber(t.projPts ?? t.projectedFpg),
+          gp: toNumber(t.gp),
+        })),
+      });
+    },
+  },
+];
+
+/**
+ * Upgrade a daily file to the current schema version.
+ * Returns { data, changed, from }.
+ */
+function migrateDailyFile(data, seasonKey) {
+  const from = data.schemaVersion || 0;
+  let result = data;
+  for (const m of MIGRATIONS) {
+    if (m.to > from) result = m.up(result, seasonKey);
+  }
+  const changed = JSON.stringify(result) !== JSON.stringify(data);
+  return { data: result, changed, from };
+}
+
+// ============================================================
+// Validation
+// ============================================================
+
+/**
+ * Validate one daily file against the schema and its season.
+ * Returns { errors: [...], warnings: [...] }.
+ */
+function validateDailyFile(data, { seasonKey, fileDate = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const season = seasonKey ? loadSeason(seasonKey) : null;
+
+  if (data.schemaVersion !== DAILY_SCHEMA_VERSION) {
+    errors.push(`schema version ${data.schemaVersion || 0} (current is ${DAILY_SCHEMA_VERSION}) — run migrate`);
+  }
+
+  if (!isDate(data.date)) {
+    errors.push(`invalid date "${data.date}"`);
+  } else {
+    if (fileDate && data.date !== fileDate) errors.push(`date ${data.date} does not match file name`);
+    if (season && (data.date < season.start || data.date > season.end)) {
+      errors.push(`date ${data.date} is outside season ${seasonKey} (${season.start} → ${season.end})`);
+    }
+  }
+
+  if (seasonKey && data.season !== undefined && data.season !== seasonKey) {
+    errors.push(`season "${data.season}" but file lives in the ${seasonKey} directory`);
+  }
+
+  if (data.period !== null && data.period !== undefined) {
+    if (!Number.isInteger(data.period)) errors.push(`period "${data.period}" is not an integer`);
+    else if (season && isDate(data.date)) {
+      const p = season.periods.find(p => data.date >= p.start && data.date <= p.end);
+      if (p && p.period !== data.period) warnings.push(`period ${data.period} but the calendar says P${p.period}`);
+    }
+  }
+
+  if (!Array.isArray(data.teams) || data.teams.length === 0) {
+    errors.push("no teams");
+    return { errors, warnings };
+  }
+
+  // ---- Teams ----
+  const known = new Set(listFranchiseCodes());
+  const seen = new Set();
+  for (const t of data.teams) {
+    const label = t.franchise || t.name || "?";
+    if (!known.has(t.franchise)) errors.push(`${label}: franchise is not a registry code`);
+    if (seen.has(t.franchise)) errors.push(`${label}: duplicate franchise`);
+    seen.add(t.franchise);
+
+    for (const field of ["dayPts", "projPts", "gp"]) {
+      if (!isNumber(t[field])) errors.push(`${label}: ${field} is not a number (${JSON.stringify(t[field])})`);
+    }
+
+    if (isNumber(t.gp)) {
+      if (t.gp < 0 || !Number.isInteger(t.gp)) errors.push(`${label}: gp ${t.gp} is not a non-negative integer`);
+      if (t.gp > MAX_DAILY_GP) warnings.push(`${label}: ${t.gp} GP in one day`);
+      if (t.gp === 0 && isNumber(t.dayPts) && t.dayPts !== 0) warnings.push(`${label}: ${t.dayPts} pts on 0 GP`);
+      if (isNumber(t.projPts) && t.projPts > MAX_PROJ_PER_GP * Math.max(1, t.gp)) warnings.push(`${label}: projPts ${t.projPts} on ${t.gp} GP`);
+    }
+
+    if (t.periodTotalGP !== undefined) {
+      const parts = [t.periodGP, t.periodGPRemaining, t.periodTotalGP];
+      if (!parts.every(isNumber)) {
+        errors.push(`${label}: periodGP fields must be numbers`);
+      } else if (t.periodTotalGP > 0 && t.periodGP + t.periodGPRemaining !== t.periodTotalGP) {
+        warnings.push(`${label}: periodGP ${t.periodGP} + remaining ${t.periodGPRemaining} ≠ total ${t.periodTotalGP}`);
+      }
+    }
+  }
+
+  if (season && season.franchises.length > 0) {
+    const missing = season.franchises.map(f => f.code).filter(c => !seen.has(c));
+    if (missing.length > 0) errors.push(`missing teams: ${missing.join(", ")}`);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Read every daily file for a season. Returns [{ file, filepath, data, parseError }].
+ */
+function readSeasonFiles(seasonKey) {
+  const dir = getSeasonDailyDir(seasonKey);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort().map(file => {
+    const filepath = path.join(dir, file);
+    try {
+      return { file, filepath, data: JSON.parse(fs.readFileSync(filepath, "utf-8")) };
+    } catch (e) {
+      return { file, filepath, parseError: e.message };
+    }
+  });
+}
+
+function cmdValidate(seasonKey) {
+  const keys = seasonKey ? [seasonKey] : listSeasons();
+  let totalErrors = 0;
+
+  for (const key of keys) {
+    const files = readSeasonFiles(key);
+    let errorCount = 0;
+    let warningCount = 0;
+    const lines = [];
+
+    for (const { file, data, parseError } of files) {
+      if (parseError) {
+        errorCount++;
+        lines.push(`    ✗ ${file}: invalid JSON (${parseError})`);
+        continue;
+      }
+      const { errors, warnings } = validateDailyFile(data, { seasonKey: key, fileDate: file.replace(/\.json$/, "") });
+      errorCount += errors.length;
+      warningCount += warnings.length;
+      errors.forEach(e => lines.push(`    ✗ ${file}: ${e}`));
+      warnings.forEach(w => lines.push(`    ⚠ ${file}: ${w}`));
+    }
+
+    totalErrors += errorCount;
+    console.log(`[daily-schema] ${key}: ${files.length} files, ${errorCount} error(s), ${warningCount} warning(s)`);
+    lines.forEach(l => console.log(l));
+  }
+
+  if (totalErrors > 0) process.exit(1);
+}
+
+function cmdMigrate(seasonKey, dryRun) {
+  const keys = seasonKey ? [seasonKey] : listSeasons();
+
+  let failed = 0;
+
+  for (const key of keys) {
+    let migrated = 0;
+    for (const { file, filepath, data, parseError } of readSeasonFiles(key)) {
+      if (parseError) {
+        failed++;
+        console.log(`    ✗ ${file}: invalid JSON — skipped`);
+        continue;
+      }
+      let upgraded, changed;
+      try {
+        ({ data: upgraded, changed } = migrateDailyFile(data, key));
+      } catch (e) {
+        failed++;
+        console.log(`    ✗ ${file}: ${e.message} — skipped`);
+        continue;
+      }
+      if (!changed) continue;
+      migrated++;
+      if (!dryRun) fs.writeFileSync(filepath, JSON.stringify(upgraded, null, 2));
+    }
+    console.log(`[daily-schema] ${key}: ${migrated} file(s) ${dryRun ? "would be migrated" : "migrated"} to v${DAILY_SCHEMA_VERSION}`);
+  }
+
+  if (failed > 0) process.exit(1);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const seasonKey = args.slice(1).find(a => !a.startsWith("--")) || null;
+
+  if (command === "validate") return cmdValidate(seasonKey);
+  if (command === "migrate") return cmdMigrate(seasonKey, args.includes("--dry-run"));
+
+  console.log("Usage:");
+  console.log("  node src/daily-schema.js validate [season]");
+  console.log("  node src/daily-schema.js migrate [season] [--dry-run]");
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  DAILY_SCHEMA_VERSION,
+  MAX_PROJ_PER_GP,
+  buildDailyFile,
+  migrateDailyFile,
+  validateDailyFile,
+};
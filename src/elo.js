@@ -0,0 +1,285 @@
+// ============================================================
+// FRANCHISE ELO — power ratings from daily results
+// ============================================================
+// Every night is a six-way matchup. Each night's ranking is read as
+// pairwise results: outscoring a franchise is a win against it, the
+// same score a draw. Ratings move by K per night, split across the
+// opponents faced:
+//
+//   expected(A vs B) = 1 / (1 + 10^((Rb - Ra) / 400))
+//   change(A)        = K / (n - 1) × Σ (result − expected)
+//
+// A franchise with no points and no games that night sat out and
+// isn't paired. Ratings start at 1500, carry across seasons and
+// regress a quarter of the way back to 1500 before each new season.
+//
+// Stored per date in data/elo/<season>.json, one line per night:
+//   { "date": "2026-01-04", "period": 7,
+//     "teams": { "JGC": { "rating": 1562.3, "change": 4.1, "rank": 1 }, ... },
+//     "upset": { "franchise": "RMS", "preRank": 6, "expected": 0.37 } }
+//
+// Ratings are "after that night". `upset` flags a day winner that came
+// in rated in the bottom third, expected to win under 40% of its pairs.
+//
+// The files are generated and gitignored, like data/sparky.db: a
+// missing season is rebuilt the first time it's read (seeded from the
+// previous season, rebuilt the same way). The nightly run refreshes
+// the current season; `rebuild` recomputes everything from 2013.
+//
+// Usage:
+//   node src/elo.js rebuild                  # every season from the daily files
+//   node src/elo.js rebuild 2025-26          # one season (seeded from the one before)
+//   node src/elo.js rankings                 # power rankings, latest night
+//   node src/elo.js rankings 2026-01-15
+//   node src/elo.js upsets [season]
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const { CURRENT_SEASON } = require("./config");
+const { listSeasons } = require("./seasons");
+const { getDays } = require("./store");
+
+const ELO_DIR = path.join(__dirname, "..", "data", "elo");
+
+const START_RATING = 1500;
+const K = 24;                  // max swing per night, split across opponents
+const SEASON_REGRESSION = 0.25;  // share of the gap to 1500 closed between seasons
+const UPSET_MAX_EXPECTED = 0.40; // winner's expected pairwise score must be below this
+
+function eloPath(seasonKey) {
+  return path.join(ELO_DIR, `${seasonKey}.json`);
+}
+
+function expectedScore(ra, rb) {
+  return 1 / (1 + Math.pow(10, (rb - ra) / 400));
+}
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+/**
+ * Rank a { franchise: rating } map, best first: { franchise: rank }.
+ */
+function rankRatings(ratings) {
+  const ranks = {};
+  Object.entries(ratings)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([f], i) => { ranks[f] = i + 1; });
+  return ranks;
+}
+
+/**
+ * Apply one night to a ratings map (mutated). Returns the night's entry.
+ */
+function rateDay(ratings, day) {
+  const playing = day.teams.filter(t => (t.dayPts || 0) !== 0 || (t.gp || 0) > 0);
+  for (const t of day.teams) {
+    if (ratings[t.franchise] == null) ratings[t.franchise] = START_RATING;
+  }
+
+  const pre = { ...ratings };
+  const preRanks = rankRatings(pre);
+  const changes = {};
+
+  for (const a of playing) {
+    let sum = 0;
+    for (const b of playing) {
+      if (a === b) continue;
+      const result = a.dayPts > b.dayPts ? 1 : a.dayPts === b.dayPts ? 0.5 : 0;
+      sum += result - expectedScore(pre[a.franchise], pre[b.franchise]);
+    }
+    changes[a.franchise] = playing.length > 1 ? (K / (playing.length - 1)) * sum : 0;
+  }
+  for (const [f, change] of Object.entries(changes)) ratings[f] += change;
+
+  // Upset: the day's outright winner came in rated in the bottom third
+  let upset = null;
+  const sorted = [...playing].sort((a, b) => b.dayPts - a.dayPts);
+  if (sorted.length > 2 && sorted[0].dayPts > sorted[1].dayPts) {
+    const winner = sorted[0].franchise;
+    const others = sorted.slice(1);
+    const expected = others.reduce((s, o) => s + expectedScore(pre[winner], pre[o.franchise]), 0) / others.length;
+    const field = Object.keys(preRanks).length;
+    if (preRanks[winner] > field - Math.ceil(field / 3) && expected < UPSET_MAX_EXPECTED) {
+      upset = { franchise: winner, preRank: preRanks[winner], expected: +expected.toFixed(2) };
+    }
+  }
+
+  const postRanks = rankRatings(ratings);
+  const teams = {};
+  const tonight = Object.keys(ratings).filter(f => day.teams.some(t => t.franchise === f));
+  for (const f of tonight.sort((a, b) => postRanks[a] - postRanks[b])) {
+    teams[f] = { rating: round1(ratings[f]), change: round1(changes[f] || 0), rank: postRanks[f] };
+  }
+  return { date: day.date, period: day.period, teams, upset };
+}
+
+/**
+ * Rate a chronological day list from a starting ratings map. Ratings
+ * regress toward 1500 whenever the season changes (including from
+ * `fromSeason`, the season the starting ratings belong to).
+ * Returns: { entries, ratings }
+ */
+function computeRatings(days, startRatings = {}, fromSeason = null) {
+  const ratings = { ...startRatings };
+  let season = fromSeason;
+  const entries = [];
+  for (const day of days) {
+    if (season && day.season !== season) {
+      for (const f of Object.keys(ratings)) {
+        ratings[f] += (START_RATING - ratings[f]) * SEASON_REGRESSION;
+      }
+    }
+    season = day.season;
+    entries.push({ season: day.season, ...rateDay(ratings, day) });
+  }
+  return { entries, ratings };
+}
+
+/**
+ * A season's stored ratings: { season, nights: [entry, ...] }, or null
+ * for an unknown season. A missing file is rebuilt first.
+ */
+function loadSeasonRatings(seasonKey = CURRENT_SEASON) {
+  const filepath = eloPath(seasonKey);
+  if (!fs.existsSync(filepath)) {
+    if (!listSeasons().includes(seasonKey)) return null;
+    rebuildRatings([seasonKey]);
+  }
+  return JSON.parse(fs.readFileSync(filepath, "utf-8"));
+}
+
+function saveSeasonRatings(seasonKey, nights) {
+  if (!fs.existsSync(ELO_DIR)) fs.mkdirSync(ELO_DIR, { recursive: true });
+  // One night per line keeps the nightly git diff to a line or two
+  const body = nights.map(n => "    " + JSON.stringify(n)).join(",\n");
+  fs.writeFileSync(eloPath(seasonKey), `{\n  "season": ${JSON.stringify(seasonKey)},\n  "nights": [\n${body}\n  ]\n}\n`);
+  return eloPath(seasonKey);
+}
+
+/**
+ * Ending ratings of a stored season: { franchise: rating }, or null.
+ */
+function finalRatings(seasonKey) {
+  const stored = loadSeasonRatings(seasonKey);
+  if (!stored || stored.nights.length === 0) return null;
+  return Object.fromEntries(Object.entries(stored.nights[stored.nights.length - 1].teams).map(([f, t]) => [f, t.rating]));
+}
+
+/**
+ * Recompute and save ratings for `seasons` (default: all). Each season
+ * is seeded from the stored end of the season before it; if that
+ * season isn't stored either, it's rebuilt first.
+ * Returns the saved file paths.
+ */
+function rebuildRatings(seasons = listSeasons()) {
+  const all = listSeasons();
+  const targets = [...seasons].sort((a, b) => all.indexOf(a) - all.indexOf(b));
+  const saved = [];
+
+  for (const seasonKey of targets) {
+    const idx = all.indexOf(seasonKey);
+    if (idx < 0) throw new Error(`Unknown season "${seasonKey}"`);
+    const prevKey = idx > 0 ? all[idx - 1] : null;
+
+    // Always seed from the stored (rounded) file, so a one-season
+    // refresh matches a full rebuild exactly
+    let start = {};
+    if (prevKey) {
+      if (!finalRatings(prevKey)) rebuildRatings(all.slice(0, idx));
+      start = finalRatings(prevKey) || {};
+    }
+
+    const days = getDays({ season: seasonKey, requirePeriod: true });
+    const { entries } = computeRatings(days, start, prevKey);
+    saved.push(saveSeasonRatings(seasonKey, entries.map(({ season, ...night }) => night)));
+  }
+  return saved;
+}
+
+/**
+ * Refresh the current season's ratings (after tonight's daily file is saved).
+ */
+function updateRatings(seasonKey = CURRENT_SEASON) {
+  return rebuildRatings([seasonKey])[0];
+}
+
+/**
+ * The stored night for a date (this season by default), or null.
+ */
+function getRatingsForDate(date, seasonKey = CURRENT_SEASON) {
+  const stored = loadSeasonRatings(seasonKey);
+  if (!stored) return null;
+  return stored.nights.find(n => n.date === date) || null;
+}
+
+function cmdRankings(date) {
+  const stored = loadSeasonRatings(CURRENT_SEASON);
+  if (!stored || stored.nights.length === 0) throw new Error(`No ratings for ${CURRENT_SEASON} — run: node src/elo.js rebuild`);
+  const nights = stored.nights.filter(n => !date || n.date <= date);
+  if (nights.length === 0) throw new Error(`No rated nights on or before ${date}`);
+
+  const night = nights[nights.length - 1];
+  const weekAgo = nights[Math.max(0, nights.length - 8)];
+  const first = nights[0];
+
+  console.log(`[elo] Power rankings — ${night.date} (P${night.period})\n`);
+  console.log(`  ${"#".padStart(2)}  ${"".padEnd(4)} ${"rating".padStart(7)} ${"night".padStart(6)} ${"7 nts".padStart(6)} ${"season".padStart(7)}`);
+  const rows = Object.entries(night.teams).sort((a, b) => a[1].rank - b[1].rank);
+  for (const [f, t] of rows) {
+    const signed = (d) => `${d >= 0 ? "+" : ""}${d.toFixed(1)}`;
+    const since = (from) => signed(t.rating - (from.teams[f] ? from.teams[f].rating - from.teams[f].change : t.rating));
+    console.log(`  ${String(t.rank).padStart(2)}  ${f.padEnd(4)} ${t.rating.toFixed(1).padStart(7)} ${signed(t.change).padStart(6)} ${since(weekAgo).padStart(6)} ${since(first).padStart(7)}`);
+  }
+  if (night.upset) console.log(`\n  Upset: ${night.upset.franchise} won the night rated #${night.upset.preRank}`);
+}
+
+function cmdUpsets(seasonKey) {
+  const stored = loadSeasonRatings(seasonKey);
+  if (!stored) throw new Error(`No ratings for ${seasonKey} — run: node src/elo.js rebuild`);
+  const upsets = stored.nights.filter(n => n.upset);
+  for (const n of upsets) {
+    console.log(`  ${n.date}  P${String(n.period).padEnd(2)}  ${n.upset.franchise}  rated #${n.upset.preRank}, expected ${n.upset.expected}`);
+  }
+  console.log(`[elo] ${upsets.length} upset(s) in ${stored.nights.length} nights of ${seasonKey}`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (command === "rebuild") {
+    const saved = rebuildRatings(args[1] ? [args[1]] : listSeasons());
+    for (const p of saved) console.log(`[elo] Saved ${path.relative(process.cwd(), p)}`);
+    return;
+  }
+  if (command === "rankings") return cmdRankings(args[1] || null);
+  if (command === "upsets") return cmdUpsets(args[1] || CURRENT_SEASON);
+
+  console.log("Usage:");
+  console.log("  node src/elo.js rebuild [season]");
+  console.log("  node src/elo.js rankings [YYYY-MM-DD]");
+  console.log("  node src/elo.js upsets [season]");
+  process.exit(1);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`[elo] ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  START_RATING,
+  expectedScore,
+  computeRatings,
+  rebuildRatings,
+  updateRatings,
+  loadSeasonRatings,
+  getRatingsForDate,
+};
@@ -0,0 +1,286 @@
+// ============================================================
+// FANTRAX API SOURCE — live scoring from the page's own JSON
+// ============================================================
+// The live scoring page is filled in by XHR calls to Fantrax's
+// /fxpa/req endpoint. Instead of parsing section.matchup-list text,
+// this listens for those responses while the page loads (same
+// logged-in session, same request the page makes) and maps them to
+// the fields the daily schema needs: name, dayPts, projectedFpg, gp.
+//
+// The DOM parser stays as the fallback. Which one is used comes from
+// FANTRAX_SOURCE:
+//
+//   dom      DOM parser only (default)
+//   api      API numbers (dayPts, projectedFpg, gp) on the DOM's team
+//            lines; falls back to the DOM when the mapping fails or
+//            leaves out a team
+//   compare  DOM result, with any API disagreement logged
+//
+// The mapping doesn't hard-code a response path: the payload shape
+// hasn't been pinned down against a recorded night yet. It looks for
+// objects whose name (NAME_ALIASES) resolves to a franchise
+// (identity.js, strict) and reads the numbers from FIELD_ALIASES.
+// Teams missing any of the three numbers are left out, and a payload
+// with no complete team maps to null.
+//
+// Fixtures: `record` saves the raw API payloads and the DOM result
+// for one date to data/fixtures/fantrax/<date>.json; `verify` maps
+// every fixture's payloads offline and fails if any team differs from
+// the DOM result, or if there are no fixtures. Keep FANTRAX_SOURCE=dom
+// until verify passes on recorded nights.
+//
+// Usage:
+//   node src/fantrax-api.js record 2026-01-15           # needs FANTRAX_USERNAME/PASSWORD
+//   node src/fantrax-api.js record 2019-11-02 <leagueId>
+//   node src/fantrax-api.js verify                      # offline, every fixture
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const { LEAGUE_ID } = require("./config");
+const { resolveFranchise } = require("./identity");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "data", "fixtures", "fantrax");
+
+const SOURCES = ["dom", "api", "compare"];
+const LIVE_SCORING_METHOD = "getLiveScoringStats";
+
+// Team name and numeric fields per team, first alias present wins
+const NAME_ALIASES = ["name", "teamName", "longName"];
+const FIELD_ALIASES = {
+  dayPts: ["fpts", "fPts", "FPts", "points", "score"],
+  projectedFpg: ["projFpts", "projectedFpts", "proj", "projPts"],
+  gp: ["gp", "GP", "gamesPlayed"],
+};
+
+// Points and projections come off the page with one decimal
+const EPSILON = 0.05;
+
+/**
+ * The data source in effect (FANTRAX_SOURCE or "dom"). Throws on an
+ * unknown source.
+ */
+function getSource() {
+  const source = (process.env.FANTRAX_SOURCE || "dom").toLowerCase();
+  if (!SOURCES.includes(source)) {
+    throw new Error(`FANTRAX_SOURCE must be one of: ${SOURCES.join(", ")} (got "${source}")`);
+  }
+  return source;
+}
+
+/**
+ * Start collecting live scoring API responses on a page. Call before
+ * navigating; stop() detaches and returns the payloads.
+ */
+function startCapture(page) {
+  const payloads = [];
+  const pending = [];
+  const onResponse = (response) => {
+    if (!response.url().includes("/fxpa/req")) return;
+    const body = response.request().postData() || "";
+    if (!body.includes(LIVE_SCORING_METHOD)) return;
+    pending.push(response.json().then(json => payloads.push(json), () => {}));
+  };
+  page.on("response", onResponse);
+  return {
+    async stop() {
+      page.off("response", onResponse);
+      await Promise.all(pending);
+      return payloads;
+    },
+  };
+}
+
+function readNumber(obj, aliases) {
+  for (const key of aliases) {
+    const value = obj[key];
+    if (typeof value === "number") return value;
+    if (typeof value === "string" && value.trim() !== "" && !isNaN(Number(value))) return Number(value);
+  }
+  return null;
+}
+
+function franchiseFor(name, date) {
+  try {
+    return resolveFranchise(name, { date, strict: true });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Map captured payloads to team lines, in the order Fantrax lists them:
+ * { teams: [{ rank, name, dayPts, projectedFpg, gp }] }, or null if no
+ * team has all three numbers. compareTeams() catches a partial map.
+ */
+function mapLiveScoring(payloads, date) {
+  const teams = new Map();
+
+  const walk = (node) => {
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (!node || typeof node !== "object") return;
+
+    const nameKey = NAME_ALIASES.find(k => typeof node[k] === "string");
+    const name = nameKey ? node[nameKey].trim() : null;
+    const franchise = name && franchiseFor(name, date);
+    if (franchise && !teams.has(franchise)) {
+      const line = { name };
+      for (const [field, aliases] of Object.entries(FIELD_ALIASES)) line[field] = readNumber(node, aliases);
+      if (Object.keys(FIELD_ALIASES).every(f => line[f] != null)) teams.set(franchise, line);
+    }
+    Object.values(node).forEach(walk);
+  };
+  walk(payloads);
+
+  if (teams.size === 0) return null;
+  return { teams: [...teams.values()].map((t, i) => ({ rank: i + 1, ...t })) };
+}
+
+/**
+ * Differences between two team lists, matched by franchise:
+ * ["RMS dayPts 12.5 vs 12", "GDD missing from api", ...]. Empty when they agree.
+ */
+function compareTeams(apiTeams, domTeams, date) {
+  const byFranchise = (teams) => new Map(teams.map(t => [franchiseFor(t.name, date) || t.name, t]));
+  const api = byFranchise(apiTeams);
+  const dom = byFranchise(domTeams);
+  const diffs = [];
+
+  for (const [f, d] of dom) {
+    const a = api.get(f);
+    if (!a) {
+      diffs.push(`${f} missing from api`);
+      continue;
+    }
+    for (const field of Object.keys(FIELD_ALIASES)) {
+      if (Math.abs((a[field] || 0) - (d[field] || 0)) > EPSILON) diffs.push(`${f} ${field} ${a[field]} vs ${d[field]}`);
+    }
+  }
+  for (const f of api.keys()) {
+    if (!dom.has(f)) diffs.push(`${f} missing from dom`);
+  }
+  return diffs;
+}
+
+/**
+ * Pick the team lines for a date from the DOM result and the captured
+ * payloads, per FANTRAX_SOURCE. Returns the chosen teams (the DOM's
+ * when the API mapping fails, misses a franchise or has a different
+ * team count). API lines only carry the mapped numbers, so everything
+ * else (rank, seasonPts, gpRemaining) still comes from the DOM line.
+ */
+function chooseTeams(domTeams, payloads, date, source = getSource()) {
+  if (source === "dom") return domTeams;
+
+  const mapped = mapLiveScoring(payloads, date);
+  if (!mapped) {
+    console.log(`[fantrax-api] ${date}: no usable live scoring payload (${payloads.length} captured) — using DOM`);
+    return domTeams;
+  }
+  const diffs = compareTeams(mapped.teams, domTeams, date);
+  if (diffs.length > 0) console.log(`[fantrax-api] ${date}: API vs DOM differ — ${diffs.join("; ")}`);
+  if (source !== "api") return domTeams;
+
+  // A partial map would drop a team from the night — only numbers may differ
+  if (mapped.teams.length !== domTeams.length || diffs.some(d => d.includes(" missing from "))) {
+    console.log(`[fantrax-api] ${date}: API mapped ${mapped.teams.length} of ${domTeams.length} team(s) — using DOM`);
+    return domTeams;
+  }
+  const apiByFranchise = new Map(mapped.teams.map(t => [franchiseFor(t.name, date) || t.name, t]));
+  return domTeams.map(d => {
+    const a = apiByFranchise.get(franchiseFor(d.name, date) || d.name);
+    const merged = { ...d };
+    for (const field of Object.keys(FIELD_ALIASES)) merged[field] = a[field];
+    return merged;
+  });
+}
+
+function fixturePath(date) {
+  return path.join(FIXTURES_DIR, `${date}.json`);
+}
+
+async function cmdRecord(date, leagueId) {
+  // Loaded here: only recording needs a browser
+  const { openSession, closeSession } = require("./session");
+  const { scrapeDateFromPage } = require("./scrape");
+
+  const username = process.env.FANTRAX_USERNAME;
+  const password = process.env.FANTRAX_PASSWORD;
+  if (!username || !password) throw new Error("Set FANTRAX_USERNAME and FANTRAX_PASSWORD environment variables.");
+
+  const session = await openSession({ username, password, headless: process.env.HEADLESS !== "false" });
+  try {
+    const capture = startCapture(session.page);
+    const dom = await scrapeDateFromPage(session.page, leagueId, date);
+    const payloads = await capture.stop();
+    if (!dom) throw new Error(`No live scoring data on ${date}`);
+    if (payloads.length === 0) throw new Error(`No ${LIVE_SCORING_METHOD} responses captured on ${date}`);
+
+    fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+    const fixture = { date, leagueId, recordedAt: new Date().toISOString(), api: payloads, dom };
+    fs.writeFileSync(fixturePath(date), JSON.stringify(fixture, null, 2) + "\n");
+    console.log(`[fantrax-api] Recorded ${payloads.length} payload(s) + DOM for ${date} → ${path.relative(process.cwd(), fixturePath(date))}`);
+  } finally {
+    await closeSession(session);
+  }
+}
+
+/**
+ * Recorded fixtures, oldest first: [{ date, leagueId, recordedAt, api, dom }].
+ */
+function loadFixtures() {
+  if (!fs.existsSync(FIXTURES_DIR)) return [];
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(f => f.endsWith(".json"))
+    .sort()
+    .map(f => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, f), "utf-8")));
+}
+
+/**
+ * Map one fixture's payloads offline and compare with its DOM result.
+ * Returns the differences (compareTeams); empty when they agree.
+ */
+function verifyFixture(fixture) {
+  const mapped = mapLiveScoring(fixture.api, fixture.date);
+  return mapped ? compareTeams(mapped.teams, fixture.dom.teams, fixture.date) : ["API payload did not map"];
+}
+
+function cmdVerify() {
+  const fixtures = loadFixtures();
+  if (fixtures.length === 0) {
+    console.error("[fantrax-api] No fixtures recorded yet — run: node src/fantrax-api.js record <date>");
+    return false;
+  }
+
+  let failed = 0;
+  for (const fixture of fixtures) {
+    const diffs = verifyFixture(fixture);
+    if (diffs.length > 0) failed++;
+    console.log(`  ${diffs.length === 0 ? "✓" : "✗"} ${fixture.date}${diffs.length > 0 ? `  ${diffs.join("; ")}` : ""}`);
+  }
+  console.log(`[fantrax-api] ${fixtures.length - failed}/${fixtures.length} fixture(s) match`);
+  return failed === 0;
+}
+
+async function main() {
+  const [command, date, leagueId] = process.argv.slice(2);
+  if (command === "record" && date) return cmdRecord(date, leagueId || LEAGUE_ID);
+  if (command === "verify") {
+    if (!cmdVerify()) process.exit(1);
+    return;
+  }
+
+  console.log("Usage:");
+  console.log("  node src/fantrax-api.js record <YYYY-MM-DD> [leagueId]");
+  console.log("  node src/fantrax-api.js verify");
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`[fantrax-api] ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { getSource, startCapture, mapLiveScoring, compareTeams, chooseTeams, loadFixtures, verifyFixture };
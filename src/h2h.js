@@ -0,0 +1,162 @@
+// ============================================================
+// HEAD-TO-HEAD — nightly records between franchise pairs
+// ============================================================
+// historical.getH2HPeriodRecord only knows period matchups from the
+// sheet. This reads the daily files instead: every night both
+// franchises played, the one with more points wins the pair (same
+// score is a tie). A franchise with no points and no games that night
+// sat out, and none of its pairs count (same rule as elo.js).
+//
+// Per pair, from A's side:
+//
+//   w / l / t     nights A outscored B, was outscored, tied
+//   streak        current run { type: "W"|"L"|"T", length, since }
+//   longestWin    A's longest run of nights outscoring B
+//
+// Streaks never cross a season boundary.
+//
+// Usage:
+//   node src/h2h.js                       # this season's matrix, latest day
+//   node src/h2h.js all                   # all-time matrix
+//   node src/h2h.js 2019-20               # one season
+//   node src/h2h.js pair JGC GDD          # one pair by season, plus the sheet's period record
+//   node src/h2h.js --as-of 2026-01-15
+// ============================================================
+
+const { CURRENT_SEASON } = require("./config");
+const { getDays } = require("./store");
+const { getH2HPeriodRecord } = require("./historical");
+
+function satOut(t) {
+  return !t || ((t.dayPts || 0) === 0 && (t.gp || 0) === 0);
+}
+
+function emptyRecord() {
+  return { w: 0, l: 0, t: 0, nights: 0, streak: null, longestWin: { length: 0, endDate: null, season: null } };
+}
+
+/**
+ * Head-to-head records over a chronological day list.
+ * Returns: { franchises: [F, ...], records: { A: { B: record } } } where
+ *   record = { w, l, t, nights, pct, streak: { type, length, since }, longestWin }
+ *   and pct counts ties as half.
+ */
+function buildH2H(days) {
+  const franchises = [...new Set(days.flatMap(d => d.teams.map(t => t.franchise)))].sort();
+  const records = {};
+  for (const a of franchises) {
+    records[a] = {};
+    for (const b of franchises) if (a !== b) records[a][b] = emptyRecord();
+  }
+
+  for (const day of days) {
+    const playing = day.teams.filter(t => !satOut(t));
+    for (const a of playing) {
+      for (const b of playing) {
+        if (a === b) continue;
+        const rec = records[a.franchise][b.franchise];
+        const type = a.dayPts > b.dayPts ? "W" : a.dayPts < b.dayPts ? "L" : "T";
+        rec[type.toLowerCase()]++;
+        rec.nights++;
+
+        if (rec.streak && rec.streak.type === type && rec.streak.season === day.season) {
+          rec.streak.length++;
+        } else {
+          rec.streak = { type, length: 1, since: day.date, season: day.season };
+        }
+        if (type === "W" && rec.streak.length > rec.longestWin.length) {
+          rec.longestWin = { length: rec.streak.length, endDate: day.date, season: day.season };
+        }
+      }
+    }
+  }
+
+  for (const a of franchises) {
+    for (const rec of Object.values(records[a])) {
+      rec.pct = rec.nights > 0 ? +((rec.w + rec.t / 2) / rec.nights).toFixed(3) : null;
+      if (rec.streak) rec.streak = { type: rec.streak.type, length: rec.streak.length, since: rec.streak.since };
+    }
+  }
+  return { franchises, records };
+}
+
+/**
+ * buildH2H per season: { season: { franchises, records } }.
+ */
+function h2hBySeason(days) {
+  const bySeason = {};
+  for (const season of [...new Set(days.map(d => d.season))]) {
+    bySeason[season] = buildH2H(days.filter(d => d.season === season));
+  }
+  return bySeason;
+}
+
+function recordText(rec) {
+  return `${rec.w}-${rec.l}${rec.t > 0 ? `-${rec.t}` : ""}`;
+}
+
+function streakText(streak) {
+  return streak ? `${streak.type}${streak.length}` : "—";
+}
+
+function printMatrix(label, { franchises, records }) {
+  const width = Math.max(5, ...franchises.flatMap(a => Object.values(records[a]).map(r => recordText(r).length))) + 1;
+  console.log(`\n${label} — row vs column (W-L[-T]), current streak below`);
+  console.log(`  ${"".padEnd(4)} ${franchises.map(f => f.padStart(width)).join(" ")}   ${"pct".padStart(5)}`);
+  for (const a of franchises) {
+    const cells = franchises.map(b => (a === b ? "—" : recordText(records[a][b])).padStart(width));
+    const all = Object.values(records[a]);
+    const nights = all.reduce((s, r) => s + r.nights, 0);
+    const pct = nights > 0 ? all.reduce((s, r) => s + r.w + r.t / 2, 0) / nights : 0;
+    console.log(`  ${a.padEnd(4)} ${cells.join(" ")}   ${pct.toFixed(3).padStart(5)}`);
+    console.log(`  ${"".padEnd(4)} ${franchises.map(b => (a === b ? "" : streakText(records[a][b].streak)).padStart(width)).join(" ")}`);
+  }
+}
+
+async function cmdPair(a, b, days) {
+  const bySeason = h2hBySeason(days);
+  console.log(`[h2h] ${a} vs ${b} — nights outscored`);
+  for (const [season, h2h] of Object.entries(bySeason)) {
+    const rec = h2h.records[a] && h2h.records[a][b];
+    if (!rec || rec.nights === 0) continue;
+    console.log(`  ${season}  ${recordText(rec).padStart(8)}  ${(rec.pct * 100).toFixed(0).padStart(3)}%  streak ${streakText(rec.streak)}  longest W ${rec.longestWin.length}`);
+  }
+
+  const all = buildH2H(days).records[a];
+  if (!all || !all[b]) throw new Error(`No nights with both ${a} and ${b}`);
+  const rec = all[b];
+  console.log(`  ${"all".padEnd(7)}  ${recordText(rec).padStart(8)}  ${(rec.pct * 100).toFixed(0).padStart(3)}%  longest W ${rec.longestWin.length} (${rec.longestWin.endDate})`);
+
+  const period = days[days.length - 1].period;
+  const sheet = await getH2HPeriodRecord(period, a, b);
+  if (sheet) console.log(`\n  P${period} matchups (sheet): ${a} ${sheet.winsA}, ${b} ${sheet.winsB}`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const asOfIdx = args.indexOf("--as-of");
+  const asOf = asOfIdx >= 0 ? args[asOfIdx + 1] : null;
+  const positional = args.filter((a, i) => !a.startsWith("--") && (asOfIdx < 0 || i !== asOfIdx + 1));
+
+  if (positional[0] === "pair") {
+    const [a, b] = positional.slice(1).map(f => (f || "").toUpperCase());
+    if (!a || !b) throw new Error("Usage: node src/h2h.js pair <franchise> <franchise>");
+    const days = getDays({ requirePeriod: true }).filter(d => !asOf || d.date <= asOf);
+    return cmdPair(a, b, days);
+  }
+
+  const scope = positional[0] || CURRENT_SEASON;
+  const days = getDays({ season: scope === "all" ? undefined : scope, requirePeriod: true }).filter(d => !asOf || d.date <= asOf);
+  if (days.length === 0) throw new Error(`No daily data for ${scope}${asOf ? ` on or before ${asOf}` : ""}`);
+  const label = scope === "all" ? `All-time (${days[0].season} – ${days[days.length - 1].season})` : `${scope} as of ${days[days.length - 1].date}`;
+  printMatrix(label, buildH2H(days));
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`[h2h] ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildH2H, h2hBySeason };
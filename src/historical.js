@@ -1,110 +1,350 @@
 /**
- * historical.js — Fetch and query 13-year league history from Google Sheets.
+ * historical.js — Load and query 13-year league history from Google Sheets.
  *
- * Pulls the "Database" tab from the SPARKY Records & Performance spreadsheet
- * at runtime via public CSV export. Provides lookup functions for all-time
+ * Reads the "Database" and "Historical" tabs of the SPARKY Records &
+ * Performance spreadsheet from a committed snapshot (data/historical.json)
+ * so the pipeline works when the sheet is unreachable. The snapshot is
+ * updated with `node src/historical.js refresh`, which downloads the
+ * public CSV exports, prints a diff against the previous snapshot, and
+ * records when it was fetched. Provides lookup functions for all-time
  * period records (league-wide and per-franchise).
  *
+ * HISTORICAL_SOURCE=offline never touches the network;
+ * HISTORICAL_SOURCE=network always fetches the live sheet.
+ *
  * Database tab columns per owner:
  *   Season | Period | {Owner}_FPts | {Owner}_FP/G | {Owner}_GP | {Owner}_SR
  * Owners: Jason, Brian, Graeme, Chris, Richie, Matt
+ *
+ * Usage:
+ *   node src/historical.js status
+ *   node src/historical.js refresh [--dry-run]
  */
 
+const fs = require("fs");
+const path = require("path");
+
 const SHEET_ID = "1MbusvKdOqOp-TOHIjAW0rQxj_0Z33v1lQFLcnKqaD9Q";
 const DATABASE_GID = "268966179";
 const HISTORICAL_GID = "1933819434";
 const DATABASE_URL = `https://docs.google.com/spreadsheets/d/${SHEET_ID}/export?format=csv&gid=${DATABASE_GID}`;
 const HISTORICAL_URL = `https://docs.google.com/spreadsheets/d/${SHEET_ID}/export?format=csv&gid=${HISTORICAL_GID}`;
 
-// Map Database tab owner names → current franchise codes
-const OWNER_TO_FRANCHISE = {
-  Jason: "JGC",
-  Brian: "BEW",
-  Graeme: "GDD",
-  Chris: "PWN",
-  Richie: "RMS",
-  Matt: "MPP",
-};
-
-// Map Historical tab winner/loser names (same as owner names, plus "Cmack" alias)
-const WINNER_NAME_TO_FRANCHISE = {
-  ...OWNER_TO_FRANCHISE,
-  Cmack: "PWN",
-};
+const { resolveOwner, listFranchiseCodes, getOwner } = require("./identity");
 
+// Map Database tab owner names → franchise codes (from the identity registry)
+const OWNER_TO_FRANCHISE = {};
 const FRANCHISE_TO_OWNER = {};
-for (const [owner, code] of Object.entries(OWNER_TO_FRANCHISE)) {
-  FRANCHISE_TO_OWNER[code] = owner;
+for (const code of listFranchiseCodes()) {
+  OWNER_TO_FRANCHISE[getOwner(code)] = code;
+  FRANCHISE_TO_OWNER[code] = getOwner(code);
 }
 
+const SNAPSHOT_PATH = path.join(__dirname, "..", "data", "historical.json");
+
+// Where history comes from (HISTORICAL_SOURCE):
+//   unset    → local snapshot; network only if the snapshot file is missing
+//   offline  → local snapshot only, never touch the network
+//   network  → always fetch the live sheet
+const SOURCE_MODES = ["offline", "network"];
+
 // Caches — use promises to prevent duplicate fetches from Promise.all
 let _dbPromise = null;
 let _histPromise = null;
+let _snapshot;
+
+function getSourceMode() {
+  const mode = (process.env.HISTORICAL_SOURCE || "").toLowerCase();
+  if (mode && !SOURCE_MODES.includes(mode)) {
+    throw new Error(`HISTORICAL_SOURCE must be one of: ${SOURCE_MODES.join(", ")} (got "${mode}")`);
+  }
+  return mode || null;
+}
 
 /**
- * Parse CSV text into array of objects using header row.
+ * Split CSV text into rows of fields (RFC 4180): quoted fields may hold
+ * commas, newlines and doubled quotes (""); CRLF, LF and CR line endings
+ * and a leading BOM are accepted. Throws on an unterminated quote.
+ */
+function parseCSVRows(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let quoteLine = 0;
+  let line = 1;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field.trim() === "") {
+      field = "";
+      inQuotes = true;
+      quoteLine = line;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+      line++;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`CSV parse error: unterminated quoted field starting on line ${quoteLine}`);
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV text into { headers, rows } where rows are objects keyed
+ * by header. Blank lines are skipped.
  */
 function parseCSV(text) {
-  const lines = text.trim().split("\n");
-  if (lines.length < 2) return [];
+  const [headerRow, ...dataRows] = parseCSVRows(text);
+  if (!headerRow) return { headers: [], rows: [] };
 
-  const headers = lines[0].split(",").map(h => h.trim().replace(/^"|"$/g, ""));
+  const headers = headerRow.map(h => h.trim());
   const rows = [];
-
-  for (let i = 1; i < lines.length; i++) {
-    const values = lines[i].split(",").map(v => v.trim().replace(/^"|"$/g, ""));
-    if (values.length < 2) continue;
+  for (const values of dataRows) {
+    if (values.every(v => v.trim() === "")) continue;
     const row = {};
     headers.forEach((h, idx) => {
-      row[h] = values[idx] || "";
+      row[h] = (values[idx] || "").trim();
     });
     rows.push(row);
   }
 
+  return { headers, rows };
+}
+
+/**
+ * Throw a schema error naming every expected column the tab is missing.
+ */
+function requireColumns(tab, headers, expected) {
+  const present = new Set(headers);
+  const missing = expected.filter(h => !present.has(h));
+  if (missing.length > 0) {
+    throw new Error(`${tab} tab schema error: missing column(s) ${missing.join(", ")} (found: ${headers.join(", ") || "none"})`);
+  }
+}
+
+/**
+ * Download one tab of the sheet as CSV text. Throws on network and HTTP
+ * errors; parsing is left to the caller so a schema error isn't mistaken
+ * for a fetch failure.
+ */
+async function fetchSheetText(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`HTTP ${resp.status} fetching ${url}`);
+  return resp.text();
+}
+
+/**
+ * Convert the parsed Database tab into snapshot rows — the same shape
+ * export-history.gs produces:
+ * [{ season: "2026", period: 9, teams: { Jason: { FPts, "FP/G", GP, SR } } }]
+ * Throws a schema error if any owner's FPts / FP/G / GP column is missing.
+ */
+function databaseRowsFromCSV({ headers, rows: rawRows }) {
+  const owners = Object.keys(OWNER_TO_FRANCHISE);
+  requireColumns("Database", headers, [
+    "Season",
+    "Period",
+    ...owners.flatMap(o => [`${o}_FPts`, `${o}_FP/G`, `${o}_GP`]),
+  ]);
+
+  const rows = [];
+  for (const row of rawRows) {
+    const season = parseInt(row.Season);
+    const period = parseInt(row.Period);
+    if (isNaN(season) || isNaN(period)) continue;
+
+    const teams = {};
+    for (const owner of owners) {
+      teams[owner] = {
+        FPts: parseFloat(row[`${owner}_FPts`]) || 0,
+        "FP/G": parseFloat(row[`${owner}_FP/G`]) || 0,
+        GP: parseInt(row[`${owner}_GP`]) || 0,
+        SR: parseInt(row[`${owner}_SR`]) || 0,
+      };
+    }
+    rows.push({ season: String(season), period, teams });
+  }
   return rows;
 }
 
 /**
- * Fetch and parse the Database tab. Returns structured records:
- * [{ season, period, teams: { JGC: { fpts, fpg, gp, sr }, ... } }, ...]
+ * Convert the parsed Historical tab into snapshot rows. Owner names are
+ * kept as written on the sheet and resolved when loaded.
  */
-async function fetchHistoricalData() {
-  if (_dbPromise) return _dbPromise;
+function matchupRowsFromCSV({ headers, rows: rawRows }) {
+  requireColumns("Historical", headers, ["Season", "Period", "Winner", "Loser", "Winner_FPts", "Loser_FPts"]);
 
-  _dbPromise = (async () => {
-    const resp = await fetch(DATABASE_URL);
-    if (!resp.ok) {
-      console.error(`Failed to fetch historical data: ${resp.status}`);
-      _dbPromise = null;
-      return [];
+  const rows = [];
+  for (const row of rawRows) {
+    const season = parseInt(row.Season);
+    const period = parseInt(row.Period);
+    if (isNaN(season) || isNaN(period)) continue;
+
+    rows.push({
+      season,
+      period,
+      winner: (row.Winner || "").trim(),
+      loser: (row.Loser || "").trim(),
+      winnerFpts: parseFloat(row.Winner_FPts) || 0,
+      loserFpts: parseFloat(row.Loser_FPts) || 0,
+      winnerFpg: parseFloat(row["Winner_FP/G"]) || 0,
+      loserFpg: parseFloat(row["Loser_FP/G"]) || 0,
+    });
+  }
+  return rows;
+}
+
+/**
+ * Build structured records from snapshot Database rows:
+ * [{ season, period, teams: { JGC: { fpts, fpg, gp }, ... } }, ...]
+ */
+function toDatabaseRecords(rows) {
+  const records = [];
+  for (const row of rows) {
+    const season = parseInt(row.season);
+    const period = parseInt(row.period);
+    if (isNaN(season) || isNaN(period)) continue;
+
+    const teams = {};
+    for (const [owner, stats] of Object.entries(row.teams || {})) {
+      const franchise = resolveOwner(owner);
+      if (!franchise) continue;
+      const fpts = parseFloat(stats.FPts) || 0;
+      const fpg = parseFloat(stats["FP/G"]) || 0;
+      const gp = parseInt(stats.GP) || 0;
+
+      if (fpts > 0 || gp > 0) {
+        teams[franchise] = { fpts, fpg, gp };
+      }
+    }
+
+    if (Object.keys(teams).length > 0) {
+      records.push({ season, period, teams });
     }
+  }
+  return records;
+}
+
+/**
+ * Build structured records from snapshot matchup rows, resolving owner
+ * names (the Historical tab uses owner names plus aliases like "Cmack").
+ */
+function toMatchupRecords(rows) {
+  const records = [];
+  for (const row of rows) {
+    const winner = resolveOwner(row.winner);
+    const loser = resolveOwner(row.loser);
+    if (!winner || !loser) continue;
+    records.push({ ...row, winner, loser });
+  }
+  return records;
+}
 
-    const text = await resp.text();
-    const rawRows = parseCSV(text);
+/**
+ * Load the local snapshot (data/historical.json), or null if missing.
+ * Accepts the legacy export-history.gs array (Database rows only) and
+ * the refresh format: { fetchedAt, database: [...], matchups: [...] }.
+ */
+function loadSnapshot() {
+  if (_snapshot !== undefined) return _snapshot;
+  if (!fs.existsSync(SNAPSHOT_PATH)) {
+    _snapshot = null;
+    return null;
+  }
 
-    const records = [];
-    for (const row of rawRows) {
-      const season = parseInt(row.Season);
-      const period = parseInt(row.Period);
-      if (isNaN(season) || isNaN(period)) continue;
+  const raw = JSON.parse(fs.readFileSync(SNAPSHOT_PATH, "utf-8"));
+  _snapshot = Array.isArray(raw)
+    ? { fetchedAt: null, database: raw, matchups: null }
+    : { fetchedAt: raw.fetchedAt || null, database: raw.database || [], matchups: raw.matchups || null };
+  return _snapshot;
+}
 
-      const teams = {};
-      for (const [owner, franchise] of Object.entries(OWNER_TO_FRANCHISE)) {
-        const fpts = parseFloat(row[`${owner}_FPts`]) || 0;
-        const fpg = parseFloat(row[`${owner}_FP/G`]) || 0;
-        const gp = parseInt(row[`${owner}_GP`]) || 0;
+/**
+ * Decide where a tab ("database" | "matchups") comes from:
+ * "snapshot", "network", or "none" (offline with nothing local).
+ */
+function resolveSource(part) {
+  const mode = getSourceMode();
+  if (mode === "network") return "network";
+
+  const snapshot = loadSnapshot();
+  if (snapshot && snapshot[part] !== null) return "snapshot";
+  if (mode === "offline") {
+    console.warn(`⚠️ HISTORICAL_SOURCE=offline and the snapshot has no ${part} data — run: node src/historical.js refresh`);
+    return "none";
+  }
+  return "network";
+}
 
-        if (fpts > 0 || gp > 0) {
-          teams[franchise] = { fpts, fpg, gp };
-        }
-      }
+function snapshotLabel() {
+  const { fetchedAt } = loadSnapshot();
+  return fetchedAt ? `snapshot fetched ${fetchedAt}` : "snapshot";
+}
 
-      if (Object.keys(teams).length > 0) {
-        records.push({ season, period, teams });
-      }
+/**
+ * Load the Database tab. Returns structured records:
+ * [{ season, period, teams: { JGC: { fpts, fpg, gp }, ... } }, ...]
+ * An unreachable sheet gives [] (logged); a schema error throws.
+ */
+async function fetchHistoricalData() {
+  if (_dbPromise) return _dbPromise;
+
+  _dbPromise = (async () => {
+    const source = resolveSource("database");
+    if (source === "none") return [];
+    if (source === "snapshot") {
+      const records = toDatabaseRecords(loadSnapshot().database);
+      // Load notes go to stderr so `--json` output on stdout stays parseable
+      console.error(`📚 Loaded ${records.length} historical period records (${snapshotLabel()})`);
+      return records;
+    }
+
+    let text;
+    try {
+      text = await fetchSheetText(DATABASE_URL);
+    } catch (e) {
+      console.error(`Failed to load historical data: ${e.message}`);
+      _dbPromise = null;
+      return [];
     }
 
-    console.log(`📚 Loaded ${records.length} historical period records (${rawRows.length} rows)`);
+    const rows = databaseRowsFromCSV(parseCSV(text));
+    const records = toDatabaseRecords(rows);
+    console.error(`📚 Loaded ${records.length} historical period records (${rows.length} rows)`);
     return records;
   })();
 
@@ -112,48 +352,34 @@ async function fetchHistoricalData() {
 }
 
 /**
- * Fetch and parse the Historical tab (winner/loser per period matchup).
+ * Load the Historical tab (winner/loser per period matchup).
  * Returns: [{ season, period, winner, loser, winnerFpts, loserFpts, winnerFpg, loserFpg }, ...]
+ * An unreachable sheet gives [] (logged); a schema error throws.
  */
 async function fetchMatchupHistory() {
   if (_histPromise) return _histPromise;
 
   _histPromise = (async () => {
-    const resp = await fetch(HISTORICAL_URL);
-    if (!resp.ok) {
-      console.error(`Failed to fetch matchup history: ${resp.status}`);
-      _histPromise = null;
-      return [];
+    const source = resolveSource("matchups");
+    if (source === "none") return [];
+    if (source === "snapshot") {
+      const records = toMatchupRecords(loadSnapshot().matchups);
+      console.error(`📜 Loaded ${records.length} historical matchup records (${snapshotLabel()})`);
+      return records;
     }
 
-    const text = await resp.text();
-    const rawRows = parseCSV(text);
-
-    const records = [];
-    for (const row of rawRows) {
-      const season = parseInt(row.Season);
-      const period = parseInt(row.Period);
-      if (isNaN(season) || isNaN(period)) continue;
-
-      const winnerName = (row.Winner || "").trim();
-      const loserName = (row.Loser || "").trim();
-      const winner = WINNER_NAME_TO_FRANCHISE[winnerName];
-      const loser = WINNER_NAME_TO_FRANCHISE[loserName];
-      if (!winner || !loser) continue;
-
-      records.push({
-        season,
-        period,
-        winner,
-        loser,
-        winnerFpts: parseFloat(row.Winner_FPts) || 0,
-        loserFpts: parseFloat(row.Loser_FPts) || 0,
-        winnerFpg: parseFloat(row["Winner_FP/G"]) || 0,
-        loserFpg: parseFloat(row["Loser_FP/G"]) || 0,
-      });
+    let text;
+    try {
+      text = await fetchSheetText(HISTORICAL_URL);
+    } catch (e) {
+      console.error(`Failed to load matchup history: ${e.message}`);
+      _histPromise = null;
+      return [];
     }
 
-    console.log(`📜 Loaded ${records.length} historical matchup records`);
+    const rows = matchupRowsFromCSV(parseCSV(text));
+    const records = toMatchupRecords(rows);
+    console.error(`📜 Loaded ${records.length} historical matchup records`);
     return records;
   })();
 
@@ -484,9 +710,128 @@ async function getSeasonPace(franchise, currentPeriod, currentSeasonTotal) {
   };
 }
 
+// ============================================================
+// Snapshot refresh
+// ============================================================
+
+/**
+ * Diff two snapshots. Returns human-readable change lines.
+ */
+function diffSnapshots(prev, next) {
+  const changes = [];
+
+  const dbKey = r => `${r.season} P${r.period}`;
+  const prevDb = new Map((prev ? prev.database : []).map(r => [dbKey(r), r]));
+  const nextDb = new Map(next.database.map(r => [dbKey(r), r]));
+
+  for (const [key, row] of nextDb) {
+    const old = prevDb.get(key);
+    if (!old) {
+      changes.push(`+ Database ${key}`);
+      continue;
+    }
+    for (const [owner, stats] of Object.entries(row.teams)) {
+      const before = old.teams[owner] || {};
+      for (const field of ["FPts", "FP/G", "GP"]) {
+        if ((before[field] || 0) !== (stats[field] || 0)) {
+          changes.push(`~ Database ${key} ${owner} ${field}: ${before[field] || 0} → ${stats[field] || 0}`);
+        }
+      }
+    }
+  }
+  for (const key of prevDb.keys()) {
+    if (!nextDb.has(key)) changes.push(`- Database ${key}`);
+  }
+
+  const mKey = m => `${m.season} P${m.period} ${m.winner} over ${m.loser}`;
+  const prevMatchups = new Set((prev && prev.matchups ? prev.matchups : []).map(mKey));
+  const nextMatchups = new Set(next.matchups.map(mKey));
+  for (const key of nextMatchups) {
+    if (!prevMatchups.has(key)) changes.push(`+ Matchup ${key}`);
+  }
+  for (const key of prevMatchups) {
+    if (!nextMatchups.has(key)) changes.push(`- Matchup ${key}`);
+  }
+
+  return changes;
+}
+
+/**
+ * Re-download both tabs, diff against the current snapshot and save.
+ */
+async function refreshSnapshot({ dryRun = false } = {}) {
+  const prev = loadSnapshot();
+  const next = {
+    fetchedAt: new Date().toISOString(),
+    source: `https://docs.google.com/spreadsheets/d/${SHEET_ID}`,
+    database: databaseRowsFromCSV(parseCSV(await fetchSheetText(DATABASE_URL))),
+    matchups: matchupRowsFromCSV(parseCSV(await fetchSheetText(HISTORICAL_URL))),
+  };
+  if (next.database.length === 0) {
+    throw new Error("Database tab returned no rows — refusing to overwrite the snapshot");
+  }
+
+  const changes = diffSnapshots(prev, next);
+  if (!dryRun) {
+    fs.writeFileSync(SNAPSHOT_PATH, JSON.stringify(next, null, 2) + "\n");
+    _snapshot = undefined;
+    _dbPromise = null;
+    _histPromise = null;
+  }
+
+  return { prevFetchedAt: prev ? prev.fetchedAt : null, next, changes };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (command === "refresh") {
+    const dryRun = args.includes("--dry-run");
+    const { prevFetchedAt, next, changes } = await refreshSnapshot({ dryRun });
+    console.log(`[historical] Database: ${next.database.length} rows, Historical: ${next.matchups.length} matchups`);
+    console.log(`[historical] Previous snapshot: ${prevFetchedAt || "legacy export (no fetch date)"}`);
+    if (changes.length === 0) {
+      console.log("[historical] No changes");
+    } else {
+      console.log(`[historical] ${changes.length} change(s):`);
+      changes.forEach(c => console.log(`    ${c}`));
+    }
+    console.log(dryRun ? "[historical] Dry run — snapshot not written" : `[historical] Saved ${SNAPSHOT_PATH} (fetched ${next.fetchedAt})`);
+    return;
+  }
+
+  if (command === "status") {
+    const snapshot = loadSnapshot();
+    if (!snapshot) {
+      console.log(`[historical] No snapshot at ${SNAPSHOT_PATH}`);
+      return;
+    }
+    console.log(`[historical] Snapshot: ${snapshot.fetchedAt ? `fetched ${snapshot.fetchedAt}` : "legacy export (no fetch date)"}`);
+    console.log(`[historical] Database: ${snapshot.database.length} rows, Historical: ${snapshot.matchups ? `${snapshot.matchups.length} matchups` : "not in snapshot"}`);
+    console.log(`[historical] Source mode: ${getSourceMode() || "default (snapshot first)"}`);
+    return;
+  }
+
+  console.log("Usage:");
+  console.log("  node src/historical.js refresh [--dry-run]");
+  console.log("  node src/historical.js status");
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`[historical] ${err.message}`);
+    process.exit(1);
+  });
+}
+
 module.exports = {
   fetchHistoricalData,
   fetchMatchupHistory,
+  loadSnapshot,
+  parseCSV,
+  refreshSnapshot,
   getPeriodHistory,
   getLeaguePeriodRecord,
   getFranchisePeriodBest,
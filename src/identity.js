@@ -0,0 +1,275 @@
+// ============================================================
+// FRANCHISE IDENTITY REGISTRY
+// ============================================================
+// Single source of truth for "who is this?" — maps owners,
+// owner aliases, franchise codes and every team name ever used
+// (with effective date ranges) to a canonical franchise code.
+//
+// Registry lives in data/franchises.json. Every module resolves
+// names through here (config.toFranchise is a thin wrapper).
+//
+// Strict mode only accepts exact matches (team name effective on
+// the given date, owner, owner alias, or code) and throws on
+// anything else. Loose mode adds partial-name and keyword
+// fallbacks for scraped names with formatting noise.
+//
+// Usage:
+//   node src/identity.js resolve "Cmack's PWN" [YYYY-MM-DD]
+//   node src/identity.js validate
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+
+const REGISTRY_PATH = path.join(__dirname, "..", "data", "franchises.json");
+const REGISTRY_VERSION = 1;
+
+let _registry = null;
+
+/**
+ * Normalize a name for comparison: lowercase, straight apostrophes,
+ * collapsed whitespace.
+ */
+function normalizeName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[‘’`]/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Load the registry and build lookup indexes (cached).
+ */
+function loadRegistry() {
+  if (_registry) return _registry;
+
+  const raw = JSON.parse(fs.readFileSync(REGISTRY_PATH, "utf-8"));
+  const byCode = {};
+  const byOwner = {};   // normalized owner/alias → code
+  const byName = {};    // normalized team name → [{ code, from, to, name }]
+  const keywords = [];  // [{ keyword, code }]
+
+  for (const f of raw.franchises || []) {
+    byCode[f.code] = f;
+    for (const owner of [f.owner, ...(f.ownerAliases || [])]) {
+      byOwner[normalizeName(owner)] = f.code;
+    }
+    for (const n of f.names || []) {
+      const key = normalizeName(n.name);
+      if (!byName[key]) byName[key] = [];
+      byName[key].push({ code: f.code, from: n.from || null, to: n.to || null, name: n.name });
+    }
+    for (const kw of f.keywords || []) {
+      keywords.push({ keyword: normalizeName(kw), code: f.code });
+    }
+  }
+
+  _registry = { raw, byCode, byOwner, byName, keywords };
+  return _registry;
+}
+
+function isEffective(entry, date) {
+  if (!date) return true;
+  if (entry.from && date < entry.from) return false;
+  if (entry.to && date > entry.to) return false;
+  return true;
+}
+
+function uniqueCodes(entries) {
+  return [...new Set(entries.map(e => e.code))];
+}
+
+/**
+ * Resolve a team name, owner name, or code to a franchise code.
+ *
+ * @param {string} name - Raw name from Fantrax, the sheet, or a daily file
+ * @param {object} opts
+ * @param {string} opts.date - YYYY-MM-DD; restricts team names to those in effect
+ * @param {boolean} opts.strict - Throw instead of returning null, and skip
+ *   partial/keyword fallbacks
+ * @returns {string|null} Franchise code
+ */
+function resolveFranchise(name, { date = null, strict = false } = {}) {
+  const fail = (reason) => {
+    if (strict) throw new Error(`Unresolved franchise "${name}"${date ? ` on ${date}` : ""}: ${reason}`);
+    return null;
+  };
+
+  if (!name) return fail("empty name");
+
+  const reg = loadRegistry();
+  const normalized = normalizeName(name);
+
+  // 1. Franchise code
+  const upper = String(name).trim().toUpperCase();
+  if (reg.byCode[upper]) return upper;
+
+  // 2. Exact team name (effective on date when given)
+  const entries = reg.byName[normalized];
+  if (entries) {
+    const effective = entries.filter(e => isEffective(e, date));
+    const codes = uniqueCodes(effective);
+    if (codes.length === 1) return codes[0];
+    if (codes.length > 1) return fail(`ambiguous on that date (${codes.join(", ")})`);
+    if (strict) return fail(`team name not in use on that date`);
+    const anyCodes = uniqueCodes(entries);
+    if (anyCodes.length === 1) return anyCodes[0];
+  }
+
+  // 3. Owner name or owner alias
+  if (reg.byOwner[normalized]) return reg.byOwner[normalized];
+
+  if (strict) return fail("no exact team name, owner, or code match");
+
+  // ---- Loose fallbacks ----
+
+  // 4. Partial team name match — either direction
+  for (const [key, list] of Object.entries(reg.byName)) {
+    if (normalized.includes(key) || key.includes(normalized)) {
+      const effective = list.filter(e => isEffective(e, date));
+      const codes = uniqueCodes(effective.length > 0 ? effective : list);
+      if (codes.length === 1) return codes[0];
+    }
+  }
+
+  // 5. Keywords (for corrupted names)
+  for (const { keyword, code } of reg.keywords) {
+    if (normalized.includes(keyword)) return code;
+  }
+
+  // 6. Owner possessive prefix ("Brian's Anything")
+  const possessive = normalized.match(/^([a-z]+)'s?\b/);
+  if (possessive && reg.byOwner[possessive[1]]) return reg.byOwner[possessive[1]];
+
+  return null;
+}
+
+/**
+ * Resolve an owner name (or alias like "Cmack") to a franchise code.
+ */
+function resolveOwner(owner, { strict = false } = {}) {
+  const code = owner ? loadRegistry().byOwner[normalizeName(owner)] : null;
+  if (!code && strict) throw new Error(`Unresolved owner "${owner}"`);
+  return code || null;
+}
+
+/**
+ * Get the primary owner name for a franchise code.
+ */
+function getOwner(code) {
+  const f = loadRegistry().byCode[code];
+  return f ? f.owner : null;
+}
+
+/**
+ * List every franchise code in registry order.
+ */
+function listFranchiseCodes() {
+  return loadRegistry().raw.franchises.map(f => f.code);
+}
+
+/**
+ * Get the team names a franchise used, optionally only those in effect on a date.
+ * Returns [{ name, from, to }].
+ */
+function getTeamNames(code, { date = null } = {}) {
+  const f = loadRegistry().byCode[code];
+  if (!f) return [];
+  return (f.names || [])
+    .filter(n => isEffective({ from: n.from, to: n.to }, date))
+    .map(n => ({ name: n.name, from: n.from || null, to: n.to || null }));
+}
+
+/**
+ * Validate the registry. Returns an array of error strings. Checks:
+ *   - codes are unique three-letter codes
+ *   - owner names/aliases map to a single franchise
+ *   - the same team name is never claimed by two franchises at once
+ */
+function validateRegistry() {
+  const errors = [];
+  const raw = JSON.parse(fs.readFileSync(REGISTRY_PATH, "utf-8"));
+
+  if (raw.version !== REGISTRY_VERSION) {
+    errors.push(`unsupported registry version ${raw.version} (expected ${REGISTRY_VERSION})`);
+  }
+
+  const codes = new Set();
+  const owners = {};
+  const names = {};
+  for (const f of raw.franchises || []) {
+    if (!/^[A-Z]{3}$/.test(f.code || "")) errors.push(`franchise code "${f.code}" must be three uppercase letters`);
+    if (codes.has(f.code)) errors.push(`${f.code}: duplicate franchise code`);
+    codes.add(f.code);
+    if (!f.owner) errors.push(`${f.code}: missing owner`);
+
+    for (const o of [f.owner, ...(f.ownerAliases || [])].filter(Boolean)) {
+      const key = normalizeName(o);
+      if (owners[key] && owners[key] !== f.code) errors.push(`owner "${o}" maps to both ${owners[key]} and ${f.code}`);
+      owners[key] = f.code;
+    }
+
+    for (const n of f.names || []) {
+      if (n.from && n.to && n.from > n.to) errors.push(`${f.code}: "${n.name}" has from ${n.from} after to ${n.to}`);
+      const key = normalizeName(n.name);
+      for (const other of names[key] || []) {
+        if (other.code === f.code) continue;
+        const overlaps = (!n.to || !other.from || other.from <= n.to) && (!other.to || !n.from || n.from <= other.to);
+        if (overlaps) errors.push(`"${n.name}" is claimed by both ${other.code} and ${f.code} over overlapping dates`);
+      }
+      if (!names[key]) names[key] = [];
+      names[key].push({ code: f.code, from: n.from, to: n.to });
+    }
+  }
+
+  return errors;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (command === "resolve" && args[1]) {
+    const date = args[2] || null;
+    let strictResult;
+    try {
+      strictResult = resolveFranchise(args[1], { date, strict: true });
+    } catch (e) {
+      strictResult = `— (${e.message})`;
+    }
+    console.log(`strict: ${strictResult}`);
+    console.log(`loose:  ${resolveFranchise(args[1], { date }) || "—"}`);
+    return;
+  }
+
+  if (command === "validate") {
+    const errors = validateRegistry();
+    if (errors.length === 0) {
+      console.log(`[identity] Registry OK (${listFranchiseCodes().length} franchises)`);
+      return;
+    }
+    console.log(`[identity] ${errors.length} error(s)`);
+    errors.forEach(e => console.log(`    - ${e}`));
+    process.exit(1);
+  }
+
+  console.log("Usage:");
+  console.log("  node src/identity.js resolve <name> [YYYY-MM-DD]");
+  console.log("  node src/identity.js validate");
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  normalizeName,
+  resolveFranchise,
+  resolveOwner,
+  getOwner,
+  getTeamNames,
+  listFranchiseCodes,
+  validateRegistry,
+};
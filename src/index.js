@@ -2,11 +2,13 @@
 // SPARKY LIVE — MAIN ORCHESTRATOR v2
 // ============================================================
 // Nightly pipeline:
-//   Scrape → Save daily JSON → Analyze → Scoreboard → Commentary → Slack
+//   Scrape → Save daily JSON (+ Elo ratings) → Analyze → Scoreboard → Commentary → Slack
+//   → Narrative log
 //
 // Usage:
 //   node src/index.js                  # Full nightly run
 //   node src/index.js --dry-run        # Scrape + analyze + scoreboard, skip Slack
+//   node src/index.js --explain        # Also print/save why each narrative was picked
 //
 // Required env vars:
 //   FANTRAX_USERNAME, FANTRAX_PASSWORD
@@ -19,18 +21,28 @@
 // Optional:
 //   HEADLESS=false     Debug with visible browser
 //   TARGET_DATE        Override date (YYYY-MM-DD) for scraping
+//   HISTORY_SEASONS    Prior seasons loaded for narrative context:
+//                      a number or "all" (default 0: this season only)
+//   SCRAPE_PLAYERS=true  Also capture player lines (players.js)
 // ============================================================
 
 const { scrapeLiveScoring } = require("./scrape");
-const { buildNightlyAnalysis, saveDailyScore } = require("./analyze");
+const { buildNightlyAnalysis, saveDailyScore, parsePriorSeasons } = require("./analyze");
+const { savePlayerLines } = require("./players");
+const { formatExplainReport, saveExplainReport } = require("./narratives/explain");
+const { recordNight } = require("./narratives/log");
+const { updateRatings } = require("./elo");
 const { generateCardStrips, generateScoreboard } = require("./scoreboard");
 const { generateCommentary } = require("./commentary");
 const { postUpdate, postCardStrips } = require("./slack");
-const { getCurrentPeriod, getPeriodForDate, buildDateScoringUrl, buildPeriodScoringUrl, toFranchise, FRANCHISE_NAMES } = require("./config");
+const { rankLabel } = require("./ranking");
+const { getCurrentPeriod, getPeriodForDate, buildDateScoringUrl, buildPeriodScoringUrl, toFranchise, FRANCHISE_NAMES,
+        validateCurrentSeason } = require("./config");
 const path = require("path");
 
 async function main() {
   const dryRun = process.argv.includes("--dry-run");
+  const explain = process.argv.includes("--explain");
 
   const config = {
     username: process.env.FANTRAX_USERNAME,
@@ -41,6 +53,7 @@ async function main() {
     channelId: process.env.SLACK_CHANNEL_ID,
     headless: process.env.HEADLESS !== "false",
     targetDate: process.env.TARGET_DATE || null,
+    priorSeasons: parsePriorSeasons(process.env.HISTORY_SEASONS),
   };
 
   if (!config.username || !config.password) {
@@ -48,6 +61,14 @@ async function main() {
     process.exit(1);
   }
 
+  // Reject a broken season file before scraping anything
+  try {
+    validateCurrentSeason();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
   // Auto-detect date and period.
   // The cron targets ~10:30 PM PT but GitHub Actions can delay 30+ min,
   // sometimes pushing past midnight. If running between midnight and 6 AM PT,
@@ -109,16 +130,19 @@ async function main() {
     // Step 2: Save daily JSON
     console.log("\n━━━ STEP 2: SAVING DAILY SCORE ━━━");
     const dailyData = saveDailyScore(scrapeData, today);
+    if (scrapeData.players) savePlayerLines(scrapeData, today, dailyData);
+    console.log(`  Elo ratings: ${updateRatings()}`);
 
     // Step 3: Build analysis from full history
     console.log("\n━━━ STEP 3: ANALYZING ━━━");
-    const analysis = await buildNightlyAnalysis(dailyData);
+    const analysis = await buildNightlyAnalysis(dailyData, { priorSeasons: config.priorSeasons, explain });
 
     console.log(`  Season days loaded: ${analysis.totalSeasonDays}`);
+    console.log(`  History seasons: ${analysis.historySeasons.join(", ")}`);
     console.log(`  Period ${period} days: ${analysis.periodDaysPlayed}`);
     console.log("\n  Day rankings:");
     analysis.teams.forEach(t => {
-      console.log(`    ${t.dayRank}. ${t.franchise}: ${t.dayPts} day | ${t.seasonPts} season | 3d=${t.avg3d} 7d=${t.avg7d}`);
+      console.log(`    ${rankLabel(t.dayRank, t.dayTied)}. ${t.franchise}: ${t.dayPts} day | ${t.seasonPts} season | 3d=${t.avg3d} 7d=${t.avg7d}`);
     });
 
     // Check if any games were played today
@@ -138,6 +162,12 @@ async function main() {
       console.log(`  ⚠️ Card generation failed (${err.message}) — continuing without images.`);
     }
 
+    if (explain) {
+      console.log("\n━━━ NARRATIVE EXPLAIN ━━━");
+      console.log(formatExplainReport(analysis.explain));
+      console.log(`\n  Saved: ${saveExplainReport(analysis.explain, cardsDir)}`);
+    }
+
     if (dryRun) {
       console.log("\n━━━ DRY RUN — Skipping commentary and Slack ━━━");
       if (cardPaths.length > 0) {
@@ -183,6 +213,9 @@ async function main() {
       });
     }
 
+    // Step 7: Log what the cards said (narrative fatigue + season recaps)
+    console.log(`  Narrative log: ${recordNight(analysis)}`);
+
     console.log("\n✅ Nightly pipeline complete!");
 
   } catch (error) {
@@ -0,0 +1,396 @@
+// ============================================================
+// INTRADAY — live snapshots during game windows, with change events
+// ============================================================
+// The nightly pipeline (index.js) scrapes once, after the games. This
+// scrapes the live scoring page every INTRADAY_INTERVAL minutes while
+// games are on and saves each result as a timestamped snapshot:
+//
+//   data/snapshots/snapshot_<period>_<scrapedAt>.json
+//   { scrapedAt, date, period, teams: [{ rank, name, seasonPts, dayPts, projectedFpg, gp }] }
+//
+// (older snapshots have no `date`; it's taken from scrapedAt in ET).
+// A scrape identical to the previous snapshot isn't saved. Each new
+// snapshot is diffed against the previous one for the same night:
+//
+//   lead-change  a different franchise leads the day outright
+//   swing        a franchise's day score moved SWING_UP_PTS up or SWING_DOWN_PTS down
+//   pass         a franchise moved ahead of another in the period standings
+//
+// Those are "update" events. They're printed, and with --post (and
+// ANTHROPIC_API_KEY + Slack set) they drive an "update" commentary
+// post (text-only, via SLACK_WEBHOOK_URL): the snapshot is analyzed
+// like a night in progress and the events lead the prompt.
+//
+// The game window is INTRADAY_WINDOW in ET hours, "19-1" by default
+// (7pm–1am, crossing midnight). A game night runs until 6am ET, so
+// scrapes after midnight count toward the previous date.
+//
+// Usage:
+//   node src/intraday.js                      # loop until the window closes
+//   node src/intraday.js --once               # one scrape if in the window (cron)
+//   node src/intraday.js --once --post        # ... and post an update on events
+//   node src/intraday.js diff 2026-02-14      # replay a night's stored snapshots
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const { getPeriodForDate, toFranchise, CURRENT_SEASON } = require("./config");
+const { getDays } = require("./store");
+const { rankTeams, rankTotals, rankLabel } = require("./ranking");
+
+const SNAPSHOTS_DIR = path.join(__dirname, "..", "data", "snapshots");
+
+const DEFAULT_WINDOW = "19-1";   // ET hours, end exclusive
+const DEFAULT_INTERVAL = 15;     // minutes
+const NIGHT_ROLLOVER_HOUR = 6;   // ET: before this, it's still last night
+
+const SWING_UP_PTS = 5;
+const SWING_DOWN_PTS = 3;
+
+// Scores come off the page with one decimal
+const EPSILON = 0.05;
+
+/**
+ * The game window in ET hours: { start, end } from INTRADAY_WINDOW
+ * ("19-1"). Throws on a malformed value.
+ */
+function getGameWindow() {
+  const value = process.env.INTRADAY_WINDOW || DEFAULT_WINDOW;
+  const m = value.match(/^(\d{1,2})-(\d{1,2})$/);
+  const start = m ? parseInt(m[1], 10) : NaN;
+  const end = m ? parseInt(m[2], 10) : NaN;
+  if (!(start >= 0 && start < 24 && end >= 0 && end < 24) || start === end) {
+    throw new Error(`INTRADAY_WINDOW must be "<start>-<end>" in ET hours, e.g. "19-1" (got "${value}")`);
+  }
+  return { start, end };
+}
+
+/**
+ * Minutes between scrapes (INTRADAY_INTERVAL). Throws if not a positive number.
+ */
+function getInterval() {
+  const value = process.env.INTRADAY_INTERVAL || String(DEFAULT_INTERVAL);
+  const minutes = Number(value);
+  if (!(minutes > 0)) throw new Error(`INTRADAY_INTERVAL must be a positive number of minutes (got "${value}")`);
+  return minutes;
+}
+
+function etParts(when) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: "America/New_York", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", hourCycle: "h23",
+  }).formatToParts(when).forEach(p => { parts[p.type] = p.value; });
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: parseInt(parts.hour, 10) };
+}
+
+function inGameWindow(when, { start, end } = getGameWindow()) {
+  const { hour } = etParts(when);
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * The game night a moment belongs to (YYYY-MM-DD, ET; before 6am is
+ * still the previous night).
+ */
+function gameDateFor(when) {
+  const { date, hour } = etParts(when);
+  if (hour >= NIGHT_ROLLOVER_HOUR) return date;
+  const d = new Date(date + "T12:00:00Z");
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().split("T")[0];
+}
+
+function snapshotFile(snapshot) {
+  return `snapshot_${snapshot.period}_${snapshot.scrapedAt.replace(/[:.]/g, "-")}.json`;
+}
+
+/**
+ * A scrape as a snapshot: scrapedAt, game date, period, team lines.
+ */
+function buildSnapshot(scrapeData, date) {
+  return {
+    scrapedAt: scrapeData.scrapedAt,
+    date,
+    period: scrapeData.period,
+    teams: scrapeData.teams.map(t => ({
+      rank: t.rank,
+      name: t.name,
+      seasonPts: t.seasonPts,
+      dayPts: t.dayPts,
+      projectedFpg: t.projectedFpg,
+      gp: t.gp,
+    })),
+  };
+}
+
+function saveSnapshot(snapshot) {
+  fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+  const file = snapshotFile(snapshot);
+  fs.writeFileSync(path.join(SNAPSHOTS_DIR, file), JSON.stringify(snapshot, null, 2));
+  console.log(`[intraday] Snapshot saved: ${file}`);
+  return file;
+}
+
+/**
+ * Stored snapshots for one game night, oldest first.
+ */
+function loadSnapshots(date) {
+  if (!fs.existsSync(SNAPSHOTS_DIR)) return [];
+  return fs.readdirSync(SNAPSHOTS_DIR)
+    .filter(f => /^snapshot_.*\.json$/.test(f))
+    .map(f => JSON.parse(fs.readFileSync(path.join(SNAPSHOTS_DIR, f), "utf-8")))
+    .filter(s => (s.date || gameDateFor(new Date(s.scrapedAt))) === date)
+    .sort((a, b) => a.scrapedAt.localeCompare(b.scrapedAt));
+}
+
+function byFranchise(snapshot) {
+  const out = {};
+  for (const t of snapshot.teams) out[toFranchise(t.name, snapshot.date) || t.name] = t;
+  return out;
+}
+
+function sameScores(a, b) {
+  const x = byFranchise(a);
+  const y = byFranchise(b);
+  return Object.keys(x).length === Object.keys(y).length &&
+    Object.keys(x).every(f => y[f] && Math.abs((x[f].dayPts || 0) - (y[f].dayPts || 0)) < EPSILON && (x[f].gp || 0) === (y[f].gp || 0));
+}
+
+/**
+ * Period points per franchise from the daily files before `date`.
+ */
+function periodBase(date, period) {
+  const base = {};
+  for (const day of getDays({ season: CURRENT_SEASON })) {
+    if (day.period !== period || day.date >= date) continue;
+    for (const t of day.teams) base[t.franchise] = (base[t.franchise] || 0) + (t.dayPts || 0);
+  }
+  return base;
+}
+
+/**
+ * Events between two snapshots of the same night.
+ *
+ * @param {Object} prev - previous snapshot
+ * @param {Object} curr - new snapshot
+ * @param {Object} [base] - period points before tonight ({ F: pts }), for "pass" events
+ * @returns {Array} [{ type, franchise, other?, delta?, text }]
+ */
+function diffSnapshots(prev, curr, base = {}) {
+  const before = byFranchise(prev);
+  const after = byFranchise(curr);
+  const codes = Object.keys(after).filter(f => before[f]);
+  const events = [];
+  const fmt = x => +x.toFixed(1);
+
+  // Outright day leader changed
+  const leaders = (lines) => {
+    const ranked = rankTeams(codes.map(f => ({ franchise: f, ...lines[f] })));
+    const top = ranked.filter(r => r.rank === 1);
+    return top.length === 1 && top[0].item.dayPts > 0 ? top[0].item : null;
+  };
+  const was = leaders(before);
+  const now = leaders(after);
+  if (now && (!was || was.franchise !== now.franchise)) {
+    const second = rankTeams(codes.map(f => ({ franchise: f, ...after[f] })))[1];
+    const margin = second ? ` by ${fmt(now.dayPts - second.item.dayPts)}` : "";
+    events.push({
+      type: "lead-change",
+      franchise: now.franchise,
+      other: was ? was.franchise : null,
+      text: was
+        ? `${now.franchise} takes the day lead from ${was.franchise} (${fmt(now.dayPts)} pts, up${margin})`
+        : `${now.franchise} leads the day outright (${fmt(now.dayPts)} pts, up${margin})`,
+    });
+  }
+
+  // Big moves in a day score
+  for (const f of codes) {
+    const delta = fmt((after[f].dayPts || 0) - (before[f].dayPts || 0));
+    if (delta >= SWING_UP_PTS) {
+      events.push({ type: "swing", franchise: f, delta, text: `${f} +${delta} since the last update (now ${fmt(after[f].dayPts)})` });
+    } else if (delta <= -SWING_DOWN_PTS) {
+      events.push({ type: "swing", franchise: f, delta, text: `${f} ${delta} since the last update (now ${fmt(after[f].dayPts)})` });
+    }
+  }
+
+  // Passes in the period standings (period so far + tonight)
+  const totals = (lines) => {
+    const t = {};
+    for (const f of codes) t[f] = { pts: (base[f] || 0) + (lines[f].dayPts || 0) };
+    return t;
+  };
+  const standBefore = totals(before);
+  const standAfter = totals(after);
+  const rankAfter = Object.fromEntries(rankTotals(standAfter).map(r => [r.franchise, r]));
+  for (const a of codes) {
+    // Only a team that scored passes anyone — not one left ahead by a correction to b
+    if (standAfter[a].pts <= standBefore[a].pts + EPSILON) continue;
+    for (const b of codes) {
+      if (a === b) continue;
+      const behind = standBefore[a].pts < standBefore[b].pts - EPSILON;
+      const ahead = standAfter[a].pts > standAfter[b].pts + EPSILON;
+      if (behind && ahead) {
+        events.push({
+          type: "pass",
+          franchise: a,
+          other: b,
+          text: `${a} passes ${b} in the P${curr.period} standings (${fmt(standAfter[a].pts)} vs ${fmt(standAfter[b].pts)}, now ${rankLabel(rankAfter[a].rank, rankAfter[a].tied)})`,
+        });
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Analyze a snapshot as a night in progress and post "update"
+ * commentary led by the events.
+ */
+async function postUpdateCommentary(scrapeData, date, events) {
+  // Loaded here: only posting needs the analysis, Claude and Slack
+  const { buildNightlyAnalysis, dailyFromScrape } = require("./analyze");
+  const { generateCommentary } = require("./commentary");
+  const { postUpdate } = require("./slack");
+
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  const webhookUrl = process.env.SLACK_WEBHOOK_URL;
+  if (!apiKey) throw new Error("ANTHROPIC_API_KEY is required for --post");
+  // Updates are text-only (no scoreboard image), so they go out by webhook
+  if (!webhookUrl) throw new Error("SLACK_WEBHOOK_URL is required for --post");
+
+  // Not saved as a daily file yet: live adds it to the days as tonight
+  const analysis = await buildNightlyAnalysis(dailyFromScrape(scrapeData, date), { live: true });
+  analysis.events = events;
+  const commentary = await generateCommentary(analysis, apiKey, "update");
+  await postUpdate({ webhookUrl, commentary });
+  console.log("[intraday] Update posted to Slack");
+}
+
+/**
+ * One intraday pass: scrape, save the snapshot if anything changed,
+ * diff it against the night's previous snapshot and hand the events
+ * to onUpdate(events, snapshot). Returns the events.
+ */
+async function runOnce({ username, password, headless = true, now = new Date(), onUpdate = null }) {
+  // Loaded here: replaying stored snapshots (diff) needs no browser
+  const { scrapeLiveScoring } = require("./scrape");
+
+  const date = gameDateFor(now);
+  const period = getPeriodForDate(date);
+  if (!period) {
+    console.log(`[intraday] ${date} is not within any scoring period — nothing to scrape`);
+    return [];
+  }
+
+  const scrapeData = await scrapeLiveScoring({ username, password, period, date, headless, players: false, periodGP: false });
+  const snapshot = buildSnapshot(scrapeData, date);
+  const previous = loadSnapshots(date).pop() || null;
+
+  if (previous && sameScores(previous, snapshot)) {
+    console.log(`[intraday] No change since ${previous.scrapedAt} — snapshot not saved`);
+    return [];
+  }
+  saveSnapshot(snapshot);
+
+  const events = previous ? diffSnapshots(previous, snapshot, periodBase(date, period)) : [];
+  if (events.length === 0) console.log(`[intraday] ${previous ? "No notable changes" : "First snapshot of the night"}`);
+  events.forEach(e => console.log(`[intraday] ${e.type}: ${e.text}`));
+  if (onUpdate && events.length > 0) await onUpdate(events, snapshot, scrapeData);
+  return events;
+}
+
+/**
+ * The game window if it's open now; otherwise logs and returns null.
+ */
+function openGameWindow() {
+  const gameWindow = getGameWindow();
+  if (inGameWindow(new Date(), gameWindow)) return gameWindow;
+  console.log(`[intraday] Outside the game window (${gameWindow.start}:00–${gameWindow.end}:00 ET) — nothing to do`);
+  return null;
+}
+
+/**
+ * Scrape every `interval` minutes until the game window closes.
+ * A failed pass is logged and the loop carries on.
+ */
+async function runLoop(options) {
+  const interval = getInterval();
+  const gameWindow = openGameWindow();
+  if (!gameWindow) return;
+
+  console.log(`[intraday] Scraping every ${interval} min until ${gameWindow.end}:00 ET`);
+  while (inGameWindow(new Date(), gameWindow)) {
+    try {
+      await runOnce(options);
+    } catch (err) {
+      console.error(`[intraday] Pass failed: ${err.message}`);
+    }
+    await new Promise(r => setTimeout(r, interval * 60000));
+  }
+  console.log("[intraday] Game window closed");
+}
+
+function cmdDiff(date) {
+  const snapshots = loadSnapshots(date);
+  if (snapshots.length === 0) {
+    console.error(`[intraday] No snapshots for ${date}`);
+    process.exit(1);
+  }
+  console.log(`[intraday] ${date}: ${snapshots.length} snapshot(s)`);
+  const base = snapshots[0].period ? periodBase(date, snapshots[0].period) : {};
+  for (let i = 1; i < snapshots.length; i++) {
+    const events = diffSnapshots(snapshots[i - 1], snapshots[i], base);
+    console.log(`  ${snapshots[i].scrapedAt}  ${events.length === 0 ? "—" : events.map(e => e.text).join("; ")}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args[0] === "diff") {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(args[1] || "")) {
+      console.log("Usage: node src/intraday.js diff <YYYY-MM-DD>");
+      process.exit(1);
+    }
+    return cmdDiff(args[1]);
+  }
+
+  const username = process.env.FANTRAX_USERNAME;
+  const password = process.env.FANTRAX_PASSWORD;
+  if (!username || !password) throw new Error("Set FANTRAX_USERNAME and FANTRAX_PASSWORD environment variables.");
+
+  const post = args.includes("--post");
+  const options = {
+    username,
+    password,
+    headless: process.env.HEADLESS !== "false",
+    onUpdate: post ? (events, snapshot, scrapeData) => postUpdateCommentary(scrapeData, snapshot.date, events) : null,
+  };
+
+  if (args.includes("--once")) {
+    // Cron covers both EST and EDT, so some runs fall outside the window
+    if (openGameWindow()) await runOnce(options);
+  } else {
+    await runLoop(options);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`[intraday] ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  getGameWindow,
+  inGameWindow,
+  gameDateFor,
+  buildSnapshot,
+  saveSnapshot,
+  loadSnapshots,
+  diffSnapshots,
+  runOnce,
+  runLoop,
+};
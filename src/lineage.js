@@ -0,0 +1,175 @@
+// ============================================================
+// FRANCHISE LINEAGE + ARCHIVE NORMALIZATION
+// ============================================================
+// The archived daily files (data/daily-2013-14 … data/daily-2024-25)
+// were scraped with raw Fantrax team names ("Jason's Bang Gang",
+// "Chris' Crew") and period: null. This module maps them onto
+// canonical franchise codes using the identity registry, and
+// fills in period numbers from each season's calendar.
+//
+// Two ways to use it:
+//   - normalizeDay() overlays codes/periods at read time
+//   - `normalize` rewrites the archive files in place (the raw
+//     team name is kept in `name`, so the rewrite is lossless)
+//
+// Usage:
+//   node src/lineage.js show                    # owner → team names per season
+//   node src/lineage.js normalize               # rewrite every season
+//   node src/lineage.js normalize 2016-17       # one season
+//   node src/lineage.js normalize --dry-run     # report only
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const { listSeasons, loadSeason, getSeasonDailyDir } = require("./seasons");
+const { resolveFranchise, listFranchiseCodes, getOwner } = require("./identity");
+
+/**
+ * Build the lineage table from the season rosters and the team names
+ * actually recorded in each season's daily files.
+ * Returns: [{ code, owner, seasons: { "2013-14": ["Jason's Bang Gang"], ... } }]
+ */
+function buildLineage() {
+  const table = {};
+  for (const code of listFranchiseCodes()) {
+    table[code] = { code, owner: getOwner(code), seasons: {} };
+  }
+
+  for (const key of listSeasons()) {
+    const dir = getSeasonDailyDir(key);
+    if (!fs.existsSync(dir)) continue;
+
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json"))) {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+      } catch (e) {
+        continue;
+      }
+      for (const t of data.teams || []) {
+        const code = resolveFranchise(t.name || t.franchise, { date: data.date });
+        if (!code || !table[code]) continue;
+        const names = table[code].seasons[key] || (table[code].seasons[key] = []);
+        if (!names.includes(t.name)) names.push(t.name);
+      }
+    }
+  }
+
+  return Object.values(table);
+}
+
+/**
+ * Period number for a date within a given season's calendar, or null.
+ */
+function periodFor(season, dateStr) {
+  const match = season.periods.find(p => dateStr >= p.start && dateStr <= p.end);
+  return match ? match.period : null;
+}
+
+/**
+ * Normalize one daily file's contents: canonical franchise codes and
+ * computed period number. Does not mutate the input.
+ * Returns: { data, changed, unresolved: [name, ...] }
+ */
+function normalizeDay(data, seasonKey) {
+  const season = loadSeason(seasonKey);
+  const unresolved = [];
+
+  const teams = (data.teams || []).map(t => {
+    const raw = t.name || t.franchise;
+    let code = null;
+    try {
+      code = resolveFranchise(raw, { date: data.date, strict: true });
+    } catch (e) {
+      unresolved.push(raw);
+    }
+    return { ...t, franchise: code || t.franchise, name: raw };
+  });
+
+  const period = data.period || periodFor(season, data.date);
+  const normalized = { ...data, period, teams };
+  const changed = JSON.stringify(normalized) !== JSON.stringify(data);
+
+  return { data: normalized, changed, unresolved };
+}
+
+/**
+ * Rewrite a season's daily files with canonical codes and periods.
+ * Files with any unresolved team name are left untouched.
+ */
+function normalizeSeason(seasonKey, { dryRun = false } = {}) {
+  const dir = getSeasonDailyDir(seasonKey);
+  const result = { season: seasonKey, files: 0, rewritten: 0, withPeriod: 0, unresolved: {} };
+  if (!fs.existsSync(dir)) return result;
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+    const filepath = path.join(dir, file);
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filepath, "utf-8"));
+    } catch (e) {
+      continue;
+    }
+    result.files++;
+
+    const { data: normalized, changed, unresolved } = normalizeDay(data, seasonKey);
+    if (normalized.period) result.withPeriod++;
+    if (unresolved.length > 0) {
+      for (const name of unresolved) {
+        if (!result.unresolved[name]) result.unresolved[name] = file;
+      }
+      continue;
+    }
+    if (!changed) continue;
+
+    result.rewritten++;
+    if (!dryRun) fs.writeFileSync(filepath, JSON.stringify(normalized, null, 2));
+  }
+
+  return result;
+}
+
+function cmdShow() {
+  for (const entry of buildLineage()) {
+    console.log(`\n${entry.code} — ${entry.owner}`);
+    for (const [season, names] of Object.entries(entry.seasons)) {
+      console.log(`  ${season}  ${names.join(" / ")}`);
+    }
+  }
+}
+
+function cmdNormalize(seasonKey, dryRun) {
+  const keys = seasonKey ? [seasonKey] : listSeasons();
+  let unresolvedCount = 0;
+
+  for (const key of keys) {
+    const r = normalizeSeason(key, { dryRun });
+    console.log(`[lineage] ${key}: ${r.files} files, ${r.rewritten} ${dryRun ? "would be rewritten" : "rewritten"}, ${r.withPeriod} with period`);
+    for (const [name, file] of Object.entries(r.unresolved)) {
+      unresolvedCount++;
+      console.log(`    ✗ unresolved "${name}" (first in ${file}) — add it to data/franchises.json`);
+    }
+  }
+
+  if (unresolvedCount > 0) process.exit(1);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const seasonKey = args.slice(1).find(a => !a.startsWith("--")) || null;
+
+  if (command === "show") return cmdShow();
+  if (command === "normalize") return cmdNormalize(seasonKey, args.includes("--dry-run"));
+
+  console.log("Usage:");
+  console.log("  node src/lineage.js show");
+  console.log("  node src/lineage.js normalize [season] [--dry-run]");
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildLineage, normalizeDay, normalizeSeason };
@@ -0,0 +1,189 @@
+// ============================================================
+// OPTIMAL LINEUP — points left on the bench, per night and period
+// ============================================================
+// From a night's player lines (players.js), the best lineup a manager
+// could have set in hindsight: every rostered player who scored,
+// active or bench, placed into the league's active roster slots
+// (season file "lineup", slot eligibility in seasons.js LINEUP_SLOTS).
+//
+//   optimal     points the best legal lineup would have scored
+//   actual      points the active players scored
+//   gap         optimal − actual ("points left on the bench", ≥ 0)
+//   efficiency  actual / optimal (1 when nobody scored)
+//
+// Players are taken in descending points and kept whenever a slot
+// assignment still exists for everyone kept so far (bipartite
+// matching). Slot eligibility is a transversal matroid, so this greedy
+// order gives the true optimum, multi-position players included.
+// Players without a parsed position can't be placed and are left out
+// of the optimum (counted in `unplaced`).
+//
+// Nights, period and season totals only cover nights with player
+// lines, so `nights` says how much each total is based on.
+//
+// Not wired into the nightly analysis, narratives or commentary yet:
+// no season file has a "lineup" block until the league's roster
+// settings are confirmed, and the player lines it reads haven't been
+// checked against a recorded night. Until then it's this CLI only.
+//
+// Usage:
+//   node src/lineup.js                        # latest night with player lines
+//   node src/lineup.js 2026-01-15             # one night, period + season to date
+// ============================================================
+
+const { CURRENT_SEASON, getLineupSlots, getPeriodForDate } = require("./config");
+const { LINEUP_SLOTS } = require("./seasons");
+const { loadPlayerLines, listPlayerDates, summarizeTeam } = require("./players");
+
+// Player position shorthands that cover several lineup positions
+const POSITION_GROUPS = { F: ["C", "LW", "RW"], W: ["LW", "RW"] };
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+function positionsOf(line) {
+  if (!line.pos) return [];
+  return line.pos.toUpperCase().split(",").flatMap(p => POSITION_GROUPS[p] || [p]);
+}
+
+/**
+ * The best lineup for one team's player lines.
+ *
+ * @param {Array} lines - player lines (players.js)
+ * @param {Object} slots - { C: 3, D: 4, ... } (config.getLineupSlots)
+ * @returns {Object} { optimal, actual, gap, efficiency, lineup: [{ slot, name, fpts, slotWas }],
+ *                     missed: [bench lines in the optimal lineup], unplaced }
+ */
+function optimalLineup(lines, slots) {
+  const seats = Object.entries(slots).flatMap(([slot, n]) => Array(n).fill(slot));
+  const canFill = (line, slot) => positionsOf(line).some(p => LINEUP_SLOTS[slot].includes(p));
+  const owner = new Array(seats.length).fill(-1);
+
+  const candidates = lines.filter(l => l.fpts > 0).sort((a, b) => b.fpts - a.fpts);
+  const kept = [];
+
+  // Kuhn's augmenting path: seat player i, moving others along if needed
+  const tryPlace = (i, visited) => {
+    for (let s = 0; s < seats.length; s++) {
+      if (visited[s] || !canFill(kept[i], seats[s])) continue;
+      visited[s] = true;
+      if (owner[s] < 0 || tryPlace(owner[s], visited)) {
+        owner[s] = i;
+        return true;
+      }
+    }
+    return false;
+  };
+
+  let unplaced = 0;
+  for (const line of candidates) {
+    if (positionsOf(line).length === 0) {
+      unplaced++;
+      continue;
+    }
+    // A failed search leaves every seat as it was
+    kept.push(line);
+    if (!tryPlace(kept.length - 1, new Array(seats.length).fill(false))) kept.pop();
+  }
+
+  const lineup = seats
+    .map((slot, s) => owner[s] >= 0 ? { slot, name: kept[owner[s]].name, fpts: kept[owner[s]].fpts, slotWas: kept[owner[s]].slot } : null)
+    .filter(Boolean);
+  const optimal = round1(lineup.reduce((sum, l) => sum + l.fpts, 0));
+  const actual = summarizeTeam(lines).activePts;
+  const gap = round1(Math.max(0, optimal - actual));
+
+  return {
+    optimal,
+    actual,
+    gap,
+    efficiency: optimal > 0 ? Math.min(1, +(actual / optimal).toFixed(3)) : 1,
+    lineup,
+    missed: lineup.filter(l => l.slotWas === "bench"),
+    unplaced,
+  };
+}
+
+function addTo(totals, f, night) {
+  const row = totals[f] || (totals[f] = { nights: 0, actual: 0, optimal: 0, gap: 0 });
+  row.nights++;
+  row.actual = round1(row.actual + night.actual);
+  row.optimal = round1(row.optimal + night.optimal);
+  row.gap = round1(row.gap + night.gap);
+  row.efficiency = row.optimal > 0 ? Math.min(1, +(row.actual / row.optimal).toFixed(3)) : 1;
+}
+
+/**
+ * Optimal-lineup gaps for every night with player lines up to `asOf`,
+ * plus period and season totals per franchise.
+ * Returns: { slots, nights: { date: { F: night } }, periods: { P: { F: totals } },
+ *   season: { F: totals } } — null when the season has no lineup slots
+ */
+function lineupReport({ seasonKey = CURRENT_SEASON, asOf = null } = {}) {
+  const slots = getLineupSlots(seasonKey);
+  if (!slots) return null;
+
+  const nights = {};
+  const periods = {};
+  const season = {};
+  for (const date of listPlayerDates(seasonKey).filter(d => !asOf || d <= asOf)) {
+    const data = loadPlayerLines(date, seasonKey);
+    const period = data.period ?? getPeriodForDate(date, seasonKey);
+    nights[date] = {};
+    for (const [f, lines] of Object.entries(data.teams)) {
+      const night = optimalLineup(lines, slots);
+      nights[date][f] = night;
+      if (period != null) addTo(periods[period] || (periods[period] = {}), f, night);
+      addTo(season, f, night);
+    }
+  }
+  return { slots, nights, periods, season };
+}
+
+function printTotals(label, totals) {
+  const rows = Object.entries(totals || {}).sort((a, b) => b[1].efficiency - a[1].efficiency);
+  if (rows.length === 0) return;
+  console.log(`\n${label} — most efficient first`);
+  console.log(`  ${"".padEnd(4)} ${"nights".padStart(6)} ${"actual".padStart(7)} ${"optimal".padStart(7)} ${"gap".padStart(6)} ${"eff.".padStart(6)}`);
+  for (const [f, r] of rows) {
+    console.log(`  ${f.padEnd(4)} ${String(r.nights).padStart(6)} ${r.actual.toFixed(1).padStart(7)} ${r.optimal.toFixed(1).padStart(7)} ${r.gap.toFixed(1).padStart(6)} ${`${(r.efficiency * 100).toFixed(0)}%`.padStart(6)}`);
+  }
+}
+
+function main() {
+  const arg = process.argv[2];
+  if (arg && !/^\d{4}-\d{2}-\d{2}$/.test(arg)) {
+    console.log("Usage:");
+    console.log("  node src/lineup.js [YYYY-MM-DD]");
+    process.exit(1);
+  }
+
+  const date = arg || listPlayerDates().pop();
+  const report = date ? lineupReport({ asOf: date }) : null;
+  if (!getLineupSlots()) {
+    console.error(`[lineup] No "lineup" slots in data/seasons/${CURRENT_SEASON}.json`);
+    process.exit(1);
+  }
+  if (!report || !report.nights[date]) {
+    console.error(`[lineup] No player lines${date ? ` for ${date}` : ` stored for ${CURRENT_SEASON}`}`);
+    process.exit(1);
+  }
+
+  const slotText = Object.entries(report.slots).map(([s, n]) => `${n} ${s}`).join(", ");
+  console.log(`[lineup] ${date} — slots: ${slotText}`);
+  for (const [f, n] of Object.entries(report.nights[date])) {
+    const missed = n.missed.map(l => `${l.name} ${l.fpts}`).join(", ");
+    console.log(`  ${f.padEnd(4)} ${n.actual.toFixed(1).padStart(6)} of ${n.optimal.toFixed(1).padStart(5)}  gap ${n.gap.toFixed(1).padStart(4)}${missed ? `  benched: ${missed}` : ""}${n.unplaced ? `  (${n.unplaced} without a position)` : ""}`);
+  }
+
+  const period = getPeriodForDate(date);
+  if (period != null) printTotals(`P${period} to date`, report.periods[period]);
+  printTotals(`${CURRENT_SEASON} to date`, report.season);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { optimalLineup, lineupReport };
@@ -0,0 +1,238 @@
+// ============================================================
+// LUCK INDEX — actual vs projected points
+// ============================================================
+// Every daily file carries Fantrax's projPts next to dayPts. The
+// residual (dayPts − projPts) summed over a window says how far a
+// franchise is running above or below its projections; dividing by
+// the league's spread turns that into a z-score:
+//
+//   z = (Σ residual − n × μ) / (σ × √n)
+//
+// where μ and σ are the mean and standard deviation of a single
+// franchise-night's residual across every night with real projections.
+// |z| ≥ 2 over ten nights is rarely skill alone.
+//
+// Real projections only exist for nights scraped live (2025-26 on).
+// Archived seasons were backfilled after the fact, when Fantrax's
+// projection column already shows the actual points — every archived
+// projPts equals dayPts. Nights where that holds for every team are
+// skipped, not read as "exactly on projection". So is any single
+// projection the daily validator flags as implausible (MAX_PROJ_PER_GP).
+//
+// Usage:
+//   node src/luck.js table                    # season luck table, current season
+//   node src/luck.js table 2025-26 --period 9 # one period
+//   node src/luck.js runs                     # luckiest/unluckiest 10-night runs
+//   node src/luck.js runs 14 --top 10
+// ============================================================
+
+const { CURRENT_SEASON } = require("./config");
+const { getDays } = require("./store");
+const { MAX_PROJ_PER_GP } = require("./daily-schema");
+
+const LUCK_WINDOW = 10;   // nights in a "recent run"
+const LUCK_MIN_Z = 2;     // |z| needed before a run is called luck
+
+/**
+ * True if a day carries real projections (not backfilled copies of dayPts).
+ */
+function hasProjections(day) {
+  const projected = day.teams.filter(t => t.projPts != null);
+  return projected.length > 0 && projected.some(t => Math.abs(t.projPts - (t.dayPts || 0)) >= 0.01);
+}
+
+/**
+ * A team line whose projection can be trusted.
+ */
+function usableProjection(t) {
+  return t.projPts != null && t.projPts <= MAX_PROJ_PER_GP * Math.max(1, t.gp || 0);
+}
+
+/**
+ * Days with real projections, in order.
+ */
+function projectionDays(days) {
+  return days.filter(hasProjections);
+}
+
+let _leagueStats = null;
+
+/**
+ * Mean and standard deviation of one franchise-night's residual over
+ * every stored night with real projections: { mean, sd, n }.
+ */
+function leagueResidualStats() {
+  if (_leagueStats) return _leagueStats;
+  const residuals = [];
+  for (const day of projectionDays(getDays({ requirePeriod: true }))) {
+    for (const t of day.teams) {
+      if (usableProjection(t)) residuals.push((t.dayPts || 0) - t.projPts);
+    }
+  }
+  const n = residuals.length;
+  const mean = n > 0 ? residuals.reduce((s, r) => s + r, 0) / n : 0;
+  const variance = n > 1 ? residuals.reduce((s, r) => s + (r - mean) ** 2, 0) / (n - 1) : 0;
+  _leagueStats = { mean, sd: Math.sqrt(variance), n };
+  return _leagueStats;
+}
+
+/**
+ * Luck for one franchise over a set of days (projection days only).
+ * Returns: { nights, actual, projected, diff, pct, z } or null if
+ * the franchise has no projected nights in them.
+ */
+function computeLuck(days, franchise, stats = leagueResidualStats()) {
+  let nights = 0, actual = 0, projected = 0;
+  for (const day of projectionDays(days)) {
+    const t = day.teams.find(t => t.franchise === franchise);
+    if (!t || !usableProjection(t)) continue;
+    nights++;
+    actual += t.dayPts || 0;
+    projected += t.projPts;
+  }
+  if (nights === 0) return null;
+
+  const diff = actual - projected;
+  const z = stats.sd > 0 ? (diff - nights * stats.mean) / (stats.sd * Math.sqrt(nights)) : 0;
+  return {
+    nights,
+    actual: +actual.toFixed(1),
+    projected: +projected.toFixed(1),
+    diff: +diff.toFixed(1),
+    pct: projected > 0 ? +((diff / projected) * 100).toFixed(1) : 0,
+    z: +z.toFixed(2),
+  };
+}
+
+/**
+ * A franchise's last n projected nights of the season (the latest
+ * day's season), as luck.
+ */
+function rollingLuck(days, franchise, n = LUCK_WINDOW) {
+  const proj = projectionDays(days);
+  if (proj.length === 0) return null;
+  const season = proj[proj.length - 1].season;
+  return computeLuck(proj.filter(d => d.season === season).slice(-n), franchise);
+}
+
+/**
+ * Luck per franchise over a season (optionally one period), luckiest first.
+ * Returns: [{ franchise, nights, actual, projected, diff, pct, z }]
+ */
+function luckTable(seasonKey = CURRENT_SEASON, { period = null } = {}) {
+  const days = getDays({ season: seasonKey, requirePeriod: true }).filter(d => period == null || d.period === period);
+  const franchises = [...new Set(days.flatMap(d => d.teams.map(t => t.franchise)))];
+  return franchises
+    .map(f => ({ franchise: f, ...computeLuck(days, f) }))
+    .filter(row => row.nights > 0)
+    .sort((a, b) => b.z - a.z);
+}
+
+/**
+ * Every franchise's n-night runs within a season, ranked by z. Runs of
+ * the same franchise never overlap in the result.
+ * Returns: { luckiest: [run], unluckiest: [run] },
+ *   run = { franchise, season, start, end, nights, diff, pct, z }
+ */
+function rankLuckRuns(days, { window = LUCK_WINDOW, top = 5 } = {}) {
+  const proj = projectionDays(days);
+  const stats = leagueResidualStats();
+  const runs = [];
+
+  const seasons = [...new Set(proj.map(d => d.season))];
+  for (const season of seasons) {
+    const seasonDays = proj.filter(d => d.season === season);
+    const franchises = [...new Set(seasonDays.flatMap(d => d.teams.map(t => t.franchise)))];
+    for (let i = 0; i + window <= seasonDays.length; i++) {
+      const slice = seasonDays.slice(i, i + window);
+      for (const f of franchises) {
+        const luck = computeLuck(slice, f, stats);
+        if (!luck || luck.nights < window) continue;
+        runs.push({ franchise: f, season, start: slice[0].date, end: slice[slice.length - 1].date, ...luck });
+      }
+    }
+  }
+
+  const pick = (sorted) => {
+    const picked = [];
+    for (const run of sorted) {
+      if (picked.length >= top) break;
+      const overlaps = picked.some(p => p.franchise === run.franchise && p.season === run.season && run.start <= p.end && run.end >= p.start);
+      if (!overlaps) picked.push(run);
+    }
+    return picked;
+  };
+
+  return {
+    luckiest: pick([...runs].sort((a, b) => b.z - a.z)),
+    unluckiest: pick([...runs].sort((a, b) => a.z - b.z)),
+  };
+}
+
+function signed(x, digits = 1) {
+  return `${x >= 0 ? "+" : ""}${x.toFixed(digits)}`;
+}
+
+function cmdTable(seasonKey, period) {
+  const rows = luckTable(seasonKey, { period });
+  if (rows.length === 0) {
+    console.log(`[luck] No nights with real projections in ${seasonKey}${period ? ` P${period}` : ""}`);
+    return;
+  }
+  const stats = leagueResidualStats();
+  console.log(`[luck] ${seasonKey}${period ? ` P${period}` : ""} — actual vs projected (league σ ${stats.sd.toFixed(2)} pts/night over ${stats.n} franchise-nights)\n`);
+  console.log(`  ${"".padEnd(4)} ${"nights".padStart(6)} ${"actual".padStart(8)} ${"proj".padStart(8)} ${"diff".padStart(7)} ${"pct".padStart(7)} ${"z".padStart(6)}`);
+  for (const r of rows) {
+    console.log(`  ${r.franchise.padEnd(4)} ${String(r.nights).padStart(6)} ${r.actual.toFixed(1).padStart(8)} ${r.projected.toFixed(1).padStart(8)} ${signed(r.diff).padStart(7)} ${(signed(r.pct) + "%").padStart(7)} ${signed(r.z, 2).padStart(6)}`);
+  }
+}
+
+function cmdRuns(window, top) {
+  const { luckiest, unluckiest } = rankLuckRuns(getDays({ requirePeriod: true }), { window, top });
+  const print = (label, runs) => {
+    console.log(`\n${label} ${window}-night runs:`);
+    for (const r of runs) {
+      console.log(`  ${r.franchise.padEnd(4)} ${r.start} → ${r.end}  ${(signed(r.pct) + "%").padStart(7)}  z ${signed(r.z, 2)}`);
+    }
+  };
+  print("Luckiest", luckiest);
+  print("Unluckiest", unluckiest);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const flag = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const positional = args.slice(1).filter((a, i, rest) => !a.startsWith("--") && !(i > 0 && rest[i - 1].startsWith("--")));
+
+  if (command === "table") {
+    return cmdTable(positional[0] || CURRENT_SEASON, flag("--period") ? parseInt(flag("--period"), 10) : null);
+  }
+  if (command === "runs") {
+    return cmdRuns(positional[0] ? parseInt(positional[0], 10) : LUCK_WINDOW, flag("--top") ? parseInt(flag("--top"), 10) : 5);
+  }
+
+  console.log("Usage:");
+  console.log("  node src/luck.js table [season] [--period N]");
+  console.log("  node src/luck.js runs [nights] [--top N]");
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  LUCK_WINDOW,
+  LUCK_MIN_Z,
+  hasProjections,
+  projectionDays,
+  leagueResidualStats,
+  computeLuck,
+  rollingLuck,
+  luckTable,
+  rankLuckRuns,
+};
@@ -0,0 +1,74 @@
+// ============================================================
+// NARRATIVE EXPLAIN REPORT
+// ============================================================
+// Shows why each card got the narrative it did: every candidate
+// the rules produced, its score and category, and what
+// assignNarratives did with it:
+//
+//   picked     shown on the card
+//   blocked    its globalCat went to another franchise
+//   duplicate  its category was already picked
+//   outranked  a higher-scoring candidate was picked
+//
+// Scores are after fatigue; a candidate fatigue moved shows its base
+// score and the adjustment.
+//
+// Built from analysis.explain (buildNightlyAnalysis with
+// { explain: true }); used by `index.js --explain` and
+// `test-post.js --explain`.
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+
+const TEXT_WIDTH = 52;
+
+function clip(text, width) {
+  return text.length > width ? text.slice(0, width - 1) + "…" : text;
+}
+
+/**
+ * Readable text table, one block per franchise.
+ */
+function formatExplainReport(report) {
+  const lines = [`Narrative explain — ${report.date} (P${report.period})`];
+
+  for (const [franchise, entry] of Object.entries(report.franchises)) {
+    lines.push("");
+    for (const s of entry.shown) {
+      const note = s.truncatedFrom ? `  (truncated from ${s.truncatedFrom.length} chars)` : "";
+      lines.push(`${franchise} — shown: "${s.text}" [${s.source}]${note}`);
+    }
+    if (entry.shown.length === 0) lines.push(`${franchise} — nothing shown`);
+
+    if (entry.candidates.length === 0) {
+      lines.push("  (no rule produced a candidate)");
+    } else {
+      lines.push(`  ${"score".padStart(5)}  ${"rule".padEnd(24)} ${"cat".padEnd(24)} ${"status".padEnd(10)} text`);
+      for (const c of entry.candidates) {
+        const cat = c.globalCat ? `${c.cat} / ${c.globalCat}` : (c.cat || "");
+        const fatigue = c.fatigue ? `  (fatigue: ${c.fatigue.baseScore}${c.fatigue.penalty ? ` −${Math.round(c.fatigue.penalty * 100)}%` : ""}${c.fatigue.boost ? ` +${c.fatigue.boost}` : ""})` : "";
+        const reason = c.reason ? `  ← ${c.reason}` : "";
+        lines.push(`  ${String(c.score).padStart(5)}  ${(c.rule || "?").padEnd(24)} ${cat.padEnd(24)} ${c.status.padEnd(10)} ${clip(c.text, TEXT_WIDTH)}${reason}${fatigue}`);
+      }
+    }
+
+    for (const fb of entry.fallbacks) {
+      lines.push(`  ${"—".padStart(5)}  ${"fallback".padEnd(24)} ${"".padEnd(24)} ${(fb.used ? "picked" : "unused").padEnd(10)} ${clip(fb.text, TEXT_WIDTH)}`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Save the report as JSON next to the cards. Returns the file path.
+ */
+function saveExplainReport(report, outputDir) {
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+  const filepath = path.join(outputDir, `explain-${report.date}.json`);
+  fs.writeFileSync(filepath, JSON.stringify(report, null, 2));
+  return filepath;
+}
+
+module.exports = { formatExplainReport, saveExplainReport };
@@ -0,0 +1,103 @@
+// ============================================================
+// FALLBACK LENSES — plain context lines for a franchise whose
+// scored rules all came up empty. Unscored; listed in priority
+// order and taken first-come by assignNarratives.
+// ============================================================
+
+const { toFranchise, FRANCHISE_NAMES } = require("../config");
+const { computePeriodRankAtDay, computeAllPeriodTotals } = require("./helpers");
+const { rankTeams } = require("../ranking");
+
+function buildFallbacks(ctx) {
+  const { franchise, period, todayDayPts, todayGP, ppg, todayScrapeTeams, allDays, periodDays } = ctx;
+  const fallbacks = [];
+
+  // Lens 1: Today vs other teams — day rank context
+  if (todayScrapeTeams && todayScrapeTeams.length > 0 && todayDayPts > 0) {
+    const todayRanked = rankTeams(todayScrapeTeams);
+    const todaySorted = todayRanked.map(e => e.item);
+    const mine = todayRanked.find(e => (toFranchise(e.item.franchise) || toFranchise(e.item.name) || e.item.franchise) === franchise);
+    const myRankToday = mine ? mine.rank : 0;
+    const leader = todaySorted[0];
+    const leaderFranchise = toFranchise(leader.franchise) || toFranchise(leader.name) || leader.franchise;
+
+    if (myRankToday === 1 && todaySorted.length > 1) {
+      const margin = todayDayPts - (todaySorted[1]?.dayPts || 0);
+      if (margin > 0) fallbacks.push(`Won the day by ${Math.round(margin)} pts`);
+      else if (mine.tied) fallbacks.push(`Shared the day's top score (${Math.round(todayDayPts)} pts)`);
+    } else if (leader && leaderFranchise !== franchise) {
+      const gap = (leader.dayPts || 0) - todayDayPts;
+      const leaderName = FRANCHISE_NAMES[leaderFranchise] || leaderFranchise;
+      if (gap > 0) fallbacks.push(`${Math.round(gap)} pts behind today's leader (${leaderName})`);
+    }
+  }
+
+  // Lens 2: Today's PPG vs own history
+  if (todayGP > 0 && ppg && ppg > 0) {
+    const todayPPG = todayDayPts / todayGP;
+    const pctVsSeason = Math.round(((todayPPG - ppg) / ppg) * 100);
+    if (pctVsSeason >= 25) {
+      fallbacks.push(`${todayPPG.toFixed(2)} PPG today — ${pctVsSeason}% above season avg`);
+    } else if (pctVsSeason <= -25) {
+      fallbacks.push(`${todayPPG.toFixed(2)} PPG today — ${Math.abs(pctVsSeason)}% below season avg`);
+    }
+  }
+
+  // Lens 3: This period vs other teams — period standing
+  if (periodDays.length >= 2) {
+    const currentPeriodRank = computePeriodRankAtDay(periodDays, franchise);
+    if (currentPeriodRank) {
+      const periodTotals = {};
+      for (const day of periodDays) {
+        for (const t of day.teams) {
+          periodTotals[t.franchise] = (periodTotals[t.franchise] || 0) + (t.dayPts || 0);
+        }
+      }
+      const myPeriodPts = periodTotals[franchise] || 0;
+      const periodSorted = Object.entries(periodTotals).sort((a, b) => b[1] - a[1]);
+      if (currentPeriodRank <= 2 && periodSorted.length > 1) {
+        const secondPts = periodSorted[1]?.[1] || 0;
+        const lead = myPeriodPts - secondPts;
+        if (currentPeriodRank === 1 && lead > 0) {
+          fallbacks.push(`Leading P${period} by ${Math.round(lead)} pts`);
+        } else {
+          fallbacks.push(`#${currentPeriodRank} in P${period} (${Math.round(myPeriodPts)} pts)`);
+        }
+      } else if (currentPeriodRank >= periodSorted.length - 1) {
+        fallbacks.push(`#${currentPeriodRank} in P${period} (${Math.round(myPeriodPts)} pts)`);
+      }
+    }
+  }
+
+  // Lens 4: This period vs own other periods — PPG comparison
+  const ownPeriodTotals = computeAllPeriodTotals(allDays, franchise);
+  if (ownPeriodTotals.length >= 2 && periodDays.length >= 3) {
+    let myPeriodPts = 0;
+    for (const day of periodDays) {
+      const t = day.teams.find(t => t.franchise === franchise);
+      if (t) myPeriodPts += t.dayPts || 0;
+    }
+    const myPeriodPPG = myPeriodPts / periodDays.length;
+    const prevPPGs = ownPeriodTotals
+      .filter(p => p.period !== period)
+      .map(p => {
+        const days = allDays.filter(d => d.period === p.period).length;
+        return days > 0 ? p.total / days : 0;
+      })
+      .filter(x => x > 0);
+
+    if (prevPPGs.length > 0) {
+      const avgPrevPPG = prevPPGs.reduce((s, x) => s + x, 0) / prevPPGs.length;
+      const pctDiff = avgPrevPPG > 0 ? Math.round(((myPeriodPPG - avgPrevPPG) / avgPrevPPG) * 100) : 0;
+      if (pctDiff >= 15) {
+        fallbacks.push(`P${period} pace ${pctDiff}% above career avg`);
+      } else if (pctDiff <= -15) {
+        fallbacks.push(`P${period} pace ${Math.abs(pctDiff)}% below career avg`);
+      }
+    }
+  }
+
+  return fallbacks;
+}
+
+module.exports = { buildFallbacks };
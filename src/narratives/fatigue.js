@@ -0,0 +1,46 @@
+// ============================================================
+// NARRATIVE FATIGUE — don't say the same thing every night
+// ============================================================
+// Adjusts a franchise's candidate scores against what its card
+// showed on recent nights (log.js). Night 1 is the last logged night:
+//
+//   same text shown       lose repeatPenalty   × decay^(night - 1)
+//   same category shown   lose categoryPenalty × decay^(night - 1)
+//
+// Penalties add up across nights (a line shown all week sinks
+// further than one shown once), capped at maxPenalty. A category the
+// card hasn't shown anywhere in the lookback gains freshBoost points.
+// Settings: the "fatigue" section of data/narratives.json.
+//
+// Text matches compare full candidate text (the log's `text`), so a
+// line cut to fit the card still counts as a repeat.
+// ============================================================
+
+/**
+ * Fatigue-adjusted copies of one franchise's candidates. Each gets
+ * `fatigue: { baseScore, penalty, boost }` when its score moved.
+ * recentNights: log nights, most recent first.
+ */
+function applyFatigue(candidates, franchise, recentNights, settings) {
+  if (recentNights.length === 0) return candidates;
+
+  const shownByNight = recentNights.map(n => n.franchises[franchise] || []);
+  const recentCats = new Set(shownByNight.flat().map(s => s.cat).filter(Boolean));
+
+  return candidates.map(c => {
+    let penalty = 0;
+    shownByNight.forEach((shown, i) => {
+      const decay = Math.pow(settings.decay, i);
+      if (shown.some(s => s.text === c.text)) penalty += settings.repeatPenalty * decay;
+      else if (c.cat && shown.some(s => s.cat === c.cat)) penalty += settings.categoryPenalty * decay;
+    });
+    penalty = Math.min(settings.maxPenalty, penalty);
+    const boost = c.cat && !recentCats.has(c.cat) ? settings.freshBoost : 0;
+
+    const score = Math.round(c.score * (1 - penalty)) + boost;
+    if (score === c.score) return c;
+    return { ...c, score, fatigue: { baseScore: c.score, penalty: +penalty.toFixed(2), boost } };
+  });
+}
+
+module.exports = { applyFatigue };
@@ -0,0 +1,170 @@
+// ============================================================
+// NARRATIVE HELPERS — day-list math shared by the rules
+// ============================================================
+// Everything here takes plain day lists ({ date, season, period,
+// teams }) as loaded by analyze.js, oldest first.
+// ============================================================
+
+const { rankTeams, rankTotals } = require("../ranking");
+
+// Rolling windows (game days) scanned by the hot and cold window rules
+const HOT_WINDOWS = [10, 14, 30, 60];
+
+/**
+ * The last n entries of a chronological day list. Stops at the season
+ * boundary (the start of the last entry's season) unless crossSeasons.
+ * Works on any list whose entries carry `season`.
+ */
+function trailingDays(days, n, { crossSeasons = false } = {}) {
+  const window = days.slice(-n);
+  if (crossSeasons || window.length === 0) return window;
+  const season = window[window.length - 1].season;
+  return window.slice(window.findIndex(d => d.season === season));
+}
+
+/**
+ * A franchise's runs of consecutive days matching rankTest, oldest
+ * first. Runs never cross a season boundary.
+ * Returns: [{ season, length, endDate }]
+ */
+function findRankRuns(rankedDays, rankTest) {
+  const runs = [];
+  let run = null;
+  for (const d of rankedDays) {
+    if (run && d.season !== run.season) run = null;
+    if (!rankTest(d.rank)) {
+      run = null;
+      continue;
+    }
+    if (!run) {
+      run = { season: d.season, length: 0, endDate: d.date };
+      runs.push(run);
+    }
+    run.length++;
+    run.endDate = d.date;
+  }
+  return runs;
+}
+
+/**
+ * Rank each day for one franchise (ranking.js tie policy):
+ * [{ date, season, period, rank, tied, last, dayPts, numTeams }].
+ * A day the franchise isn't in ranks below everyone (numTeams + 1),
+ * never tied or last.
+ */
+function rankDaysFor(days, franchise) {
+  return days.map(day => {
+    const ranked = rankTeams(day.teams);
+    const mine = ranked.find(e => e.item.franchise === franchise);
+    return {
+      date: day.date,
+      season: day.season,
+      period: day.period,
+      rank: mine ? mine.rank : ranked.length + 1,
+      tied: mine ? mine.tied : false,
+      last: mine ? mine.last : false,
+      dayPts: mine?.item.dayPts || 0,
+      numTeams: ranked.length,
+    };
+  });
+}
+
+/**
+ * Length of the run of days, counting back from the latest, matching rankTest.
+ */
+function currentRun(rankedDays, rankTest) {
+  let n = 0;
+  for (let i = rankedDays.length - 1; i >= 0; i--) {
+    if (rankTest(rankedDays[i].rank)) n++;
+    else break;
+  }
+  return n;
+}
+
+/**
+ * Compute cumulative period standings as of today vs yesterday.
+ */
+function computePeriodStandings(periodDays, franchise) {
+  if (periodDays.length < 2) return null;
+
+  const currentRank = computePeriodRankAtDay(periodDays, franchise);
+  const previousRank = computePeriodRankAtDay(periodDays.slice(0, -1), franchise);
+  if (currentRank == null || previousRank == null) return null;
+
+  return { currentRank, previousRank };
+}
+
+/**
+ * Compute a team's rank in cumulative period standings up to a given set of days.
+ */
+function computePeriodRankAtDay(days, franchise) {
+  const totals = {};
+  for (const day of days) {
+    for (const t of day.teams) {
+      if (!totals[t.franchise]) totals[t.franchise] = { pts: 0, gp: 0 };
+      totals[t.franchise].pts += t.dayPts || 0;
+      totals[t.franchise].gp += t.gp || 0;
+    }
+  }
+  const mine = rankTotals(totals).find(e => e.franchise === franchise);
+  return mine ? mine.rank : null;
+}
+
+/**
+ * Compute total points for each completed period for a franchise.
+ * Returns array of { period, total }.
+ */
+function computeAllPeriodTotals(allDays, franchise) {
+  const periodMap = {};
+  for (const day of allDays) {
+    if (!day.period) continue;
+    if (!periodMap[day.period]) periodMap[day.period] = 0;
+    const t = day.teams.find(t => t.franchise === franchise);
+    if (t) periodMap[day.period] += t.dayPts || 0;
+  }
+
+  // Only include periods that appear complete (7+ days)
+  const periodDayCounts = {};
+  for (const day of allDays) {
+    if (!day.period) continue;
+    periodDayCounts[day.period] = (periodDayCounts[day.period] || 0) + 1;
+  }
+
+  return Object.entries(periodMap)
+    .filter(([p]) => periodDayCounts[p] >= 7)
+    .map(([p, total]) => ({ period: +p, total }));
+}
+
+/**
+ * Points per franchise over a set of days: [[franchise, pts], ...] best first.
+ */
+function rankWindowTotals(days) {
+  const totals = {};
+  for (const day of days) {
+    for (const t of day.teams) {
+      totals[t.franchise] = (totals[t.franchise] || 0) + (t.dayPts || 0);
+    }
+  }
+  return Object.entries(totals).sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * "M/D" label for a YYYY-MM-DD date.
+ */
+function shortDate(dateStr) {
+  const parts = dateStr.split("-");
+  return `${parseInt(parts[1])}/${parseInt(parts[2])}`;
+}
+
+module.exports = {
+  HOT_WINDOWS,
+  trailingDays,
+  findRankRuns,
+  rankDaysFor,
+  currentRun,
+  computePeriodStandings,
+  computePeriodRankAtDay,
+  computeAllPeriodTotals,
+  rankWindowTotals,
+  shortDate,
+};
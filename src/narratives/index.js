@@ -0,0 +1,298 @@
+// ============================================================
+// NARRATIVE RULE REGISTRY
+// ============================================================
+// Each card narrative is a rule module in src/narratives/rules/:
+//
+//   module.exports = {
+//     id: "win-streak",          // key in data/narratives.json
+//     cat: "streak",             // one pick per category per franchise
+//     globalCat: "seasonpace",   // optional: only the top scorer league-wide keeps it
+//     inputs: ["projection"],    // context fields that must be non-null for it to run
+//     evaluate(ctx) { ... },     // → { score, text, isBad? }, an array of them, or null
+//   };                           //   (may be async)
+//
+// buildNarratives() builds the shared context once per franchise and
+// runs every enabled rule in RULES order. Scores are multiplied by the
+// rule's weight from data/narratives.json; set NARRATIVES_CONFIG to
+// point at another file (e.g. to A/B a re-weighting). A rule that
+// throws is logged and skipped — the others still run.
+//
+// Adding a narrative: write the rule module, add it to RULES and give
+// it an entry in data/narratives.json.
+//
+// The same file's "fatigue" section tunes how hard assignNarratives
+// discounts what a card already said on recent nights (fatigue.js).
+//
+// Usage:
+//   node src/narratives list                      # rules, inputs, enabled, weight
+//   node src/narratives run drought               # one rule, every franchise, latest day
+//   node src/narratives run drought 2026-01-15    # ... as of a date this season
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const { PERIODS } = require("../config");
+const { rankDaysFor, currentRun } = require("./helpers");
+const { buildFallbacks } = require("./fallbacks");
+
+const CONFIG_PATH = path.join(__dirname, "..", "..", "data", "narratives.json");
+
+// Evaluation order — ties in score keep this order through assignNarratives
+const RULES = [
+  require("./rules/win-streak"),
+  require("./rules/podium-streak"),
+  require("./rules/bottom-streak"),
+  require("./rules/best-day"),
+  require("./rules/period-rank-change"),
+  require("./rules/day-vs-period-ppg"),
+  require("./rules/season-rank"),
+  require("./rules/trending"),
+  require("./rules/consistency"),
+  require("./rules/period-pace"),
+  require("./rules/period-momentum"),
+  require("./rules/drought"),
+  require("./rules/personal-best-period"),
+  require("./rules/streak-vs-history"),
+  require("./rules/career-milestone"),
+  require("./rules/season-pace"),
+  require("./rules/period-dominance"),
+  require("./rules/period-never-won"),
+  require("./rules/period-win-streak"),
+  require("./rules/period-win-drought"),
+  require("./rules/hot-window"),
+  require("./rules/cold-window"),
+  require("./rules/league-period-record"),
+  require("./rules/franchise-period-record"),
+  require("./rules/rating-swing"),
+  require("./rules/upset-win"),
+  require("./rules/luck-run"),
+  require("./rules/gp-volume"),
+  require("./rules/volatility"),
+  require("./rules/rivalry"),
+  require("./rules/carried"),
+  require("./rules/bench-points"),
+];
+
+const FATIGUE_DEFAULTS = {
+  lookbackNights: 7,    // logged nights looked back over; 0 turns fatigue off
+  repeatPenalty: 0.5,   // share of score lost for repeating last night's exact text
+  categoryPenalty: 0.2, // ... for repeating last night's category with new text
+  decay: 0.6,           // each night further back counts this much less
+  maxPenalty: 0.9,      // cap on the combined penalty
+  freshBoost: 5,        // points added to a category not shown in the lookback
+};
+
+let _raw = null;
+let _config = null;
+let _fatigue = null;
+
+function readConfigFile() {
+  if (_raw) return _raw;
+  const filepath = process.env.NARRATIVES_CONFIG || CONFIG_PATH;
+  const data = fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, "utf-8")) : {};
+  _raw = { filepath, data };
+  return _raw;
+}
+
+/**
+ * Per-rule settings from data/narratives.json (or NARRATIVES_CONFIG):
+ * { "win-streak": { enabled: true, weight: 1 }, ... }. Rules missing
+ * from the file run at weight 1. Throws on unknown rule ids or bad
+ * values, so a typo can't silently disable nothing.
+ */
+function loadNarrativeConfig() {
+  if (_config) return _config;
+
+  const { filepath, data } = readConfigFile();
+  const entries = data.rules || {};
+  const ids = new Set(RULES.map(r => r.id));
+
+  const config = {};
+  for (const rule of RULES) config[rule.id] = { enabled: true, weight: 1 };
+  for (const [id, entry] of Object.entries(entries)) {
+    if (!ids.has(id)) throw new Error(`${filepath}: unknown narrative rule "${id}"`);
+    const enabled = entry.enabled ?? true;
+    const weight = entry.weight ?? 1;
+    if (typeof enabled !== "boolean") throw new Error(`${filepath}: ${id}.enabled must be true or false`);
+    if (typeof weight !== "number" || !(weight >= 0)) throw new Error(`${filepath}: ${id}.weight must be a number ≥ 0`);
+    config[id] = { enabled, weight };
+  }
+
+  _config = config;
+  return config;
+}
+
+/**
+ * Fatigue settings from the config file's "fatigue" section, over
+ * FATIGUE_DEFAULTS. Throws on unknown keys or values that aren't
+ * numbers ≥ 0 (penalties and decay also ≤ 1).
+ */
+function loadFatigueConfig() {
+  if (_fatigue) return _fatigue;
+
+  const { filepath, data } = readConfigFile();
+  const fatigue = { ...FATIGUE_DEFAULTS };
+  for (const [key, value] of Object.entries(data.fatigue || {})) {
+    if (!(key in FATIGUE_DEFAULTS)) throw new Error(`${filepath}: unknown fatigue setting "${key}"`);
+    if (typeof value !== "number" || !(value >= 0)) throw new Error(`${filepath}: fatigue.${key} must be a number ≥ 0`);
+    if (key !== "lookbackNights" && key !== "freshBoost" && value > 1) throw new Error(`${filepath}: fatigue.${key} must be ≤ 1`);
+    fatigue[key] = value;
+  }
+  if (!Number.isInteger(fatigue.lookbackNights)) throw new Error(`${filepath}: fatigue.lookbackNights must be a whole number`);
+
+  _fatigue = fatigue;
+  return fatigue;
+}
+
+/**
+ * Shared inputs for every rule, computed once per franchise.
+ */
+function buildContext({ allDays, franchise, period, todayDayPts, todayGP, projection, avg3d, ppg, todayScrapeTeams, history }) {
+  const rankedDays = rankDaysFor(allDays, franchise);
+  const rankedHistory = history ? rankDaysFor(history.days, franchise) : rankedDays;
+  const recent = rankedDays.slice(-30);
+  const periodDays = allDays.filter(d => d.period === period);
+  const periodRanked = rankedDays.filter(d => d.period === period);
+
+  const periodConfig = PERIODS.find(p => p.period === period);
+  const periodTotalDays = periodConfig
+    ? Math.round((new Date(periodConfig.end) - new Date(periodConfig.start)) / 86400000) + 1
+    : 14;
+  const periodProgress = periodDays.length / periodTotalDays; // 0.0 to 1.0
+
+  // Projection confidence: scales 0.4 (day 2) → 1.0 (day 10+)
+  const projConfidence = projection
+    ? Math.min(1.0, 0.3 + (projection.daysPlayed / projection.totalDays) * 0.9)
+    : 0;
+
+  // Shared first place counts as a win (ranking.js); winShared says how many of the run were ties
+  const winRun = currentRun(recent, r => r === 1);
+
+  return {
+    allDays, franchise, period, todayDayPts, todayGP, projection, avg3d, ppg, todayScrapeTeams, history,
+    rankedDays,
+    rankedHistory,
+    recent,
+    periodDays,
+    periodRanked,
+    periodProgress,
+    inBackHalf: periodProgress >= 0.5,
+    projConfidence,
+    streaks: {
+      win: winRun,
+      winShared: recent.slice(recent.length - winRun).filter(d => d.tied).length,
+      podium: currentRun(recent, r => r <= 3),
+      bottom: currentRun(recent, r => r > 3),
+    },
+  };
+}
+
+/**
+ * Run one rule against a context. Returns its candidates with the
+ * rule's id/cat/globalCat stamped on and the configured weight applied.
+ */
+async function runRule(rule, ctx, weight = 1) {
+  if (rule.inputs.some(name => ctx[name] == null)) return [];
+  const result = await rule.evaluate(ctx);
+  const list = result == null ? [] : Array.isArray(result) ? result : [result];
+  return list.map(c => {
+    const candidate = { score: Math.round(c.score * weight), cat: rule.cat, text: c.text, rule: rule.id };
+    if (rule.globalCat) candidate.globalCat = rule.globalCat;
+    if (c.isBad) candidate.isBad = true;
+    return candidate;
+  });
+}
+
+/**
+ * Build raw narrative candidates + fallbacks for one franchise.
+ * `history` is { days, seasons } from analyze.loadDailyHistory(); without
+ * it only this season's days (allDays) are used.
+ * Returns: { candidates, fallbacks, projection, ppg }
+ */
+async function buildNarratives(allDays, franchise, period, todayDayPts, todayGP, projection, avg3d, ppg, todayScrapeTeams, history = null) {
+  if (allDays.length < 2) return { candidates: [], fallbacks: [], projection, ppg };
+
+  const ctx = buildContext({ allDays, franchise, period, todayDayPts, todayGP, projection, avg3d, ppg, todayScrapeTeams, history });
+  const config = loadNarrativeConfig();
+  const candidates = [];
+
+  for (const rule of RULES) {
+    const { enabled, weight } = config[rule.id];
+    if (!enabled) continue;
+    try {
+      candidates.push(...await runRule(rule, ctx, weight));
+    } catch (e) {
+      console.log(`  [${franchise}] Narrative rule ${rule.id} failed: ${e.message}`);
+    }
+  }
+
+  // Return raw candidates + fallbacks for global assignment
+  return { candidates, fallbacks: buildFallbacks(ctx), projection, ppg };
+}
+
+function cmdList() {
+  const config = loadNarrativeConfig();
+  for (const rule of RULES) {
+    const { enabled, weight } = config[rule.id];
+    const cats = rule.globalCat ? `${rule.cat} (global: ${rule.globalCat})` : rule.cat;
+    const inputs = rule.inputs.length > 0 ? `  needs ${rule.inputs.join(", ")}` : "";
+    console.log(`${enabled ? "✓" : "✗"} ${rule.id.padEnd(24)} ${cats.padEnd(32)} ×${weight}${inputs}`);
+  }
+  const fatigue = loadFatigueConfig();
+  console.log(`\nFatigue: ${Object.entries(fatigue).map(([k, v]) => `${k}=${v}`).join(" ")}`);
+}
+
+async function cmdRun(ruleId, date) {
+  // Loaded here: analyze.js requires this module
+  const { loadAllDailyScores, loadDailyHistory, projectPeriodFinish, rollingAvgPPG, seasonPPG } = require("../analyze");
+
+  const rule = RULES.find(r => r.id === ruleId);
+  if (!rule) throw new Error(`Unknown narrative rule "${ruleId}" — see: node src/narratives list`);
+
+  const { days, seasons } = loadDailyHistory(undefined, Infinity);
+  const allDays = loadAllDailyScores().filter(d => !date || d.date <= date);
+  if (allDays.length < 2) throw new Error(`Not enough daily data${date ? ` on or before ${date}` : ""}`);
+  const today = allDays[allDays.length - 1];
+  const history = { days: days.filter(d => d.date <= today.date), seasons };
+
+  console.log(`[narratives] ${rule.id} as of ${today.date} (P${today.period})`);
+  for (const t of today.teams) {
+    const ctx = buildContext({
+      allDays,
+      franchise: t.franchise,
+      period: today.period,
+      todayDayPts: t.dayPts || 0,
+      todayGP: t.gp || 0,
+      projection: projectPeriodFinish(allDays, t.franchise, today.period),
+      avg3d: rollingAvgPPG(allDays, t.franchise, 3),
+      ppg: seasonPPG(allDays, t.franchise),
+      todayScrapeTeams: today.teams,
+      history,
+    });
+    const candidates = await runRule(rule, ctx);
+    if (candidates.length === 0) console.log(`  ${t.franchise}  —`);
+    for (const c of candidates) console.log(`  ${t.franchise}  ${String(c.score).padStart(3)}  ${c.text}${c.isBad ? "  (bad)" : ""}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (command === "list") return cmdList();
+  if (command === "run" && args[1]) return cmdRun(args[1], args[2] || null);
+
+  console.log("Usage:");
+  console.log("  node src/narratives list");
+  console.log("  node src/narratives run <rule-id> [YYYY-MM-DD]");
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`[narratives] ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { RULES, buildNarratives, loadNarrativeConfig, loadFatigueConfig };
@@ -0,0 +1,116 @@
+// ============================================================
+// NARRATIVE LOG — what the bot said, night by night
+// ============================================================
+// One file per season, data/narrative-log/<season>.json:
+//
+//   {
+//     "season": "2025-26",
+//     "nights": [
+//       { "date": "2026-01-04", "period": 7, "franchises": {
+//           "JGC": [{ "rule": "season-pace", "cat": "seasonpace",
+//                     "text": "Best-ever season pace thru P7 (prev: 1070 in 2019)",
+//                     "displayText": "Best-ever season pace thru P7 (prev: 1070 in…" }]
+//       } }
+//     ]
+//   }
+//
+// `text` is the full candidate text, which fatigue matches repeats on;
+// `displayText` is what the card showed (cut to fit, "…"). Nights
+// logged before displayText existed have the displayed text in `text`.
+//
+// The nightly pipeline records each posted night (a re-run for the
+// same date replaces it). Fatigue scoring reads the last few nights
+// back; end-of-season recaps can read the whole thing.
+//
+// Usage:
+//   node src/narratives/log.js show                  # current season
+//   node src/narratives/log.js show 2025-26 JGC      # one franchise
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const { CURRENT_SEASON } = require("../config");
+
+const LOG_DIR = path.join(__dirname, "..", "..", "data", "narrative-log");
+
+function logPath(seasonKey) {
+  return path.join(LOG_DIR, `${seasonKey}.json`);
+}
+
+/**
+ * A season's log, or an empty one if nothing has been recorded yet.
+ */
+function loadLog(seasonKey = CURRENT_SEASON) {
+  const filepath = logPath(seasonKey);
+  if (!fs.existsSync(filepath)) return { season: seasonKey, nights: [] };
+  return JSON.parse(fs.readFileSync(filepath, "utf-8"));
+}
+
+/**
+ * The last `lookback` logged nights before `date`, most recent first.
+ */
+function loadRecentNights(date, lookback, seasonKey = CURRENT_SEASON) {
+  if (lookback <= 0) return [];
+  return loadLog(seasonKey).nights
+    .filter(n => n.date < date)
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, lookback);
+}
+
+/**
+ * Record the narratives shown for one night, from buildNightlyAnalysis's
+ * narrativesShown (the period stat-line isn't included). Fallback
+ * lines are logged with a null rule and cat. Returns the file path.
+ */
+function recordNight(analysis, seasonKey = CURRENT_SEASON) {
+  const franchises = analysis.narrativesShown;
+  const log = loadLog(seasonKey);
+  log.nights = log.nights.filter(n => n.date !== analysis.date);
+  log.nights.push({ date: analysis.date, period: analysis.period, franchises });
+  log.nights.sort((a, b) => a.date.localeCompare(b.date));
+
+  if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
+  fs.writeFileSync(logPath(seasonKey), JSON.stringify(log, null, 2));
+  return logPath(seasonKey);
+}
+
+function cmdShow(seasonKey, franchise) {
+  const log = loadLog(seasonKey);
+  if (log.nights.length === 0) {
+    console.log(`[narrative-log] Nothing logged for ${seasonKey}`);
+    return;
+  }
+
+  const catCounts = {};
+  for (const night of log.nights) {
+    for (const [f, shown] of Object.entries(night.franchises)) {
+      if (franchise && f !== franchise) continue;
+      for (const s of shown) {
+        console.log(`${night.date}  P${String(night.period).padEnd(2)}  ${f}  ${s.text}`);
+        catCounts[s.cat || "fallback"] = (catCounts[s.cat || "fallback"] || 0) + 1;
+      }
+    }
+  }
+
+  console.log(`\n[narrative-log] ${log.nights.length} night(s) in ${seasonKey}; by category:`);
+  for (const [cat, n] of Object.entries(catCounts).sort((a, b) => b[1] - a[1])) {
+    console.log(`  ${cat.padEnd(14)} ${n}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (command === "show") return cmdShow(args[1] || CURRENT_SEASON, args[2] || null);
+
+  console.log("Usage:");
+  console.log("  node src/narratives/log.js show [season] [franchise]");
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { loadLog, loadRecentNights, recordNight };
@@ -0,0 +1,33 @@
+const { loadPlayerLines, summarizeTeam } = require("../../players");
+
+const MIN_BENCH_PTS = 4;
+
+function lastName(name) {
+  return name.split(" ").slice(-1)[0];
+}
+
+/**
+ * Points scored by bench players tonight, which don't count (player
+ * lines from src/players.js; nothing on nights without them). Names
+ * the bench player when one outscored every active player.
+ */
+module.exports = {
+  id: "bench-points",
+  cat: "players",
+  inputs: [],
+  evaluate({ allDays, franchise }) {
+    const tonight = allDays[allDays.length - 1];
+    const data = loadPlayerLines(tonight.date, tonight.season);
+    const lines = data && data.teams[franchise];
+    if (!lines) return null;
+
+    const { benchPts, benchTop, top } = summarizeTeam(lines);
+    if (benchPts < MIN_BENCH_PTS) return null;
+
+    const score = Math.min(55, 25 + Math.round(benchPts * 3));
+    if (benchTop && (!top || benchTop.fpts > top.fpts)) {
+      return { score: score + 5, text: `Benched ${lastName(benchTop.name)} scored ${benchTop.fpts} pts`, isBad: true };
+    }
+    return { score, text: `Left ${benchPts} pts on the bench tonight`, isBad: true };
+  },
+};
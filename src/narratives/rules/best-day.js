@@ -0,0 +1,20 @@
+/**
+ * Best day this period — only in the back half of the period, scoring
+ * higher the deeper into the period we are.
+ */
+module.exports = {
+  id: "best-day",
+  cat: "bestday",
+  inputs: [],
+  evaluate({ inBackHalf, periodDays, periodProgress, todayDayPts, franchise }) {
+    if (!inBackHalf || periodDays.length <= 1 || todayDayPts <= 0) return null;
+    const allPeriodPts = periodDays.map(day => {
+      const t = day.teams.find(t => t.franchise === franchise);
+      return t ? (t.dayPts || 0) : 0;
+    });
+    if (todayDayPts < Math.max(...allPeriodPts)) return null;
+    // Day 8 of 14 = 40, Day 13 of 14 = 60
+    const score = 30 + Math.round(periodProgress * 35);
+    return { score, text: `Best day this period (so far)` };
+  },
+};
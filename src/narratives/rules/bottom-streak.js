@@ -0,0 +1,14 @@
+/**
+ * Bottom-half streak — consecutive days outside the top 3 (5+).
+ */
+module.exports = {
+  id: "bottom-streak",
+  cat: "streak",
+  inputs: [],
+  evaluate({ streaks }) {
+    if (streaks.bottom < 5) return null;
+    // 5-day = 80, 7-day = 86, 10-day = 95
+    const score = Math.min(95, Math.max(80, 70 + streaks.bottom * 3));
+    return { score, text: `${streaks.bottom}-day bottom-half streak`, isBad: true };
+  },
+};
@@ -0,0 +1,27 @@
+const { getCareerTotalPoints } = require("../../historical");
+
+const MILESTONES = [1000, 2000, 3000, 4000, 5000, 6000, 7000, 8000, 9000, 10000, 12500, 15000];
+
+/**
+ * Career points milestone proximity (rare, high impact).
+ */
+module.exports = {
+  id: "career-milestone",
+  cat: "milestone",
+  inputs: [],
+  async evaluate({ franchise, projection }) {
+    const career = await getCareerTotalPoints(franchise);
+    if (career.totalPts <= 0) return null;
+
+    const approxCurrentTotal = career.totalPts + (projection ? projection.periodPts : 0);
+    for (const m of MILESTONES) {
+      const remaining = m - approxCurrentTotal;
+      const label = m.toLocaleString();
+      if (remaining > 0 && remaining <= 20) return { score: 85, text: `${remaining} pts from ${label} career points` };
+      if (remaining > 0 && remaining <= 50) return { score: 70, text: `${remaining} pts from ${label} career points` };
+      if (remaining > 0 && remaining <= 100) return { score: 55, text: `${remaining} pts from ${label} career points` };
+      if (remaining <= 0 && remaining > -5) return { score: 90, text: `Just crossed ${label} career points!` };
+    }
+    return null;
+  },
+};
@@ -0,0 +1,35 @@
+const { loadPlayerLines, summarizeTeam } = require("../../players");
+
+const MIN_SHARE = 0.5; // of the team's night
+const MIN_PTS = 4;
+
+function lastName(name) {
+  return name.split(" ").slice(-1)[0];
+}
+
+/**
+ * One player scored most of the team's points tonight (player lines
+ * from src/players.js; nothing on nights without them).
+ */
+module.exports = {
+  id: "carried",
+  cat: "players",
+  inputs: [],
+  evaluate({ allDays, franchise }) {
+    const tonight = allDays[allDays.length - 1];
+    const data = loadPlayerLines(tonight.date, tonight.season);
+    const lines = data && data.teams[franchise];
+    const team = tonight.teams.find(t => t.franchise === franchise);
+    if (!lines || !team || team.dayPts <= 0) return null;
+
+    const { top } = summarizeTeam(lines);
+    if (!top || top.fpts < MIN_PTS) return null;
+    const share = top.fpts / team.dayPts;
+    if (share < MIN_SHARE) return null;
+
+    return {
+      score: Math.min(60, 30 + Math.round(share * 30)),
+      text: `${lastName(top.name)} had ${top.fpts} of ${team.dayPts} pts tonight`,
+    };
+  },
+};
@@ -0,0 +1,47 @@
+const { computePeriodRankAtDay, rankWindowTotals, shortDate, HOT_WINDOWS } = require("../helpers");
+
+/**
+ * Coldest franchise over a rolling window — mirror of hot-window. The
+ * deficit is measured against the second-last team, which shows how
+ * isolated the trailer is.
+ */
+module.exports = {
+  id: "cold-window",
+  cat: "cold_window",
+  inputs: [],
+  evaluate({ allDays, periodDays, franchise }) {
+    let best = null;
+
+    for (const windowSize of HOT_WINDOWS) {
+      if (allDays.length < windowSize) continue;
+      const windowDays = allDays.slice(-windowSize);
+      const sorted = rankWindowTotals(windowDays);
+      if (sorted.length < 2) continue;
+
+      const [trailer, trailerPts] = sorted[sorted.length - 1];
+      const [, secondLastPts] = sorted[sorted.length - 2];
+      if (trailer !== franchise) continue;
+
+      const deficit = secondLastPts > 0 ? Math.round(((secondLastPts - trailerPts) / secondLastPts) * 100) : 0;
+      if (deficit < 10) continue; // Not interesting enough
+
+      // Surprise: high in the period standings despite being coldest
+      const periodRank = computePeriodRankAtDay(periodDays, franchise);
+      const isSurprise = periodRank && periodRank <= 2;
+
+      let score = 30 + Math.min(30, deficit);
+      if (isSurprise) score += 15;
+      if (windowSize >= 10) score += 10;
+      else if (windowSize >= 7) score += 5;
+      score = Math.min(80, score);
+
+      const sinceLabel = shortDate(windowDays[0].date);
+      const text = isSurprise
+        ? `Coldest since ${sinceLabel} (-${deficit}% vs field) despite #${periodRank}`
+        : `Coldest franchise since ${sinceLabel} (-${deficit}% vs field)`;
+
+      if (!best || score > best.score) best = { score, text, isBad: true };
+    }
+    return best;
+  },
+};
@@ -0,0 +1,15 @@
+/**
+ * Consistency — top-3 finishes in the last 7 days.
+ */
+module.exports = {
+  id: "consistency",
+  cat: "consistency",
+  inputs: [],
+  evaluate({ recent }) {
+    if (recent.length < 7) return null;
+    const top3 = recent.slice(-7).filter(d => d.rank <= 3).length;
+    if (top3 >= 6) return { score: 45, text: `Top 3 in ${top3} of last 7 days` };
+    if (top3 <= 1) return { score: 40, text: `Top 3 only ${top3}x in last 7 days`, isBad: true };
+    return null;
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * Today's PPG vs the period average — fires at ±30%.
+ */
+module.exports = {
+  id: "day-vs-period-ppg",
+  cat: "dayppg",
+  inputs: [],
+  evaluate({ periodDays, todayDayPts, todayGP, franchise }) {
+    if (periodDays.length < 3 || todayGP <= 0) return null;
+    const todayPPG = todayDayPts / todayGP;
+    let periodTotal = 0;
+    let periodGP = 0;
+    for (const day of periodDays) {
+      const t = day.teams.find(t => t.franchise === franchise);
+      if (t) { periodTotal += t.dayPts || 0; periodGP += t.gp || 0; }
+    }
+    const periodPPG = periodGP > 0 ? periodTotal / periodGP : 0;
+    if (periodPPG <= 0) return null;
+
+    const pct = Math.round(((todayPPG - periodPPG) / periodPPG) * 100);
+    if (Math.abs(pct) < 30) return null;
+    // 30% off = 42, 60% off = 54, 100%+ off = 70+
+    const score = Math.min(75, 30 + Math.round(Math.abs(pct) * 0.4));
+    const text = `${todayPPG.toFixed(2)} PPG today vs ${periodPPG.toFixed(2)} period avg`;
+    return pct > 0 ? { score, text } : { score, text, isBad: true };
+  },
+};
@@ -0,0 +1,19 @@
+const { trailingDays, currentRun } = require("../helpers");
+
+/**
+ * Drought — days since a top-3 finish. Carries over the off-season
+ * (last spring's slump is still a slump), so it only adds anything
+ * the bottom-half streak doesn't already say early in a season.
+ */
+module.exports = {
+  id: "drought",
+  cat: "drought",
+  inputs: [],
+  evaluate({ rankedHistory, streaks }) {
+    const recentAcross = trailingDays(rankedHistory, 30, { crossSeasons: true });
+    const drought = currentRun(recentAcross, r => r > 3);
+    if (drought < 8 || streaks.bottom >= 5) return null;
+    const score = Math.min(60, 30 + drought * 3);
+    return { score, text: `${drought} days since finishing top 3`, isBad: true };
+  },
+};
@@ -0,0 +1,33 @@
+const { getFranchisePeriodBest, getPeriodHistory } = require("../../historical");
+
+/**
+ * Projected finish vs the franchise's own best and worst for this
+ * period number, scaled by projection confidence.
+ */
+module.exports = {
+  id: "franchise-period-record",
+  cat: "proj",
+  inputs: ["projection"],
+  async evaluate({ projection, projConfidence, period, franchise }) {
+    if (projection.projected <= 0) return null;
+    const candidates = [];
+
+    const myBest = await getFranchisePeriodBest(period, franchise);
+    if (myBest && myBest.fpts > 0) {
+      if (projection.projected > myBest.fpts) {
+        candidates.push({ score: Math.round(70 * projConfidence), text: `Proj ${projection.projected} — personal best P${period} (prev: ${Math.round(myBest.fpts)} in ${myBest.season})` });
+      } else if (projection.projected >= myBest.fpts * 0.9) {
+        candidates.push({ score: Math.round(45 * projConfidence), text: `Proj ${projection.projected} — nearing best P${period} (${Math.round(myBest.fpts)})` });
+      }
+    }
+
+    const myHistory = (await getPeriodHistory(period)).filter(h => h.franchise === franchise);
+    if (myHistory.length >= 3) {
+      const myWorst = myHistory.reduce((w, entry) => entry.fpts < w.fpts ? entry : w);
+      if (projection.projected < myWorst.fpts) {
+        candidates.push({ score: Math.round(55 * projConfidence), text: `Proj ${projection.projected} — tracking worst P${period} (prev: ${Math.round(myWorst.fpts)})` });
+      }
+    }
+    return candidates;
+  },
+};
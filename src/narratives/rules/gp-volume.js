@@ -0,0 +1,45 @@
+const { decompose, remainingScheduleEdge } = require("../../schedule");
+
+/**
+ * Whether a franchise's period standing is down to games played or to
+ * points per game (src/schedule.js): a surplus that's all volume, a
+ * surplus in spite of a GP deficit, or a deficit that's all GP. Plus
+ * the biggest remaining-GP edge — only from scraped period GP, since
+ * the rate-based estimate just restates the volume split.
+ */
+module.exports = {
+  id: "gp-volume",
+  cat: "volume",
+  inputs: [],
+  evaluate({ allDays, periodDays, period, franchise }) {
+    if (periodDays.length < 4) return null;
+    const split = decompose(periodDays);
+    const mine = split && split.franchises[franchise];
+    if (!mine) return null;
+
+    const candidates = [];
+    const gpDiff = Math.round(mine.gp - split.league.avgGP);
+    const gpText = `${gpDiff > 0 ? "+" : "−"}${Math.abs(gpDiff)} GP`;
+    const score = 35 + Math.min(20, Math.round(Math.abs(mine.volume) * 2));
+
+    if (Math.abs(gpDiff) >= 3) {
+      if (mine.vsAvg > 0 && mine.volume > 0 && mine.efficiency <= 0) {
+        candidates.push({ score, text: `P${period} surplus is all volume (${gpText})` });
+      } else if (mine.vsAvg > 0 && mine.volume < 0) {
+        candidates.push({ score, text: `Beating P${period} avg on PPG despite ${gpText}` });
+      } else if (mine.vsAvg < 0 && mine.volume < 0 && mine.efficiency >= 0) {
+        candidates.push({ score, text: `P${period} deficit is all GP (${gpText} vs avg)`, isBad: true });
+      }
+    }
+
+    const remaining = remainingScheduleEdge(allDays, period);
+    if (remaining && remaining.source === "scraped") {
+      const edges = Object.values(remaining.franchises).map(r => r.gpEdge);
+      const myEdge = remaining.franchises[franchise];
+      if (myEdge && myEdge.gpEdge >= 3 && myEdge.gpEdge === Math.max(...edges)) {
+        candidates.push({ score: 40, text: `Most GP left in P${period} (+${Math.round(myEdge.gpEdge)} vs avg)` });
+      }
+    }
+    return candidates;
+  },
+};
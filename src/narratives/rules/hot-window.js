@@ -0,0 +1,47 @@
+const { computePeriodRankAtDay, rankWindowTotals, shortDate, HOT_WINDOWS } = require("../helpers");
+
+/**
+ * Hottest franchise over a rolling window (10/14/30/60 days, this
+ * season only). Fires only for the leader, when the margin is real or
+ * the leader is a surprise (low in the period standings).
+ */
+module.exports = {
+  id: "hot-window",
+  cat: "hot",
+  inputs: [],
+  evaluate({ allDays, periodDays, franchise }) {
+    let best = null;
+
+    for (const windowSize of HOT_WINDOWS) {
+      if (allDays.length < windowSize) continue;
+      const windowDays = allDays.slice(-windowSize);
+      const sorted = rankWindowTotals(windowDays);
+      if (sorted.length < 2) continue;
+
+      const [leader, leaderPts] = sorted[0];
+      const [, secondPts] = sorted[1];
+      if (leader !== franchise) continue;
+
+      const margin = secondPts > 0 ? Math.round(((leaderPts - secondPts) / secondPts) * 100) : 0;
+      if (margin < 10) continue; // Not interesting enough
+
+      const periodRank = computePeriodRankAtDay(periodDays, franchise);
+      const isSurprise = periodRank && periodRank >= 4;
+
+      // Base from margin, bonus for surprise and for longer windows
+      let score = 30 + Math.min(30, margin);
+      if (isSurprise) score += 20;
+      if (windowSize >= 10) score += 10;
+      else if (windowSize >= 7) score += 5;
+      score = Math.min(85, score);
+
+      const sinceLabel = shortDate(windowDays[0].date);
+      const text = isSurprise
+        ? `Hottest since ${sinceLabel} (+${margin}% over field) despite #${periodRank}`
+        : `Hottest franchise since ${sinceLabel} (+${margin}% over field)`;
+
+      if (!best || score > best.score) best = { score, text };
+    }
+    return best;
+  },
+};
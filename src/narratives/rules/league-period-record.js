@@ -0,0 +1,36 @@
+const { getLeaguePeriodRecord, getPeriodHistory } = require("../../historical");
+const { FRANCHISE_NAMES } = require("../../config");
+
+/**
+ * Projected finish vs the all-time league best and worst for this
+ * period number. Scaled by projection confidence — early projections
+ * are noisy and shouldn't dominate.
+ */
+module.exports = {
+  id: "league-period-record",
+  cat: "proj",
+  inputs: ["projection"],
+  async evaluate({ projection, projConfidence, period }) {
+    if (projection.projected <= 0) return null;
+    const candidates = [];
+
+    const record = await getLeaguePeriodRecord(period);
+    if (record && record.fpts > 0) {
+      const holder = FRANCHISE_NAMES[record.franchise] || record.franchise;
+      if (projection.projected > record.fpts) {
+        candidates.push({ score: Math.round(80 * projConfidence), text: `Proj ${projection.projected} — would beat P${period} record (${Math.round(record.fpts)}, ${holder})` });
+      } else if (projection.projected >= record.fpts * 0.9) {
+        candidates.push({ score: Math.round(60 * projConfidence), text: `Proj ${projection.projected} — closing on P${period} record (${Math.round(record.fpts)})` });
+      }
+    }
+
+    const history = await getPeriodHistory(period);
+    if (history.length >= 6) {
+      const worst = history.reduce((w, entry) => entry.fpts < w.fpts ? entry : w);
+      if (projection.projected < worst.fpts) {
+        candidates.push({ score: Math.round(65 * projConfidence), text: `Proj ${projection.projected} — tracking worst-ever P${period} (${Math.round(worst.fpts)})` });
+      }
+    }
+    return candidates;
+  },
+};
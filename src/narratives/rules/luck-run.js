@@ -0,0 +1,25 @@
+const { rollingLuck, LUCK_WINDOW, LUCK_MIN_Z } = require("../../luck");
+
+/**
+ * Running well above or below Fantrax projections over the last
+ * LUCK_WINDOW projected nights (src/luck.js). Only fires once the
+ * z-score says it's more than noise; the further out, the higher
+ * the score.
+ */
+module.exports = {
+  id: "luck-run",
+  cat: "luck",
+  inputs: [],
+  evaluate({ allDays, franchise }) {
+    const luck = rollingLuck(allDays, franchise, LUCK_WINDOW);
+    if (!luck || luck.nights < LUCK_WINDOW || Math.abs(luck.z) < LUCK_MIN_Z) return null;
+
+    // z 2 → 45, z 3 → 60, capped at 75
+    const score = Math.min(75, 45 + Math.round((Math.abs(luck.z) - LUCK_MIN_Z) * 15));
+    const pct = Math.round(Math.abs(luck.pct));
+    if (luck.z > 0) {
+      return { score, text: `+${pct}% vs proj over ${luck.nights} nights — regression due` };
+    }
+    return { score, text: `−${pct}% vs proj over ${luck.nights} nights — due a bounce`, isBad: true };
+  },
+};
@@ -0,0 +1,31 @@
+const { getPeriodDominance, FRANCHISE_TO_OWNER } = require("../../historical");
+
+/**
+ * Who owns this period number historically. Global: one franchise per night.
+ */
+module.exports = {
+  id: "period-dominance",
+  cat: "dominance",
+  globalCat: "dominance",
+  inputs: [],
+  async evaluate({ franchise, period }) {
+    const d = await getPeriodDominance(period, franchise);
+    if (d.totalOccurrences < 3) return null;
+
+    if (d.wins >= 3 && d.topWinner === franchise) {
+      // This franchise truly has the most wins for this period
+      return { score: 55, text: `Won P${period} ${d.wins}x — most in league` };
+    }
+    if (d.wins >= 2 && d.topWinner !== franchise) {
+      // Has multiple wins but someone else has more — still interesting, no superlative
+      return { score: 40, text: `Has won P${period} ${d.wins} times` };
+    }
+    // A never-won franchise gets the period-never-won story instead
+    if (d.wins === 0 && d.totalOccurrences >= 5) return null;
+    if (d.topWinner && d.topWinner !== franchise && d.topWinnerWins >= 3) {
+      const ownerName = FRANCHISE_TO_OWNER[d.topWinner] || d.topWinner;
+      return { score: 40, text: `P${period} belongs to ${ownerName} (${d.topWinnerWins} wins)` };
+    }
+    return null;
+  },
+};
@@ -0,0 +1,22 @@
+const { computePeriodRankAtDay } = require("../helpers");
+
+/**
+ * Comeback / collapse — period rank now vs at the period midpoint.
+ */
+module.exports = {
+  id: "period-momentum",
+  cat: "momentum",
+  inputs: [],
+  evaluate({ periodRanked, periodDays, franchise }) {
+    if (periodRanked.length < 5) return null;
+    const midpoint = Math.floor(periodRanked.length / 2);
+    const midRank = computePeriodRankAtDay(periodDays.slice(0, midpoint), franchise);
+    const nowRank = computePeriodRankAtDay(periodDays, franchise);
+    if (!midRank || !nowRank) return null;
+
+    const jump = midRank - nowRank;
+    if (jump >= 3) return { score: 42, text: `Was #${midRank} mid-period, now #${nowRank}` };
+    if (jump <= -3) return { score: 40, text: `Was #${midRank} mid-period, now #${nowRank}`, isBad: true };
+    return null;
+  },
+};
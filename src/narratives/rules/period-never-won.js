@@ -0,0 +1,15 @@
+const { getPeriodDominance } = require("../../historical");
+
+/**
+ * Never won this period number (5+ attempts).
+ */
+module.exports = {
+  id: "period-never-won",
+  cat: "cold",
+  inputs: [],
+  async evaluate({ franchise, period }) {
+    const d = await getPeriodDominance(period, franchise);
+    if (d.wins !== 0 || d.totalOccurrences < 5) return null;
+    return { score: 70, text: `Has never won a P${period} (0-for-${d.totalOccurrences} all-time)` };
+  },
+};
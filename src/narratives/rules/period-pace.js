@@ -0,0 +1,26 @@
+const { computeAllPeriodTotals } = require("../helpers");
+
+/**
+ * Period pace — projected finish vs this season's best/worst periods.
+ */
+module.exports = {
+  id: "period-pace",
+  cat: "proj",
+  inputs: ["projection"],
+  evaluate({ periodDays, projection, allDays, franchise }) {
+    if (periodDays.length < 3) return null;
+    const totals = computeAllPeriodTotals(allDays, franchise);
+    if (totals.length === 0) return null;
+
+    const bestPeriod = Math.max(...totals.map(p => p.total));
+    const worstPeriod = Math.min(...totals.map(p => p.total));
+    const currentPace = projection.projected;
+    if (currentPace > bestPeriod * 1.05) {
+      return { score: 55, text: `Best period pace this season (proj ${currentPace} vs ${Math.round(bestPeriod)} prev)` };
+    }
+    if (currentPace < worstPeriod * 0.95 && totals.length >= 3) {
+      return { score: 50, text: `Worst period pace this season (proj ${currentPace} vs ${Math.round(worstPeriod)} prev)`, isBad: true };
+    }
+    return null;
+  },
+};
@@ -0,0 +1,31 @@
+const { computePeriodStandings } = require("../helpers");
+
+/**
+ * Period rank change since yesterday. Score grows with the size of the
+ * move, how deep into the period we are, and the positions involved.
+ */
+module.exports = {
+  id: "period-rank-change",
+  cat: "rank",
+  inputs: [],
+  evaluate({ periodRanked, periodDays, periodProgress, franchise, period }) {
+    if (periodRanked.length < 2) return null;
+    const standings = computePeriodStandings(periodDays, franchise);
+    if (!standings) return null;
+
+    const { currentRank, previousRank } = standings;
+    const change = Math.abs(currentRank - previousRank);
+    if (currentRank < previousRank) {
+      // Climbing to #1 is exciting; climbing to #5 early in period is boring
+      const positionBonus = currentRank <= 2 ? 15 : 0;
+      const score = 15 + change * 10 + Math.round(periodProgress * 20) + positionBonus;
+      return { score, text: `Climbed to #${currentRank} in P${period}` };
+    }
+    if (currentRank > previousRank) {
+      const positionPenalty = currentRank >= 5 ? 10 : 0;
+      const score = 15 + change * 10 + Math.round(periodProgress * 20) + positionPenalty;
+      return { score, text: `Dropped to #${currentRank} in P${period}`, isBad: true };
+    }
+    return null;
+  },
+};
@@ -0,0 +1,24 @@
+const { getFranchiseMatchupStreak } = require("../../historical");
+const { PERIODS } = require("../../config");
+
+/**
+ * Period win drought (9+). In a 6-team league, droughts of 5-8 periods
+ * are common and uninteresting. Only fires on the first night of a
+ * period — the count doesn't change mid-period, so repeating it
+ * nightly is stale noise.
+ */
+module.exports = {
+  id: "period-win-drought",
+  cat: "cold",
+  inputs: [],
+  async evaluate({ franchise, periodDays }) {
+    const streak = await getFranchiseMatchupStreak(franchise);
+    if (!streak || streak.type !== "L" || streak.streak < 9 || !streak.lastWin || periodDays.length > 1) return null;
+
+    const score = Math.min(75, 25 + streak.streak * 7);
+    // Current season is determined by the latest period start year (2026 for Oct 2025 - Apr 2026 season)
+    const currentSeason = Math.max(...PERIODS.map(p => parseInt(p.start.substring(0, 4))));
+    const when = streak.lastWin.season >= currentSeason ? "this season" : `in ${streak.lastWin.season}`;
+    return { score, text: `${streak.streak}-period win drought (last: P${streak.lastWin.period} ${when})` };
+  },
+};
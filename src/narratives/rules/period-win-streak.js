@@ -0,0 +1,16 @@
+const { getFranchiseMatchupStreak } = require("../../historical");
+
+/**
+ * Consecutive period wins (3+), from the Database tab.
+ */
+module.exports = {
+  id: "period-win-streak",
+  cat: "periodstreak",
+  inputs: [],
+  async evaluate({ franchise }) {
+    const streak = await getFranchiseMatchupStreak(franchise);
+    if (!streak || streak.type !== "W" || streak.streak < 3) return null;
+    const score = Math.min(80, 40 + streak.streak * 10);
+    return { score, text: `Won ${streak.streak} straight periods` };
+  },
+};
@@ -0,0 +1,19 @@
+const { computeAllPeriodTotals } = require("../helpers");
+
+/**
+ * Close to this season's best period — reachable at ~2 pts/day.
+ */
+module.exports = {
+  id: "personal-best-period",
+  cat: "proj",
+  inputs: ["projection"],
+  evaluate({ periodDays, projection, allDays, franchise }) {
+    if (periodDays.length < 5) return null;
+    const totals = computeAllPeriodTotals(allDays, franchise);
+    const best = totals.length > 0 ? Math.max(...totals.map(p => p.total)) : 0;
+    if (best <= 0 || projection.periodPts <= 0) return null;
+    const remaining = best - projection.periodPts;
+    if (remaining <= 0 || remaining > projection.daysRemaining * 2) return null;
+    return { score: 50, text: `${Math.round(remaining)} pts from personal best period` };
+  },
+};
@@ -0,0 +1,14 @@
+/**
+ * Podium streak — consecutive top-3 days (3+). Yields to a win streak.
+ */
+module.exports = {
+  id: "podium-streak",
+  cat: "streak",
+  inputs: [],
+  evaluate({ streaks }) {
+    if (streaks.podium < 3 || streaks.win >= 2) return null;
+    // 3-day = 80, 5-day = 85, 7-day = 90
+    const score = Math.min(95, Math.max(80, 70 + streaks.podium * 3));
+    return { score, text: `${streaks.podium}-day podium streak` };
+  },
+};
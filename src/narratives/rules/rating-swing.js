@@ -0,0 +1,38 @@
+const { loadSeasonRatings } = require("../../elo");
+
+/**
+ * Tonight's Elo move (src/elo.js) vs every franchise-night this season:
+ * the biggest jump or drop so far, or a new #1 in the power rankings.
+ * Needs tonight's ratings stored — the nightly run refreshes them
+ * right after saving the daily file.
+ */
+module.exports = {
+  id: "rating-swing",
+  cat: "rating",
+  inputs: [],
+  evaluate({ allDays, franchise }) {
+    const stored = loadSeasonRatings();
+    if (!stored) return null;
+    const today = allDays[allDays.length - 1].date;
+    const nights = stored.nights.filter(n => n.date <= today);
+    const tonight = nights[nights.length - 1];
+    if (!tonight || tonight.date !== today || !tonight.teams[franchise]) return null;
+
+    const mine = tonight.teams[franchise];
+    const earlier = nights.slice(0, -1).flatMap(n => Object.values(n.teams).map(t => t.change));
+    if (earlier.length < 30) return null; // too early for "of the season"
+
+    if (mine.change > 0 && mine.change > Math.max(...earlier)) {
+      return { score: 70, text: `Biggest rating jump of the season (+${mine.change.toFixed(1)})` };
+    }
+    if (mine.change < 0 && mine.change < Math.min(...earlier)) {
+      return { score: 60, text: `Biggest rating drop of the season (${mine.change.toFixed(1)})`, isBad: true };
+    }
+
+    const yesterday = nights[nights.length - 2];
+    if (mine.rank === 1 && yesterday && yesterday.teams[franchise] && yesterday.teams[franchise].rank !== 1) {
+      return { score: 45, text: `New #1 in the power ratings (${Math.round(mine.rating)})` };
+    }
+    return null;
+  },
+};
@@ -0,0 +1,46 @@
+const { buildH2H } = require("../../h2h");
+
+const MIN_STREAK = 7; // nights in a row against one opponent
+
+/**
+ * Nightly head-to-head runs this season (src/h2h.js): the longest
+ * current streak of outscoring (or being outscored by) one franchise,
+ * or tonight ending a long losing run against one.
+ */
+module.exports = {
+  id: "rivalry",
+  cat: "rivalry",
+  inputs: [],
+  evaluate({ allDays, franchise }) {
+    const season = allDays[allDays.length - 1].season;
+    const seasonDays = allDays.filter(d => d.season === season);
+    const mine = buildH2H(seasonDays).records[franchise];
+    if (!mine) return null;
+
+    const candidates = [];
+    const best = (type) => Object.entries(mine)
+      .filter(([, r]) => r.streak && r.streak.type === type && r.streak.length >= MIN_STREAK)
+      .sort((a, b) => b[1].streak.length - a[1].streak.length)[0];
+
+    const win = best("W");
+    if (win) {
+      const [opp, r] = win;
+      candidates.push({ score: Math.min(65, 30 + r.streak.length * 2), text: `Has outscored ${opp} ${r.streak.length} nights straight` });
+    }
+    const loss = best("L");
+    if (loss) {
+      const [opp, r] = loss;
+      candidates.push({ score: Math.min(55, 20 + r.streak.length * 2), text: `Outscored by ${opp} ${r.streak.length} nights straight`, isBad: true });
+    }
+
+    // Tonight snapped a losing run: compare with the records before tonight
+    const before = buildH2H(seasonDays.slice(0, -1)).records[franchise] || {};
+    for (const [opp, r] of Object.entries(mine)) {
+      const prev = before[opp] && before[opp].streak;
+      if (r.streak && r.streak.type === "W" && r.streak.length === 1 && prev && prev.type === "L" && prev.length >= MIN_STREAK + 3) {
+        candidates.push({ score: Math.min(60, 30 + prev.length), text: `Beat ${opp} for the first time in ${prev.length + 1} nights` });
+      }
+    }
+    return candidates;
+  },
+};
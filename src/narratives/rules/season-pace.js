@@ -0,0 +1,34 @@
+const { getSeasonPace } = require("../../historical");
+
+/**
+ * Season points through this period vs every past season's pace.
+ * Global: only the franchise with the strongest pace story gets it.
+ */
+module.exports = {
+  id: "season-pace",
+  cat: "seasonpace",
+  globalCat: "seasonpace",
+  inputs: ["projection"],
+  async evaluate({ allDays, franchise, period }) {
+    if (period < 3) return null;
+    const currentSeasonPts = allDays.reduce((sum, day) => {
+      const team = day.teams.find(t => t.franchise === franchise);
+      return sum + (team ? team.dayPts : 0);
+    }, 0);
+
+    const pace = await getSeasonPace(franchise, period, Math.round(currentSeasonPts));
+    if (!pace || pace.historicalPaces.length < 2) return null;
+
+    const { bestPace, worstPace } = pace;
+    if (currentSeasonPts > bestPace.totalThroughPeriod) {
+      return { score: 65, text: `Best-ever season pace thru P${period} (prev: ${bestPace.totalThroughPeriod} in ${bestPace.season})` };
+    }
+    if (currentSeasonPts >= bestPace.totalThroughPeriod * 0.95) {
+      return { score: 50, text: `Tracking near best-ever pace thru P${period} (prev: ${bestPace.totalThroughPeriod})` };
+    }
+    if (currentSeasonPts < worstPace.totalThroughPeriod * 1.05 && pace.historicalPaces.length >= 4) {
+      return { score: 50, text: `Slowest season pace thru P${period} since ${worstPace.season}` };
+    }
+    return null;
+  },
+};
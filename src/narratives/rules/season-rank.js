@@ -0,0 +1,30 @@
+const { rankTotals } = require("../../ranking");
+
+/**
+ * Season rank — context only, for first and last overall.
+ */
+module.exports = {
+  id: "season-rank",
+  cat: "seasonrank",
+  inputs: [],
+  evaluate({ allDays, franchise }) {
+    const seasonTotals = {};
+    for (const day of allDays) {
+      for (const t of day.teams) {
+        if (!seasonTotals[t.franchise]) seasonTotals[t.franchise] = { pts: 0, gp: 0 };
+        seasonTotals[t.franchise].pts += t.dayPts || 0;
+        seasonTotals[t.franchise].gp += t.gp || 0;
+      }
+    }
+    const mine = rankTotals(seasonTotals).find(e => e.franchise === franchise);
+    if (!mine) return null;
+    const pts = Math.round(mine.pts);
+    if (mine.rank === 1) {
+      return { score: 35, text: `${mine.tied ? "Tied for 1st" : "1st"} overall (${pts} pts)` };
+    }
+    if (mine.last) {
+      return { score: 30, text: `${mine.tied ? "Tied for last" : "Last"} overall (${pts} pts)`, isBad: true };
+    }
+    return null;
+  },
+};
@@ -0,0 +1,44 @@
+const { findRankRuns } = require("../helpers");
+
+// Streak kinds compared against prior seasons, with the shortest worth a mention
+const STREAKS = [
+  { label: "win", key: "win", min: 3, test: r => r === 1 },
+  { label: "podium", key: "podium", min: 4, test: r => r <= 3 },
+];
+
+/**
+ * Current streak vs prior seasons ("Longest podium streak since
+ * 2019-20"). Streaks never cross a season boundary; the comparison does.
+ * Needs prior seasons loaded (history).
+ */
+module.exports = {
+  id: "streak-vs-history",
+  cat: "streak",
+  inputs: ["history"],
+  evaluate({ history, rankedHistory, streaks }) {
+    if (history.seasons.length <= 1) return null;
+    const currentSeason = rankedHistory[rankedHistory.length - 1].season;
+    const candidates = [];
+
+    for (const { label, key, min, test } of STREAKS) {
+      const current = streaks[key];
+      if (current < min) continue;
+      const prior = findRankRuns(rankedHistory, test).slice(0, -1);
+      const lastAsLong = prior.filter(r => r.length >= current).pop();
+      if (lastAsLong && lastAsLong.season === currentSeason) continue;
+
+      // "Longest since last season" is just the first one this season
+      const seasonsBack = lastAsLong
+        ? history.seasons.indexOf(currentSeason) - history.seasons.indexOf(lastAsLong.season)
+        : history.seasons.length;
+      if (seasonsBack < 2) continue;
+
+      const score = Math.min(90, 55 + seasonsBack * 5);
+      const text = lastAsLong
+        ? `Longest ${label} streak since ${lastAsLong.season}`
+        : `First ${current}+ day ${label} streak in ${history.seasons.length} seasons`;
+      candidates.push({ score, text });
+    }
+    return candidates;
+  },
+};
@@ -0,0 +1,26 @@
+/**
+ * 3D trend — rolling 3-day PPG vs season PPG.
+ */
+module.exports = {
+  id: "trending",
+  cat: "trending",
+  inputs: ["avg3d", "ppg"],
+  evaluate({ avg3d, ppg }) {
+    if (ppg <= 0) return null;
+    const pctChange = Math.round(((avg3d - ppg) / ppg) * 100);
+    const bigScore = Math.min(70, 40 + Math.round(Math.abs(pctChange) * 0.5));
+    if (pctChange >= 20) {
+      return { score: bigScore, text: `3D avg ${avg3d.toFixed(2)} — surging (+${pctChange}% vs season)` };
+    }
+    if (pctChange >= 8) {
+      return { score: 30, text: `3D avg ${avg3d.toFixed(2)} (up from ${ppg.toFixed(2)})` };
+    }
+    if (pctChange <= -20) {
+      return { score: bigScore, text: `3D avg ${avg3d.toFixed(2)} — slumping (${pctChange}% vs season)`, isBad: true };
+    }
+    if (pctChange <= -8) {
+      return { score: 30, text: `3D avg ${avg3d.toFixed(2)} (down from ${ppg.toFixed(2)})`, isBad: true };
+    }
+    return null;
+  },
+};
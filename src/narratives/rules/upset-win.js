@@ -0,0 +1,18 @@
+const { getRatingsForDate } = require("../../elo");
+
+/**
+ * Won the day coming in rated in the bottom third (src/elo.js upset
+ * flag). The longer the odds, the higher the score.
+ */
+module.exports = {
+  id: "upset-win",
+  cat: "rating",
+  inputs: [],
+  evaluate({ allDays, franchise }) {
+    const tonight = getRatingsForDate(allDays[allDays.length - 1].date);
+    if (!tonight || !tonight.upset || tonight.upset.franchise !== franchise) return null;
+    // expected 0.40 → 55, 0.25 → 70
+    const score = 55 + Math.round((0.40 - tonight.upset.expected) * 100);
+    return { score, text: `Upset: took the day rated #${tonight.upset.preRank} of ${Object.keys(tonight.teams).length}` };
+  },
+};
@@ -0,0 +1,27 @@
+const { volatilityReport } = require("../../volatility");
+
+/**
+ * Boom-or-bust vs steady this period (src/volatility.js): the league's
+ * highest CV of daily PPG with both wins and last-place days to show
+ * for it, or the lowest CV with no last-place day.
+ */
+module.exports = {
+  id: "volatility",
+  cat: "volatility",
+  inputs: [],
+  evaluate({ periodDays, period, periodProgress, franchise }) {
+    if (periodDays.length < 6) return null;
+    const report = volatilityReport(periodDays);
+    const mine = report.franchises[franchise];
+    if (!mine || report.byCV.length < 2) return null;
+
+    const { W, L } = mine.buckets;
+    if (report.byCV[0] === franchise && W >= 2 && L >= 2) {
+      return { score: 40 + Math.round(periodProgress * 15), text: `Boom-or-bust P${period}: ${W} wins, ${L} last-place days` };
+    }
+    if (report.byCV[report.byCV.length - 1] === franchise && L === 0) {
+      return { score: 30 + Math.round(periodProgress * 10), text: `Steadiest scorer in P${period} — never last` };
+    }
+    return null;
+  },
+};
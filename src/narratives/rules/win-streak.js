@@ -0,0 +1,16 @@
+/**
+ * Win streak — consecutive day wins (2+). A shared first place counts
+ * and is noted.
+ */
+module.exports = {
+  id: "win-streak",
+  cat: "streak",
+  inputs: [],
+  evaluate({ streaks }) {
+    if (streaks.win < 2) return null;
+    // 2-day = 55, 3-day = 70, 5-day = 90+
+    const score = Math.min(95, 40 + streaks.win * 15);
+    const shared = streaks.winShared > 0 ? ` (${streaks.winShared} shared)` : "";
+    return { score, text: `${streaks.win}-day win streak${shared}` };
+  },
+};
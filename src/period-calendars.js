@@ -0,0 +1,241 @@
+// ============================================================
+// PERIOD CALENDAR INFERENCE
+// ============================================================
+// Rebuilds the scoring-period calendar for archived seasons.
+// Only the 2025-26 calendar was ever entered by hand; for older
+// seasons we recover it from data we already have:
+//
+//   - data/historical.json has each owner's GP per period
+//   - data/daily-<season>/ has each franchise's GP per day
+//
+// Walking the daily files in date order, a period ends on the
+// week boundary (Sunday → Monday) where every owner's running GP
+// best matches the Database tab total. Periods are weekly blocks,
+// so boundaries are snapped to Monday starts / Sunday ends; the
+// first period starts on opening night and the last ends on the
+// final game date.
+//
+// The GP error per period is reported so a bad boundary (usually
+// a missing daily file) is easy to spot and hand-correct.
+//
+// Usage:
+//   node src/period-calendars.js infer               # every season without periods
+//   node src/period-calendars.js infer 2016-17       # one season
+//   node src/period-calendars.js infer --write       # save into data/seasons/
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const { listSeasons, loadSeason, getSeasonDailyDir, getSheetSeason, SEASONS_DIR } = require("./seasons");
+const { resolveOwner } = require("./identity");
+const { loadSnapshot } = require("./historical");
+
+// Total GP error (summed over owners) above which a period is flagged
+const GP_ERROR_WARN = 10;
+
+const DAY_MS = 86400000;
+
+function toDate(dateStr) {
+  return new Date(dateStr + "T12:00:00Z");
+}
+
+function fmtDate(d) {
+  return d.toISOString().split("T")[0];
+}
+
+function addDays(dateStr, n) {
+  return fmtDate(new Date(toDate(dateStr).getTime() + n * DAY_MS));
+}
+
+/**
+ * Monday-based week index for a date, so two dates share a week
+ * exactly when they fall in the same Mon–Sun block.
+ */
+function weekIndex(dateStr) {
+  return Math.floor((toDate(dateStr).getTime() / DAY_MS + 3) / 7);
+}
+
+function mondayOf(dateStr) {
+  const dow = (toDate(dateStr).getUTCDay() + 6) % 7; // Mon = 0
+  return addDays(dateStr, -dow);
+}
+
+function sundayOf(dateStr) {
+  return addDays(mondayOf(dateStr), 6);
+}
+
+/**
+ * Load a season's daily files that have games, oldest first.
+ */
+function loadSeasonDays(seasonKey) {
+  const dir = getSeasonDailyDir(seasonKey);
+  if (!fs.existsSync(dir)) return [];
+
+  const days = [];
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+      if (!data.teams || data.teams.length === 0) continue;
+      if (data.teams.every(t => !t.gp)) continue;
+      days.push(data);
+    } catch (e) {
+      // Skip corrupt files
+    }
+  }
+  return days;
+}
+
+/**
+ * Per-period GP targets from the Database tab export:
+ * [{ period, gp: { JGC: 79, ... } }], ordered by period.
+ */
+function loadPeriodTargets(seasonKey) {
+  const snapshot = loadSnapshot();
+  const rows = snapshot ? snapshot.database : [];
+  const sheetSeason = String(getSheetSeason(seasonKey));
+
+  return rows
+    .filter(r => String(r.season) === sheetSeason)
+    .sort((a, b) => a.period - b.period)
+    .map(r => {
+      const gp = {};
+      for (const [owner, stats] of Object.entries(r.teams)) {
+        const code = resolveOwner(owner, { strict: true });
+        gp[code] = stats.GP || 0;
+      }
+      return { period: r.period, gp };
+    });
+}
+
+/**
+ * Infer a season's period calendar.
+ * Returns { season, periods: [{ period, start, end, gpError }], unassignedDays }
+ */
+function inferPeriods(seasonKey) {
+  const season = loadSeason(seasonKey);
+  const days = loadSeasonDays(seasonKey);
+  const targets = loadPeriodTargets(seasonKey);
+  const result = { season: seasonKey, periods: [], unassignedDays: 0 };
+  if (days.length === 0 || targets.length === 0) return result;
+
+  let i = 0;
+  for (const target of targets) {
+    if (i >= days.length) break;
+    const codes = Object.keys(target.gp);
+    const running = {};
+    let best = null;
+
+    for (let k = i; k < days.length; k++) {
+      for (const t of days[k].teams) {
+        running[t.franchise] = (running[t.franchise] || 0) + (t.gp || 0);
+      }
+
+      const next = days[k + 1];
+      const onWeekBoundary = !next || weekIndex(next.date) !== weekIndex(days[k].date);
+      if (onWeekBoundary) {
+        const gpError = codes.reduce((sum, c) => sum + Math.abs((running[c] || 0) - target.gp[c]), 0);
+        if (!best || gpError < best.gpError) best = { k, gpError };
+      }
+
+      // Well past the target for everyone — no later boundary can be closer.
+      // Only once a boundary has been scored: a period can overshoot inside
+      // its first week, and the last day always counts as a boundary.
+      if (best && codes.every(c => (running[c] || 0) > target.gp[c] * 1.5)) break;
+    }
+
+    result.periods.push({
+      period: target.period,
+      firstDay: days[i].date,
+      lastDay: days[best.k].date,
+      gpError: best.gpError,
+    });
+    i = best.k + 1;
+  }
+  result.unassignedDays = days.length - i;
+
+  // Snap to week boundaries, clipped to opening night / final game date
+  const last = result.periods.length - 1;
+  result.periods = result.periods.map((p, idx) => {
+    const start = idx === 0 ? p.firstDay : mondayOf(p.firstDay);
+    const end = idx === last ? p.lastDay : sundayOf(p.lastDay);
+    return {
+      period: p.period,
+      start: start < season.start ? season.start : start,
+      end: end > season.end ? season.end : end,
+      gpError: p.gpError,
+    };
+  });
+
+  return result;
+}
+
+/**
+ * Write a period list into data/seasons/<season>.json, keeping the
+ * one-line-per-period layout used by the hand-entered files.
+ */
+function writePeriods(seasonKey, periods) {
+  const filepath = path.join(SEASONS_DIR, `${seasonKey}.json`);
+  const existing = JSON.parse(fs.readFileSync(filepath, "utf-8"));
+
+  // Keep key order; periodsSource sits right after periods
+  const season = {};
+  for (const [key, value] of Object.entries(existing)) {
+    if (key === "periodsSource") continue;
+    season[key] = value;
+    if (key === "periods") season.periodsSource = "inferred";
+  }
+  season.periods = periods.map(p => ({ period: p.period, start: p.start, end: p.end }));
+
+  const lines = season.periods.map(p =>
+    `    { "period": ${`${p.period},`.padEnd(3)} "start": "${p.start}", "end": "${p.end}" }`
+  );
+  const placeholder = "__PERIODS__";
+  const json = JSON.stringify({ ...season, periods: placeholder }, null, 2)
+    .replace(`"${placeholder}"`, lines.length > 0 ? `[\n${lines.join(",\n")}\n  ]` : "[]")
+    .replace(/\{\n\s+"code": "(\w+)",\n\s+"displayName": (".*?")\n\s+\}/g, '{ "code": "$1", "displayName": $2 }');
+
+  fs.writeFileSync(filepath, json + "\n");
+}
+
+function cmdInfer(seasonKey, write) {
+  const keys = seasonKey
+    ? [seasonKey]
+    : listSeasons().filter(k => loadSeason(k).periods.length === 0);
+
+  for (const key of keys) {
+    const r = inferPeriods(key);
+    if (r.periods.length === 0) {
+      console.log(`[periods] ${key}: no daily data or Database rows — skipped`);
+      continue;
+    }
+
+    console.log(`[periods] ${key}: ${r.periods.length} periods${r.unassignedDays ? `, ${r.unassignedDays} day(s) past the last period` : ""}`);
+    for (const p of r.periods) {
+      const flag = p.gpError > GP_ERROR_WARN ? "  ⚠ check boundary" : "";
+      console.log(`    P${String(p.period).padEnd(2)} ${p.start} → ${p.end}  (GP error ${p.gpError})${flag}`);
+    }
+
+    if (write) {
+      writePeriods(key, r.periods);
+      console.log(`    saved to data/seasons/${key}.json`);
+    }
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const seasonKey = args.slice(1).find(a => !a.startsWith("--")) || null;
+
+  if (command === "infer") return cmdInfer(seasonKey, args.includes("--write"));
+
+  console.log("Usage:");
+  console.log("  node src/period-calendars.js infer [season] [--write]");
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { inferPeriods, writePeriods };
@@ -0,0 +1,309 @@
+// ============================================================
+// PLAYER LINES — per-player fantasy points for each team, per night
+// ============================================================
+// The daily file only has team totals. On the live scoring page the
+// scraper (scrape.js scrapePlayerLines) also opens each team and reads
+// its roster tables; this module turns those raw rows into player
+// lines and stores them next to the daily file:
+//
+//   data/daily/players/<date>.json   (data/daily-<season>/players/ once archived)
+//
+//   {
+//     "schemaVersion": 1, "date": "2026-01-15", "season": "2025-26", "period": 14,
+//     "teams": {
+//       "BEW": [
+//         { "name": "Connor McDavid", "nhlTeam": "EDM", "pos": "C", "slot": "active",
+//           "fpts": 6.5, "gp": 1, "stats": { "G": 1, "A": 2, "SOG": 5 } },
+//         ...
+//       ]
+//     }
+//   }
+//
+// `slot` is "active" (counts toward the team score) or "bench"
+// (reserve, IR, minors — scored but not counted). Stat categories are
+// whatever numeric columns the page shows, keyed by column header.
+//
+// The roster table selectors haven't been checked against a recorded
+// night yet, so capture is opt-in (SCRAPE_PLAYERS=true) and a night is
+// only saved when every team's active players add up to its daily
+// dayPts. Player capture never fails the nightly run: if nothing
+// parses or the sums don't match, no players file is written, and
+// everything that reads player lines (the carried / bench-points
+// narratives, the commentary section) treats a missing file as
+// "no data".
+//
+// Usage:
+//   node src/players.js                   # latest night with player lines
+//   node src/players.js 2026-01-15        # one night, every team
+//   node src/players.js 2026-01-15 BEW    # one team
+//   node src/players.js bench             # points left on the bench this season
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const { CURRENT_SEASON, toFranchise } = require("./config");
+const { getSeasonDailyDir } = require("./seasons");
+
+const PLAYERS_SCHEMA_VERSION = 1;
+const SLOTS = ["active", "bench"];
+
+// Active player points should add up to the team's dayPts within this
+const SUM_TOLERANCE = 0.15;
+
+// Roster table headers (case-insensitive) that aren't stat categories
+const NAME_HEADER = /^(player|name|skaters?|goalies?)$/i;
+const SLOT_HEADER = /^(pos|slot|status)$/i;
+const FPTS_HEADER = /^fpts$/i;
+const GP_HEADER = /^gp$/i;
+
+// A table heading or slot cell like these marks bench players
+const BENCH_LABEL = /reserve|bench|minors|injured|^(bn|res|ir|min)$/i;
+
+const POSITION = /^(C|LW|RW|D|G|F|W|UT|SKT)(,(C|LW|RW|D|G|F|W))*$/i;
+
+function playersDir(seasonKey) {
+  return path.join(getSeasonDailyDir(seasonKey), "players");
+}
+
+function playersPath(date, seasonKey) {
+  return path.join(playersDir(seasonKey), `${date}.json`);
+}
+
+function toNumber(text) {
+  const s = String(text == null ? "" : text).replace(/,/g, "").trim();
+  if (s === "" || !/^[-+]?\d*\.?\d+%?$/.test(s)) return null;
+  return parseFloat(s);
+}
+
+/**
+ * Split a player cell's secondary text ("EDM - C", "C,LW | TOR") into
+ * { pos, nhlTeam }; either may be null.
+ */
+function parsePlayerInfo(text) {
+  const tokens = String(text || "").split(/[\s\-–|•@()]+/).filter(Boolean);
+  const pos = tokens.find(t => POSITION.test(t)) || null;
+  const nhlTeam = tokens.find(t => t !== pos && /^[A-Z]{2,3}$/.test(t)) || null;
+  return { pos: pos && pos.toUpperCase(), nhlTeam };
+}
+
+/**
+ * Turn the raw roster tables read off the page into player lines.
+ *
+ * @param {Array} tables - [{ heading, headers: [text], rows: [{ name, info, cells: [text] }] }]
+ * @returns {Array} [{ name, nhlTeam, pos, slot, fpts, gp, stats }]
+ */
+function parseRosterTables(tables) {
+  const lines = [];
+  for (const table of tables || []) {
+    const headers = (table.headers || []).map(h => String(h).trim());
+    const fptsCol = headers.findIndex(h => FPTS_HEADER.test(h));
+    if (fptsCol < 0) continue;
+    const gpCol = headers.findIndex(h => GP_HEADER.test(h));
+    const slotCol = headers.findIndex(h => SLOT_HEADER.test(h));
+    const benchTable = BENCH_LABEL.test(String(table.heading || "").trim());
+
+    for (const row of table.rows || []) {
+      const name = String(row.name || "").trim();
+      if (!name || /^(empty|totals?)$/i.test(name)) continue;
+
+      const slotText = slotCol >= 0 ? String(row.cells[slotCol] || "").trim() : "";
+      const stats = {};
+      headers.forEach((h, i) => {
+        if (!h || i === fptsCol || i === gpCol || i === slotCol || NAME_HEADER.test(h)) return;
+        const value = toNumber(row.cells[i]);
+        if (value != null) stats[h] = value;
+      });
+
+      lines.push({
+        name,
+        ...parsePlayerInfo(row.info),
+        slot: benchTable || BENCH_LABEL.test(slotText) ? "bench" : "active",
+        fpts: toNumber(row.cells[fptsCol]) || 0,
+        gp: gpCol >= 0 ? toNumber(row.cells[gpCol]) || 0 : null,
+        stats,
+      });
+    }
+  }
+  return lines;
+}
+
+/**
+ * Build one night's players file. rosters = { "<team name or code>": [line, ...] }.
+ */
+function buildPlayersFile({ date, season, period, rosters }) {
+  const teams = {};
+  for (const [name, lines] of Object.entries(rosters || {})) {
+    if (!lines || lines.length === 0) continue;
+    teams[toFranchise(name) || name] = lines;
+  }
+  return { schemaVersion: PLAYERS_SCHEMA_VERSION, date, season, period: period ?? null, teams };
+}
+
+/**
+ * Totals for one team's player lines:
+ * { activePts, benchPts, players, top: line|null, benchTop: line|null }
+ */
+function summarizeTeam(lines) {
+  const active = lines.filter(l => l.slot === "active").sort((a, b) => b.fpts - a.fpts);
+  const bench = lines.filter(l => l.slot === "bench").sort((a, b) => b.fpts - a.fpts);
+  const sum = (ls) => +ls.reduce((s, l) => s + (l.fpts || 0), 0).toFixed(1);
+  return {
+    activePts: sum(active),
+    benchPts: sum(bench.filter(l => l.fpts > 0)),
+    players: lines.length,
+    top: active[0] || null,
+    benchTop: bench[0] && bench[0].fpts > 0 ? bench[0] : null,
+  };
+}
+
+/**
+ * Check a players file against the night's daily file (optional).
+ * Active players not adding up to a team's dayPts is an error: the
+ * lines can't be trusted. Returns { errors: [...], warnings: [...] }.
+ */
+function validatePlayersFile(data, daily = null) {
+  const errors = [];
+  const warnings = [];
+  if (data.schemaVersion !== PLAYERS_SCHEMA_VERSION) errors.push(`schema version ${data.schemaVersion || 0} (current is ${PLAYERS_SCHEMA_VERSION})`);
+  if (!data.teams || Object.keys(data.teams).length === 0) errors.push("no teams");
+
+  for (const [f, lines] of Object.entries(data.teams || {})) {
+    for (const l of lines) {
+      if (!SLOTS.includes(l.slot)) errors.push(`${f} ${l.name}: slot "${l.slot}"`);
+      if (typeof l.fpts !== "number") errors.push(`${f} ${l.name}: fpts is not a number`);
+    }
+    const team = daily && daily.teams.find(t => t.franchise === f);
+    if (daily && !team) warnings.push(`${f}: not in the daily file`);
+    if (team) {
+      const { activePts } = summarizeTeam(lines);
+      if (Math.abs(activePts - team.dayPts) > SUM_TOLERANCE) errors.push(`${f}: active players sum to ${activePts}, daily file has ${team.dayPts}`);
+    }
+  }
+  if (daily) {
+    const missing = daily.teams.map(t => t.franchise).filter(f => !(data.teams || {})[f]);
+    if (missing.length > 0) warnings.push(`no player lines for ${missing.join(", ")}`);
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Save tonight's player lines from a scrape (scrapeData.players), next
+ * to the daily file. Returns the file data, or null when the scrape
+ * has none or they fail validation against the daily file.
+ */
+function savePlayerLines(scrapeData, dateStr, daily = null) {
+  const data = buildPlayersFile({ date: dateStr, season: CURRENT_SEASON, period: scrapeData.period, rosters: scrapeData.players });
+  if (Object.keys(data.teams).length === 0) {
+    console.log(`[players] No player lines for ${dateStr} — nothing saved`);
+    return null;
+  }
+
+  const { errors, warnings } = validatePlayersFile(data, daily);
+  [...errors, ...warnings].forEach(msg => console.warn(`[players] ⚠ ${dateStr}: ${msg}`));
+  if (errors.length > 0) {
+    console.log(`[players] Player lines for ${dateStr} failed validation — nothing saved`);
+    return null;
+  }
+
+  fs.mkdirSync(playersDir(CURRENT_SEASON), { recursive: true });
+  fs.writeFileSync(playersPath(dateStr, CURRENT_SEASON), JSON.stringify(data, null, 2));
+  console.log(`[players] Player lines saved: players/${dateStr}.json (${Object.keys(data.teams).length} teams)`);
+  return data;
+}
+
+/**
+ * One night's player lines, or null if none were captured.
+ */
+function loadPlayerLines(date, seasonKey = CURRENT_SEASON) {
+  const filepath = playersPath(date, seasonKey);
+  if (!fs.existsSync(filepath)) return null;
+  return JSON.parse(fs.readFileSync(filepath, "utf-8"));
+}
+
+/**
+ * Dates with player lines for a season, oldest first.
+ */
+function listPlayerDates(seasonKey = CURRENT_SEASON) {
+  const dir = playersDir(seasonKey);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f)).map(f => f.slice(0, 10)).sort();
+}
+
+function printNight(data, franchise) {
+  console.log(`[players] ${data.date} (P${data.period})`);
+  const codes = Object.keys(data.teams).filter(f => !franchise || f === franchise);
+  if (codes.length === 0) {
+    console.log(`  No player lines for ${franchise}`);
+    return;
+  }
+  for (const f of codes) {
+    const lines = data.teams[f];
+    const s = summarizeTeam(lines);
+    console.log(`\n  ${f} — ${s.activePts} pts active, ${s.benchPts} on the bench`);
+    const order = [...lines].sort((a, b) => (a.slot === b.slot ? b.fpts - a.fpts : a.slot === "active" ? -1 : 1));
+    for (const l of order) {
+      const stats = Object.entries(l.stats).filter(([, v]) => v !== 0).map(([k, v]) => `${k} ${v}`).join(", ");
+      console.log(`    ${l.slot === "bench" ? "BN" : "  "} ${(l.pos || "").padEnd(5)} ${l.name.padEnd(24)} ${(l.nhlTeam || "").padEnd(4)} ${l.fpts.toFixed(1).padStart(5)}${stats ? `  ${stats}` : ""}`);
+    }
+  }
+}
+
+function printBench(seasonKey) {
+  const dates = listPlayerDates(seasonKey);
+  if (dates.length === 0) {
+    console.log(`[players] No player lines stored for ${seasonKey}`);
+    return;
+  }
+  const totals = {};
+  for (const date of dates) {
+    const data = loadPlayerLines(date, seasonKey);
+    for (const [f, lines] of Object.entries(data.teams)) {
+      const s = summarizeTeam(lines);
+      const row = totals[f] || (totals[f] = { nights: 0, benchPts: 0, best: null });
+      row.nights++;
+      row.benchPts += s.benchPts;
+      if (s.benchTop && (!row.best || s.benchTop.fpts > row.best.fpts)) row.best = { ...s.benchTop, date };
+    }
+  }
+  console.log(`[players] Points left on the bench, ${seasonKey} (${dates.length} night(s) with player lines)`);
+  const rows = Object.entries(totals).sort((a, b) => b[1].benchPts - a[1].benchPts);
+  for (const [f, r] of rows) {
+    const best = r.best ? `  best: ${r.best.name} ${r.best.fpts} (${r.best.date})` : "";
+    console.log(`  ${f.padEnd(4)} ${r.benchPts.toFixed(1).padStart(7)} pts over ${r.nights} night(s)${best}`);
+  }
+}
+
+function main() {
+  const [arg, franchise] = process.argv.slice(2);
+  if (arg === "bench") return printBench(franchise || CURRENT_SEASON);
+  if (arg && !/^\d{4}-\d{2}-\d{2}$/.test(arg)) {
+    console.log("Usage:");
+    console.log("  node src/players.js [YYYY-MM-DD] [franchise]");
+    console.log("  node src/players.js bench [season]");
+    process.exit(1);
+  }
+
+  const date = arg || listPlayerDates().pop();
+  const data = date && loadPlayerLines(date);
+  if (!data) {
+    console.error(`[players] No player lines${date ? ` for ${date}` : ` stored for ${CURRENT_SEASON}`}`);
+    process.exit(1);
+  }
+  printNight(data, franchise && franchise.toUpperCase());
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  PLAYERS_SCHEMA_VERSION,
+  parsePlayerInfo,
+  parseRosterTables,
+  buildPlayersFile,
+  summarizeTeam,
+  validatePlayersFile,
+  savePlayerLines,
+  loadPlayerLines,
+  listPlayerDates,
+};
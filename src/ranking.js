@@ -0,0 +1,123 @@
+// ============================================================
+// RANKING — scores to ranks, with an explicit tie policy
+// ============================================================
+// Daily ranks used to come from sort + findIndex, so tied scores got
+// distinct ranks in file order. Ties are common: the top spot is
+// shared on roughly one night in five, and the bottom spot on far
+// more nights (usually when two teams both sat out). Everything that
+// ranks franchises — day ranks, period and season standings, the
+// stat-line buckets, win/podium streaks, the card glow — goes
+// through here.
+//
+// Tie policies (RANK_TIE_POLICY, default "competition"):
+//
+//   competition  tied teams share the better rank, the next one skips (1, 1, 3)
+//   shared       tied teams share a rank, no gap after (1, 1, 2)
+//   ppg          ties broken by higher points per game, then as competition
+//   gp           ties broken by fewer games played, then as competition
+//
+// Each ranked entry says whether its rank is shared (`tied`) and
+// whether it's the worst rank in the list (`last`) — under "shared"
+// the last rank can be below the team count, and under "competition"
+// teams tied for last share rank n − 1, so "last" never means
+// rank === numTeams.
+// ============================================================
+
+const TIE_POLICIES = ["competition", "shared", "ppg", "gp"];
+const DEFAULT_TIE_POLICY = "competition";
+
+// Point totals are sums of one-decimal floats; closer than this is a tie
+const EPSILON = 1e-6;
+
+/**
+ * The tie policy in effect (RANK_TIE_POLICY or the default). Throws
+ * on an unknown policy.
+ */
+function getTiePolicy() {
+  const policy = (process.env.RANK_TIE_POLICY || DEFAULT_TIE_POLICY).toLowerCase();
+  if (!TIE_POLICIES.includes(policy)) {
+    throw new Error(`RANK_TIE_POLICY must be one of: ${TIE_POLICIES.join(", ")} (got "${policy}")`);
+  }
+  return policy;
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (Math.abs(a[i] - b[i]) >= EPSILON) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Rank anything with a score, best first.
+ *
+ * @param {Array} items
+ * @param {Object} options
+ * @param {Function} options.score   - item → points (higher is better)
+ * @param {Function} [options.gp]    - item → games played (for the ppg/gp policies;
+ *                                     without it they behave as competition)
+ * @param {string}   [options.policy] - default getTiePolicy()
+ * @returns {Array} [{ item, rank, tied, last }], best first; equal items keep input order
+ */
+function rankItems(items, { score, gp = null, policy = getTiePolicy() } = {}) {
+  if (!TIE_POLICIES.includes(policy)) throw new Error(`Unknown tie policy "${policy}"`);
+
+  const keyOf = (item) => {
+    const pts = score(item) || 0;
+    if (!gp || (policy !== "ppg" && policy !== "gp")) return [pts];
+    const games = gp(item) || 0;
+    return policy === "ppg" ? [pts, games > 0 ? pts / games : 0] : [pts, -games];
+  };
+
+  const rows = items.map((item, i) => ({ item, key: keyOf(item), i }));
+  rows.sort((a, b) => compareKeys(b.key, a.key) || a.i - b.i);
+
+  let rank = 0;
+  let dense = 0;
+  for (let idx = 0; idx < rows.length; idx++) {
+    if (idx === 0 || compareKeys(rows[idx].key, rows[idx - 1].key) !== 0) {
+      rank = idx + 1;
+      dense++;
+    }
+    rows[idx].rank = policy === "shared" ? dense : rank;
+  }
+
+  const counts = {};
+  for (const r of rows) counts[r.rank] = (counts[r.rank] || 0) + 1;
+  const worst = rows.length > 0 ? rows[rows.length - 1].rank : null;
+  return rows.map(r => ({ item: r.item, rank: r.rank, tied: counts[r.rank] > 1, last: r.rank === worst }));
+}
+
+/**
+ * Rank a day's team lines by dayPts (GP for the tiebreak policies).
+ * Returns: [{ item: team, rank, tied, last }], best first
+ */
+function rankTeams(teams, { policy } = {}) {
+  return rankItems(teams, { score: t => t.dayPts, gp: t => t.gp, policy });
+}
+
+/**
+ * Rank per-franchise totals: totals = { F: { pts, gp } }.
+ * Returns: [{ franchise, pts, gp, rank, tied, last }], best first
+ */
+function rankTotals(totals, { policy } = {}) {
+  const entries = Object.entries(totals).map(([franchise, t]) => ({ franchise, pts: t.pts, gp: t.gp || 0 }));
+  return rankItems(entries, { score: e => e.pts, gp: e => e.gp, policy })
+    .map(({ item, rank, tied, last }) => ({ ...item, rank, tied, last }));
+}
+
+/**
+ * "1" or "T1" for display.
+ */
+function rankLabel(rank, tied) {
+  return `${tied ? "T" : ""}${rank}`;
+}
+
+module.exports = {
+  TIE_POLICIES,
+  getTiePolicy,
+  rankItems,
+  rankTeams,
+  rankTotals,
+  rankLabel,
+};
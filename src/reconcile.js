@@ -0,0 +1,233 @@
+// ============================================================
+// DAILY ↔ DATABASE RECONCILIATION
+// ============================================================
+// Sums the daily JSON files per franchise per period and checks
+// them against the Database tab (period FPts / GP per owner).
+// Anything built on daily data — personal bests, period records,
+// projections — is only as good as this match.
+//
+// Reports, per season and period:
+//   - mismatched FPts / GP between daily sums and the sheet
+//   - missing days (calendar dates in the period with no file)
+//   - double-counted days (a franchise listed twice, a file whose
+//     date doesn't match its name, the same date archived in two
+//     directories, or a day identical to the one before it)
+//   - periods present on only one side
+//
+// Usage:
+//   node src/reconcile.js                 # every season
+//   node src/reconcile.js 2016-17         # one season
+//   node src/reconcile.js 2016-17 --json  # machine-readable report
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const { listSeasons, getSeasonDailyDir, getSheetSeason } = require("./seasons");
+const { getPeriods } = require("./config");
+const { loadAllDailyScores, computeTeamPeriodTotals } = require("./analyze");
+const { fetchHistoricalData } = require("./historical");
+
+// The Database tab stores whole-number FPts
+const PTS_TOLERANCE = 0.5;
+
+const DATA_ROOT = path.join(__dirname, "..", "data");
+
+function dateRange(start, end) {
+  const dates = [];
+  const cur = new Date(start + "T12:00:00Z");
+  const last = new Date(end + "T12:00:00Z");
+  while (cur <= last) {
+    dates.push(cur.toISOString().split("T")[0]);
+    cur.setUTCDate(cur.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+/**
+ * Scan a season's raw daily files for dates present and for days
+ * that would be counted twice.
+ * Returns: { dates: Set, duplicates: [{ date, reason }] }
+ */
+function scanDailyFiles(seasonKey) {
+  const dir = getSeasonDailyDir(seasonKey);
+  const dates = new Set();
+  const duplicates = [];
+  if (!fs.existsSync(dir)) return { dates, duplicates };
+
+  // Dates archived in some other daily directory too
+  const otherDates = new Set();
+  for (const d of fs.readdirSync(DATA_ROOT)) {
+    const full = path.join(DATA_ROOT, d);
+    if (!d.startsWith("daily") || full === dir || !fs.statSync(full).isDirectory()) continue;
+    fs.readdirSync(full).filter(f => f.endsWith(".json")).forEach(f => otherDates.add(f.replace(/\.json$/, "")));
+  }
+
+  let prevSignature = null;
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+    const fileDate = file.replace(/\.json$/, "");
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+    } catch (e) {
+      duplicates.push({ date: fileDate, reason: `unreadable file (${e.message})` });
+      continue;
+    }
+    const date = data.date || fileDate;
+    dates.add(date);
+
+    if (data.date && data.date !== fileDate) {
+      duplicates.push({ date: fileDate, reason: `file holds data for ${data.date}` });
+    }
+    if (otherDates.has(date)) {
+      duplicates.push({ date, reason: "also present in another daily directory" });
+    }
+
+    const seen = {};
+    for (const t of data.teams || []) {
+      if (seen[t.franchise]) duplicates.push({ date, reason: `${t.franchise} listed twice` });
+      seen[t.franchise] = true;
+    }
+
+    const teams = data.teams || [];
+    const signature = JSON.stringify(teams.map(t => [t.franchise, t.dayPts, t.gp]));
+    if (signature === prevSignature && teams.some(t => t.gp > 0)) {
+      duplicates.push({ date, reason: "identical to the previous day (repeated scrape?)" });
+    }
+    prevSignature = signature;
+  }
+
+  return { dates, duplicates };
+}
+
+/**
+ * Reconcile one season. Returns:
+ * { season, sheetSeason, periods: [{ period, start, end, missingDays, duplicateDays,
+ *   teams: [{ franchise, dailyPts, sheetPts, dailyGP, sheetGP, ok }], ok }],
+ *   sheetOnly: [period], dailyOnly: [period], ok }
+ */
+async function reconcileSeason(seasonKey, sheetRecords) {
+  const sheetSeason = getSheetSeason(seasonKey);
+  const days = loadAllDailyScores(seasonKey);
+  const { dates, duplicates } = scanDailyFiles(seasonKey);
+  const calendar = getPeriods(seasonKey);
+
+  const sheetByPeriod = {};
+  for (const rec of sheetRecords.filter(r => r.season === sheetSeason)) {
+    sheetByPeriod[rec.period] = rec.teams;
+  }
+  const dailyPeriods = new Set(days.map(d => d.period));
+
+  const periods = [];
+  for (const p of calendar) {
+    const sheetTeams = sheetByPeriod[p.period];
+    if (!sheetTeams || !dailyPeriods.has(p.period)) continue;
+
+    const periodDates = dateRange(p.start, p.end);
+    const missingDays = periodDates.filter(d => !dates.has(d));
+    const duplicateDays = duplicates.filter(d => d.date >= p.start && d.date <= p.end);
+
+    const daily = computeTeamPeriodTotals(days, p.period);
+    const franchises = [...new Set([...Object.keys(sheetTeams), ...Object.keys(daily)])].sort();
+    const teams = franchises.map(franchise => {
+      const d = daily[franchise] || { pts: 0, gp: 0 };
+      const s = sheetTeams[franchise] || { fpts: 0, gp: 0 };
+      const dailyPts = +d.pts.toFixed(1);
+      return {
+        franchise,
+        dailyPts,
+        sheetPts: s.fpts,
+        dailyGP: d.gp,
+        sheetGP: s.gp,
+        ok: Math.abs(dailyPts - s.fpts) <= PTS_TOLERANCE && d.gp === s.gp,
+      };
+    });
+
+    periods.push({
+      period: p.period,
+      start: p.start,
+      end: p.end,
+      missingDays,
+      duplicateDays,
+      teams,
+      ok: teams.every(t => t.ok) && duplicateDays.length === 0,
+    });
+  }
+
+  const calendarPeriods = new Set(calendar.map(p => p.period));
+  const sheetOnly = Object.keys(sheetByPeriod).map(Number)
+    .filter(p => !dailyPeriods.has(p) || !calendarPeriods.has(p)).sort((a, b) => a - b);
+  const dailyOnly = [...dailyPeriods].filter(p => !sheetByPeriod[p]).sort((a, b) => a - b);
+
+  return {
+    season: seasonKey,
+    sheetSeason,
+    periods,
+    sheetOnly,
+    dailyOnly,
+    ok: periods.every(p => p.ok) && sheetOnly.length === 0 && dailyOnly.length === 0,
+  };
+}
+
+function printReport(r) {
+  const bad = r.periods.filter(p => !p.ok);
+  console.log(`\n[reconcile] ${r.season} (Database season ${r.sheetSeason}): ${r.periods.length} periods checked, ${bad.length} with discrepancies`);
+
+  for (const p of r.periods) {
+    const mismatched = p.teams.filter(t => !t.ok);
+    if (p.ok && p.missingDays.length === 0) continue;
+
+    if (p.ok) {
+      console.log(`  P${p.period} ${p.start} → ${p.end}: totals match; no file for ${p.missingDays.join(", ")} (likely no games)`);
+      continue;
+    }
+
+    console.log(`  P${p.period} ${p.start} → ${p.end}:`);
+    for (const t of mismatched) {
+      const ptsDiff = +(t.dailyPts - t.sheetPts).toFixed(1);
+      const gpDiff = t.dailyGP - t.sheetGP;
+      console.log(`    ✗ ${t.franchise}: daily ${t.dailyPts} pts / ${t.dailyGP} GP vs sheet ${t.sheetPts} / ${t.sheetGP}` +
+        ` (${ptsDiff >= 0 ? "+" : ""}${ptsDiff} pts, ${gpDiff >= 0 ? "+" : ""}${gpDiff} GP)`);
+    }
+    for (const d of p.duplicateDays) console.log(`    ✗ ${d.date}: ${d.reason}`);
+    if (p.missingDays.length > 0) console.log(`    ? no daily file: ${p.missingDays.join(", ")}`);
+  }
+
+  if (r.sheetOnly.length > 0) console.log(`  Database periods with no daily data or calendar entry: ${r.sheetOnly.map(p => `P${p}`).join(", ")}`);
+  if (r.dailyOnly.length > 0) console.log(`  Daily periods missing from the Database tab: ${r.dailyOnly.map(p => `P${p}`).join(", ")}`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const seasonKey = args.find(a => !a.startsWith("--")) || null;
+  const asJson = args.includes("--json");
+
+  const sheetRecords = await fetchHistoricalData();
+  if (sheetRecords.length === 0) {
+    console.error("[reconcile] No Database records loaded — check data/historical.json");
+    process.exit(1);
+  }
+
+  const keys = seasonKey ? [seasonKey] : listSeasons();
+  const reports = [];
+  for (const key of keys) {
+    reports.push(await reconcileSeason(key, sheetRecords));
+  }
+
+  if (asJson) {
+    console.log(JSON.stringify(reports, null, 2));
+    return;
+  }
+
+  reports.forEach(printReport);
+  const clean = reports.filter(r => r.ok).length;
+  console.log(`\n[reconcile] ${clean}/${reports.length} season(s) reconcile cleanly`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`[reconcile] ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { reconcileSeason, scanDailyFiles };
@@ -0,0 +1,192 @@
+// ============================================================
+// SCHEDULE STRENGTH — GP volume vs per-game efficiency
+// ============================================================
+// Daily points are mostly a function of games played. This splits a
+// franchise's points above (or below) an average team into:
+//
+//   volume     = (GP − league avg GP) × league PPG
+//   efficiency = (PPG − league PPG) × GP
+//
+// The two add up exactly to pts − league avg GP × league PPG, so
+// "scored more because more skaters played" and "scored more per
+// game" can be told apart for a period or a season.
+//
+// Remaining-schedule edge: GP left in the period vs the league
+// average, worth gpEdge × league PPG points. The scrape records
+// periodGP / periodGPRemaining from the period page, but those are
+// only used when periodGP matches the GP summed from the daily files.
+// Through 2025-26 it never has (the scraper reads one player's game
+// info, not the team's, and remaining is always 0). Otherwise
+// remaining GP is estimated from the franchise's own GP rate this
+// period × calendar days left (the projectPeriodFinish method), and
+// the result says which source it used.
+//
+// Usage:
+//   node src/schedule.js                      # current period + season, latest day
+//   node src/schedule.js 9                    # period 9
+//   node src/schedule.js --as-of 2026-01-15
+// ============================================================
+
+const { getPeriods, CURRENT_SEASON } = require("./config");
+const { getDays } = require("./store");
+
+// Scraped periodGP may differ from the daily sum by this much (a late
+// game missing from tonight's file) and still be trusted
+const PERIOD_GP_TOLERANCE = 2;
+
+/**
+ * Volume / efficiency split of each franchise's points over a set of days.
+ * Returns: { league: { avgGP, avgPts, ppg }, franchises: { F: { pts, gp, ppg,
+ *   vsAvg, volume, efficiency } } } — null if nobody played
+ */
+function decompose(days) {
+  const totals = {};
+  for (const day of days) {
+    for (const t of day.teams) {
+      const row = totals[t.franchise] || (totals[t.franchise] = { pts: 0, gp: 0 });
+      row.pts += t.dayPts || 0;
+      row.gp += t.gp || 0;
+    }
+  }
+
+  const rows = Object.values(totals);
+  const leagueGP = rows.reduce((s, r) => s + r.gp, 0);
+  if (rows.length === 0 || leagueGP === 0) return null;
+  const leaguePts = rows.reduce((s, r) => s + r.pts, 0);
+  const ppg = leaguePts / leagueGP;
+  const avgGP = leagueGP / rows.length;
+
+  const franchises = {};
+  for (const [f, r] of Object.entries(totals)) {
+    const myPPG = r.gp > 0 ? r.pts / r.gp : 0;
+    franchises[f] = {
+      pts: +r.pts.toFixed(1),
+      gp: r.gp,
+      ppg: +myPPG.toFixed(3),
+      vsAvg: +(r.pts - avgGP * ppg).toFixed(1),
+      volume: +((r.gp - avgGP) * ppg).toFixed(1),
+      efficiency: +((myPPG - ppg) * r.gp).toFixed(1),
+    };
+  }
+  return {
+    league: { avgGP: +avgGP.toFixed(1), avgPts: +(leaguePts / rows.length).toFixed(1), ppg: +ppg.toFixed(3) },
+    franchises,
+  };
+}
+
+/**
+ * Estimated GP left in the period per franchise, and the edge vs the
+ * league average. allDays must end on the night being analyzed.
+ * Returns: { period, source: "scraped" | "rate", calDaysRemaining,
+ *   franchises: { F: { gpRemaining, gpEdge, ptsEdge } } } or null
+ */
+function remainingScheduleEdge(allDays, period, seasonKey = CURRENT_SEASON) {
+  const periodConfig = getPeriods(seasonKey).find(p => p.period === period);
+  const periodDays = allDays.filter(d => d.period === period);
+  if (!periodConfig || periodDays.length === 0) return null;
+
+  const tonight = periodDays[periodDays.length - 1];
+  const split = decompose(allDays);
+  const leaguePPG = split ? split.league.ppg : 0;
+
+  const gpSoFar = {};
+  for (const day of periodDays) {
+    for (const t of day.teams) gpSoFar[t.franchise] = (gpSoFar[t.franchise] || 0) + (t.gp || 0);
+  }
+
+  const scrapedOk = tonight.teams.every(t =>
+    t.periodGP != null && t.periodGPRemaining != null &&
+    Math.abs(t.periodGP - (gpSoFar[t.franchise] || 0)) <= PERIOD_GP_TOLERANCE
+  );
+
+  // Same calendar arithmetic as projectPeriodFinish
+  const startDate = new Date(periodConfig.start + "T12:00:00Z");
+  const endDate   = new Date(periodConfig.end   + "T12:00:00Z");
+  const totalDays = Math.round((endDate - startDate) / 86400000) + 1;
+  const calDaysElapsed = Math.max(1, Math.round((new Date(tonight.date + "T12:00:00Z") - startDate) / 86400000) + 1);
+  const calDaysRemaining = Math.max(0, totalDays - calDaysElapsed);
+
+  const remaining = {};
+  for (const t of tonight.teams) {
+    remaining[t.franchise] = scrapedOk
+      ? t.periodGPRemaining
+      : Math.round(((gpSoFar[t.franchise] || 0) / calDaysElapsed) * calDaysRemaining);
+  }
+
+  const codes = Object.keys(remaining);
+  const avgRemaining = codes.reduce((s, f) => s + remaining[f], 0) / codes.length;
+  const franchises = {};
+  for (const f of codes) {
+    const gpEdge = remaining[f] - avgRemaining;
+    franchises[f] = { gpRemaining: remaining[f], gpEdge: +gpEdge.toFixed(1), ptsEdge: +(gpEdge * leaguePPG).toFixed(1) };
+  }
+
+  return { period, source: scrapedOk ? "scraped" : "rate", calDaysRemaining, franchises };
+}
+
+/**
+ * Everything for one night: period split, season split, remaining edge.
+ * allDays: this season, ending on the night being analyzed.
+ */
+function buildScheduleReport(allDays, period, seasonKey = CURRENT_SEASON) {
+  return {
+    period,
+    periodSplit: decompose(allDays.filter(d => d.period === period)),
+    seasonSplit: decompose(allDays),
+    remaining: remainingScheduleEdge(allDays, period, seasonKey),
+  };
+}
+
+function signed(x, digits = 1) {
+  return `${x >= 0 ? "+" : ""}${x.toFixed(digits)}`;
+}
+
+function printSplit(label, split) {
+  if (!split) {
+    console.log(`\n${label}: no games played`);
+    return;
+  }
+  const { league } = split;
+  console.log(`\n${label} — league avg ${league.avgGP} GP, ${league.ppg.toFixed(2)} PPG`);
+  console.log(`  ${"".padEnd(4)} ${"pts".padStart(7)} ${"GP".padStart(5)} ${"PPG".padStart(5)} ${"vs avg".padStart(7)} ${"volume".padStart(7)} ${"effic.".padStart(7)}`);
+  const rows = Object.entries(split.franchises).sort((a, b) => b[1].pts - a[1].pts);
+  for (const [f, r] of rows) {
+    console.log(`  ${f.padEnd(4)} ${r.pts.toFixed(1).padStart(7)} ${String(r.gp).padStart(5)} ${r.ppg.toFixed(2).padStart(5)} ${signed(r.vsAvg).padStart(7)} ${signed(r.volume).padStart(7)} ${signed(r.efficiency).padStart(7)}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const asOfIdx = args.indexOf("--as-of");
+  const asOf = asOfIdx >= 0 ? args[asOfIdx + 1] : null;
+  const positional = args.filter((a, i) => !a.startsWith("--") && (asOfIdx < 0 || i !== asOfIdx + 1));
+
+  const allDays = getDays({ season: CURRENT_SEASON, requirePeriod: true }).filter(d => !asOf || d.date <= asOf);
+  if (allDays.length === 0) {
+    console.error(`[schedule] No daily data${asOf ? ` on or before ${asOf}` : ""}`);
+    process.exit(1);
+  }
+  const period = positional[0] ? parseInt(positional[0], 10) : allDays[allDays.length - 1].period;
+  const days = allDays.filter(d => d.period <= period);
+  const report = buildScheduleReport(days, period);
+
+  console.log(`[schedule] ${CURRENT_SEASON} as of ${days[days.length - 1].date}`);
+  printSplit(`P${period}`, report.periodSplit);
+  printSplit("Season", report.seasonSplit);
+
+  const rem = report.remaining;
+  if (rem) {
+    const how = rem.source === "scraped" ? "scraped period GP" : "estimated from each team's GP rate";
+    console.log(`\nP${period} GP remaining — ${rem.calDaysRemaining} day(s) left, ${how}`);
+    const rows = Object.entries(rem.franchises).sort((a, b) => b[1].gpEdge - a[1].gpEdge);
+    for (const [f, r] of rows) {
+      console.log(`  ${f.padEnd(4)} ${String(r.gpRemaining).padStart(4)} GP  ${signed(r.gpEdge).padStart(6)} vs avg  ${signed(r.ptsEdge).padStart(6)} pts`);
+    }
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { decompose, remainingScheduleEdge, buildScheduleReport };
@@ -20,7 +20,8 @@ try {
 
 const fs = require("fs");
 const path = require("path");
-const { FRANCHISE_NAMES } = require("./config");
+const { FRANCHISE_NAMES, CURRENT_SEASON } = require("./config");
+const { rankLabel } = require("./ranking");
 
 const LOGOS_DIR = path.join(__dirname, "..", "data", "logos");
 
@@ -128,7 +129,7 @@ async function preloadLogos(franchises) {
 /**
  * Draw the rank badge overlaid on the top-left of the logo.
  */
-function drawBadgeOnLogo(ctx, rank, isPodium, p, logoX, logoY) {
+function drawBadgeOnLogo(ctx, label, isPodium, p, logoX, logoY) {
   // Position badge at top-left of logo, offset slightly inward
   const badgeX = logoX - 4;
   const badgeY = logoY - 4;
@@ -154,13 +155,15 @@ function drawBadgeOnLogo(ctx, rank, isPodium, p, logoX, logoY) {
   }
 
   ctx.fillStyle = isPodium ? p.badgeText : "#fff";
-  ctx.font = "bold 18px 'Helvetica Neue', Helvetica, Arial, sans-serif";
+  // "T1" for a shared rank needs a smaller size to fit the badge
+  ctx.font = `bold ${label.length > 1 ? 14 : 18}px 'Helvetica Neue', Helvetica, Arial, sans-serif`;
   ctx.textAlign = "center";
-  ctx.fillText(String(rank), badgeX + BADGE_SIZE / 2, badgeY + BADGE_SIZE / 2 + 6);
+  ctx.fillText(label, badgeX + BADGE_SIZE / 2, badgeY + BADGE_SIZE / 2 + (label.length > 1 ? 5 : 6));
 }
 
 /**
- * Render a single card strip onto a canvas context.
+ * Render a single card strip onto a canvas context. Co-leaders (a
+ * shared dayRank) get the same podium treatment and a "T" badge.
  */
 function renderCardStrip(ctx, team, logos, x, y, w) {
   const rank = team.dayRank;
@@ -239,7 +242,7 @@ function renderCardStrip(ctx, team, logos, x, y, w) {
   }
 
   // Rank badge — overlaid on top-left of logo
-  drawBadgeOnLogo(ctx, rank, isPodium, p, logoX, logoY);
+  drawBadgeOnLogo(ctx, rankLabel(rank, team.dayTied), isPodium, p, logoX, logoY);
 
   // Team name — starts right after logo (no separate badge column)
   const nameX = logoX + LOGO_SIZE + 14;
@@ -336,7 +339,7 @@ function renderCardStrip(ctx, team, logos, x, y, w) {
 
 /**
  * Generate individual card strip PNGs for each team.
- * Returns array of { franchise, rank, filepath, name }.
+ * Returns array of { franchise, rank, tied, filepath, name }.
  */
 async function generateCardStrips(analysis, options = {}) {
   if (!createCanvas) {
@@ -381,6 +384,7 @@ async function generateCardStrips(analysis, options = {}) {
     results.push({
       franchise: team.franchise,
       rank: team.dayRank,
+      tied: !!team.dayTied,
       filepath,
       name: team.name,
     });
@@ -433,7 +437,7 @@ async function generateScoreboard(analysis, options = {}) {
   ctx.fillText(`P${period}: ${dateStr} — Nightly Recap`, hx + 28, hy + 44);
   ctx.fillStyle = T.neutral;
   ctx.font = "22px 'Helvetica Neue', Helvetica, Arial, sans-serif";
-  ctx.fillText("Sparky League • 2025-26", hx + 28, hy + 80);
+  ctx.fillText(`Sparky League • ${CURRENT_SEASON}`, hx + 28, hy + 80);
 
   let cardY = hy + HEADER_H + 8;
   for (const team of teams) {
@@ -7,52 +7,22 @@
 // Usage:  node src/scorigami-grid.js
 // ============================================================
 
-const fs = require("fs");
-const path = require("path");
-
-const DATA_ROOT = path.join(__dirname, "..", "data");
-
-function findDailyDirs() {
-  if (!fs.existsSync(DATA_ROOT)) return [];
-  return fs.readdirSync(DATA_ROOT)
-    .filter(d => d.startsWith("daily") && fs.statSync(path.join(DATA_ROOT, d)).isDirectory())
-    .map(d => path.join(DATA_ROOT, d));
-}
+const { getTeamLines, listStoredSeasons } = require("./store");
 
 function loadAllEntries() {
-  const entries = []; // { pts, gp, date, franchise }
-  const dirs = findDailyDirs();
-
-  for (const dir of dirs) {
-    const files = fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort();
-    for (const file of files) {
-      try {
-        const data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
-        if (!data.teams || data.teams.length === 0) continue;
-        const totalPts = data.teams.reduce((sum, t) => sum + (t.dayPts || 0), 0);
-        if (totalPts === 0) continue;
-
-        for (const t of data.teams) {
-          const gp = t.gp || 0;
-          if (gp <= 0) continue;
-          entries.push({
-            pts: Math.round(t.dayPts || 0),
-            gp,
-            date: data.date,
-            franchise: t.name || t.franchise,
-          });
-        }
-      } catch (e) {}
-    }
-  }
-
-  return entries;
+  // { pts, gp, date, franchise }
+  return getTeamLines().map(line => ({
+    pts: Math.round(line.dayPts),
+    gp: line.gp,
+    date: line.date,
+    franchise: line.name || line.franchise,
+  }));
 }
 
 function main() {
   const entries = loadAllEntries();
   console.log(`Total entries: ${entries.length.toLocaleString()}`);
-  console.log(`Directories scanned: ${findDailyDirs().length}`);
+  console.log(`Seasons scanned: ${listStoredSeasons().length}`);
 
   // Build grid
   const grid = {};    // "pts|gp" → count
@@ -8,50 +8,28 @@
 //   node src/scorigami-query.js rarest 25       # top 25 rarest
 //   node src/scorigami-query.js lookup 14 3     # who scored 14 pts on 3 GP?
 //   node src/scorigami-query.js check 14 3      # has 14 pts / 3 GP ever happened?
-//   node src/scorigami-query.js franchise BEW   # rarest combos by a franchise
+//   node src/scorigami-query.js franchise BEW   # rarest combos by a franchise (all seasons)
 //   node src/scorigami-query.js efficiency       # most extreme PPG days ever
 // ============================================================
 
-const fs = require("fs");
-const path = require("path");
-
-const DATA_ROOT = path.join(__dirname, "..", "data");
-
-function findDailyDirs() {
-  if (!fs.existsSync(DATA_ROOT)) return [];
-  return fs.readdirSync(DATA_ROOT)
-    .filter(d => d.startsWith("daily") && fs.statSync(path.join(DATA_ROOT, d)).isDirectory())
-    .map(d => path.join(DATA_ROOT, d));
+const { CURRENT_SEASON } = require("./config");
+const { getTeamLines, listStoredSeasons } = require("./store");
+
+function toEntry(line) {
+  return {
+    pts: Math.round(line.dayPts),
+    rawPts: line.dayPts,
+    gp: line.gp,
+    ppg: +(line.dayPts / line.gp).toFixed(3),
+    date: line.date,
+    season: line.season || null,
+    code: line.franchise,
+    franchise: line.name || line.franchise,
+  };
 }
 
 function loadAllEntries() {
-  const entries = [];
-  for (const dir of findDailyDirs()) {
-    const files = fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort();
-    for (const file of files) {
-      try {
-        const data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
-        if (!data.teams || data.teams.length === 0) continue;
-        const totalPts = data.teams.reduce((sum, t) => sum + (t.dayPts || 0), 0);
-        if (totalPts === 0) continue;
-
-        for (const t of data.teams) {
-          const gp = t.gp || 0;
-          if (gp <= 0) continue;
-          entries.push({
-            pts: Math.round(t.dayPts || 0),
-            rawPts: t.dayPts || 0,
-            gp,
-            ppg: +(( t.dayPts || 0) / gp).toFixed(3),
-            date: data.date,
-            season: data.season || null,
-            franchise: t.name || t.franchise,
-          });
-        }
-      } catch (e) {}
-    }
-  }
-  return entries;
+  return getTeamLines().map(toEntry);
 }
 
 function buildGrid(entries) {
@@ -114,8 +92,9 @@ function cmdCheck(grid, pts, gp) {
 
 function cmdFranchise(entries, grid, name) {
   const nameUpper = name.toUpperCase();
+  // Match on franchise code (covers every team name in its lineage) or raw team name
   const franchiseEntries = entries.filter(e =>
-    (e.franchise || "").toUpperCase().includes(nameUpper)
+    e.code === nameUpper || (e.franchise || "").toUpperCase().includes(nameUpper)
   );
 
   if (franchiseEntries.length === 0) {
@@ -167,73 +146,35 @@ function cmdEfficiency(entries) {
 }
 
 function cmdSeason(entries) {
-  // Build grid from all NON-current-season data (everything not in data/daily/)
-  const currentSeasonDir = path.join(DATA_ROOT, "daily");
-  const historicalEntries = [];
-  for (const dir of findDailyDirs()) {
-    if (dir === currentSeasonDir) continue;
-    const files = fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort();
-    for (const file of files) {
-      try {
-        const data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
-        if (!data.teams || data.teams.length === 0) continue;
-        const totalPts = data.teams.reduce((sum, t) => sum + (t.dayPts || 0), 0);
-        if (totalPts === 0) continue;
-        for (const t of data.teams) {
-          const gp = t.gp || 0;
-          if (gp <= 0) continue;
-          historicalEntries.push({ pts: Math.round(t.dayPts || 0), gp });
-        }
-      } catch (e) {}
-    }
-  }
-
-  // Build running grid starting with all historical data
+  // Build grid from all NON-current-season data
   const grid = new Set();
-  for (const e of historicalEntries) {
-    grid.add(`${e.pts}|${e.gp}`);
+  for (const line of getTeamLines({ excludeSeason: CURRENT_SEASON })) {
+    grid.add(`${Math.round(line.dayPts)}|${line.gp}`);
   }
   console.log(`\nHistorical grid: ${grid.size} unique combos from previous seasons`);
 
-  // Load current season dates chronologically
-  if (!fs.existsSync(currentSeasonDir)) {
-    console.log("No current season data in data/daily/");
+  // Walk the current season chronologically
+  const current = getTeamLines({ season: CURRENT_SEASON }).map(toEntry);
+  if (current.length === 0) {
+    console.log(`No current season data for ${CURRENT_SEASON}`);
     return;
   }
 
-  const files = fs.readdirSync(currentSeasonDir)
-    .filter(f => f.endsWith(".json") && f !== ".gitkeep")
-    .sort();
-
   const scorigamis = [];
+  for (const e of current) {
+    const key = `${e.pts}|${e.gp}`;
+    if (!grid.has(key)) {
+      scorigamis.push({
+        date: e.date,
+        franchise: e.franchise,
+        pts: e.pts,
+        gp: e.gp,
+        ppg: (e.pts / e.gp).toFixed(3),
+      });
+    }
 
-  for (const file of files) {
-    try {
-      const data = JSON.parse(fs.readFileSync(path.join(currentSeasonDir, file), "utf-8"));
-      if (!data.teams || data.teams.length === 0) continue;
-      const totalPts = data.teams.reduce((sum, t) => sum + (t.dayPts || 0), 0);
-      if (totalPts === 0) continue;
-
-      for (const t of data.teams) {
-        const gp = t.gp || 0;
-        if (gp <= 0) continue;
-        const pts = Math.round(t.dayPts || 0);
-        const key = `${pts}|${gp}`;
-
-        if (!grid.has(key)) {
-          scorigamis.push({
-            date: data.date,
-            franchise: t.name || t.franchise,
-            pts,
-            gp,
-            ppg: (pts / gp).toFixed(3),
-          });
-        }
-
-        // Add to running grid so later dates don't re-flag the same combo
-        grid.add(key);
-      }
-    } catch (e) {}
+    // Add to running grid so later dates don't re-flag the same combo
+    grid.add(key);
   }
 
   if (scorigamis.length === 0) {
@@ -267,8 +208,8 @@ function main() {
   console.log("Loading data...");
   const entries = loadAllEntries();
   const grid = buildGrid(entries);
-  const dirs = findDailyDirs().length;
-  console.log(`${entries.length.toLocaleString()} entries from ${dirs} directories, ${Object.keys(grid).length} unique combos`);
+  const seasons = listStoredSeasons().length;
+  console.log(`${entries.length.toLocaleString()} entries from ${seasons} seasons, ${Object.keys(grid).length} unique combos`);
 
   switch (command) {
     case "rarest":
@@ -9,58 +9,19 @@
 // reading committed daily JSONs — no scraping needed.
 // ============================================================
 
-const fs = require("fs");
-const path = require("path");
 const { toFranchise, FRANCHISE_NAMES } = require("./config");
-
-const DATA_ROOT = path.join(__dirname, "..", "data");
-
-/**
- * Find all daily score directories (data/daily, data/daily-2024-25, etc.)
- */
-function findDailyDirs() {
-  if (!fs.existsSync(DATA_ROOT)) return [];
-  return fs.readdirSync(DATA_ROOT)
-    .filter(d => d.startsWith("daily") && fs.statSync(path.join(DATA_ROOT, d)).isDirectory())
-    .map(d => path.join(DATA_ROOT, d));
-}
+const { getDay, getTeamLines, listStoredSeasons } = require("./store");
 
 /**
- * Load all daily score files from ALL daily directories and build the historical grid.
+ * Build the historical grid from every season's daily scores.
  * Returns a Set of "pts|gp" keys representing every combo that has occurred.
  */
 function buildHistoricalGrid(excludeDate) {
   const grid = new Set();
-  const dirs = findDailyDirs();
-
-  for (const dir of dirs) {
-    const files = fs.readdirSync(dir)
-      .filter(f => f.endsWith(".json") && f !== ".gitkeep")
-      .sort();
-
-    for (const file of files) {
-      try {
-        const data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
-        if (!data.teams || data.teams.length === 0) continue;
-
-        // Skip the date we're checking (so it's truly "before last night")
-        if (data.date === excludeDate) continue;
-
-        // Skip days where every team scored 0
-        const totalPts = data.teams.reduce((sum, t) => sum + (t.dayPts || 0), 0);
-        if (totalPts === 0) continue;
-
-        for (const t of data.teams) {
-          const pts = Math.round(t.dayPts || 0);
-          const gp = t.gp || 0;
-          if (gp > 0) {
-            grid.add(`${pts}|${gp}`);
-          }
-        }
-      } catch (e) {
-        // Skip corrupt files
-      }
-    }
+
+  // Skip the date we're checking (so it's truly "before last night")
+  for (const line of getTeamLines({ excludeDate })) {
+    grid.add(`${Math.round(line.dayPts)}|${line.gp}`);
   }
 
   return grid;
@@ -71,27 +32,17 @@ function buildHistoricalGrid(excludeDate) {
  * Returns array of scorigami entries: { franchise, name, pts, gp }
  */
 function checkScorigami(date) {
-  // Find the file for this date across all daily directories
-  let filepath = null;
-  for (const dir of findDailyDirs()) {
-    const candidate = path.join(dir, `${date}.json`);
-    if (fs.existsSync(candidate)) {
-      filepath = candidate;
-      break;
-    }
-  }
+  const data = getDay(date);
 
-  if (!filepath) {
+  if (!data) {
     console.log(`[scorigami] No data file for ${date}`);
     return [];
   }
 
-  const data = JSON.parse(fs.readFileSync(filepath, "utf-8"));
   if (!data.teams || data.teams.length === 0) return [];
 
   const grid = buildHistoricalGrid(date);
-  const dirCount = findDailyDirs().length;
-  console.log(`[scorigami] Scanned ${dirCount} daily dirs — ${grid.size} unique (pts, GP) combos`);
+  console.log(`[scorigami] Scanned ${listStoredSeasons().length} seasons — ${grid.size} unique (pts, GP) combos`);
 
   const results = [];
 
@@ -1,16 +1,17 @@
 // ============================================================
 // FANTRAX LIVE SCORING SCRAPER
 // ============================================================
-// Logs into Fantrax, navigates to live scoring page,
-// extracts all 6 team cards from the sidebar.
+// Gets a logged-in page from session.js, navigates to the live
+// scoring page and extracts all 6 team cards from the sidebar. With
+// SCRAPE_PLAYERS=true it then opens each team for its player lines
+// (players.js); that pass is off by default until its selectors are
+// checked against a recorded night.
 // ============================================================
 
-const puppeteer = require("puppeteer-extra");
-const StealthPlugin = require("puppeteer-extra-plugin-stealth");
-puppeteer.use(StealthPlugin());
-
-const FANTRAX_LOGIN_URL = "https://www.fantrax.com/login";
-const LEAGUE_ID = "264ojs1imd3nogmp";
+const { LEAGUE_ID } = require("./config");
+const { openSession, closeSession } = require("./session");
+const { getSource, startCapture, chooseTeams } = require("./fantrax-api");
+const { parseRosterTables } = require("./players");
 
 // Build live scoring URL for a given date (YYYY-MM-DD)
 function buildLiveScoringUrl(date) {
@@ -23,211 +24,33 @@ function buildStandingsUrl() {
 }
 
 /**
- * Launch browser, login, scrape live scoring data.
+ * Open a Fantrax session (session.js), scrape live scoring data.
+ * `players: false` skips the per-team player lines and `periodGP: false`
+ * the period page (intraday snapshots need neither).
  * Returns: {
  *   scrapedAt: ISO timestamp,
  *   period: number,
  *   teams: [
  *     { rank: 1, name: "Jason's Gaucho Chudpumpers", seasonPts: 771, dayPts: 0, projectedFpg: 11.11 },
  *     ...
- *   ]
+ *   ],
+ *   players: { "<team name>": [player line, ...] } or null
  * }
  */
-async function scrapeLiveScoring({ username, password, period, date, headless = true }) {
-  console.log(`[scrape] Launching browser (headless: ${headless})...`);
-
-  const browser = await puppeteer.launch({
-    headless: headless ? "new" : false,
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-gpu"
-    ]
-  });
+async function scrapeLiveScoring({ username, password, period, date, headless = true,
+                                   players: withPlayers = process.env.SCRAPE_PLAYERS === "true", periodGP = true }) {
+  // Step 1: Logged-in page (saved session, or a fresh login)
+  const session = await openSession({ username, password, headless });
+  const { page } = session;
 
   try {
-    const page = await browser.newPage();
-    await page.setViewport({ width: 1400, height: 900 });
-
-    // Set a realistic user agent
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36"
-    );
-
-    // Step 1: Login
-    // Fantrax uses an Angular Material dialog for login.
-    // We navigate to /login, which may open the dialog automatically,
-    // or we may need to click a Login button first.
-    console.log("[scrape] Navigating to login page...");
-    await page.goto(FANTRAX_LOGIN_URL, { waitUntil: "networkidle2", timeout: 30000 });
-
-    // Wait for page to settle
-    await new Promise(r => setTimeout(r, 3000));
-
-    // Check if the login dialog is already open, or if we need to click a Login button
-    let dialogOpen = await page.$("mat-dialog-container, .mat-mdc-dialog-container");
-    if (!dialogOpen) {
-      console.log("[scrape] Login dialog not open, looking for Login button...");
-      // Try clicking a Login button on the page to open the dialog
-      const loginTrigger = await page.evaluate(() => {
-        const buttons = Array.from(document.querySelectorAll("button, a"));
-        const loginBtn = buttons.find(b => b.textContent.trim().toLowerCase() === "login");
-        if (loginBtn) { loginBtn.click(); return true; }
-        return false;
-      });
-      if (loginTrigger) {
-        console.log("[scrape] Clicked Login button, waiting for dialog...");
-        await new Promise(r => setTimeout(r, 2000));
-      }
-    }
-
-    // Wait for the Material dialog to appear with input fields
-    try {
-      await page.waitForSelector("mat-dialog-container input, .mat-mdc-dialog-container input, .mat-mdc-form-field input, input[matinput], input.mat-mdc-input-element", { timeout: 15000 });
-    } catch (e) {
-      await page.screenshot({ path: "debug-login-page.png", fullPage: true });
-      // Log what's on the page for debugging
-      const pageInfo = await page.evaluate(() => ({
-        url: window.location.href,
-        title: document.title,
-        hasDialog: !!document.querySelector("mat-dialog-container"),
-        inputCount: document.querySelectorAll("input").length,
-        bodyText: document.body.innerText.substring(0, 500)
-      }));
-      throw new Error("Login dialog inputs not found. Page info: " + JSON.stringify(pageInfo));
-    }
-
-    console.log("[scrape] Login dialog found, filling credentials...");
-
-    // Debug: log all input fields
-    const inputInfo = await page.evaluate(() => {
-      const inputs = document.querySelectorAll("input");
-      return Array.from(inputs).map(i => ({
-        type: i.type, name: i.name, id: i.id,
-        placeholder: i.placeholder, className: i.className,
-        ariaLabel: i.getAttribute("aria-label"),
-        formFieldLabel: i.closest("mat-form-field, .mat-mdc-form-field") ?
-          i.closest("mat-form-field, .mat-mdc-form-field").querySelector("mat-label, label")?.textContent?.trim() : null
-      }));
-    });
-    console.log("[scrape] Found inputs:", JSON.stringify(inputInfo, null, 2));
-
-    // Find all input fields inside the dialog
-    // Fantrax uses Angular Material — inputs are inside mat-form-field elements
-    // First field is email/username, second is password
-    const allInputs = await page.$$("mat-dialog-container input, .mat-mdc-dialog-container input");
-
-    // Fallback: if dialog selector didn't work, try broader match
-    let emailInput, passwordInput;
-    if (allInputs.length >= 2) {
-      emailInput = allInputs[0];
-      passwordInput = allInputs[1];
-    } else {
-      // Try by type
-      const textInputs = await page.$$('input[type="text"], input[type="email"], input:not([type="password"]):not([type="hidden"])');
-      passwordInput = await page.$('input[type="password"]');
-      emailInput = textInputs.length > 0 ? textInputs[0] : null;
-    }
-
-    if (!emailInput) {
-      await page.screenshot({ path: "debug-login-form.png", fullPage: true });
-      throw new Error("Could not find email input. Inputs found: " + JSON.stringify(inputInfo));
-    }
-    if (!passwordInput) {
-      await page.screenshot({ path: "debug-login-form.png", fullPage: true });
-      throw new Error("Could not find password input. Inputs found: " + JSON.stringify(inputInfo));
-    }
-
-    // Fill credentials
-    await emailInput.click({ clickCount: 3 });
-    await emailInput.type(username, { delay: 30 });
-    await new Promise(r => setTimeout(r, 500));
-
-    await passwordInput.click({ clickCount: 3 });
-    await passwordInput.type(password, { delay: 30 });
-    await new Promise(r => setTimeout(r, 500));
-
-    // Click the Login button inside the dialog
-    const loginClicked = await page.evaluate(() => {
-      // Try multiple approaches to find the Login button
-      // 1. Look in mat-dialog-actions (Material dialog footer)
-      const dialogActions = document.querySelector("mat-dialog-actions, mat-mdc-dialog-actions, .mat-mdc-dialog-actions, .mat-dialog-actions");
-      if (dialogActions) {
-        const buttons = dialogActions.querySelectorAll("button");
-        for (const btn of buttons) {
-          if (btn.textContent.trim().toLowerCase().includes("login")) {
-            btn.click();
-            return "found in dialog-actions";
-          }
-        }
-      }
-
-      // 2. Look for any visible button with "Login" text
-      const allButtons = document.querySelectorAll("button");
-      for (const btn of allButtons) {
-        const text = btn.textContent.trim().toLowerCase();
-        if (text === "login" && btn.offsetParent !== null) {
-          btn.click();
-          return "found by text match";
-        }
-      }
-
-      // 3. Look for mat-raised-button or primary button inside dialog
-      const dialog = document.querySelector("mat-dialog-container, .mat-mdc-dialog-container, .cdk-overlay-pane");
-      if (dialog) {
-        const buttons = dialog.querySelectorAll("button");
-        for (const btn of buttons) {
-          if (btn.textContent.trim().toLowerCase().includes("login") ||
-              btn.classList.contains("mat-primary") ||
-              btn.classList.contains("mat-raised-button")) {
-            btn.click();
-            return "found in dialog container";
-          }
-        }
-        // Last resort: click the last button in the dialog (usually the submit)
-        if (buttons.length > 0) {
-          buttons[buttons.length - 1].click();
-          return "clicked last dialog button";
-        }
-      }
-
-      return null;
-    });
-
-    if (loginClicked) {
-      console.log(`[scrape] Clicked Login button (${loginClicked}).`);
-    } else {
-      // Fallback: press Enter
-      console.log("[scrape] No Login button found, pressing Enter...");
-      await passwordInput.press("Enter");
-    }
-
-    // Wait for navigation after login
-    console.log("[scrape] Logging in...");
-    await page.waitForNavigation({ waitUntil: "networkidle2", timeout: 30000 }).catch(() => {
-      console.log("[scrape] Navigation timeout after login — continuing anyway...");
-    });
-
-    // Give the page extra time to settle (Angular redirect can be slow)
-    await new Promise(r => setTimeout(r, 5000));
-
-    // Verify login succeeded
-    const currentUrl = page.url();
-    console.log("[scrape] Current URL after login: " + currentUrl);
-
-    if (currentUrl.includes("/login")) {
-      // Take a screenshot to see what happened (CAPTCHA? Wrong creds?)
-      await page.screenshot({ path: "debug-login-failed.png", fullPage: true });
-      throw new Error("Login failed — still on login page. Check credentials or reCAPTCHA may be blocking. Screenshot saved.");
-    }
-    console.log("[scrape] Login successful.");
-
     // Step 2: Navigate to live scoring for the specific date
     // Use domcontentloaded — Fantrax SPA keeps live-scoring connections open
     // (websockets, polling) that prevent networkidle2 from resolving on game nights.
     // The waitForSelector below gates on actual data readiness.
     const liveUrl = buildLiveScoringUrl(date);
+    const source = getSource();
+    const capture = source !== "dom" ? startCapture(page) : null;
     console.log(`[scrape] Navigating to live scoring: ${liveUrl}`);
     await page.goto(liveUrl, { waitUntil: "domcontentloaded", timeout: 60000 });
 
@@ -240,7 +63,7 @@ async function scrapeLiveScoring({ username, password, period, date, headless =
 
     // Step 3: Extract team data from sidebar
     console.log("[scrape] Extracting team data...");
-    const teams = await page.evaluate(() => {
+    let teams = await page.evaluate(() => {
       const sections = document.querySelectorAll("section.matchup-list");
       const results = [];
 
@@ -311,6 +134,12 @@ async function scrapeLiveScoring({ username, password, period, date, headless =
       return results;
     });
 
+    // FANTRAX_SOURCE=api|compare: the page's own live scoring JSON (fantrax-api.js)
+    if (capture) {
+      const payloads = await capture.stop();
+      if (teams.length > 0) teams = chooseTeams(teams, payloads, date, source);
+    }
+
     if (teams.length === 0) {
       // Try alternate selectors
       console.log("[scrape] No teams found with primary selectors, trying fallback...");
@@ -370,8 +199,23 @@ async function scrapeLiveScoring({ username, password, period, date, headless =
 
     console.log(`[scrape] Found ${teams.length} teams.`);
 
+    // Step 3b: Player lines per team (players.js) — never fails the scrape
+    let players = null;
+    if (withPlayers) {
+      try {
+        players = await scrapePlayerLines(page);
+      } catch (e) {
+        console.log(`[scrape] Player lines skipped: ${e.message}`);
+        await page.screenshot({ path: "debug-players.png", fullPage: true }).catch(() => {});
+      }
+    }
+
     // Step 4: Navigate to period page to get period-level GP totals (played + remaining)
     // Same domcontentloaded strategy — let the selector wait handle Angular rendering.
+    // Intraday snapshots (intraday.js) skip this page.
+    if (!periodGP) {
+      return { scrapedAt: new Date().toISOString(), period, teams, players };
+    }
     const periodUrl = `https://www.fantrax.com/fantasy/league/${LEAGUE_ID}/livescoring;period=${period};viewType=1`;
     console.log(`[scrape] Navigating to period view for GP totals: ${periodUrl}`);
     await page.goto(periodUrl, { waitUntil: "domcontentloaded", timeout: 60000 });
@@ -421,20 +265,96 @@ async function scrapeLiveScoring({ username, password, period, date, headless =
     return {
       scrapedAt: new Date().toISOString(),
       period,
-      teams
+      teams,
+      players
     };
 
   } finally {
-    await browser.close();
+    await closeSession(session);
   }
 }
 
+/**
+ * Open each team from the live scoring sidebar and read its roster
+ * tables. Expects the live scoring page to be loaded already.
+ * Returns: { "<team name>": [player line, ...] } (players.js), or null
+ * if no team's tables parsed. A team whose roster didn't switch after
+ * the click (same players as the team before) is left out.
+ */
+async function scrapePlayerLines(page) {
+  const names = await page.$$eval("section.matchup-list", sections =>
+    sections.map(s => {
+      const el = s.querySelector("h4.matchup-list__name, h4");
+      return el ? el.textContent.trim() : "";
+    })
+  );
+
+  const rosters = {};
+  let previous = "";
+  for (let i = 0; i < names.length; i++) {
+    if (!names[i]) continue;
+
+    // Selecting a team in the sidebar swaps its roster into the main pane
+    const sections = await page.$$("section.matchup-list");
+    if (!sections[i]) break;
+    const link = (await sections[i].$("a[role='link'], a")) || sections[i];
+    await link.click();
+    await new Promise(r => setTimeout(r, 2500));
+
+    const tables = await page.evaluate(() => {
+      const text = el => (el ? el.textContent.replace(/\s+/g, " ").trim() : "");
+      const results = [];
+
+      document.querySelectorAll("table").forEach(table => {
+        if (table.closest("section.matchup-list, .matchup-list_wrapper, .matchup-list__wrapper")) return;
+
+        // Nearest heading above the table: "Active", "Reserve", "Injured Reserve", ...
+        let heading = "";
+        for (let el = table; el && !heading; el = el.parentElement) {
+          let sib = el.previousElementSibling;
+          while (sib && !heading) {
+            if (/^H[1-6]$/.test(sib.tagName) || sib.matches("[class*='title'], [class*='header']")) heading = text(sib);
+            sib = sib.previousElementSibling;
+          }
+        }
+
+        const headerRow = table.querySelector("thead tr:last-child") || table.querySelector("tr");
+        const headers = headerRow ? Array.from(headerRow.querySelectorAll("th, td")).map(text) : [];
+        const rows = [];
+        table.querySelectorAll("tbody tr").forEach(tr => {
+          const cells = Array.from(tr.querySelectorAll("td, th"));
+          if (cells.length === 0) return;
+          const nameEl = tr.querySelector(".scorer__info__name, [class*='scorer__info__name'], a");
+          const infoEl = tr.querySelector(".scorer__info__positions, [class*='scorer__info__positions'], [class*='positions']");
+          rows.push({ name: text(nameEl), info: text(infoEl), cells: cells.map(text) });
+        });
+        results.push({ heading, headers, rows });
+      });
+
+      return results;
+    });
+
+    const lines = parseRosterTables(tables);
+    const signature = lines.map(l => l.name).join("|");
+    if (lines.length === 0 || signature === previous) {
+      console.log(`[scrape] No player lines for ${names[i]}`);
+      continue;
+    }
+    previous = signature;
+    rosters[names[i]] = lines;
+  }
+
+  const count = Object.keys(rosters).length;
+  console.log(`[scrape] Player lines for ${count}/${names.length} teams`);
+  return count > 0 ? rosters : null;
+}
+
 /**
  * Scrape the cumulative standings page for additional stats.
  * Returns: { teams: [{ name, FPts, FP_G, GP, ... }] }
  */
-async function scrapeStandings({ username, password, page: existingPage }) {
-  // This can be called with an existing logged-in page to avoid double login
+async function scrapeStandings({ page: existingPage }) {
+  // Takes a logged-in page (session.js openSession) so it never logs in itself
   const url = buildStandingsUrl();
   const page = existingPage;
 
@@ -467,137 +387,20 @@ async function scrapeStandings({ username, password, page: existingPage }) {
   return standings;
 }
 
-module.exports = { scrapeLiveScoring, scrapeStandings, buildLiveScoringUrl, launchAndLogin, scrapeDateFromPage };
-
 /**
- * Launch browser and login to Fantrax. Returns { browser, page }.
- * Caller is responsible for closing the browser when done.
- * Uses the exact same login flow as scrapeLiveScoring.
+ * Scrape a single date through the FANTRAX_SOURCE data source
+ * (fantrax-api.js): the DOM parser, or the page's live scoring JSON
+ * with the DOM as fallback. Same result shape as scrapeDateFromPage.
  */
-async function launchAndLogin({ username, password, headless = true }) {
-  console.log(`[scrape] Launching browser (headless: ${headless})...`);
-
-  const browser = await puppeteer.launch({
-    headless: headless ? "new" : false,
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-gpu"
-    ]
-  });
-
-  const page = await browser.newPage();
-  await page.setViewport({ width: 1400, height: 900 });
-  await page.setUserAgent(
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36"
-  );
-
-  console.log("[scrape] Navigating to login page...");
-  await page.goto(FANTRAX_LOGIN_URL, { waitUntil: "networkidle2", timeout: 30000 });
-  await new Promise(r => setTimeout(r, 3000));
-
-  let dialogOpen = await page.$("mat-dialog-container, .mat-mdc-dialog-container");
-  if (!dialogOpen) {
-    console.log("[scrape] Login dialog not open, looking for Login button...");
-    const loginTrigger = await page.evaluate(() => {
-      const buttons = Array.from(document.querySelectorAll("button, a"));
-      const loginBtn = buttons.find(b => b.textContent.trim().toLowerCase() === "login");
-      if (loginBtn) { loginBtn.click(); return true; }
-      return false;
-    });
-    if (loginTrigger) {
-      console.log("[scrape] Clicked Login button, waiting for dialog...");
-      await new Promise(r => setTimeout(r, 2000));
-    }
-  }
-
-  try {
-    await page.waitForSelector("mat-dialog-container input, .mat-mdc-dialog-container input, .mat-mdc-form-field input, input[matinput], input.mat-mdc-input-element", { timeout: 15000 });
-  } catch (e) {
-    await page.screenshot({ path: "debug-login-page.png", fullPage: true });
-    const pageInfo = await page.evaluate(() => ({
-      url: window.location.href,
-      title: document.title,
-      hasDialog: !!document.querySelector("mat-dialog-container"),
-      inputCount: document.querySelectorAll("input").length,
-      bodyText: document.body.innerText.substring(0, 500)
-    }));
-    throw new Error("Login dialog inputs not found. Page info: " + JSON.stringify(pageInfo));
-  }
-
-  console.log("[scrape] Login dialog found, filling credentials...");
-
-  const allInputs = await page.$$("mat-dialog-container input, .mat-mdc-dialog-container input");
-  let emailInput, passwordInput;
-  if (allInputs.length >= 2) {
-    emailInput = allInputs[0];
-    passwordInput = allInputs[1];
-  } else {
-    const textInputs = await page.$$('input[type="text"], input[type="email"], input:not([type="password"]):not([type="hidden"])');
-    passwordInput = await page.$('input[type="password"]');
-    emailInput = textInputs.length > 0 ? textInputs[0] : null;
-  }
-
-  if (!emailInput || !passwordInput) {
-    await page.screenshot({ path: "debug-login-form.png", fullPage: true });
-    throw new Error("Could not find login inputs.");
-  }
-
-  await emailInput.click({ clickCount: 3 });
-  await emailInput.type(username, { delay: 30 });
-  await new Promise(r => setTimeout(r, 500));
-
-  await passwordInput.click({ clickCount: 3 });
-  await passwordInput.type(password, { delay: 30 });
-  await new Promise(r => setTimeout(r, 500));
-
-  const loginClicked = await page.evaluate(() => {
-    const dialogActions = document.querySelector("mat-dialog-actions, mat-mdc-dialog-actions, .mat-mdc-dialog-actions, .mat-dialog-actions");
-    if (dialogActions) {
-      const buttons = dialogActions.querySelectorAll("button");
-      for (const btn of buttons) {
-        if (btn.textContent.trim().toLowerCase().includes("login")) { btn.click(); return "found in dialog-actions"; }
-      }
-    }
-    const allButtons = document.querySelectorAll("button");
-    for (const btn of allButtons) {
-      if (btn.textContent.trim().toLowerCase() === "login" && btn.offsetParent !== null) { btn.click(); return "found by text match"; }
-    }
-    const dialog = document.querySelector("mat-dialog-container, .mat-mdc-dialog-container, .cdk-overlay-pane");
-    if (dialog) {
-      const buttons = dialog.querySelectorAll("button");
-      for (const btn of buttons) {
-        if (btn.textContent.trim().toLowerCase().includes("login") || btn.classList.contains("mat-primary")) { btn.click(); return "found in dialog container"; }
-      }
-      if (buttons.length > 0) { buttons[buttons.length - 1].click(); return "clicked last dialog button"; }
-    }
-    return null;
-  });
-
-  if (loginClicked) {
-    console.log(`[scrape] Clicked Login button (${loginClicked}).`);
-  } else {
-    console.log("[scrape] No Login button found, pressing Enter...");
-    await passwordInput.press("Enter");
-  }
-
-  console.log("[scrape] Logging in...");
-  await page.waitForNavigation({ waitUntil: "networkidle2", timeout: 30000 }).catch(() => {
-    console.log("[scrape] Navigation timeout after login — continuing anyway...");
-  });
-  await new Promise(r => setTimeout(r, 5000));
-
-  const currentUrl = page.url();
-  console.log("[scrape] Current URL after login: " + currentUrl);
-
-  if (currentUrl.includes("/login")) {
-    await page.screenshot({ path: "debug-login-failed.png", fullPage: true });
-    throw new Error("Login failed — still on login page.");
-  }
-
-  console.log("[scrape] Login successful.");
-  return { browser, page };
+async function scrapeDate(page, leagueId, date) {
+  const source = getSource();
+  if (source === "dom") return scrapeDateFromPage(page, leagueId, date);
+
+  const capture = startCapture(page);
+  const dom = await scrapeDateFromPage(page, leagueId, date);
+  const payloads = await capture.stop();
+  if (!dom) return null;
+  return { teams: chooseTeams(dom.teams, payloads, date, source) };
 }
 
 /**
@@ -696,3 +499,5 @@ async function scrapeDateFromPage(page, leagueId, date) {
 
   return { teams };
 }
+
+module.exports = { scrapeLiveScoring, scrapePlayerLines, scrapeStandings, buildLiveScoringUrl, scrapeDate, scrapeDateFromPage };
@@ -0,0 +1,293 @@
+// ============================================================
+// SEASON DEFINITIONS
+// ============================================================
+// Loads and validates data/seasons/<season>.json — one versioned
+// file per season holding league ID, scrape window, period
+// calendar, franchise roster and display names. Team names and
+// aliases live in the identity registry (data/franchises.json).
+//
+// Archived seasons carry "periodsSource": "inferred" when their
+// calendar was rebuilt by src/period-calendars.js rather than
+// entered from the Fantrax schedule.
+//
+// An optional "lineup" block holds the league's active roster slots,
+// e.g. { "C": 3, "LW": 3, "RW": 3, "D": 4, "G": 2 }. Slot keys are
+// LINEUP_SLOTS; src/lineup.js needs it for optimal-lineup analysis.
+//
+// Modules should read season data through config.js; this file
+// only owns the file format.
+//
+// Usage:
+//   node src/seasons.js validate            # validate every season file
+//   node src/seasons.js validate 2025-26    # validate one season
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const { resolveFranchise, listFranchiseCodes } = require("./identity");
+
+const DATA_ROOT = path.join(__dirname, "..", "data");
+const SEASONS_DIR = path.join(DATA_ROOT, "seasons");
+const LOGOS_DIR = path.join(DATA_ROOT, "logos");
+const LOGO_EXTENSIONS = [".png", ".jpg", ".jpeg"];
+
+const SEASON_FILE_VERSION = 1;
+
+// Lineup slot → player positions that can fill it
+const LINEUP_SLOTS = {
+  C:  ["C"],
+  LW: ["LW"],
+  RW: ["RW"],
+  D:  ["D"],
+  G:  ["G"],
+  F:  ["C", "LW", "RW"],
+  W:  ["LW", "RW"],
+  UT: ["C", "LW", "RW", "D"],
+};
+
+const _cache = {};
+
+/**
+ * List all season keys (e.g. "2013-14" … "2025-26"), oldest first.
+ */
+function listSeasons() {
+  if (!fs.existsSync(SEASONS_DIR)) return [];
+  return fs.readdirSync(SEASONS_DIR)
+    .filter(f => /^\d{4}-\d{2}\.json$/.test(f))
+    .map(f => f.replace(/\.json$/, ""))
+    .sort();
+}
+
+/**
+ * Load a season definition by key. Throws if the file is missing.
+ */
+function loadSeason(key) {
+  if (_cache[key]) return _cache[key];
+
+  const filepath = path.join(SEASONS_DIR, `${key}.json`);
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`No season file for ${key} (expected ${filepath})`);
+  }
+
+  const season = JSON.parse(fs.readFileSync(filepath, "utf-8"));
+  season.periods = season.periods || [];
+  season.franchises = season.franchises || [];
+  _cache[key] = season;
+  return season;
+}
+
+/**
+ * Pick the active season: SPARKY_SEASON if set, otherwise the most
+ * recent season whose scrape window has started (ET date).
+ */
+function getCurrentSeasonKey() {
+  if (process.env.SPARKY_SEASON) return process.env.SPARKY_SEASON;
+
+  const today = new Date().toLocaleDateString("en-CA", { timeZone: "America/New_York" });
+  const keys = listSeasons();
+  const started = keys.filter(k => loadSeason(k).start <= today);
+  return started.length > 0 ? started[started.length - 1] : keys[keys.length - 1];
+}
+
+/**
+ * Find the season whose scrape window contains a date, or null.
+ */
+function getSeasonForDate(dateStr) {
+  const key = listSeasons().find(k => {
+    const s = loadSeason(k);
+    return dateStr >= s.start && dateStr <= s.end;
+  });
+  return key || null;
+}
+
+/**
+ * Daily score directory for a season. The active season writes to
+ * data/daily/; archived seasons live in data/daily-<season>/.
+ */
+function getSeasonDailyDir(key) {
+  return key === getCurrentSeasonKey()
+    ? path.join(DATA_ROOT, "daily")
+    : path.join(DATA_ROOT, `daily-${key}`);
+}
+
+/**
+ * The Database tab labels a season by its ending year (2025-26 → 2026).
+ */
+function getSheetSeason(key) {
+  return parseInt(key.substring(0, 4)) + 1;
+}
+
+function findLogo(code) {
+  for (const ext of LOGO_EXTENSIONS) {
+    const filepath = path.join(LOGOS_DIR, `${code}${ext}`);
+    if (fs.existsSync(filepath)) return filepath;
+  }
+  return null;
+}
+
+/**
+ * Validate a season definition. Returns an array of error strings
+ * (empty when valid). Checks:
+ *   - required fields and file version
+ *   - period numbering, date order, overlaps, and season window
+ *   - roster codes exist in the identity registry, logos
+ *   - team names in the season's daily files that resolve (strictly)
+ *     to no rostered franchise
+ */
+function validateSeason(season, { checkDailyData = true } = {}) {
+  const errors = [];
+  const key = season.season;
+  const isDate = s => typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+  if (season.version !== SEASON_FILE_VERSION) {
+    errors.push(`unsupported file version ${season.version} (expected ${SEASON_FILE_VERSION})`);
+  }
+  if (!key || !/^\d{4}-\d{2}$/.test(key)) errors.push(`invalid season key "${key}"`);
+  if (!season.leagueId) errors.push("missing leagueId");
+  if (!isDate(season.start) || !isDate(season.end)) {
+    errors.push("start/end must be YYYY-MM-DD dates");
+  } else if (season.start > season.end) {
+    errors.push(`season start ${season.start} is after end ${season.end}`);
+  }
+
+  // ---- Periods ----
+  const seen = new Set();
+  for (const p of season.periods) {
+    const label = `P${p.period}`;
+    if (!Number.isInteger(p.period) || p.period < 1) errors.push(`${label}: period must be a positive integer`);
+    if (seen.has(p.period)) errors.push(`${label}: duplicate period number`);
+    seen.add(p.period);
+    if (!isDate(p.start) || !isDate(p.end)) {
+      errors.push(`${label}: start/end must be YYYY-MM-DD dates`);
+      continue;
+    }
+    if (p.start > p.end) errors.push(`${label}: start ${p.start} is after end ${p.end}`);
+    if (p.start < season.start || p.end > season.end) {
+      errors.push(`${label}: ${p.start}–${p.end} falls outside season window ${season.start}–${season.end}`);
+    }
+  }
+
+  const byStart = [...season.periods].filter(p => isDate(p.start) && isDate(p.end))
+    .sort((a, b) => a.start.localeCompare(b.start));
+  for (let i = 1; i < byStart.length; i++) {
+    const prev = byStart[i - 1];
+    const cur = byStart[i];
+    if (cur.start <= prev.end) {
+      errors.push(`P${prev.period} (${prev.start}–${prev.end}) overlaps P${cur.period} (${cur.start}–${cur.end})`);
+    }
+    if (cur.period < prev.period) {
+      errors.push(`P${cur.period} starts after P${prev.period} — periods are out of order`);
+    }
+  }
+
+  // ---- Franchises ----
+  const codes = new Set();
+  const known = new Set(listFranchiseCodes());
+  for (const f of season.franchises) {
+    if (!known.has(f.code)) {
+      errors.push(`unknown franchise "${f.code}" — not in data/franchises.json`);
+      continue;
+    }
+    if (codes.has(f.code)) errors.push(`${f.code}: duplicate franchise code`);
+    codes.add(f.code);
+    if (!f.displayName) errors.push(`${f.code}: missing displayName`);
+    if (!findLogo(f.code)) {
+      errors.push(`${f.code}: missing logo (expected data/logos/${f.code}${LOGO_EXTENSIONS.join("|")})`);
+    }
+  }
+
+  // ---- Lineup slots (optional) ----
+  if (season.lineup !== undefined) {
+    if (!season.lineup || typeof season.lineup !== "object" || Object.keys(season.lineup).length === 0) {
+      errors.push("lineup must be an object of slot counts");
+    } else {
+      for (const [slot, count] of Object.entries(season.lineup)) {
+        if (!LINEUP_SLOTS[slot]) errors.push(`lineup: unknown slot "${slot}" (expected one of ${Object.keys(LINEUP_SLOTS).join(", ")})`);
+        if (!Number.isInteger(count) || count < 1) errors.push(`lineup: ${slot} count must be a positive integer`);
+      }
+    }
+  }
+
+  // ---- Daily data: every team name must resolve to a declared franchise ----
+  const dailyDir = key ? getSeasonDailyDir(key) : null;
+  if (checkDailyData && season.franchises.length > 0 && dailyDir && fs.existsSync(dailyDir)) {
+    const unknown = {};
+    for (const file of fs.readdirSync(dailyDir).filter(f => f.endsWith(".json"))) {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(path.join(dailyDir, file), "utf-8"));
+      } catch (e) {
+        continue;
+      }
+      const date = data.date || file.replace(/\.json$/, "");
+      for (const t of data.teams || []) {
+        const label = t.name || t.franchise;
+        let code;
+        try {
+          code = resolveFranchise(label, { date, strict: true });
+        } catch (e) {
+          code = null;
+        }
+        if ((!code || !codes.has(code)) && !unknown[label]) unknown[label] = file;
+      }
+    }
+    for (const [name, file] of Object.entries(unknown)) {
+      errors.push(`unknown franchise "${name}" (first seen in ${path.basename(dailyDir)}/${file})`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Throw if a season definition is invalid. Called before the pipeline runs.
+ */
+function assertValidSeason(season) {
+  const errors = validateSeason(season);
+  if (errors.length > 0) {
+    throw new Error(`Season ${season.season} is invalid:\n  - ${errors.join("\n  - ")}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (command !== "validate") {
+    console.log("Usage:");
+    console.log("  node src/seasons.js validate [season]");
+    process.exit(1);
+  }
+
+  const keys = args[1] ? [args[1]] : listSeasons();
+  let failed = 0;
+  for (const key of keys) {
+    const errors = validateSeason(loadSeason(key));
+    if (errors.length === 0) {
+      console.log(`[seasons] ${key}: OK`);
+    } else {
+      failed++;
+      console.log(`[seasons] ${key}: ${errors.length} error(s)`);
+      errors.forEach(e => console.log(`    - ${e}`));
+    }
+  }
+
+  if (failed > 0) process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  SEASONS_DIR,
+  LINEUP_SLOTS,
+  listSeasons,
+  loadSeason,
+  getCurrentSeasonKey,
+  getSeasonForDate,
+  getSeasonDailyDir,
+  getSheetSeason,
+  validateSeason,
+  assertValidSeason,
+};
@@ -0,0 +1,373 @@
+// ============================================================
+// FANTRAX SESSION — browser launch, login, cookie persistence
+// ============================================================
+// The one place that logs into Fantrax. openSession() launches the
+// browser and restores the cookies saved by the last run; if Fantrax
+// still treats them as logged in, the login is skipped entirely.
+// Otherwise it runs the login dialog flow and saves the new cookies.
+// closeSession() saves the (possibly refreshed) cookies again before
+// closing the browser.
+//
+// Cookies live in .fantrax-session.json at the repo root (gitignored,
+// written owner-only; FANTRAX_SESSION_FILE overrides the path). The
+// workflows carry it between runs with actions/cache. Cookies saved
+// for a different username are ignored.
+//
+// Usage (from other modules):
+//   const session = await openSession({ username, password, headless });
+//   try { await session.page.goto(...); } finally { await closeSession(session); }
+//
+// CLI:
+//   node src/session.js check      # is the saved session still logged in?
+//   node src/session.js login      # force a fresh login and save cookies
+//   node src/session.js clear      # delete the saved cookies
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const puppeteer = require("puppeteer-extra");
+const StealthPlugin = require("puppeteer-extra-plugin-stealth");
+puppeteer.use(StealthPlugin());
+
+const { LEAGUE_ID } = require("./config");
+
+const FANTRAX_LOGIN_URL = "https://www.fantrax.com/login";
+const SESSION_PATH = process.env.FANTRAX_SESSION_FILE || path.join(__dirname, "..", ".fantrax-session.json");
+
+const USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36";
+
+// Any league page works for the check — a logged-out visit lands on /login
+// or shows the Login button
+function buildSessionCheckUrl() {
+  return `https://www.fantrax.com/fantasy/league/${LEAGUE_ID}/home`;
+}
+
+/**
+ * Launch the browser with the scraper's viewport and user agent.
+ * Returns: { browser, page }
+ */
+async function launchBrowser({ headless = true } = {}) {
+  console.log(`[session] Launching browser (headless: ${headless})...`);
+  const browser = await puppeteer.launch({
+    headless: headless ? "new" : false,
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-dev-shm-usage",
+      "--disable-gpu"
+    ]
+  });
+
+  const page = await browser.newPage();
+  await page.setViewport({ width: 1400, height: 900 });
+  await page.setUserAgent(USER_AGENT);
+  return { browser, page };
+}
+
+/**
+ * Saved cookies for this username that haven't expired, or [].
+ */
+function loadSavedCookies(username) {
+  if (!fs.existsSync(SESSION_PATH)) return [];
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(SESSION_PATH, "utf-8"));
+  } catch (e) {
+    console.log(`[session] Ignoring unreadable ${path.basename(SESSION_PATH)}: ${e.message}`);
+    return [];
+  }
+  if (!saved || saved.username !== username || !Array.isArray(saved.cookies)) return [];
+
+  // Session cookies (expires -1) are kept; Fantrax decides if they still count
+  const now = Date.now() / 1000;
+  return saved.cookies.filter(c => c.expires == null || c.expires < 0 || c.expires > now);
+}
+
+async function saveCookies(page, username) {
+  const cookies = await page.cookies("https://www.fantrax.com");
+  const body = JSON.stringify({ username, savedAt: new Date().toISOString(), cookies }, null, 2);
+  fs.writeFileSync(SESSION_PATH, body + "\n", { mode: 0o600 });
+  console.log(`[session] Saved ${cookies.length} cookies to ${path.basename(SESSION_PATH)}`);
+}
+
+/**
+ * Delete the saved cookies. Returns true if there was a file.
+ */
+function clearSession() {
+  if (!fs.existsSync(SESSION_PATH)) return false;
+  fs.unlinkSync(SESSION_PATH);
+  return true;
+}
+
+/**
+ * True if the page's cookies are logged in: a league page loads
+ * without bouncing to /login or offering the Login button.
+ */
+async function isLoggedIn(page) {
+  try {
+    await page.goto(buildSessionCheckUrl(), { waitUntil: "domcontentloaded", timeout: 30000 });
+  } catch (e) {
+    console.log(`[session] Session check failed to load: ${e.message}`);
+    return false;
+  }
+  await new Promise(r => setTimeout(r, 3000));
+  if (page.url().includes("/login")) return false;
+
+  const offersLogin = await page.evaluate(() => {
+    if (document.querySelector("mat-dialog-container input[type='password'], .mat-mdc-dialog-container input[type='password']")) return true;
+    const buttons = Array.from(document.querySelectorAll("button, a"));
+    return buttons.some(b => b.textContent.trim().toLowerCase() === "login" && b.offsetParent !== null);
+  });
+  return !offersLogin;
+}
+
+/**
+ * Log in through the Fantrax login dialog. Throws (with a debug
+ * screenshot saved) if the dialog, inputs or redirect don't show up.
+ */
+async function login(page, { username, password }) {
+  // Fantrax uses an Angular Material dialog for login.
+  // We navigate to /login, which may open the dialog automatically,
+  // or we may need to click a Login button first.
+  console.log("[session] Navigating to login page...");
+  await page.goto(FANTRAX_LOGIN_URL, { waitUntil: "networkidle2", timeout: 30000 });
+
+  // Wait for page to settle
+  await new Promise(r => setTimeout(r, 3000));
+
+  // Check if the login dialog is already open, or if we need to click a Login button
+  const dialogOpen = await page.$("mat-dialog-container, .mat-mdc-dialog-container");
+  if (!dialogOpen) {
+    console.log("[session] Login dialog not open, looking for Login button...");
+    const loginTrigger = await page.evaluate(() => {
+      const buttons = Array.from(document.querySelectorAll("button, a"));
+      const loginBtn = buttons.find(b => b.textContent.trim().toLowerCase() === "login");
+      if (loginBtn) { loginBtn.click(); return true; }
+      return false;
+    });
+    if (loginTrigger) {
+      console.log("[session] Clicked Login button, waiting for dialog...");
+      await new Promise(r => setTimeout(r, 2000));
+    }
+  }
+
+  // Wait for the Material dialog to appear with input fields
+  try {
+    await page.waitForSelector("mat-dialog-container input, .mat-mdc-dialog-container input, .mat-mdc-form-field input, input[matinput], input.mat-mdc-input-element", { timeout: 15000 });
+  } catch (e) {
+    await page.screenshot({ path: "debug-login-page.png", fullPage: true });
+    // Log what's on the page for debugging
+    const pageInfo = await page.evaluate(() => ({
+      url: window.location.href,
+      title: document.title,
+      hasDialog: !!document.querySelector("mat-dialog-container"),
+      inputCount: document.querySelectorAll("input").length,
+      bodyText: document.body.innerText.substring(0, 500)
+    }));
+    throw new Error("Login dialog inputs not found. Page info: " + JSON.stringify(pageInfo));
+  }
+
+  console.log("[session] Login dialog found, filling credentials...");
+
+  // Debug: log all input fields
+  const inputInfo = await page.evaluate(() => {
+    const inputs = document.querySelectorAll("input");
+    return Array.from(inputs).map(i => ({
+      type: i.type, name: i.name, id: i.id,
+      placeholder: i.placeholder, className: i.className,
+      ariaLabel: i.getAttribute("aria-label"),
+      formFieldLabel: i.closest("mat-form-field, .mat-mdc-form-field") ?
+        i.closest("mat-form-field, .mat-mdc-form-field").querySelector("mat-label, label")?.textContent?.trim() : null
+    }));
+  });
+  console.log("[session] Found inputs:", JSON.stringify(inputInfo, null, 2));
+
+  // Find all input fields inside the dialog
+  // Fantrax uses Angular Material — inputs are inside mat-form-field elements
+  // First field is email/username, second is password
+  const allInputs = await page.$$("mat-dialog-container input, .mat-mdc-dialog-container input");
+
+  // Fallback: if dialog selector didn't work, try broader match
+  let emailInput, passwordInput;
+  if (allInputs.length >= 2) {
+    emailInput = allInputs[0];
+    passwordInput = allInputs[1];
+  } else {
+    // Try by type
+    const textInputs = await page.$$('input[type="text"], input[type="email"], input:not([type="password"]):not([type="hidden"])');
+    passwordInput = await page.$('input[type="password"]');
+    emailInput = textInputs.length > 0 ? textInputs[0] : null;
+  }
+
+  if (!emailInput) {
+    await page.screenshot({ path: "debug-login-form.png", fullPage: true });
+    throw new Error("Could not find email input. Inputs found: " + JSON.stringify(inputInfo));
+  }
+  if (!passwordInput) {
+    await page.screenshot({ path: "debug-login-form.png", fullPage: true });
+    throw new Error("Could not find password input. Inputs found: " + JSON.stringify(inputInfo));
+  }
+
+  // Fill credentials
+  await emailInput.click({ clickCount: 3 });
+  await emailInput.type(username, { delay: 30 });
+  await new Promise(r => setTimeout(r, 500));
+
+  await passwordInput.click({ clickCount: 3 });
+  await passwordInput.type(password, { delay: 30 });
+  await new Promise(r => setTimeout(r, 500));
+
+  // Click the Login button inside the dialog
+  const loginClicked = await page.evaluate(() => {
+    // Try multiple approaches to find the Login button
+    // 1. Look in mat-dialog-actions (Material dialog footer)
+    const dialogActions = document.querySelector("mat-dialog-actions, mat-mdc-dialog-actions, .mat-mdc-dialog-actions, .mat-dialog-actions");
+    if (dialogActions) {
+      const buttons = dialogActions.querySelectorAll("button");
+      for (const btn of buttons) {
+        if (btn.textContent.trim().toLowerCase().includes("login")) {
+          btn.click();
+          return "found in dialog-actions";
+        }
+      }
+    }
+
+    // 2. Look for any visible button with "Login" text
+    const allButtons = document.querySelectorAll("button");
+    for (const btn of allButtons) {
+      const text = btn.textContent.trim().toLowerCase();
+      if (text === "login" && btn.offsetParent !== null) {
+        btn.click();
+        return "found by text match";
+      }
+    }
+
+    // 3. Look for mat-raised-button or primary button inside dialog
+    const dialog = document.querySelector("mat-dialog-container, .mat-mdc-dialog-container, .cdk-overlay-pane");
+    if (dialog) {
+      const buttons = dialog.querySelectorAll("button");
+      for (const btn of buttons) {
+        if (btn.textContent.trim().toLowerCase().includes("login") ||
+            btn.classList.contains("mat-primary") ||
+            btn.classList.contains("mat-raised-button")) {
+          btn.click();
+          return "found in dialog container";
+        }
+      }
+      // Last resort: click the last button in the dialog (usually the submit)
+      if (buttons.length > 0) {
+        buttons[buttons.length - 1].click();
+        return "clicked last dialog button";
+      }
+    }
+
+    return null;
+  });
+
+  if (loginClicked) {
+    console.log(`[session] Clicked Login button (${loginClicked}).`);
+  } else {
+    // Fallback: press Enter
+    console.log("[session] No Login button found, pressing Enter...");
+    await passwordInput.press("Enter");
+  }
+
+  // Wait for navigation after login
+  console.log("[session] Logging in...");
+  await page.waitForNavigation({ waitUntil: "networkidle2", timeout: 30000 }).catch(() => {
+    console.log("[session] Navigation timeout after login — continuing anyway...");
+  });
+
+  // Give the page extra time to settle (Angular redirect can be slow)
+  await new Promise(r => setTimeout(r, 5000));
+
+  // Verify login succeeded
+  const currentUrl = page.url();
+  console.log("[session] Current URL after login: " + currentUrl);
+
+  if (currentUrl.includes("/login")) {
+    // Take a screenshot to see what happened (CAPTCHA? Wrong creds?)
+    await page.screenshot({ path: "debug-login-failed.png", fullPage: true });
+    throw new Error("Login failed — still on login page. Check credentials or reCAPTCHA may be blocking. Screenshot saved.");
+  }
+  console.log("[session] Login successful.");
+}
+
+/**
+ * Launch the browser and get a logged-in page, reusing saved cookies
+ * when they're still valid. The caller closes it with closeSession().
+ *
+ * @param {Object} options
+ * @param {string} options.username
+ * @param {string} options.password
+ * @param {boolean} [options.headless]
+ * @param {boolean} [options.reuse] - false forces a fresh login
+ * @returns {Object} { browser, page, username, reused }
+ */
+async function openSession({ username, password, headless = true, reuse = true }) {
+  const { browser, page } = await launchBrowser({ headless });
+  try {
+    const cookies = reuse ? loadSavedCookies(username) : [];
+    if (cookies.length > 0) {
+      await page.setCookie(...cookies);
+      if (await isLoggedIn(page)) {
+        console.log(`[session] Reusing saved session (${cookies.length} cookies) — login skipped.`);
+        return { browser, page, username, reused: true };
+      }
+      console.log("[session] Saved session has expired — logging in again.");
+      await page.deleteCookie(...await page.cookies("https://www.fantrax.com"));
+    }
+
+    await login(page, { username, password });
+    await saveCookies(page, username);
+    return { browser, page, username, reused: false };
+  } catch (e) {
+    await browser.close();
+    throw e;
+  }
+}
+
+/**
+ * Save the session's current cookies (Fantrax refreshes them as pages
+ * load) and close the browser. Never throws on the save.
+ */
+async function closeSession(session) {
+  try {
+    await saveCookies(session.page, session.username);
+  } catch (e) {
+    console.log(`[session] Could not save cookies: ${e.message}`);
+  }
+  await session.browser.close();
+}
+
+async function main() {
+  const command = process.argv[2];
+  if (command === "clear") {
+    console.log(clearSession() ? `[session] Deleted ${SESSION_PATH}` : "[session] No saved session.");
+    return;
+  }
+  if (command !== "check" && command !== "login") {
+    console.log("Usage:");
+    console.log("  node src/session.js check");
+    console.log("  node src/session.js login");
+    console.log("  node src/session.js clear");
+    process.exit(1);
+  }
+
+  const username = process.env.FANTRAX_USERNAME;
+  const password = process.env.FANTRAX_PASSWORD;
+  if (!username || !password) throw new Error("Set FANTRAX_USERNAME and FANTRAX_PASSWORD environment variables.");
+
+  const session = await openSession({ username, password, headless: process.env.HEADLESS !== "false", reuse: command === "check" });
+  await closeSession(session);
+  console.log(`[session] ${session.reused ? "Saved session is valid" : "Logged in with a fresh session"}.`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`[session] ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { openSession, closeSession, clearSession, isLoggedIn, SESSION_PATH };
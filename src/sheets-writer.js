@@ -18,6 +18,9 @@
  */
 
 const { google } = require("googleapis");
+const { FRANCHISE_ORDER, FRANCHISE_OWNERS, SHEET_SEASON } = require("./config");
+const { resolveFranchise: resolveTeamName } = require("./identity");
+const { DAILY_SCHEMA_VERSION } = require("./daily-schema");
 
 // ── CONFIG ──────────────────────────────────────────────────────
 
@@ -26,37 +29,14 @@ const DAILY_SCORING_TAB = "Daily Scoring";
 const DATABASE_TAB = "Database";
 const DASHBOARD_TAB = "Dashboard";
 
-const FRANCHISE_ORDER = ["JGC", "PWN", "BEW", "MPP", "RMS", "GDD"];
-
-const SEASON = 2026;
-
-// Maps full franchise name fragments → franchise code.
-// Used to resolve team.name from raw scrape output when team.franchise is absent.
-const NAME_TO_FRANCHISE = {
-  "gaucho":    "JGC",
-  "chudpump":  "JGC",
-  "pwn":       "PWN",
-  "cmack":     "PWN",
-  "endless":   "BEW",
-  "winter":    "BEW",
-  "mid tier":  "MPP",
-  "perpetual": "MPP",
-  "meatspinn": "RMS",
-  "richie":    "RMS",
-  "downtown":  "GDD",
-  "demons":    "GDD",
-  "graeme":    "GDD",
-};
+const SEASON = SHEET_SEASON;
 
-function resolveFranchise(team) {
+// Resolve a team to its franchise code. Uses the identity registry in strict
+// mode — an unrecognised name throws rather than risk writing points into
+// another franchise's columns.
+function resolveFranchise(team, date) {
   if (team.franchise && FRANCHISE_ORDER.includes(team.franchise)) return team.franchise;
-  if (team.name) {
-    const lower = team.name.toLowerCase();
-    for (const [fragment, code] of Object.entries(NAME_TO_FRANCHISE)) {
-      if (lower.includes(fragment)) return code;
-    }
-  }
-  return null;
+  return resolveTeamName(team.name || team.franchise, { date, strict: true });
 }
 
 // Extract a YYYY-MM-DD game date from the JSON.
@@ -70,14 +50,19 @@ function resolveDate(dailyData) {
   return null;
 }
 
-const OWNERS = [
-  { owner: "Jason",  dsPtsCol: "C", dsGpCol: "E" },
-  { owner: "Brian",  dsPtsCol: "I", dsGpCol: "K" },
-  { owner: "Graeme", dsPtsCol: "R", dsGpCol: "T" },
-  { owner: "Chris",  dsPtsCol: "F", dsGpCol: "H" },
-  { owner: "Richie", dsPtsCol: "O", dsGpCol: "Q" },
-  { owner: "Matt",   dsPtsCol: "L", dsGpCol: "N" },
-];
+// Database tab owner blocks, in sheet column order. Daily Scoring
+// columns follow FRANCHISE_ORDER: C/D/E for the first franchise, F/G/H next…
+const DATABASE_OWNER_ORDER = ["Jason", "Brian", "Graeme", "Chris", "Richie", "Matt"];
+
+const OWNERS = DATABASE_OWNER_ORDER.map(owner => {
+  const code = FRANCHISE_ORDER.find(c => FRANCHISE_OWNERS[c] === owner);
+  const idx = FRANCHISE_ORDER.indexOf(code);
+  return {
+    owner,
+    dsPtsCol: String.fromCharCode(67 + idx * 3),
+    dsGpCol: String.fromCharCode(69 + idx * 3),
+  };
+});
 
 // ── AUTH ─────────────────────────────────────────────────────────
 
@@ -110,22 +95,26 @@ function buildHeaderRow() {
 }
 
 function buildRowFromJson(dailyData) {
+  if (dailyData.schemaVersion !== DAILY_SCHEMA_VERSION) {
+    throw new Error(`${dailyData.date}: daily file is schema v${dailyData.schemaVersion || 0}, expected v${DAILY_SCHEMA_VERSION} — run node src/daily-schema.js migrate`);
+  }
   const date   = resolveDate(dailyData);
   const period = dailyData.period;
   const teams  = dailyData.teams || [];
 
   const teamByFranchise = {};
   for (const team of teams) {
-    const code = resolveFranchise(team);
-    if (code) teamByFranchise[code] = team;
+    const code = resolveFranchise(team, date);
+    if (teamByFranchise[code]) {
+      throw new Error(`${date}: two teams resolve to ${code} ("${teamByFranchise[code].name}", "${team.name}")`);
+    }
+    teamByFranchise[code] = team;
   }
 
   const row = [date, period];
   for (const code of FRANCHISE_ORDER) {
     const t = teamByFranchise[code];
-    // projPts (processed JSON) or projectedFpg (raw scrape) — use whichever is present
-    const proj = t ? (t.projPts ?? t.projectedFpg ?? 0) : 0;
-    row.push(t ? t.dayPts : 0, proj, t ? t.gp : 0);
+    row.push(t ? t.dayPts : 0, t ? t.projPts : 0, t ? t.gp : 0);
   }
   return row;
 }
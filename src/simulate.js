@@ -0,0 +1,234 @@
+// ============================================================
+// PERIOD SIMULATOR — Monte Carlo odds for the current period
+// ============================================================
+// projectPeriodFinish gives one number (PPG × derived remaining GP).
+// This plays the rest of the period out many times instead: each
+// remaining calendar day, every franchise draws one day at random from
+// its own season so far — points and GP together, so hot nights and
+// empty nights come with the schedule that produced them.
+//
+// The pool is per calendar day, not per daily file: dates inside a
+// period with no file (nobody played) count as 0 pts / 0 GP, so the
+// league's off-night rate carries into the simulation. Dates between
+// periods (Olympic break etc.) are skipped.
+//
+// Per franchise: median and 10th/90th percentile finish, chance of
+// winning the period, finishing last, and beating the league period
+// record (historical.getLeaguePeriodRecord). Ties split the odds.
+//
+// The RNG is seeded (by date + period unless given), so a night's
+// odds are reproducible.
+//
+// Usage:
+//   node src/simulate.js                       # current period, latest day
+//   node src/simulate.js 9                     # period 9 as of its latest day
+//   node src/simulate.js --as-of 2026-01-15    # as of a date
+//   node src/simulate.js --trials 50000 --seed 7
+// ============================================================
+
+const { getPeriods, getPeriodForDate, CURRENT_SEASON } = require("./config");
+const { getLeaguePeriodRecord } = require("./historical");
+const { getDays } = require("./store");
+
+const DEFAULT_TRIALS = 10000;
+
+/**
+ * Seeded PRNG (mulberry32): returns a function giving floats in [0, 1).
+ * String seeds are hashed, so "2026-01-15:P7" works as a seed.
+ */
+function createRng(seed) {
+  let a = typeof seed === "number" ? seed >>> 0 : hashSeed(String(seed));
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashSeed(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 16777619);
+  }
+  return h >>> 0;
+}
+
+function addDays(dateStr, n) {
+  const d = new Date(dateStr + "T12:00:00Z");
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().split("T")[0];
+}
+
+/**
+ * Every franchise's season so far as calendar-day samples:
+ * { franchise: [{ pts, gp }] }, one entry per in-period date from the
+ * first daily file to the last.
+ */
+function buildDayPools(allDays, seasonKey = CURRENT_SEASON) {
+  const pools = {};
+  if (allDays.length === 0) return pools;
+
+  const byDate = new Map(allDays.map(d => [d.date, d]));
+  for (const day of allDays) {
+    for (const t of day.teams) pools[t.franchise] = pools[t.franchise] || [];
+  }
+
+  const last = allDays[allDays.length - 1].date;
+  for (let date = allDays[0].date; date <= last; date = addDays(date, 1)) {
+    const day = byDate.get(date);
+    if (!day && getPeriodForDate(date, seasonKey) == null) continue;
+    for (const f of Object.keys(pools)) {
+      const team = day ? day.teams.find(t => t.franchise === f) : null;
+      pools[f].push({ pts: team ? team.dayPts || 0 : 0, gp: team ? team.gp || 0 : 0 });
+    }
+  }
+  return pools;
+}
+
+function percentile(sorted, q) {
+  return sorted[Math.floor(q * (sorted.length - 1))];
+}
+
+/**
+ * Simulate the rest of a period from the days played so far.
+ *
+ * @param {Array} allDays - this season's days (analyze.loadAllDailyScores), oldest first
+ * @param {number} period
+ * @param {Object} [options]
+ * @param {number} [options.trials]     - simulated periods (default 10,000)
+ * @param {*}      [options.seed]       - RNG seed (default "<last date>:P<period>")
+ * @param {number} [options.recordPts]  - league period record to test against
+ * @param {string} [options.seasonKey]
+ * @returns {Object|null} - { period, asOf, trials, seed, calDaysRemaining, recordPts,
+ *   franchises: { F: { periodPts, median, p10, p90, pWin, pLast, pRecord, avgGP } } },
+ *   or null if the period isn't in the calendar
+ */
+function simulatePeriod(allDays, period, { trials = DEFAULT_TRIALS, seed = null, recordPts = null, seasonKey = CURRENT_SEASON } = {}) {
+  const periodConfig = getPeriods(seasonKey).find(p => p.period === period);
+  if (!periodConfig || allDays.length === 0) return null;
+
+  const periodDays = allDays.filter(d => d.period === period);
+  const asOf = periodDays.length > 0 ? periodDays[periodDays.length - 1].date : allDays[allDays.length - 1].date;
+
+  // Same calendar arithmetic as projectPeriodFinish
+  const startDate = new Date(periodConfig.start + "T12:00:00Z");
+  const endDate   = new Date(periodConfig.end   + "T12:00:00Z");
+  const totalDays = Math.round((endDate - startDate) / 86400000) + 1;
+  const calDaysElapsed = periodDays.length > 0
+    ? Math.max(1, Math.round((new Date(asOf + "T12:00:00Z") - startDate) / 86400000) + 1)
+    : 0;
+  const calDaysRemaining = Math.max(0, totalDays - calDaysElapsed);
+
+  const pools = buildDayPools(allDays.filter(d => d.date <= asOf), seasonKey);
+  const franchises = Object.keys(pools);
+  const periodPts = {};
+  for (const f of franchises) {
+    periodPts[f] = periodDays.reduce((sum, d) => sum + (d.teams.find(t => t.franchise === f)?.dayPts || 0), 0);
+  }
+
+  const seedUsed = seed ?? `${asOf}:P${period}`;
+  const rng = createRng(seedUsed);
+  const finals = Object.fromEntries(franchises.map(f => [f, new Float64Array(trials)]));
+  const gpTotals = Object.fromEntries(franchises.map(f => [f, 0]));
+  const wins = Object.fromEntries(franchises.map(f => [f, 0]));
+  const lasts = Object.fromEntries(franchises.map(f => [f, 0]));
+  const records = Object.fromEntries(franchises.map(f => [f, 0]));
+
+  for (let i = 0; i < trials; i++) {
+    let best = -Infinity, worst = Infinity;
+    for (const f of franchises) {
+      const pool = pools[f];
+      let total = periodPts[f];
+      for (let d = 0; d < calDaysRemaining && pool.length > 0; d++) {
+        const sample = pool[Math.floor(rng() * pool.length)];
+        total += sample.pts;
+        gpTotals[f] += sample.gp;
+      }
+      finals[f][i] = total;
+      if (total > best) best = total;
+      if (total < worst) worst = total;
+      if (recordPts != null && total > recordPts) records[f]++;
+    }
+
+    const leaders = franchises.filter(f => finals[f][i] === best);
+    const trailers = franchises.filter(f => finals[f][i] === worst);
+    for (const f of leaders) wins[f] += 1 / leaders.length;
+    for (const f of trailers) lasts[f] += 1 / trailers.length;
+  }
+
+  const result = {};
+  for (const f of franchises) {
+    const sorted = Array.from(finals[f]).sort((a, b) => a - b);
+    result[f] = {
+      periodPts: +periodPts[f].toFixed(1),
+      median: Math.round(percentile(sorted, 0.5)),
+      p10: Math.round(percentile(sorted, 0.1)),
+      p90: Math.round(percentile(sorted, 0.9)),
+      pWin: +(wins[f] / trials).toFixed(3),
+      pLast: +(lasts[f] / trials).toFixed(3),
+      pRecord: recordPts != null ? +(records[f] / trials).toFixed(3) : null,
+      avgGP: +(gpTotals[f] / trials).toFixed(1),
+    };
+  }
+
+  return { period, asOf, trials, seed: seedUsed, calDaysRemaining, recordPts, franchises: result };
+}
+
+/**
+ * simulatePeriod with the league period record looked up. A failed
+ * lookup (no network, no snapshot) just leaves pRecord null.
+ */
+async function simulatePeriodWithRecord(allDays, period, options = {}) {
+  let recordPts = null;
+  try {
+    const record = await getLeaguePeriodRecord(period);
+    recordPts = record ? record.fpts : null;
+  } catch (err) {
+    console.log(`[simulate] League record for P${period} unavailable: ${err.message}`);
+  }
+  return simulatePeriod(allDays, period, { ...options, recordPts });
+}
+
+function pct(p) {
+  return p == null ? "—" : `${Math.round(p * 100)}%`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const asOf = flag("--as-of");
+  const trials = flag("--trials") ? parseInt(flag("--trials"), 10) : DEFAULT_TRIALS;
+  const seed = flag("--seed") ?? null;
+  const positional = args.filter((a, i) => !a.startsWith("--") && !(i > 0 && args[i - 1].startsWith("--")));
+
+  if (!(trials > 0)) throw new Error("--trials must be a positive number");
+
+  const allDays = getDays({ season: CURRENT_SEASON, requirePeriod: true }).filter(d => !asOf || d.date <= asOf);
+  if (allDays.length === 0) throw new Error(`No daily data${asOf ? ` on or before ${asOf}` : ""}`);
+  const period = positional[0] ? parseInt(positional[0], 10) : allDays[allDays.length - 1].period;
+
+  const sim = await simulatePeriodWithRecord(allDays, period, { trials, seed });
+  if (!sim) throw new Error(`Period ${period} is not in the ${CURRENT_SEASON} calendar`);
+
+  console.log(`[simulate] P${sim.period} as of ${sim.asOf}: ${sim.calDaysRemaining} day(s) left, ${sim.trials} trials, seed ${sim.seed}`);
+  if (sim.recordPts != null) console.log(`[simulate] League P${sim.period} record: ${sim.recordPts}`);
+  console.log(`\n  ${"".padEnd(4)} ${"now".padStart(6)} ${"p10".padStart(6)} ${"median".padStart(6)} ${"p90".padStart(6)} ${"win".padStart(6)} ${"last".padStart(6)} ${"record".padStart(6)}`);
+  const rows = Object.entries(sim.franchises).sort((a, b) => b[1].pWin - a[1].pWin || b[1].median - a[1].median);
+  for (const [f, s] of rows) {
+    console.log(`  ${f.padEnd(4)} ${String(s.periodPts).padStart(6)} ${String(s.p10).padStart(6)} ${String(s.median).padStart(6)} ${String(s.p90).padStart(6)} ${pct(s.pWin).padStart(6)} ${pct(s.pLast).padStart(6)} ${pct(s.pRecord).padStart(6)}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`[simulate] ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { createRng, buildDayPools, simulatePeriod, simulatePeriodWithRecord };
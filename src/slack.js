@@ -7,6 +7,7 @@
 
 const https = require("https");
 const fs = require("fs");
+const { rankLabel } = require("./ranking");
 
 /**
  * Post a text message via incoming webhook.
@@ -127,7 +128,7 @@ async function postCardStrips({ botToken, channelId, headerText, cardPaths, foot
         botToken,
         channelId,
         card.filepath,
-        `#${card.rank} ${card.franchise}`,
+        `#${rankLabel(card.rank, card.tied)} ${card.franchise}`,
         ""
       );
       console.log(`[slack] Card ${card.rank} (${card.franchise}) uploaded.`);
@@ -0,0 +1,419 @@
+// ============================================================
+// SQLITE DATA STORE
+// ============================================================
+// data/sparky.db indexes the JSON tree — season definitions,
+// franchises, every daily score file (data/daily*/) and raw
+// scrape snapshots — so analysis and the scorigami scripts run
+// one query instead of re-parsing thousands of files.
+//
+// The JSON files stay the source of truth and the git-friendly
+// format; the database is a gitignored cache. Every open syncs
+// it: changed or new files (by mtime/size) are re-imported,
+// deleted ones dropped. A change to a season file, the identity
+// registry or SPARKY_SEASON triggers a full rebuild, since those
+// affect how every day is labelled.
+//
+// Imported rows are already normalized: franchise names resolved
+// to codes, missing periods filled in from the season calendar.
+//
+// Usage:
+//   node src/store.js import          # sync from the JSON tree
+//   node src/store.js import --full   # drop and rebuild
+//   node src/store.js stats
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { listSeasons, loadSeason, getCurrentSeasonKey, getSeasonForDate, getSheetSeason,
+        SEASONS_DIR } = require("./seasons");
+const { resolveFranchise, listFranchiseCodes, getOwner } = require("./identity");
+
+const DATA_ROOT = path.join(__dirname, "..", "data");
+const DB_PATH = path.join(DATA_ROOT, "sparky.db");
+const REGISTRY_PATH = path.join(DATA_ROOT, "franchises.json");
+const SNAPSHOTS_DIR = path.join(DATA_ROOT, "snapshots");
+
+// Bump when the table layout changes — forces a rebuild
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+  CREATE TABLE IF NOT EXISTS files (path TEXT PRIMARY KEY, kind TEXT, mtime REAL, size INTEGER);
+
+  CREATE TABLE IF NOT EXISTS seasons (
+    season TEXT PRIMARY KEY, league_id TEXT, start TEXT, end TEXT, sheet_season INTEGER
+  );
+  CREATE TABLE IF NOT EXISTS periods (
+    season TEXT, period INTEGER, start TEXT, end TEXT, PRIMARY KEY (season, period)
+  );
+  CREATE TABLE IF NOT EXISTS franchises (code TEXT PRIMARY KEY, owner TEXT);
+  CREATE TABLE IF NOT EXISTS season_franchises (
+    season TEXT, code TEXT, display_name TEXT, PRIMARY KEY (season, code)
+  );
+
+  CREATE TABLE IF NOT EXISTS days (
+    file TEXT PRIMARY KEY, date TEXT, season TEXT, period INTEGER,
+    total_pts REAL, team_count INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS days_date ON days (date);
+  CREATE INDEX IF NOT EXISTS days_season ON days (season, period);
+
+  CREATE TABLE IF NOT EXISTS team_lines (
+    file TEXT, position INTEGER, date TEXT, franchise TEXT, name TEXT,
+    day_pts REAL, proj_pts REAL, gp INTEGER,
+    period_gp INTEGER, period_gp_remaining INTEGER, period_total_gp INTEGER,
+    PRIMARY KEY (file, position)
+  );
+  CREATE INDEX IF NOT EXISTS team_lines_franchise ON team_lines (franchise);
+
+  CREATE TABLE IF NOT EXISTS snapshots (file TEXT PRIMARY KEY, scraped_at TEXT, period INTEGER);
+  CREATE TABLE IF NOT EXISTS snapshot_lines (
+    file TEXT, position INTEGER, franchise TEXT, name TEXT, rank INTEGER,
+    day_pts REAL, season_pts REAL, projected_fpg REAL,
+    PRIMARY KEY (file, position)
+  );
+`;
+
+let _db = null;
+
+// ============================================================
+// Source files
+// ============================================================
+
+/**
+ * Map a daily directory name to its season key: data/daily is the
+ * active season, data/daily-2016-17 is 2016-17.
+ */
+function seasonForDir(dirName) {
+  if (dirName === "daily") return getCurrentSeasonKey();
+  const m = dirName.match(/^daily-(\d{4}-\d{2})$/);
+  return m ? m[1] : null;
+}
+
+function statFile(filepath, kind) {
+  const st = fs.statSync(filepath);
+  return { path: path.relative(DATA_ROOT, filepath), kind, mtime: st.mtimeMs, size: st.size };
+}
+
+/**
+ * List every JSON file the store mirrors, with mtime/size.
+ */
+function listSourceFiles() {
+  const files = [];
+
+  for (const key of listSeasons()) files.push(statFile(path.join(SEASONS_DIR, `${key}.json`), "season"));
+  files.push(statFile(REGISTRY_PATH, "registry"));
+
+  for (const d of fs.readdirSync(DATA_ROOT)) {
+    const dir = path.join(DATA_ROOT, d);
+    if (!d.startsWith("daily") || !fs.statSync(dir).isDirectory()) continue;
+    for (const f of fs.readdirSync(dir).filter(f => f.endsWith(".json"))) {
+      files.push(statFile(path.join(dir, f), "daily"));
+    }
+  }
+
+  if (fs.existsSync(SNAPSHOTS_DIR)) {
+    for (const f of fs.readdirSync(SNAPSHOTS_DIR).filter(f => f.endsWith(".json"))) {
+      files.push(statFile(path.join(SNAPSHOTS_DIR, f), "snapshot"));
+    }
+  }
+
+  return files;
+}
+
+// ============================================================
+// Import
+// ============================================================
+
+function importDefinitions(db) {
+  const insertSeason = db.prepare("INSERT INTO seasons VALUES (?, ?, ?, ?, ?)");
+  const insertPeriod = db.prepare("INSERT INTO periods VALUES (?, ?, ?, ?)");
+  const insertRoster = db.prepare("INSERT INTO season_franchises VALUES (?, ?, ?)");
+  const insertFranchise = db.prepare("INSERT INTO franchises VALUES (?, ?)");
+
+  for (const key of listSeasons()) {
+    const s = loadSeason(key);
+    insertSeason.run(key, s.leagueId, s.start, s.end, getSheetSeason(key));
+    for (const p of s.periods) insertPeriod.run(key, p.period, p.start, p.end);
+    for (const f of s.franchises) insertRoster.run(key, f.code, f.displayName);
+  }
+  for (const code of listFranchiseCodes()) insertFranchise.run(code, getOwner(code));
+}
+
+function periodFromCalendar(db, season, date) {
+  const row = db.prepare("SELECT period FROM periods WHERE season = ? AND ? BETWEEN start AND end").get(season, date);
+  return row ? row.period : null;
+}
+
+function resolveCode(t, date) {
+  return resolveFranchise(t.franchise, { date }) || resolveFranchise(t.name, { date }) || t.franchise || t.name;
+}
+
+function importDailyFile(db, relPath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path.join(DATA_ROOT, relPath), "utf-8"));
+  } catch (e) {
+    return; // Skip corrupt files
+  }
+
+  const teams = data.teams || [];
+  const date = data.date || path.basename(relPath, ".json");
+  const season = seasonForDir(path.dirname(relPath)) || data.season || getSeasonForDate(date);
+  const period = data.period || (season ? periodFromCalendar(db, season, date) : null);
+  const totalPts = teams.reduce((sum, t) => sum + (t.dayPts || 0), 0);
+
+  db.prepare("INSERT INTO days VALUES (?, ?, ?, ?, ?, ?)")
+    .run(relPath, date, season, period, totalPts, teams.length);
+
+  const insertLine = db.prepare("INSERT INTO team_lines VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
+  teams.forEach((t, i) => {
+    insertLine.run(
+      relPath, i, date, resolveCode(t, date), t.name || t.franchise || null,
+      t.dayPts || 0, t.projPts ?? null, t.gp || 0,
+      t.periodGP ?? null, t.periodGPRemaining ?? null, t.periodTotalGP ?? null
+    );
+  });
+}
+
+function importSnapshotFile(db, relPath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path.join(DATA_ROOT, relPath), "utf-8"));
+  } catch (e) {
+    return;
+  }
+
+  const date = data.date || (data.scrapedAt || "").split("T")[0] || null;
+  db.prepare("INSERT INTO snapshots VALUES (?, ?, ?)").run(relPath, data.scrapedAt || null, data.period || null);
+  const insertLine = db.prepare("INSERT INTO snapshot_lines VALUES (?, ?, ?, ?, ?, ?, ?, ?)");
+  (data.teams || []).forEach((t, i) => {
+    insertLine.run(
+      relPath, i, resolveCode(t, date), t.name || null, t.rank ?? null,
+      t.dayPts ?? null, t.seasonPts ?? null, t.projectedFpg ?? t.projPts ?? null
+    );
+  });
+}
+
+function removeFile(db, relPath) {
+  for (const table of ["days", "team_lines", "snapshots", "snapshot_lines"]) {
+    db.prepare(`DELETE FROM ${table} WHERE file = ?`).run(relPath);
+  }
+  db.prepare("DELETE FROM files WHERE path = ?").run(relPath);
+}
+
+/**
+ * Bring the database in line with the JSON tree.
+ * Returns { rebuilt, imported, removed }.
+ */
+function sync(db, { full = false } = {}) {
+  const current = listSourceFiles();
+  const known = new Map(db.prepare("SELECT * FROM files").all().map(f => [f.path, f]));
+  const meta = Object.fromEntries(db.prepare("SELECT key, value FROM meta").all().map(r => [r.key, r.value]));
+
+  const changed = current.filter(f => {
+    const k = known.get(f.path);
+    return !k || k.mtime !== f.mtime || k.size !== f.size;
+  });
+  const currentPaths = new Set(current.map(f => f.path));
+  const removed = [...known.keys()].filter(p => !currentPaths.has(p));
+
+  const definitionsChanged = changed.some(f => f.kind === "season" || f.kind === "registry") ||
+    removed.some(p => known.get(p).kind === "season");
+  const rebuild = full || definitionsChanged ||
+    meta.schemaVersion !== String(SCHEMA_VERSION) ||
+    meta.currentSeason !== getCurrentSeasonKey();
+
+  if (!rebuild && changed.length === 0 && removed.length === 0) {
+    return { rebuilt: false, imported: 0, removed: 0 };
+  }
+
+  const upsertFile = db.prepare("INSERT OR REPLACE INTO files VALUES (?, ?, ?, ?)");
+  const run = db.transaction(() => {
+    if (rebuild) {
+      for (const table of ["files", "seasons", "periods", "franchises", "season_franchises",
+                           "days", "team_lines", "snapshots", "snapshot_lines"]) {
+        db.prepare(`DELETE FROM ${table}`).run();
+      }
+      importDefinitions(db);
+    } else {
+      removed.forEach(p => removeFile(db, p));
+    }
+
+    const toImport = rebuild ? current : changed;
+    for (const f of toImport) {
+      if (!rebuild) removeFile(db, f.path);
+      if (f.kind === "daily") importDailyFile(db, f.path);
+      if (f.kind === "snapshot") importSnapshotFile(db, f.path);
+      upsertFile.run(f.path, f.kind, f.mtime, f.size);
+    }
+
+    const setMeta = db.prepare("INSERT OR REPLACE INTO meta VALUES (?, ?)");
+    setMeta.run("schemaVersion", String(SCHEMA_VERSION));
+    setMeta.run("currentSeason", getCurrentSeasonKey());
+    setMeta.run("syncedAt", new Date().toISOString());
+  });
+  run();
+
+  return {
+    rebuilt: rebuild,
+    imported: (rebuild ? current : changed).filter(f => f.kind === "daily" || f.kind === "snapshot").length,
+    removed: rebuild ? 0 : removed.length,
+  };
+}
+
+/**
+ * Open (and sync) the store. Cached for the life of the process.
+ */
+function openStore() {
+  if (_db) return _db;
+  _db = new Database(DB_PATH);
+  _db.exec(SCHEMA);
+  sync(_db);
+  return _db;
+}
+
+// ============================================================
+// Query API
+// ============================================================
+
+function toTeam(row) {
+  const team = {
+    franchise: row.franchise,
+    name: row.name,
+    dayPts: row.day_pts,
+    projPts: row.proj_pts,
+    gp: row.gp,
+  };
+  if (row.period_gp !== null) team.periodGP = row.period_gp;
+  if (row.period_gp_remaining !== null) team.periodGPRemaining = row.period_gp_remaining;
+  if (row.period_total_gp !== null) team.periodTotalGP = row.period_total_gp;
+  return team;
+}
+
+/**
+ * Daily files as { date, season, period, teams: [...] }, oldest first —
+ * the same shape as the JSON files, with franchise codes resolved.
+ *
+ * @param {object} opts
+ * @param {string} opts.season - Only this season (default: all)
+ * @param {boolean} opts.requirePeriod - Skip days outside any period
+ * @param {boolean} opts.includeEmpty - Keep days with no teams or 0 total points
+ */
+function getDays({ season = null, requirePeriod = false, includeEmpty = false } = {}) {
+  const db = openStore();
+  const where = [];
+  const params = [];
+  if (season) { where.push("d.season = ?"); params.push(season); }
+  if (requirePeriod) where.push("d.period IS NOT NULL");
+  if (!includeEmpty) where.push("d.team_count > 0 AND d.total_pts != 0");
+
+  const rows = db.prepare(`
+    SELECT d.file, d.date, d.season, d.period, l.*
+    FROM days d JOIN team_lines l ON l.file = d.file
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY d.date, d.file, l.position
+  `).all(...params);
+
+  const days = [];
+  let current = null;
+  for (const row of rows) {
+    if (!current || current.file !== row.file) {
+      current = { file: row.file, date: row.date, season: row.season, period: row.period, teams: [] };
+      days.push(current);
+    }
+    current.teams.push(toTeam(row));
+  }
+  return days.map(({ file, ...day }) => day);
+}
+
+/**
+ * One day's file contents (first match across all daily directories),
+ * including zero-point days. Returns null if no file has that date.
+ */
+function getDay(date) {
+  const db = openStore();
+  const day = db.prepare("SELECT * FROM days WHERE date = ? ORDER BY file LIMIT 1").get(date);
+  if (!day) return null;
+  const lines = db.prepare("SELECT * FROM team_lines WHERE file = ? ORDER BY position").all(day.file);
+  return { date: day.date, season: day.season, period: day.period, teams: lines.map(toTeam) };
+}
+
+/**
+ * Flat franchise-day lines with games played, from days that had any
+ * scoring — the input for every scorigami grid.
+ * Returns [{ date, season, period, franchise, name, dayPts, gp }] oldest first.
+ *
+ * @param {object} opts
+ * @param {string} opts.season - Only this season
+ * @param {string} opts.excludeSeason - Everything except this season
+ * @param {string} opts.excludeDate - Leave out one date
+ */
+function getTeamLines({ season = null, excludeSeason = null, excludeDate = null } = {}) {
+  const db = openStore();
+  const where = ["d.team_count > 0", "d.total_pts != 0", "l.gp > 0"];
+  const params = [];
+  if (season) { where.push("d.season = ?"); params.push(season); }
+  if (excludeSeason) { where.push("d.season != ?"); params.push(excludeSeason); }
+  if (excludeDate) { where.push("d.date != ?"); params.push(excludeDate); }
+
+  return db.prepare(`
+    SELECT d.date, d.season, d.period, l.franchise, l.name, l.day_pts AS dayPts, l.gp
+    FROM days d JOIN team_lines l ON l.file = d.file
+    WHERE ${where.join(" AND ")}
+    ORDER BY d.date, d.file, l.position
+  `).all(...params);
+}
+
+/**
+ * Seasons that have daily data, oldest first.
+ */
+function listStoredSeasons() {
+  return openStore().prepare("SELECT DISTINCT season FROM days WHERE season IS NOT NULL ORDER BY season")
+    .all().map(r => r.season);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (command === "import") {
+    const db = new Database(DB_PATH);
+    db.exec(SCHEMA);
+    const r = sync(db, { full: args.includes("--full") });
+    console.log(`[store] ${r.rebuilt ? "Rebuilt" : "Synced"} ${DB_PATH}: ${r.imported} file(s) imported, ${r.removed} removed`);
+    db.close();
+    return;
+  }
+
+  if (command === "stats") {
+    const db = openStore();
+    const count = table => db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+    console.log(`[store] ${DB_PATH}`);
+    console.log(`  seasons: ${count("seasons")}, periods: ${count("periods")}, franchises: ${count("franchises")}`);
+    console.log(`  days: ${count("days")}, team lines: ${count("team_lines")}, snapshots: ${count("snapshots")}`);
+    for (const r of db.prepare("SELECT season, COUNT(*) AS n, MIN(date) AS first, MAX(date) AS last FROM days GROUP BY season ORDER BY season").all()) {
+      console.log(`  ${r.season}: ${r.n} days (${r.first} → ${r.last})`);
+    }
+    return;
+  }
+
+  console.log("Usage:");
+  console.log("  node src/store.js import [--full]");
+  console.log("  node src/store.js stats");
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  DB_PATH,
+  openStore,
+  getDays,
+  getDay,
+  getTeamLines,
+  listStoredSeasons,
+};
@@ -8,6 +8,7 @@
 // Usage:
 //   node src/test-post.js 2026-01-25           # Post for Jan 25
 //   node src/test-post.js 2026-01-25 --dry-run # Generate cards only, no Slack
+//   node src/test-post.js 2026-01-25 --dry-run --explain   # + narrative explain report
 //
 // Required env vars (for live post):
 //   ANTHROPIC_API_KEY, SLACK_BOT_TOKEN, SLACK_CHANNEL_ID
@@ -15,14 +16,17 @@
 
 const fs = require("fs");
 const path = require("path");
-const { buildNightlyAnalysis } = require("./analyze");
+const { buildNightlyAnalysis, parsePriorSeasons } = require("./analyze");
+const { formatExplainReport, saveExplainReport } = require("./narratives/explain");
 const { generateCardStrips, generateScoreboard } = require("./scoreboard");
 const { postCardStrips } = require("./slack");
-const { getPeriodForDate } = require("./config");
+const { getPeriodForDate, validateCurrentSeason } = require("./config");
+const { rankLabel } = require("./ranking");
 
 async function main() {
   const args = process.argv.slice(2);
   const dryRun = args.includes("--dry-run");
+  const explain = args.includes("--explain");
   const targetDate = args.find(a => /^\d{4}-\d{2}-\d{2}$/.test(a));
 
   if (!targetDate) {
@@ -30,6 +34,8 @@ async function main() {
     process.exit(1);
   }
 
+  validateCurrentSeason();
+
   const period = getPeriodForDate(targetDate);
   if (!period) {
     console.error(`❌ ${targetDate} is not within any scoring period.`);
@@ -59,17 +65,27 @@ async function main() {
 
   // Run analysis
   console.log("━━━ ANALYZING ━━━");
-  const analysis = buildNightlyAnalysis(dailyData);
+  const analysis = await buildNightlyAnalysis(dailyData, {
+    priorSeasons: parsePriorSeasons(process.env.HISTORY_SEASONS),
+    explain,
+  });
   console.log(`  Season days loaded: ${analysis.totalSeasonDays}`);
   console.log(`  Period ${period} days: ${analysis.periodDaysPlayed}`);
   console.log("\n  Day rankings:");
   analysis.teams.forEach(t => {
-    console.log(`    ${t.dayRank}. ${t.franchise}: ${t.dayPts} day | ${t.seasonPts} season | streaks: ${t.streaks.join(", ") || "(none)"}`);
+    console.log(`    ${rankLabel(t.dayRank, t.dayTied)}. ${t.franchise}: ${t.dayPts} day | ${t.seasonPts} season | streaks: ${t.streaks.map(s => s.text).join(", ") || "(none)"}`);
   });
 
+  const cardsDir = path.join(__dirname, "..", "cards");
+
+  if (explain) {
+    console.log("\n━━━ NARRATIVE EXPLAIN ━━━");
+    console.log(formatExplainReport(analysis.explain));
+    console.log(`\n  Saved: ${saveExplainReport(analysis.explain, cardsDir)}`);
+  }
+
   // Generate card strips
   console.log("\n━━━ GENERATING CARDS ━━━");
-  const cardsDir = path.join(__dirname, "..", "cards");
   const cardPaths = await generateCardStrips(analysis, { outputDir: cardsDir });
   console.log(`  ${cardPaths.length} cards generated.`);
 
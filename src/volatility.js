@@ -0,0 +1,169 @@
+// ============================================================
+// VOLATILITY — how boom-or-bust each franchise is
+// ============================================================
+// Per franchise, over any set of days (a period, a season, all-time):
+//
+//   ppg.sd        standard deviation of daily PPG (days with GP only)
+//   ppg.cv        sd / mean — comparable across high and low scorers
+//   ppg.downside  downside deviation: like sd, but only the days
+//                 below the franchise's own mean count
+//   ranks         daily finishes, { 1: n, 2: n, ... }
+//   buckets       the stat-line buckets (W, T2, TH, M2, BH, B2, L)
+//   longest       longest run of consecutive days in each bucket
+//                 (never across a season boundary)
+//
+// buildVolatility() gives all three scopes for the nightly analysis;
+// the `volatility` narrative reads the period scope.
+//
+// Usage:
+//   node src/volatility.js                        # current period, latest day
+//   node src/volatility.js season
+//   node src/volatility.js all                    # every stored season
+//   node src/volatility.js period --as-of 2026-01-15
+// ============================================================
+
+const { CURRENT_SEASON } = require("./config");
+const { getDays } = require("./store");
+const { rankDaysFor, findRankRuns } = require("./narratives/helpers");
+
+// Daily-finish buckets (overlapping) — also the period stat-line on the
+// cards. Tests get the rank and the ranked day (helpers.rankDaysFor),
+// and the thresholds follow that day's team count n, since archived
+// seasons had four or five teams. With n = 6: TH 1–3, M2 3–4, BH 4–6,
+// B2 5–6. An odd n puts the middle rank in both halves; "middle two"
+// is whatever sits between the top two and the bottom two. "last" is
+// the day's worst rank, shared or not.
+const RANK_BUCKETS = [
+  { key: "W",  label: "1st",          test: (rank) => rank === 1 },
+  { key: "T2", label: "top 2",        test: (rank) => rank <= 2 },
+  { key: "TH", label: "top half",     test: (rank, day) => rank <= Math.ceil(day.numTeams / 2) },
+  { key: "M2", label: "middle two",   test: (rank, day) => rank > 2 && rank < day.numTeams - 1 },
+  { key: "BH", label: "bottom half",  test: (rank, day) => rank > Math.floor(day.numTeams / 2) },
+  { key: "B2", label: "bottom two",   test: (rank, day) => rank >= day.numTeams - 1 },
+  { key: "L",  label: "last",         test: (rank, day) => day.last },
+];
+
+function round(x, digits) {
+  const f = Math.pow(10, digits);
+  return Math.round(x * f) / f;
+}
+
+/**
+ * Volatility of one franchise over a chronological day list, or null
+ * if it played none of them.
+ */
+function computeVolatility(days, franchise) {
+  const present = days.filter(d => d.teams.some(t => t.franchise === franchise));
+  if (present.length === 0) return null;
+  const ranked = rankDaysFor(present, franchise);
+
+  const ppgs = [];
+  for (const day of present) {
+    const t = day.teams.find(t => t.franchise === franchise);
+    if (t.gp > 0) ppgs.push((t.dayPts || 0) / t.gp);
+  }
+  const mean = ppgs.length > 0 ? ppgs.reduce((s, x) => s + x, 0) / ppgs.length : 0;
+  const sd = ppgs.length > 1 ? Math.sqrt(ppgs.reduce((s, x) => s + (x - mean) ** 2, 0) / (ppgs.length - 1)) : 0;
+  const downside = ppgs.length > 0 ? Math.sqrt(ppgs.reduce((s, x) => s + Math.min(0, x - mean) ** 2, 0) / ppgs.length) : 0;
+
+  const ranks = {};
+  for (const d of ranked) ranks[d.rank] = (ranks[d.rank] || 0) + 1;
+
+  const buckets = {};
+  const longest = {};
+  for (const b of RANK_BUCKETS) {
+    buckets[b.key] = ranked.filter(d => b.test(d.rank, d)).length;
+    // findRankRuns only passes the rank, so flag bucket days as rank 1
+    const runs = findRankRuns(ranked.map(d => ({ ...d, rank: b.test(d.rank, d) ? 1 : 0 })), r => r === 1);
+    const best = runs.reduce((m, r) => (!m || r.length > m.length ? r : m), null);
+    longest[b.key] = best ? { length: best.length, endDate: best.endDate, season: best.season } : { length: 0, endDate: null, season: null };
+  }
+
+  return {
+    days: present.length,
+    ppg: {
+      days: ppgs.length,
+      mean: round(mean, 3),
+      sd: round(sd, 3),
+      cv: mean > 0 ? round(sd / mean, 3) : null,
+      downside: round(downside, 3),
+    },
+    ranks,
+    buckets,
+    longest,
+  };
+}
+
+/**
+ * Volatility for every franchise in a day list, plus the league order
+ * by coefficient of variation (most volatile first).
+ * Returns: { franchises: { F: volatility }, byCV: [F, ...] }
+ */
+function volatilityReport(days) {
+  const codes = [...new Set(days.flatMap(d => d.teams.map(t => t.franchise)))];
+  const franchises = {};
+  for (const f of codes) {
+    const v = computeVolatility(days, f);
+    if (v) franchises[f] = v;
+  }
+  const byCV = Object.keys(franchises)
+    .filter(f => franchises[f].ppg.cv != null)
+    .sort((a, b) => franchises[b].ppg.cv - franchises[a].ppg.cv);
+  return { franchises, byCV };
+}
+
+/**
+ * Period, season and all-time scopes in one go. `history` is
+ * { days } from analyze.loadDailyHistory(); without it allTime is null.
+ */
+function buildVolatility({ allDays, period, history = null }) {
+  return {
+    period: volatilityReport(allDays.filter(d => d.period === period)),
+    season: volatilityReport(allDays),
+    allTime: history ? volatilityReport(history.days) : null,
+  };
+}
+
+function printReport(label, report) {
+  console.log(`\n${label} — most volatile first (CV of daily PPG)`);
+  console.log(`  ${"".padEnd(4)} ${"days".padStart(5)} ${"PPG".padStart(5)} ${"sd".padStart(5)} ${"CV".padStart(5)} ${"down".padStart(5)}   ${RANK_BUCKETS.map(b => b.key.padStart(3)).join(" ")}   longest W / L`);
+  for (const f of report.byCV) {
+    const v = report.franchises[f];
+    const run = (key) => v.longest[key].length > 0 ? `${v.longest[key].length} (${v.longest[key].endDate})` : "0";
+    console.log(`  ${f.padEnd(4)} ${String(v.days).padStart(5)} ${v.ppg.mean.toFixed(2).padStart(5)} ${v.ppg.sd.toFixed(2).padStart(5)} ${v.ppg.cv.toFixed(2).padStart(5)} ${v.ppg.downside.toFixed(2).padStart(5)}   ${RANK_BUCKETS.map(b => String(v.buckets[b.key]).padStart(3)).join(" ")}   ${run("W")} / ${run("L")}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const asOfIdx = args.indexOf("--as-of");
+  const asOf = asOfIdx >= 0 ? args[asOfIdx + 1] : null;
+  const scope = args.find((a, i) => !a.startsWith("--") && (asOfIdx < 0 || i !== asOfIdx + 1)) || "period";
+  if (!["period", "season", "all"].includes(scope)) {
+    console.log("Usage:");
+    console.log("  node src/volatility.js [period|season|all] [--as-of YYYY-MM-DD]");
+    process.exit(1);
+  }
+
+  const allDays = getDays({ season: CURRENT_SEASON, requirePeriod: true }).filter(d => !asOf || d.date <= asOf);
+  if (allDays.length === 0) {
+    console.error(`[volatility] No daily data${asOf ? ` on or before ${asOf}` : ""}`);
+    process.exit(1);
+  }
+  const last = allDays[allDays.length - 1];
+
+  if (scope === "period") {
+    printReport(`P${last.period} as of ${last.date}`, volatilityReport(allDays.filter(d => d.period === last.period)));
+  } else if (scope === "season") {
+    printReport(`${CURRENT_SEASON} as of ${last.date}`, volatilityReport(allDays));
+  } else {
+    const days = getDays({ requirePeriod: true }).filter(d => d.date <= last.date);
+    printReport(`All-time (${days[0].season} – ${last.season})`, volatilityReport(days));
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { RANK_BUCKETS, computeVolatility, volatilityReport, buildVolatility };
@@ -0,0 +1,23 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePriorSeasons } = require("../src/analyze");
+
+const CASES = [
+  [undefined, 0],
+  ["", 0],
+  ["0", 0],
+  ["3", 3],
+  ["all", Infinity],
+  ["ALL", Infinity],
+];
+
+for (const [value, expected] of CASES) {
+  test(`parsePriorSeasons(${JSON.stringify(value)}) → ${expected}`, () => {
+    assert.equal(parsePriorSeasons(value), expected);
+  });
+}
+
+test("parsePriorSeasons rejects anything else", () => {
+  assert.throws(() => parsePriorSeasons("-1"), /HISTORY_SEASONS must be/);
+  assert.throws(() => parsePriorSeasons("some"), /HISTORY_SEASONS must be/);
+});
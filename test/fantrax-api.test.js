@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mapLiveScoring, compareTeams, chooseTeams, loadFixtures, verifyFixture } = require("../src/fantrax-api");
+
+const DATE = "2025-11-16";
+const NAMES = { JGC: "Jason's Gaucho Chudpumpers", GDD: "Graeme's Downtown Demons", RMS: "Richie's Meatspinners" };
+
+const dom = () => [
+  { rank: 1, name: NAMES.JGC, seasonPts: 301, dayPts: 9, projectedFpg: 7.5, gp: 4, gpRemaining: 40 },
+  { rank: 2, name: NAMES.GDD, seasonPts: 288, dayPts: 6, projectedFpg: 6.1, gp: 3, gpRemaining: 44 },
+  { rank: 3, name: NAMES.RMS, seasonPts: 270, dayPts: 2, projectedFpg: 5.9, gp: 1, gpRemaining: 38 },
+];
+// A made-up payload in the shape mapLiveScoring searches for — not a recorded response
+const payload = (teams) => [{ responses: [{ data: { matchups: teams.map(t => ({
+  teamName: t.name, fpts: t.dayPts, projFpts: t.projectedFpg, gp: t.gp, logo: { name: "logo.png" },
+})) } }] }];
+
+test("mapLiveScoring finds complete team objects anywhere in the payload", () => {
+  const mapped = mapLiveScoring(payload(dom()), DATE);
+  assert.deepEqual(mapped.teams.map(t => [t.rank, t.name, t.dayPts, t.projectedFpg, t.gp]), [
+    [1, NAMES.JGC, 9, 7.5, 4],
+    [2, NAMES.GDD, 6, 6.1, 3],
+    [3, NAMES.RMS, 2, 5.9, 1],
+  ]);
+});
+
+test("mapLiveScoring: a payload with no complete team maps to null", () => {
+  assert.equal(mapLiveScoring([{ teamName: NAMES.JGC, fpts: 3 }], DATE), null);
+});
+
+test("compareTeams names number differences and missing franchises", () => {
+  const api = dom().slice(0, 2);
+  api[0] = { ...api[0], dayPts: 10 };
+  assert.deepEqual(compareTeams(api, dom(), DATE), ["JGC dayPts 10 vs 9", "RMS missing from api"]);
+});
+
+const CASES = [
+  {
+    name: "api: API numbers on the DOM lines, DOM-only fields kept",
+    source: "api",
+    api: dom().map(t => (t.name === NAMES.GDD ? { ...t, dayPts: 6.5 } : t)),
+    expected: dom().map(t => (t.name === NAMES.GDD ? { ...t, dayPts: 6.5 } : t)),
+  },
+  {
+    name: "api: a team missing from the API falls back to the DOM",
+    source: "api",
+    api: dom().slice(0, 2),
+    expected: dom(),
+  },
+  {
+    name: "api: an unmappable payload falls back to the DOM",
+    source: "api",
+    api: [],
+    expected: dom(),
+  },
+  {
+    name: "compare: always the DOM",
+    source: "compare",
+    api: dom().map(t => ({ ...t, dayPts: t.dayPts + 1 })),
+    expected: dom(),
+  },
+];
+
+for (const c of CASES) {
+  test(`chooseTeams ${c.name}`, () => {
+    assert.deepEqual(chooseTeams(dom(), c.api.length ? payload(c.api) : [], DATE, c.source), c.expected);
+  });
+}
+
+// Recorded nights (node src/fantrax-api.js record <date>): API and DOM must agree
+const fixtures = loadFixtures();
+if (fixtures.length === 0) {
+  test.skip("recorded fixtures — none in data/fixtures/fantrax/ yet");
+}
+for (const fixture of fixtures) {
+  test(`fixture ${fixture.date}: API mapping matches the DOM`, () => {
+    assert.deepEqual(verifyFixture(fixture), []);
+  });
+}
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { applyFatigue } = require("../src/narratives/fatigue");
+
+const SETTINGS = { repeatPenalty: 0.5, categoryPenalty: 0.2, decay: 0.5, maxPenalty: 0.9, freshBoost: 5 };
+const LONG = "Hottest franchise since 1/12 (12.4 PPG over 7 nights)";
+
+const night = (shown) => ({ franchises: { JGC: shown } });
+const scoreOf = (candidate, recentNights) => applyFatigue([candidate], "JGC", recentNights, SETTINGS)[0].score;
+
+test("a repeat of a truncated line matches on the logged full text", () => {
+  const logged = { rule: "hot-window", cat: "hot", text: LONG, displayText: "Hottest franchise since 1/12 (12.4 PPG over…" };
+  assert.equal(scoreOf({ text: LONG, cat: "hot", score: 40 }, [night([logged]), night([logged])]), 10);
+});
+
+const CASES = [
+  {
+    name: "same text last night: repeat penalty",
+    candidate: { text: "3-day win streak", cat: "streak", score: 40 },
+    nights: [night([{ cat: "streak", text: "3-day win streak" }])],
+    expected: 20,
+  },
+  {
+    name: "same category, different text: category penalty",
+    candidate: { text: "4-day win streak", cat: "streak", score: 40 },
+    nights: [night([{ cat: "streak", text: "3-day win streak" }])],
+    expected: 32,
+  },
+  {
+    name: "penalties decay by night and add up",
+    candidate: { text: "3-day win streak", cat: "streak", score: 40 },
+    nights: [night([{ cat: "streak", text: "3-day win streak" }]), night([{ cat: "streak", text: "3-day win streak" }])],
+    expected: 10,
+  },
+  {
+    name: "a category not shown in the lookback gets the fresh boost",
+    candidate: { text: "Scored 12 pts tonight", cat: "night", score: 40 },
+    nights: [night([{ cat: "streak", text: "3-day win streak" }])],
+    expected: 45,
+  },
+  {
+    name: "a pre-displayText log entry (truncated text) no longer matches the full text",
+    candidate: { text: LONG, cat: "hot", score: 40 },
+    nights: [night([{ cat: "hot", text: "Hottest franchise since 1/12 (12.4 PPG over…" }])],
+    expected: 32,
+  },
+];
+
+for (const c of CASES) {
+  test(c.name, () => {
+    assert.equal(scoreOf(c.candidate, c.nights), c.expected);
+  });
+}
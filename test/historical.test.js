@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.HISTORICAL_SOURCE = "network";
+const { parseCSV, fetchHistoricalData } = require("../src/historical");
+
+const PARSE_CASES = [
+  {
+    name: "plain rows keyed by header",
+    text: "Season,Period\n2026,9\n",
+    expected: { headers: ["Season", "Period"], rows: [{ Season: "2026", Period: "9" }] },
+  },
+  {
+    name: "quoted commas, newlines and doubled quotes",
+    text: 'Name,Note\n"Smith, J","said ""hi""\nthen left"\n',
+    expected: { headers: ["Name", "Note"], rows: [{ Name: "Smith, J", Note: 'said "hi"\nthen left' }] },
+  },
+  {
+    name: "CRLF endings, a BOM and blank lines",
+    text: "\uFEFFA,B\r\n1,2\r\n\r\n,\r\n3,4",
+    expected: { headers: ["A", "B"], rows: [{ A: "1", B: "2" }, { A: "3", B: "4" }] },
+  },
+  {
+    name: "short rows fill with empty strings",
+    text: "A,B,C\n1\n",
+    expected: { headers: ["A", "B", "C"], rows: [{ A: "1", B: "", C: "" }] },
+  },
+  {
+    name: "empty text",
+    text: "",
+    expected: { headers: [], rows: [] },
+  },
+];
+
+for (const c of PARSE_CASES) {
+  test(`parseCSV: ${c.name}`, () => {
+    assert.deepEqual(parseCSV(c.text), c.expected);
+  });
+}
+
+test("parseCSV: an unterminated quote throws with its line", () => {
+  assert.throws(() => parseCSV('A,B\n1,"open\n2,3\n'), /unterminated quoted field starting on line 2/);
+});
+
+test("fetchHistoricalData: a fetch failure gives [], a renamed column throws", async (t) => {
+  const realFetch = global.fetch;
+  t.after(() => { global.fetch = realFetch; });
+
+  global.fetch = async () => { throw new Error("getaddrinfo ENOTFOUND docs.google.com"); };
+  assert.deepEqual(await fetchHistoricalData(), []);
+
+  // Jason_FPts renamed on the sheet
+  const csv = "Season,Period,Jason_Points,Jason_FP/G,Jason_GP\n2026,9,81,1.08,75\n";
+  global.fetch = async () => ({ ok: true, status: 200, text: async () => csv });
+  await assert.rejects(fetchHistoricalData(), /Database tab schema error: missing column\(s\) Jason_FPts/);
+});
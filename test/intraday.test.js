@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffSnapshots } = require("../src/intraday");
+
+// Franchise codes resolve to themselves, so they stand in for team names
+const snapshot = (scores) => ({
+  date: "2025-11-16",
+  period: 4,
+  teams: Object.entries(scores).map(([name, [dayPts, gp]]) => ({ name, dayPts, gp })),
+});
+const types = (events) => events.map(e => `${e.type} ${e.franchise}${e.other ? ` ${e.other}` : ""}`);
+
+const CASES = [
+  {
+    name: "no change, no events",
+    prev: { JGC: [4, 2], GDD: [3, 2] },
+    curr: { JGC: [4, 2], GDD: [3, 2] },
+    expected: [],
+  },
+  {
+    name: "first outright day leader",
+    prev: { JGC: [0, 0], GDD: [0, 0] },
+    curr: { JGC: [2, 1], GDD: [0, 0] },
+    expected: ["lead-change JGC"],
+  },
+  {
+    name: "lead change with a swing",
+    prev: { JGC: [4, 2], GDD: [3, 2] },
+    curr: { JGC: [4, 2], GDD: [9, 3] },
+    expected: ["lead-change GDD JGC", "swing GDD", "pass GDD JGC"],
+  },
+  {
+    name: "downward swing",
+    prev: { JGC: [8, 2], GDD: [9, 3] },
+    curr: { JGC: [8, 2], GDD: [5, 3] },
+    expected: ["lead-change JGC GDD", "swing GDD"],
+  },
+  {
+    name: "a team that scored passes another in the period standings",
+    base: { JGC: 50, GDD: 52 },
+    prev: { JGC: [1, 1], GDD: [1, 1] },
+    curr: { JGC: [4, 2], GDD: [1, 1] },
+    expected: ["lead-change JGC", "pass JGC GDD"],
+  },
+  {
+    name: "a correction down to the leader is no pass for the team that didn't score",
+    base: { JGC: 50, GDD: 52 },
+    prev: { JGC: [1, 1], GDD: [1, 1] },
+    curr: { JGC: [1, 1], GDD: [-2, 1] },
+    expected: ["lead-change JGC", "swing GDD"],
+  },
+];
+
+for (const c of CASES) {
+  test(c.name, () => {
+    assert.deepEqual(types(diffSnapshots(snapshot(c.prev), snapshot(c.curr), c.base || {})), c.expected);
+  });
+}
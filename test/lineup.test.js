@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { optimalLineup } = require("../src/lineup");
+
+const line = (name, pos, fpts, slot = "active") => ({ name, pos, fpts, slot });
+
+// Worked night. Slots: C, W, UT, G.
+//   Kopitar  C,LW  5  active     Hughes  C   4  bench
+//   Fox      D     3  active     Shesterkin G 2 active
+//   Zegras   LW    1  active     Unknown  —  6  bench (no position)
+// Taking Kopitar's C slot first would leave Hughes out; moving
+// Kopitar to W seats both. Zegras then has nowhere to go (W taken,
+// UT held by Fox, a defenceman). Optimal 5 + 4 + 3 + 2 = 14,
+// actual 5 + 3 + 2 + 1 = 11, so 3 points were left on the bench.
+const NIGHT = [
+  line("Kopitar", "C,LW", 5),
+  line("Hughes", "C", 4, "bench"),
+  line("Fox", "D", 3),
+  line("Shesterkin", "G", 2),
+  line("Zegras", "LW", 1),
+  line("Unknown", null, 6, "bench"),
+  line("Kreider", "LW", 0, "bench"),
+];
+
+test("worked night: augmenting path reseats a multi-position player", () => {
+  const result = optimalLineup(NIGHT, { C: 1, W: 1, UT: 1, G: 1 });
+  assert.deepEqual(
+    result.lineup.map(l => [l.slot, l.name, l.fpts, l.slotWas]),
+    [["C", "Hughes", 4, "bench"], ["W", "Kopitar", 5, "active"], ["UT", "Fox", 3, "active"], ["G", "Shesterkin", 2, "active"]],
+  );
+  assert.equal(result.optimal, 14);
+  assert.equal(result.actual, 11);
+  assert.equal(result.gap, 3);
+  assert.equal(result.efficiency, 0.786);
+  assert.deepEqual(result.missed.map(l => l.name), ["Hughes"]);
+  assert.equal(result.unplaced, 1);
+});
+
+const CASES = [
+  {
+    name: "the active lineup was already optimal",
+    lines: [line("A", "C", 3), line("B", "D", 2), line("C", "D", 1, "bench")],
+    slots: { C: 1, D: 1 },
+    expected: { optimal: 5, actual: 5, gap: 0, efficiency: 1 },
+  },
+  {
+    name: "nobody scored",
+    lines: [line("A", "C", 0), line("B", "G", 0, "bench")],
+    slots: { C: 1, G: 1 },
+    expected: { optimal: 0, actual: 0, gap: 0, efficiency: 1 },
+  },
+  {
+    name: "F is shorthand for any forward position",
+    lines: [line("A", "F", 4, "bench"), line("B", "RW", 1)],
+    slots: { RW: 1 },
+    expected: { optimal: 4, actual: 1, gap: 3, efficiency: 0.25 },
+  },
+];
+
+for (const c of CASES) {
+  test(c.name, () => {
+    const { optimal, actual, gap, efficiency } = optimalLineup(c.lines, c.slots);
+    assert.deepEqual({ optimal, actual, gap, efficiency }, c.expected);
+  });
+}
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePlayerInfo, parseRosterTables, buildPlayersFile, summarizeTeam, validatePlayersFile } = require("../src/players");
+
+// The raw shape scrape.js scrapePlayerLines reads off the page. Made up
+// to that shape, not recorded from a live night: it pins the parser's
+// contract, not the page's markup.
+const TABLES = [
+  {
+    heading: "Active",
+    headers: ["Pos", "Player", "FPts", "GP", "G", "A", "SOG"],
+    rows: [
+      { name: "Connor McDavid", info: "EDM - C", cells: ["C", "Connor McDavid", "6.5", "1", "1", "2", "5"] },
+      { name: "Quinn Hughes", info: "VAN - D", cells: ["D", "Quinn Hughes", "2.5", "1", "0", "1", "3"] },
+      { name: "Empty", info: "", cells: ["G", "Empty", "", "", "", "", ""] },
+    ],
+  },
+  {
+    heading: "Reserve",
+    headers: ["Pos", "Player", "FPts", "GP", "G", "A", "SOG"],
+    rows: [
+      { name: "Matt Boldy", info: "MIN - LW,RW", cells: ["BN", "Matt Boldy", "4", "1", "1", "1", "4"] },
+    ],
+  },
+  {
+    heading: "Game log",
+    headers: ["Date", "Opp", "Result"],
+    rows: [{ name: "", info: "", cells: ["Jan 15", "CGY", "W 4-2"] }],
+  },
+];
+
+test("parsePlayerInfo splits position and NHL team", () => {
+  assert.deepEqual(parsePlayerInfo("EDM - C"), { pos: "C", nhlTeam: "EDM" });
+  assert.deepEqual(parsePlayerInfo("c,lw | TOR"), { pos: "C,LW", nhlTeam: "TOR" });
+  assert.deepEqual(parsePlayerInfo(""), { pos: null, nhlTeam: null });
+});
+
+test("parseRosterTables: active and bench lines, stats keyed by header", () => {
+  assert.deepEqual(parseRosterTables(TABLES), [
+    { name: "Connor McDavid", pos: "C", nhlTeam: "EDM", slot: "active", fpts: 6.5, gp: 1, stats: { G: 1, A: 2, SOG: 5 } },
+    { name: "Quinn Hughes", pos: "D", nhlTeam: "VAN", slot: "active", fpts: 2.5, gp: 1, stats: { G: 0, A: 1, SOG: 3 } },
+    { name: "Matt Boldy", pos: "LW,RW", nhlTeam: "MIN", slot: "bench", fpts: 4, gp: 1, stats: { G: 1, A: 1, SOG: 4 } },
+  ]);
+});
+
+test("summarizeTeam: active points count, bench points don't", () => {
+  const s = summarizeTeam(parseRosterTables(TABLES));
+  assert.equal(s.activePts, 9);
+  assert.equal(s.benchPts, 4);
+  assert.equal(s.top.name, "Connor McDavid");
+  assert.equal(s.benchTop.name, "Matt Boldy");
+});
+
+const file = () => buildPlayersFile({ date: "2026-01-15", season: "2025-26", period: 8, rosters: { BEW: parseRosterTables(TABLES) } });
+const daily = (dayPts) => ({ teams: [{ franchise: "BEW", dayPts }] });
+
+const CASES = [
+  { name: "active lines that sum to dayPts pass", dayPts: 9, errors: 0 },
+  { name: "within the rounding tolerance", dayPts: 9.1, errors: 0 },
+  { name: "a sum mismatch is an error", dayPts: 13, errors: 1 },
+];
+
+for (const c of CASES) {
+  test(`validatePlayersFile: ${c.name}`, () => {
+    const { errors } = validatePlayersFile(file(), daily(c.dayPts));
+    assert.equal(errors.length, c.errors, errors.join("; "));
+  });
+}
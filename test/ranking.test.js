@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { rankItems, rankTotals, rankLabel } = require("../src/ranking");
+
+const team = (name, pts, gp) => ({ name, pts, gp });
+const rank = (items, policy) =>
+  rankItems(items, { score: t => t.pts, gp: t => t.gp, policy })
+    .map(({ item, rank, tied, last }) => [item.name, rank, tied, last]);
+
+const CASES = [
+  {
+    name: "competition: tied teams share the better rank, the next skips",
+    policy: "competition",
+    items: [team("A", 10, 3), team("B", 12, 3), team("C", 12, 4)],
+    expected: [["B", 1, true, false], ["C", 1, true, false], ["A", 3, false, true]],
+  },
+  {
+    name: "shared: tied teams share a rank, no gap after",
+    policy: "shared",
+    items: [team("A", 10, 3), team("B", 12, 3), team("C", 12, 4)],
+    expected: [["B", 1, true, false], ["C", 1, true, false], ["A", 2, false, true]],
+  },
+  {
+    name: "ppg: equal points broken by higher points per game",
+    policy: "ppg",
+    items: [team("A", 12, 4), team("B", 12, 3), team("C", 10, 3)],
+    expected: [["B", 1, false, false], ["A", 2, false, false], ["C", 3, false, true]],
+  },
+  {
+    name: "gp: equal points broken by fewer games played",
+    policy: "gp",
+    items: [team("A", 12, 4), team("B", 12, 3), team("C", 10, 3)],
+    expected: [["B", 1, false, false], ["A", 2, false, false], ["C", 3, false, true]],
+  },
+  {
+    name: "ppg: equal points and games stay tied",
+    policy: "ppg",
+    items: [team("A", 12, 3), team("B", 12, 3)],
+    expected: [["A", 1, true, true], ["B", 1, true, true]],
+  },
+  {
+    name: "competition: a tie for last shares rank n − 1 and both are last",
+    policy: "competition",
+    items: [team("A", 9, 2), team("B", 0, 0), team("C", 0, 0)],
+    expected: [["A", 1, false, false], ["B", 2, true, true], ["C", 2, true, true]],
+  },
+  {
+    name: "shared: a tie for last",
+    policy: "shared",
+    items: [team("A", 9, 2), team("B", 5, 1), team("C", 0, 0), team("D", 0, 0)],
+    expected: [["A", 1, false, false], ["B", 2, false, false], ["C", 3, true, true], ["D", 3, true, true]],
+  },
+  {
+    name: "sums of one-decimal floats that differ by rounding are a tie",
+    policy: "competition",
+    items: [team("A", 0.1 + 0.2, 1), team("B", 0.3, 1)],
+    expected: [["A", 1, true, true], ["B", 1, true, true]],
+  },
+];
+
+for (const c of CASES) {
+  test(c.name, () => {
+    assert.deepEqual(rank(c.items, c.policy), c.expected);
+  });
+}
+
+test("ppg/gp without a gp accessor behave as competition", () => {
+  const ranked = rankItems([team("A", 12, 4), team("B", 12, 3)], { score: t => t.pts, policy: "ppg" });
+  assert.deepEqual(ranked.map(r => r.rank), [1, 1]);
+});
+
+test("unknown policy throws", () => {
+  assert.throws(() => rankItems([], { score: t => t.pts, policy: "dense" }), /Unknown tie policy/);
+});
+
+test("rankTotals flattens franchise totals", () => {
+  const ranked = rankTotals({ RMS: { pts: 50, gp: 20 }, GDD: { pts: 50, gp: 18 }, BEW: { pts: 40 } }, { policy: "gp" });
+  assert.deepEqual(ranked.map(r => [r.franchise, r.rank, r.last]), [["GDD", 1, false], ["RMS", 2, false], ["BEW", 3, true]]);
+});
+
+test("rankLabel marks shared ranks", () => {
+  assert.equal(rankLabel(1, true), "T1");
+  assert.equal(rankLabel(3, false), "3");
+});
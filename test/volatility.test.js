@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RANK_BUCKETS, computeVolatility } = require("../src/volatility");
+const { rankDaysFor } = require("../src/narratives/helpers");
+
+// Buckets each finish falls in, by team count: rank → bucket keys
+const bucketsFor = (rank, numTeams) =>
+  RANK_BUCKETS.filter(b => b.test(rank, { numTeams, last: rank === numTeams })).map(b => b.key).join(" ");
+
+const CASES = [
+  { numTeams: 6, expected: ["W T2 TH", "T2 TH", "TH M2", "M2 BH", "BH B2", "BH B2 L"] },
+  { numTeams: 5, expected: ["W T2 TH", "T2 TH", "TH M2 BH", "BH B2", "BH B2 L"] },
+  { numTeams: 4, expected: ["W T2 TH", "T2 TH", "BH B2", "BH B2 L"] },
+];
+
+for (const c of CASES) {
+  test(`rank buckets for a ${c.numTeams}-team day`, () => {
+    const got = Array.from({ length: c.numTeams }, (_, i) => bucketsFor(i + 1, c.numTeams));
+    assert.deepEqual(got, c.expected);
+  });
+}
+
+const day = (date, scores) => ({
+  date,
+  season: "2014-15",
+  period: 1,
+  teams: Object.entries(scores).map(([franchise, dayPts]) => ({ franchise, dayPts, gp: dayPts > 0 ? 2 : 0 })),
+});
+
+test("a missing franchise ranks below everyone in that day's field", () => {
+  const days = [day("2014-10-08", { JGC: 5, GDD: 4, RMS: 3, BEW: 2, PWN: 1 })];
+  assert.equal(rankDaysFor(days, "MPP")[0].rank, 6);
+});
+
+test("5-team days: second-to-last is bottom two, not bottom half only", () => {
+  const days = [
+    day("2014-10-08", { JGC: 5, GDD: 4, RMS: 3, BEW: 2, PWN: 1 }),
+    day("2014-10-09", { JGC: 1, GDD: 4, RMS: 3, BEW: 5, PWN: 2 }),
+  ];
+  const v = computeVolatility(days, "BEW");
+  assert.deepEqual(v.buckets, { W: 1, T2: 1, TH: 1, M2: 0, BH: 1, B2: 1, L: 0 });
+  assert.equal(v.longest.B2.length, 1);
+});